@@ -0,0 +1,43 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/user.model');
+const logger = require('../src/config/logger');
+
+// Give doctors from before applications existed an explicit approval status. By default they are
+// put up for review like new applicants; with --approve they are trusted and approved as they are.
+async function backfillDoctorApprovals() {
+  const approve = process.argv.includes('--approve');
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/medreminder', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    logger.info('Connected to MongoDB for doctor approval backfill');
+
+    const now = new Date();
+    const { modifiedCount } = await User.updateMany(
+      { role: 'doctor', 'doctorApproval.status': { $exists: false } },
+      {
+        $set: approve
+          ? { 'doctorApproval.status': 'approved', 'doctorApproval.reviewedAt': now }
+          : { 'doctorApproval.status': 'pending', 'doctorApproval.submittedAt': now }
+      }
+    );
+
+    logger.info(`Marked ${modifiedCount} existing doctors as ${approve ? 'approved' : 'pending review'}`);
+    if (!approve && modifiedCount) {
+      console.log('Review them at GET /api/admin/doctor-applications; they can add their license details at PATCH /api/auth/doctor-application.');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error backfilling doctor approvals:', error);
+    console.error('Error backfilling doctor approvals:', error);
+    process.exit(1);
+  }
+}
+
+// Run the backfill
+backfillDoctorApprovals();
@@ -0,0 +1,61 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/appointment.model');
+const logger = require('../src/config/logger');
+const {
+  RELEASED_STATUSES,
+  getAppointmentWindow,
+  claimSlot
+} = require('../src/services/slotReservation.service');
+
+// Fill in startAt/endAt and slot claims for appointments created before double-booking protection
+async function backfillSlotClaims() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/medreminder', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    logger.info('Connected to MongoDB for slot claim backfill');
+
+    const appointments = await Appointment.find({});
+    let updated = 0;
+    const conflicts = [];
+
+    for (const appointment of appointments) {
+      const { startAt, endAt } = getAppointmentWindow(
+        appointment.doctor,
+        appointment.date,
+        appointment.startTime,
+        appointment.endTime
+      );
+
+      await Appointment.updateOne({ _id: appointment._id }, { startAt, endAt });
+      updated += 1;
+
+      if (RELEASED_STATUSES.includes(appointment.status)) continue;
+
+      try {
+        await claimSlot(appointment._id, appointment.doctor._id, startAt, endAt);
+      } catch (err) {
+        if (err.statusCode !== 409) throw err;
+        conflicts.push(appointment._id);
+      }
+    }
+
+    logger.info(`Backfilled ${updated} appointments`);
+    if (conflicts.length) {
+      console.log('These appointments overlap an existing booking and hold no slot claim:');
+      conflicts.forEach(id => console.log(`- ${id}`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error backfilling slot claims:', error);
+    console.error('Error backfilling slot claims:', error);
+    process.exit(1);
+  }
+}
+
+// Run the backfill
+backfillSlotClaims();
@@ -12,7 +12,9 @@ const testUsers = [
     passwordConfirm: 'doctor123',
     role: 'doctor',
     phone: '+1234567890',
-    specialization: 'General Medicine'
+    specialization: 'General Medicine',
+    // Seeded doctors skip the application review
+    doctorApproval: { status: 'approved' }
   },
   {
     name: 'Test Patient',
@@ -2,6 +2,7 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const logger = require('./config/logger');
 
@@ -10,12 +11,31 @@ const authRoutes = require('./routes/auth.routes');
 const appointmentRoutes = require('./routes/appointment.routes');
 const medicationRoutes = require('./routes/medication.routes');
 const adminRoutes = require('./routes/admin.routes');
+const availabilityRoutes = require('./routes/availability.routes');
+const telegramRoutes = require('./routes/telegram.routes');
+const refillRequestRoutes = require('./routes/refillRequest.routes');
+const patientRoutes = require('./routes/patient.routes');
+const telegramService = require('./services/telegram.service');
+const scheduler = require('./services/scheduler.service');
+const escalationService = require('./services/escalation.service');
+const appointmentReminderService = require('./services/appointmentReminder.service');
+const inventoryService = require('./services/inventory.service');
+const medicationLifecycleService = require('./services/medicationLifecycle.service');
+// Keeps reminder jobs in step with medication and user changes
+require('./services/reminderSync.service');
 
 const app = express();
 
+// Behind a reverse proxy, client IPs (used to throttle sign-ins) come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(cookieParser());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
 // Database connection
@@ -23,7 +43,27 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/medremind
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => logger.info('Connected to MongoDB'))
+.then(() => {
+  logger.info('Connected to MongoDB');
+
+  // Start the persistent reminder scheduler and rehydrate reminders
+  scheduler.start();
+  telegramService.syncAllReminders().catch(err => {
+    logger.error(`Error synchronising reminders: ${err.message}`);
+  });
+  escalationService.syncAllCriticalDoseChecks().catch(err => {
+    logger.error(`Error synchronising critical dose checks: ${err.message}`);
+  });
+  appointmentReminderService.syncAllAppointmentReminders().catch(err => {
+    logger.error(`Error synchronising appointment reminders: ${err.message}`);
+  });
+  inventoryService.scheduleRefillChecks().catch(err => {
+    logger.error(`Error scheduling refill checks: ${err.message}`);
+  });
+  medicationLifecycleService.scheduleCompletionChecks().catch(err => {
+    logger.error(`Error scheduling medication completion checks: ${err.message}`);
+  });
+})
 .catch(err => logger.error('MongoDB connection error:', err));
 
 // Routes
@@ -31,6 +71,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/appointments', appointmentRoutes);
 app.use('/api/medications', medicationRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/availability', availabilityRoutes);
+app.use('/api/telegram', telegramRoutes);
+app.use('/api/refill-requests', refillRequestRoutes);
+app.use('/api/patients', patientRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -39,6 +83,15 @@ app.get('/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Expected errors (AppError) are reported to the client as they are
+  if (err.isOperational) {
+    return res.status(err.statusCode).json({
+      status: err.status,
+      message: err.message,
+      ...(err.data && { data: err.data })
+    });
+  }
+
   logger.error(err.stack);
   res.status(500).json({
     status: 'error',
@@ -47,6 +100,11 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Start Telegram bot
+if (process.env.FEATURE_TELEGRAM_BOT !== 'false') {
+  telegramService.initBot();
+}
+
 // Start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
@@ -1,9 +1,17 @@
 const User = require('../models/user.model');
 const Appointment = require('../models/appointment.model');
 const Medication = require('../models/medication.model');
+const Session = require('../models/session.model');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const logger = require('../config/logger');
+const { isValidTimeZone } = require('../utils/timezone');
+const { revokeAllSessions } = require('../services/session.service');
+const { getSettings, updateSettings } = require('../services/settings.service');
+const { findUserWithSecrets, disableTwoFactor } = require('../services/twoFactor.service');
+const { listLockouts, unlock } = require('../services/loginProtection.service');
+const { listApplications, decideApplication } = require('../services/doctorApplication.service');
+const Settings = require('../models/settings.model');
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/dashboard
@@ -12,6 +20,7 @@ exports.getDashboardStats = catchAsync(async (req, res, next) => {
   const [
     totalPatients,
     totalDoctors,
+    pendingDoctorApplications,
     totalAppointments,
     activeMedications,
     recentAppointments,
@@ -23,6 +32,9 @@ exports.getDashboardStats = catchAsync(async (req, res, next) => {
     // Count total doctors
     User.countDocuments({ role: 'doctor' }),
     
+    // Count doctor applications awaiting review
+    User.countDocuments({ role: 'doctor', 'doctorApproval.status': 'pending' }),
+    
     // Count total appointments (last 30 days)
     Appointment.countDocuments({
       createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
@@ -74,6 +86,7 @@ exports.getDashboardStats = catchAsync(async (req, res, next) => {
       stats: {
         totalPatients,
         totalDoctors,
+        pendingDoctorApplications,
         totalAppointments,
         activeMedications
       },
@@ -148,7 +161,7 @@ exports.getUser = catchAsync(async (req, res, next) => {
 // @route   POST /api/admin/users
 // @access  Private/Admin
 exports.createUser = catchAsync(async (req, res, next) => {
-  const { name, email, password, role, phone, specialization } = req.body;
+  const { name, email, password, role, phone, specialization, timezone, practiceTimezone } = req.body;
   
   // Check if user already exists
   const existingUser = await User.findOne({ email });
@@ -163,7 +176,13 @@ exports.createUser = catchAsync(async (req, res, next) => {
     password,
     role: role || 'patient',
     ...(phone && { phone }),
-    ...(role === 'doctor' && { specialization }),
+    ...(timezone && { timezone }),
+    ...(role === 'doctor' && {
+      specialization,
+      practiceTimezone,
+      // Doctors created by an admin need no separate review
+      doctorApproval: { status: 'approved', reviewedBy: req.user._id, reviewedAt: Date.now() }
+    }),
     isVerified: true // Admin-created users are automatically verified
   });
   
@@ -182,23 +201,46 @@ exports.createUser = catchAsync(async (req, res, next) => {
 // @route   PATCH /api/admin/users/:id
 // @access  Private/Admin
 exports.updateUser = catchAsync(async (req, res, next) => {
-  const { name, email, role, phone, specialization, isActive } = req.body;
+  const { name, email, role, phone, specialization, timezone, practiceTimezone, isActive, isVerified } = req.body;
   
   const user = await User.findById(req.params.id);
   if (!user) {
     return next(new AppError('No user found with that ID', 404));
   }
   
+  // Validate time zones (validators are skipped on save below)
+  if (
+    (timezone !== undefined && !isValidTimeZone(timezone)) ||
+    (practiceTimezone !== undefined && !isValidTimeZone(practiceTimezone))
+  ) {
+    return next(new AppError('Please provide a valid IANA time zone', 400));
+  }
+  
   // Update user fields
   if (name) user.name = name;
   if (email) user.email = email;
   if (role) user.role = role;
+  // An admin making someone a doctor approves them as one
+  if (role === 'doctor' && !user.isApprovedDoctor()) {
+    user.doctorApproval.status = 'approved';
+    user.doctorApproval.reviewedBy = req.user._id;
+    user.doctorApproval.reviewedAt = Date.now();
+  }
   if (phone !== undefined) user.phone = phone;
   if (specialization !== undefined) user.specialization = specialization;
+  if (timezone !== undefined) user.timezone = timezone;
+  if (practiceTimezone !== undefined) user.practiceTimezone = practiceTimezone;
   if (isActive !== undefined) user.active = isActive;
+  if (isVerified !== undefined) user.isVerified = isVerified;
   
+  // Reminder times follow the patient's time zone and account status (see reminderSync.service)
   await user.save({ validateBeforeSave: false });
   
+  // A deactivated account is signed out everywhere
+  if (isActive === false) {
+    await revokeAllSessions(user._id, { reason: 'account-deactivated' });
+  }
+  
   // Remove sensitive data
   user.password = undefined;
   user.passwordChangedAt = undefined;
@@ -213,21 +255,42 @@ exports.updateUser = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Turn off a user's two-factor authentication (e.g. lost device and recovery codes)
+// @route   DELETE /api/admin/users/:id/two-factor
+// @access  Private/Admin
+exports.resetTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await findUserWithSecrets(req.params.id);
+  if (!user) {
+    return next(new AppError('No user found with that ID', 404));
+  }
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('This user does not use two-factor authentication', 400));
+  }
+
+  await disableTwoFactor(user);
+  // Whoever holds the lost factor should not stay signed in either
+  await revokeAllSessions(user._id);
+
+  logger.info(`Two-factor authentication of user ${user._id} reset by admin ${req.user._id}`);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
 // @desc    Delete user
 // @route   DELETE /api/admin/users/:id
 // @access  Private/Admin
 exports.deleteUser = catchAsync(async (req, res, next) => {
+  // The user's reminders are cancelled by reminderSync.service
   const user = await User.findByIdAndDelete(req.params.id);
   
   if (!user) {
     return next(new AppError('No user found with that ID', 404));
   }
   
-  // Cancel any active reminders for this user
-  if (user.telegramId) {
-    const { cancelUserReminders } = require('../services/telegram.service');
-    cancelUserReminders(user._id);
-  }
+  await Session.deleteMany({ user: user._id });
   
   res.status(204).json({
     status: 'success',
@@ -313,6 +376,121 @@ exports.getAllMedications = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Get doctor applications (pending by default, or by `status`)
+// @route   GET /api/admin/doctor-applications
+// @access  Private/Admin
+exports.getDoctorApplications = catchAsync(async (req, res, next) => {
+  const applications = await listApplications(req.query.status);
+
+  res.status(200).json({
+    status: 'success',
+    results: applications.length,
+    data: {
+      applications
+    }
+  });
+});
+
+// @desc    Approve a doctor application, giving the doctor clinical access
+// @route   PATCH /api/admin/doctor-applications/:id/approve
+// @access  Private/Admin
+exports.approveDoctorApplication = catchAsync(async (req, res, next) => {
+  const doctor = await decideApplication(req.params.id, {
+    approved: true,
+    reviewedBy: req.user._id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: doctor
+    }
+  });
+});
+
+// @desc    Reject a doctor application with a `reason`
+// @route   PATCH /api/admin/doctor-applications/:id/reject
+// @access  Private/Admin
+exports.rejectDoctorApplication = catchAsync(async (req, res, next) => {
+  const applicant = await decideApplication(req.params.id, {
+    approved: false,
+    reason: req.body.reason,
+    reviewedBy: req.user._id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: applicant
+    }
+  });
+});
+
+// @desc    Get accounts and IP addresses currently locked out of signing in
+// @route   GET /api/admin/login-lockouts
+// @access  Private/Admin
+exports.getLoginLockouts = catchAsync(async (req, res, next) => {
+  const { kind } = req.query;
+  if (kind && !['account', 'ip'].includes(kind)) {
+    return next(new AppError('kind must be account or ip', 400));
+  }
+
+  const lockouts = await listLockouts(kind);
+
+  res.status(200).json({
+    status: 'success',
+    results: lockouts.length,
+    data: {
+      lockouts
+    }
+  });
+});
+
+// @desc    Lift a sign-in lockout early
+// @route   DELETE /api/admin/login-lockouts/:id
+// @access  Private/Admin
+exports.removeLoginLockout = catchAsync(async (req, res, next) => {
+  const lockout = await unlock(req.params.id);
+
+  logger.info(`Sign-in lockout of ${lockout.kind} ${lockout.key} lifted by admin ${req.user._id}`);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Get application settings
+// @route   GET /api/admin/settings
+// @access  Private/Admin
+exports.getSettings = catchAsync(async (req, res, next) => {
+  const settings = await getSettings();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      settings,
+      verifiedEmailActions: Settings.VERIFIED_EMAIL_ACTIONS
+    }
+  });
+});
+
+// @desc    Update application settings
+// @route   PATCH /api/admin/settings
+// @access  Private/Admin
+exports.updateSettings = catchAsync(async (req, res, next) => {
+  const settings = await updateSettings(req.body, req.user._id);
+
+  logger.info(`Settings updated by admin ${req.user._id}`);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      settings
+    }
+  });
+});
+
 // @desc    Get system logs
 // @route   GET /api/admin/logs
 // @access  Private/Admin
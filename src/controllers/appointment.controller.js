@@ -1,9 +1,43 @@
 const Appointment = require('../models/appointment.model');
+const AppointmentSeries = require('../models/appointmentSeries.model');
 const User = require('../models/user.model');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const logger = require('../config/logger');
 const Email = require('../utils/email');
+const {
+  toMinutes,
+  toTime,
+  getDoctorAvailability,
+  getWorkingBlocks,
+  getCancellationCutoffHours
+} = require('../services/availability.service');
+const {
+  RELEASED_STATUSES,
+  checkTimeSlotAvailability,
+  claimSlot,
+  releaseSlot,
+  createWithClaim
+} = require('../services/slotReservation.service');
+const {
+  describeRecurrence,
+  parseRecurrence,
+  toConflict,
+  createSeries,
+  getScopedAppointments,
+  updateSeriesRule
+} = require('../services/appointmentSeries.service');
+const {
+  scheduleAppointmentReminders,
+  cancelAppointmentReminders
+} = require('../services/appointmentReminder.service');
+const {
+  zonedTimeToUtc,
+  formatTime,
+  formatDateTime,
+  getUserTimeZone,
+  getPracticeTimeZone
+} = require('../utils/timezone');
 
 // @desc    Get all appointments (for doctors/admins)
 // @route   GET /api/appointments
@@ -94,43 +128,75 @@ exports.deleteAppointment = catchAsync(async (req, res, next) => {
   });
 });
 
-// Helper function to check time slot availability
-const checkTimeSlotAvailability = async (doctorId, date, startTime, endTime, excludeAppointmentId = null) => {
-  const query = {
-    doctor: doctorId,
-    date: new Date(date),
-    $or: [
-      // New appointment starts during existing appointment
-      { 
-        startTime: { $lt: endTime },
-        endTime: { $gt: startTime }
-      },
-      // New appointment ends during existing appointment
-      {
-        startTime: { $lt: endTime },
-        endTime: { $gt: startTime }
-      },
-      // New appointment completely contains existing appointment
-      {
-        startTime: { $gte: startTime },
-        endTime: { $lte: endTime }
-      }
-    ]
-  };
+// Email the patient that their appointment is booked (or awaiting approval)
+const sendBookingConfirmation = async (req, appointment, doctor, patient) => {
+  try {
+    const url = `${req.protocol}://${req.get('host')}/my-appointments`;
+    const startAt = appointment.getStartAt(getPracticeTimeZone(doctor));
+    await Email.sendAppointmentConfirmation(patient.email, {
+      doctorName: doctor.name,
+      when: formatDateTime(startAt, getUserTimeZone(patient)),
+      reason: appointment.reason,
+      pending: appointment.status === 'pending',
+      url
+    });
+  } catch (err) {
+    logger.error(`Error sending appointment confirmation email: ${err.message}`);
+  }
+};
 
-  if (excludeAppointmentId) {
-    query._id = { $ne: excludeAppointmentId };
+// Email the patient every visit booked in a new series
+const sendSeriesConfirmation = async (req, series, appointments, doctor, patient) => {
+  try {
+    const url = `${req.protocol}://${req.get('host')}/my-appointments`;
+    const patientTimeZone = getUserTimeZone(patient);
+    await Email.sendAppointmentSeriesConfirmation(patient.email, {
+      doctorName: doctor.name,
+      recurrence: describeRecurrence(series.recurrence),
+      dates: appointments.map(appt => formatDateTime(appt.startAt, patientTimeZone)),
+      reason: series.reason,
+      url
+    });
+  } catch (err) {
+    logger.error(`Error sending appointment series confirmation email: ${err.message}`);
   }
+};
 
-  const conflictingAppointments = await Appointment.find(query);
-  return conflictingAppointments.length === 0;
+// Check availability and create an appointment; used by both the doctor and patient paths
+const createBooking = async (req, { doctor, patient, date, startTime, endTime, reason, notes, isVirtual, status, bookedBy }) => {
+  // 1) Check working hours and existing bookings (409 with the conflicting slot if taken)
+  const { startAt, endAt } = await checkTimeSlotAvailability(doctor, date, startTime, endTime);
+
+  // 2) Claim the slot and create the appointment; a concurrent booking of the same slot gets a 409
+  const appointment = await createWithClaim({
+    doctor: doctor._id,
+    patient: patient._id,
+    date,
+    startTime,
+    endTime,
+    startAt,
+    endAt,
+    reason,
+    notes,
+    isVirtual,
+    status,
+    bookedBy
+  });
+
+  // 3) Remind the patient ahead of the visit
+  await scheduleAppointmentReminders(appointment);
+
+  // 4) Send confirmation email to patient, in the patient's time zone
+  await sendBookingConfirmation(req, appointment, doctor, patient);
+
+  return appointment;
 };
 
 // @desc    Create a new appointment
 // @route   POST /api/appointments
 // @access  Private (Doctor)
 exports.createAppointment = catchAsync(async (req, res, next) => {
-  const { patientId, date, startTime, endTime, reason, notes, isVirtual } = req.body;
+  const { patientId, date, startTime, endTime, reason, notes, isVirtual, recurrence } = req.body;
   
   // 1) Check if patient exists
   const patient = await User.findById(patientId);
@@ -138,44 +204,370 @@ exports.createAppointment = catchAsync(async (req, res, next) => {
     return next(new AppError('No patient found with that ID', 404));
   }
 
-  // 2) Check if time slot is available
-  const isAvailable = await checkTimeSlotAvailability(
-    req.user.id,
+  const startDate = new Date(date);
+  if (Number.isNaN(startDate.getTime())) {
+    return next(new AppError('Please provide a valid date', 400));
+  }
+
+  // A recurrence rule books a whole series at once
+  if (recurrence) {
+    const rule = parseRecurrence(recurrence);
+
+    const { series, appointments, conflicts } = await createSeries({
+      doctor: req.user,
+      patient,
+      startDate: startDate.toISOString().slice(0, 10),
+      startTime,
+      endTime,
+      recurrence: rule,
+      reason,
+      notes,
+      isVirtual,
+      bookedBy: 'doctor',
+      createdBy: req.user._id
+    });
+
+    for (const appointment of appointments) {
+      await scheduleAppointmentReminders(appointment);
+    }
+    await sendSeriesConfirmation(req, series, appointments, req.user, patient);
+
+    return res.status(201).json({
+      status: 'success',
+      results: appointments.length,
+      data: {
+        series,
+        appointments,
+        conflicts
+      }
+    });
+  }
+
+  // 2) Check availability, create the appointment and notify the patient
+  const appointment = await createBooking(req, {
+    doctor: req.user,
+    patient,
     date,
     startTime,
-    endTime
-  );
+    endTime,
+    reason,
+    notes,
+    isVirtual,
+    bookedBy: 'doctor'
+  });
 
-  if (!isAvailable) {
-    return next(new AppError('The selected time slot is not available', 400));
+  res.status(201).json({
+    status: 'success',
+    data: {
+      appointment
+    }
+  });
+});
+
+// @desc    Request a booking in an available slot
+// @route   POST /api/appointments/book
+// @access  Private (Patient)
+exports.bookAppointment = catchAsync(async (req, res, next) => {
+  const { doctorId, date, startTime, reason, notes, isVirtual } = req.body;
+  let { endTime } = req.body;
+
+  if (!doctorId || !date || !startTime) {
+    return next(new AppError('Please provide doctorId, date and startTime', 400));
+  }
+
+  const day = new Date(date);
+  if (Number.isNaN(day.getTime())) {
+    return next(new AppError('Please provide a valid date', 400));
+  }
+
+  // 1) Check if doctor exists
+  const doctor = await User.findById(doctorId);
+  if (!doctor || !doctor.isApprovedDoctor()) {
+    return next(new AppError('No doctor found with that ID', 404));
   }
 
-  // 3) Create appointment
-  const appointment = await Appointment.create({
-    doctor: req.user.id,
-    patient: patientId,
+  // 2) Default the length to the doctor's slot duration
+  const availability = await getDoctorAvailability(doctor._id);
+  if (!endTime) {
+    endTime = toTime(toMinutes(startTime) + availability.slotDuration);
+  }
+
+  // 3) Bookings cannot be made in the past
+  const startAt = zonedTimeToUtc(day.toISOString().slice(0, 10), startTime, getPracticeTimeZone(doctor));
+  if (startAt <= new Date()) {
+    return next(new AppError('Appointments cannot be booked in the past', 400));
+  }
+
+  // 4) Check availability, create the appointment and notify the patient
+  const appointment = await createBooking(req, {
+    doctor,
+    patient: req.user,
     date,
     startTime,
     endTime,
     reason,
     notes,
-    isVirtual
+    isVirtual,
+    status: availability.requiresApproval ? 'pending' : 'scheduled',
+    bookedBy: 'patient'
+  });
+
+  // 5) Let the doctor know a request is waiting for them
+  if (appointment.status === 'pending') {
+    try {
+      await Email.sendAppointmentRequest(doctor.email, {
+        patientName: req.user.name,
+        when: formatDateTime(startAt, getUserTimeZone(doctor)),
+        reason
+      });
+    } catch (err) {
+      logger.error(`Error sending appointment request email: ${err.message}`);
+    }
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      appointment
+    }
+  });
+});
+
+// @desc    Get a recurring series with its appointments
+// @route   GET /api/appointments/series/:seriesId
+// @access  Private
+exports.getSeries = catchAsync(async (req, res, next) => {
+  const series = await AppointmentSeries.findById(req.params.seriesId);
+
+  if (!series) {
+    return next(new AppError('No appointment series found with that ID', 404));
+  }
+
+  if (
+    series.doctor.toString() !== req.user.id &&
+    series.patient.toString() !== req.user.id &&
+    req.user.role !== 'admin'
+  ) {
+    return next(new AppError('You do not have permission to view this series', 403));
+  }
+
+  const appointments = await Appointment.find({ series: series._id }).sort({ date: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: appointments.length,
+    data: {
+      series,
+      appointments
+    }
+  });
+});
+
+// Load an appointment the patient may change themselves, enforcing the cancellation cutoff
+const getPatientChangeableAppointment = async (req) => {
+  const appointment = await Appointment.findById(req.params.id);
+
+  if (!appointment) {
+    throw new AppError('No appointment found with that ID', 404);
+  }
+
+  const isPatient = appointment.patient._id.toString() === req.user.id;
+  const isDoctor = appointment.doctor._id.toString() === req.user.id;
+  if (!isPatient && !isDoctor && req.user.role !== 'admin') {
+    throw new AppError('You do not have permission to change this appointment', 403);
+  }
+
+  if (!['scheduled', 'confirmed', 'pending'].includes(appointment.status)) {
+    throw new AppError(`This appointment is ${appointment.status} and can no longer be changed`, 400);
+  }
+
+  // Patients must change their appointment before the doctor's cutoff
+  if (req.user.role === 'patient') {
+    const availability = await getDoctorAvailability(appointment.doctor._id);
+    const cutoffHours = getCancellationCutoffHours(availability);
+    const startAt = appointment.getStartAt(getPracticeTimeZone(appointment.doctor));
+
+    if (startAt.getTime() - Date.now() < cutoffHours * 60 * 60 * 1000) {
+      throw new AppError(
+        `Appointments can only be changed online up to ${cutoffHours} hours before they start`,
+        400
+      );
+    }
+  }
+
+  return appointment;
+};
+
+// @desc    Cancel an appointment
+// @route   PATCH /api/appointments/:id/cancel
+// @access  Private
+exports.cancelAppointment = catchAsync(async (req, res, next) => {
+  const appointment = await getPatientChangeableAppointment(req);
+  const scope = req.body.scope || 'this';
+
+  // Visits of a series can be cancelled from this one onwards or all at once
+  const appointments = await getScopedAppointments(appointment, scope);
+
+  for (const appt of appointments) {
+    appt.status = 'cancelled';
+    appt.cancelledBy = req.user._id;
+    appt.cancelledAt = Date.now();
+    appt.cancellationReason = req.body.reason;
+    await appt.save();
+    await releaseSlot(appt._id);
+    await cancelAppointmentReminders(appt._id);
+  }
+  await updateSeriesRule(appointment, scope, { status: 'cancelled' });
+
+  // Notify the patient when someone else cancelled
+  if (appointment.patient._id.toString() !== req.user.id) {
+    try {
+      const url = `${req.protocol}://${req.get('host')}/my-appointments`;
+      const what = appointments.length > 1 ? `${appointments.length} appointments in the series: ` : '';
+      await Email.sendAppointmentUpdate(appointment.patient.email, {
+        doctorName: appointment.doctor.name,
+        changes: `${what}status to cancelled${req.body.reason ? ` (${req.body.reason})` : ''}`,
+        url
+      });
+    } catch (err) {
+      logger.error(`Error sending appointment update email: ${err.message}`);
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    ...(scope !== 'this' && { results: appointments.length }),
+    data: {
+      appointment,
+      ...(scope !== 'this' && { appointments })
+    }
+  });
+});
+
+// @desc    Move an appointment to another slot
+// @route   PATCH /api/appointments/:id/reschedule
+// @access  Private
+exports.rescheduleAppointment = catchAsync(async (req, res, next) => {
+  const { date, startTime } = req.body;
+  let { endTime } = req.body;
+
+  if (!date || !startTime) {
+    return next(new AppError('Please provide the new date and startTime', 400));
+  }
+
+  const day = new Date(date);
+  if (Number.isNaN(day.getTime())) {
+    return next(new AppError('Please provide a valid date', 400));
+  }
+
+  const appointment = await getPatientChangeableAppointment(req);
+  const doctor = appointment.doctor;
+  const availability = await getDoctorAvailability(doctor._id);
+
+  // Keep the original length unless a new end time is given
+  if (!endTime) {
+    endTime = toTime(toMinutes(startTime) + (toMinutes(appointment.endTime) - toMinutes(appointment.startTime)));
+  }
+
+  const startAt = zonedTimeToUtc(day.toISOString().slice(0, 10), startTime, getPracticeTimeZone(doctor));
+  if (startAt <= new Date()) {
+    return next(new AppError('Appointments cannot be moved into the past', 400));
+  }
+
+  const window = await checkTimeSlotAvailability(doctor, date, startTime, endTime, appointment._id);
+
+  // Claim the new slot before giving up the old one, so the move cannot race another booking
+  await claimSlot(appointment._id, doctor._id, window.startAt, window.endAt);
+
+  appointment.date = date;
+  appointment.startTime = startTime;
+  appointment.endTime = endTime;
+  appointment.startAt = window.startAt;
+  appointment.endAt = window.endAt;
+
+  // Patient reschedules go back for approval when the doctor requires it; a moved visit needs confirming again
+  if (req.user.role === 'patient' && availability.requiresApproval) {
+    appointment.status = 'pending';
+  } else if (appointment.status === 'confirmed') {
+    appointment.status = 'scheduled';
+    appointment.confirmedAt = undefined;
+  }
+  await appointment.save();
+  await scheduleAppointmentReminders(appointment);
+
+  await sendBookingConfirmation(req, appointment, doctor, appointment.patient);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      appointment
+    }
   });
+});
+
+// Load a pending appointment the doctor (or an admin) may decide on
+const getPendingAppointment = async (req) => {
+  const appointment = await Appointment.findById(req.params.id);
+
+  if (!appointment) {
+    throw new AppError('No appointment found with that ID', 404);
+  }
+  if (req.user.role !== 'admin' && appointment.doctor._id.toString() !== req.user.id) {
+    throw new AppError('You do not have permission to update this appointment', 403);
+  }
+  if (appointment.status !== 'pending') {
+    throw new AppError('Only pending appointment requests can be approved or declined', 400);
+  }
+
+  return appointment;
+};
+
+// @desc    Approve a patient's appointment request
+// @route   PATCH /api/appointments/:id/approve
+// @access  Private (Doctor/Admin)
+exports.approveAppointment = catchAsync(async (req, res, next) => {
+  const appointment = await getPendingAppointment(req);
+
+  appointment.status = 'scheduled';
+  await appointment.save();
+  await scheduleAppointmentReminders(appointment);
+
+  await sendBookingConfirmation(req, appointment, appointment.doctor, appointment.patient);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      appointment
+    }
+  });
+});
+
+// @desc    Decline a patient's appointment request
+// @route   PATCH /api/appointments/:id/decline
+// @access  Private (Doctor/Admin)
+exports.declineAppointment = catchAsync(async (req, res, next) => {
+  const appointment = await getPendingAppointment(req);
+
+  appointment.status = 'declined';
+  appointment.cancelledBy = req.user._id;
+  appointment.cancelledAt = Date.now();
+  appointment.cancellationReason = req.body.reason;
+  await appointment.save();
+  await releaseSlot(appointment._id);
+  await cancelAppointmentReminders(appointment._id);
 
-  // 4) Send confirmation email to patient
   try {
     const url = `${req.protocol}://${req.get('host')}/my-appointments`;
-    await new Email(patient, url).sendAppointmentConfirmation({
-      doctorName: req.user.name,
-      date: new Date(date).toLocaleDateString(),
-      time: startTime,
-      reason
+    await Email.sendAppointmentUpdate(appointment.patient.email, {
+      doctorName: appointment.doctor.name,
+      changes: `request declined${req.body.reason ? ` (${req.body.reason})` : ''}`,
+      url
     });
   } catch (err) {
-    logger.error(`Error sending appointment confirmation email: ${err.message}`);
+    logger.error(`Error sending appointment update email: ${err.message}`);
   }
 
-  res.status(201).json({
+  res.status(200).json({
     status: 'success',
     data: {
       appointment
@@ -253,11 +645,57 @@ exports.getAppointment = catchAsync(async (req, res, next) => {
   });
 });
 
-// @desc    Update appointment
+// Apply an update to one appointment, moving or releasing its slot as needed
+const applyAppointmentUpdate = async (appointment, { date, startTime, endTime, status, notes }) => {
+  // If updating time (or reactivating a cancelled appointment), check and claim the new slot
+  const newStatus = status || appointment.status;
+  const holdsSlot = !RELEASED_STATUSES.includes(newStatus);
+  let window;
+
+  if (holdsSlot && (date || startTime || endTime || RELEASED_STATUSES.includes(appointment.status))) {
+    window = await checkTimeSlotAvailability(
+      appointment.doctor,
+      date ? new Date(date) : appointment.date,
+      startTime || appointment.startTime,
+      endTime || appointment.endTime,
+      appointment._id
+    );
+
+    await claimSlot(appointment._id, appointment.doctor._id, window.startAt, window.endAt);
+  }
+
+  const updatedAppointment = await Appointment.findByIdAndUpdate(
+    appointment._id,
+    {
+      date: date || appointment.date,
+      startTime: startTime || appointment.startTime,
+      endTime: endTime || appointment.endTime,
+      ...(window && { startAt: window.startAt, endAt: window.endAt }),
+      status: newStatus,
+      notes: notes !== undefined ? notes : appointment.notes
+    },
+    {
+      new: true,
+      runValidators: true
+    }
+  )
+  .populate('patient', 'name email')
+  .populate('doctor', 'name');
+
+  // Cancelled and declined appointments free their slot
+  if (!holdsSlot) {
+    await releaseSlot(appointment._id);
+  }
+  await scheduleAppointmentReminders(updatedAppointment);
+
+  return updatedAppointment;
+};
+
+// @desc    Update appointment (optionally "this", "following" or the whole "series")
 // @route   PATCH /api/appointments/:id
 // @access  Private
 exports.updateAppointment = catchAsync(async (req, res, next) => {
-  const { date, startTime, endTime, status, notes } = req.body;
+  const { date, startTime, endTime, status, notes, scope = 'this' } = req.body;
   
   // 1) Get appointment
   const appointment = await Appointment.findById(req.params.id);
@@ -268,7 +706,7 @@ exports.updateAppointment = catchAsync(async (req, res, next) => {
 
   // 2) Check if user has permission to update
   if (
-    appointment.doctor.toString() !== req.user.id &&
+    appointment.doctor._id.toString() !== req.user.id &&
     req.user.role !== 'admin'
   ) {
     return next(
@@ -276,56 +714,53 @@ exports.updateAppointment = catchAsync(async (req, res, next) => {
     );
   }
 
-  // 3) If updating time, check if new time slot is available
-  if (date || startTime || endTime) {
-    const checkDate = date ? new Date(date) : appointment.date;
-    const checkStartTime = startTime || appointment.startTime;
-    const checkEndTime = endTime || appointment.endTime;
-    
-    const isAvailable = await checkTimeSlotAvailability(
-      appointment.doctor,
-      checkDate,
-      checkStartTime,
-      checkEndTime,
-      req.params.id
-    );
+  // 3) Only the time of day, status and notes can be changed across a series
+  if (date && scope !== 'this') {
+    return next(new AppError('The date can only be changed for a single appointment', 400));
+  }
 
-    if (!isAvailable) {
-      return next(new AppError('The selected time slot is not available', 400));
+  // 4) Update each affected appointment; across a series, visits that clash are skipped and reported
+  const appointments = await getScopedAppointments(appointment, scope);
+  const updated = [];
+  const conflicts = [];
+
+  for (const appt of appointments) {
+    try {
+      updated.push(await applyAppointmentUpdate(appt, { date, startTime, endTime, status, notes }));
+    } catch (err) {
+      if (appointments.length === 1) throw err;
+      conflicts.push(toConflict(appt.date.toISOString().slice(0, 10), err));
     }
   }
 
-  // 4) Update appointment
-  const updatedAppointment = await Appointment.findByIdAndUpdate(
-    req.params.id,
-    {
-      date: date || appointment.date,
-      startTime: startTime || appointment.startTime,
-      endTime: endTime || appointment.endTime,
-      status: status || appointment.status,
-      notes: notes !== undefined ? notes : appointment.notes
-    },
-    {
-      new: true,
-      runValidators: true
-    }
-  )
-  .populate('patient', 'name email')
-  .populate('doctor', 'name');
+  if (updated.length === 0) {
+    return next(new AppError('None of the appointments in the series could be updated', 409, { conflicts }));
+  }
+  await updateSeriesRule(appointment, scope, { startTime, endTime, status });
+
+  const updatedAppointment = updated.find(a => a._id.equals(appointment._id)) || updated[0];
 
   // 5) Send update notification if time or status changed
   if ((date || startTime || endTime || status) && updatedAppointment.patient.email) {
     try {
+      const patientTimeZone = getUserTimeZone(updatedAppointment.patient);
+      const practiceTimeZone = getPracticeTimeZone(updatedAppointment.doctor);
       const changes = [];
-      if (date) changes.push(`date to ${new Date(date).toLocaleDateString()}`);
-      if (startTime) changes.push(`start time to ${startTime}`);
-      if (endTime) changes.push(`end time to ${endTime}`);
+      if (date || startTime || endTime) {
+        const startAt = updatedAppointment.getStartAt(practiceTimeZone);
+        const endAt = updatedAppointment.getEndAt(practiceTimeZone);
+        changes.push(updated.length > 1
+          ? `time to ${formatTime(startAt, patientTimeZone)} - ${formatTime(endAt, patientTimeZone)}`
+          : `time to ${formatDateTime(startAt, patientTimeZone)} - ${formatTime(endAt, patientTimeZone)}`);
+      }
       if (status) changes.push(`status to ${status}`);
 
       const url = `${req.protocol}://${req.get('host')}/my-appointments`;
-      await new Email(updatedAppointment.patient, url).sendAppointmentUpdate({
+      const what = updated.length > 1 ? `${updated.length} appointments in the series: ` : '';
+      await Email.sendAppointmentUpdate(updatedAppointment.patient.email, {
         doctorName: updatedAppointment.doctor.name,
-        changes: changes.join(', ')
+        changes: `${what}${changes.join(', ')}`,
+        url
       });
     } catch (err) {
       logger.error(`Error sending appointment update email: ${err.message}`);
@@ -334,8 +769,10 @@ exports.updateAppointment = catchAsync(async (req, res, next) => {
 
   res.status(200).json({
     status: 'success',
+    ...(scope !== 'this' && { results: updated.length }),
     data: {
-      appointment: updatedAppointment
+      appointment: updatedAppointment,
+      ...(scope !== 'this' && { appointments: updated, conflicts })
     }
   });
 });
@@ -352,7 +789,7 @@ exports.deleteAppointment = catchAsync(async (req, res, next) => {
 
   // Check if user has permission to delete
   if (
-    appointment.doctor.toString() !== req.user.id &&
+    appointment.doctor._id.toString() !== req.user.id &&
     req.user.role !== 'admin'
   ) {
     return next(
@@ -361,6 +798,8 @@ exports.deleteAppointment = catchAsync(async (req, res, next) => {
   }
 
   await Appointment.findByIdAndDelete(req.params.id);
+  await releaseSlot(appointment._id);
+  await cancelAppointmentReminders(appointment._id);
 
   res.status(204).json({
     status: 'success',
@@ -380,75 +819,74 @@ exports.getAvailableSlots = catchAsync(async (req, res, next) => {
     );
   }
 
-  // 1) Get doctor's working hours (in a real app, this would come from the doctor's profile)
-  const workingHours = {
-    start: '09:00',
-    end: '17:00',
-    breakStart: '12:00',
-    breakEnd: '13:00'
-  };
+  const day = new Date(date);
+  if (Number.isNaN(day.getTime())) {
+    return next(new AppError('Please provide a valid date', 400));
+  }
+
+  const doctor = await User.findById(doctorId);
+  if (!doctor || !doctor.isApprovedDoctor()) {
+    return next(new AppError('No doctor found with that ID', 404));
+  }
+
+  // Slots are generated in the doctor's practice time zone
+  const timeZone = getPracticeTimeZone(doctor);
+  const viewerTimeZone = getUserTimeZone(req.user);
+  const dateKey = day.toISOString().slice(0, 10);
+  const atTime = time => zonedTimeToUtc(dateKey, time, timeZone);
+
+  // 1) Get doctor's working hours for this date
+  const availability = await getDoctorAvailability(doctor._id);
+  const workingBlocks = getWorkingBlocks(availability, dateKey);
 
   // 2) Get all appointments for the doctor on the given date
   const appointments = await Appointment.find({
     doctor: doctorId,
-    date: new Date(date),
-    status: { $ne: 'cancelled' }
-  }).select('startTime endTime');
+    date: new Date(dateKey),
+    status: { $nin: ['cancelled', 'declined'] }
+  }).select('date startTime endTime');
+
+  const booked = appointments.map(appt => ({
+    start: appt.getStartAt(timeZone),
+    end: appt.getEndAt(timeZone)
+  }));
 
-  // 3) Generate available time slots
+  // 3) Generate time slots that fit entirely inside a working block
   const slots = [];
-  const slotDuration = parseInt(duration, 10);
-  const [startHour, startMinute] = workingHours.start.split(':').map(Number);
-  const [endHour, endMinute] = workingHours.end.split(':').map(Number);
-  const [breakStartHour, breakStartMinute] = workingHours.breakStart.split(':').map(Number);
-  const [breakEndHour, breakEndMinute] = workingHours.breakEnd.split(':').map(Number);
-
-  const startTime = new Date(new Date(date).setHours(startHour, startMinute, 0, 0));
-  const endTime = new Date(new Date(date).setHours(endHour, endMinute, 0, 0));
-  const breakStart = new Date(new Date(date).setHours(breakStartHour, breakStartMinute, 0, 0));
-  const breakEnd = new Date(new Date(date).setHours(breakEndHour, breakEndMinute, 0, 0));
-
-  let currentSlot = new Date(startTime);
-  
-  while (currentSlot < endTime) {
-    const slotEnd = new Date(currentSlot.getTime() + slotDuration * 60000);
-    
-    // Skip if slot is during break time
-    if (!(currentSlot >= breakStart && slotEnd <= breakEnd)) {
+  const slotDuration = parseInt(duration, 10) || availability.slotDuration;
+
+  for (const block of workingBlocks) {
+    const blockEnd = atTime(block.end);
+    let currentSlot = atTime(block.start);
+
+    while (currentSlot.getTime() + slotDuration * 60000 <= blockEnd.getTime()) {
+      const slotEnd = new Date(currentSlot.getTime() + slotDuration * 60000);
+
       // Check if slot is available (not booked)
-      const isBooked = appointments.some(appt => {
-        const apptStart = new Date(appt.startTime);
-        const apptEnd = new Date(appt.endTime);
-        return (
-          (currentSlot >= apptStart && currentSlot < apptEnd) ||
-          (slotEnd > apptStart && slotEnd <= apptEnd) ||
-          (currentSlot <= apptStart && slotEnd >= apptEnd)
-        );
+      const isBooked = booked.some(appt => currentSlot < appt.end && slotEnd > appt.start);
+
+      slots.push({
+        start: formatTime(currentSlot, timeZone),
+        end: formatTime(slotEnd, timeZone),
+        startAt: currentSlot,
+        endAt: slotEnd,
+        localStart: formatTime(currentSlot, viewerTimeZone),
+        localEnd: formatTime(slotEnd, viewerTimeZone),
+        available: !isBooked
       });
 
-      if (!isBooked) {
-        slots.push({
-          start: currentSlot.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-          end: slotEnd.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-          available: true
-        });
-      } else {
-        slots.push({
-          start: currentSlot.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-          end: slotEnd.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
-          available: false
-        });
-      }
+      currentSlot = new Date(currentSlot.getTime() + 15 * 60000); // Next slot starts 15 minutes later
     }
-    
-    currentSlot = new Date(currentSlot.getTime() + 15 * 60000); // Next slot starts 15 minutes later
   }
 
   res.status(200).json({
     status: 'success',
     data: {
-      date,
+      date: dateKey,
       doctor: doctorId,
+      timezone: timeZone,
+      viewerTimezone: viewerTimeZone,
+      workingHours: workingBlocks,
       slots
     }
   });
@@ -2,48 +2,134 @@ const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
 const logger = require('../config/logger');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
 const Email = require('../utils/email');
+const {
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} = require('../services/session.service');
+const {
+  findUserWithSecrets,
+  sendTelegramCode,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  createLoginChallenge,
+  completeLoginChallenge
+} = require('../services/twoFactor.service');
+const {
+  buildApplication,
+  announceApplication,
+  resubmitApplication
+} = require('../services/doctorApplication.service');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../services/loginProtection.service');
+
+// Browsers only send the refresh token cookie to the refresh route, and never cross-site
+const REFRESH_COOKIE_PATH = '/api/auth/refresh';
+
+const cookieOptions = (session) => ({
+  expires: session.expiresAt,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+});
+
+const sendTokens = (res, statusCode, { user, session, refreshToken }) => {
+  const token = signAccessToken(user, session);
 
-const signToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+  res.cookie('jwt', token, cookieOptions(session));
+  res.cookie('refreshToken', refreshToken, {
+    ...cookieOptions(session),
+    path: REFRESH_COOKIE_PATH,
+    sameSite: 'strict'
+  });
+
+  res.status(statusCode).json({
+    status: 'success',
+    token,
+    refreshToken,
+    data: {
+      user,
+    },
   });
 };
 
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-  };
+// Start a new session for the user and send its access and refresh tokens
+const createSendToken = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await createSession(user, req);
 
   // Remove password from output
   user.password = undefined;
 
-  res.cookie('jwt', token, cookieOptions);
+  sendTokens(res, statusCode, { user, session, refreshToken });
+};
 
-  res.status(statusCode).json({
+// How long email verification links stay valid
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseFloat(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+// Minimum wait between verification emails to the same user
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+// Issue a new verification token (replacing any earlier one) and email it; resolves to whether it was sent
+const sendVerification = async (user) => {
+  const verificationToken = user.createEmailVerificationToken(EMAIL_VERIFICATION_EXPIRES_HOURS);
+  await user.save({ validateBeforeSave: false });
+
+  const sent = await Email.sendVerificationEmail(user.email, verificationToken, EMAIL_VERIFICATION_EXPIRES_HOURS);
+
+  // Remove the token from output
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  user.emailVerificationSentAt = undefined;
+
+  return sent;
+};
+
+// Sign the user in, or, if they use two-factor authentication, ask for their second factor first.
+// Failed sign-ins are only forgotten once the second factor has been given too.
+const signInOrChallenge = async (user, statusCode, req, res) => {
+  if (!user.twoFactor.enabled) {
+    await clearFailedLogins(user.email);
+    return createSendToken(user, statusCode, req, res);
+  }
+
+  const challenge = await createLoginChallenge(user);
+  res.status(200).json({
     status: 'success',
-    token,
-    data: {
-      user,
-    },
+    twoFactorRequired: true,
+    data: challenge,
   });
 };
 
-exports.register = catchAsync(async (req, res, next) => {
-  const { name, email, password, passwordConfirm, role, phone, specialization } = req.body;
+const clearAuthCookies = (res) => {
+  res.cookie('jwt', 'loggedout', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+  });
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
+};
+
+// Create an account from the sign-up form with `fields` on top, email a verification link and sign in
+const registerUser = async (req, res, fields) => {
+  const { name, email, password, passwordConfirm, phone, timezone } = req.body;
 
   // 1) Check if user exists
   const existingUser = await User.findOne({ email });
   if (existingUser) {
-    return next(new AppError('Email already in use', 400));
+    throw new AppError('Email already in use', 400);
   }
 
   // 2) Create new user
@@ -52,13 +138,125 @@ exports.register = catchAsync(async (req, res, next) => {
     email,
     password,
     passwordConfirm,
-    role: role || 'patient',
     ...(phone && { phone }),
-    ...(role === 'doctor' && { specialization }),
+    ...(timezone && { timezone }),
+    ...fields,
   });
 
-  // 3) Generate JWT token
-  createSendToken(newUser, 201, res);
+  // 3) Ask them to verify their email address (they can request another link if this one is lost)
+  if (!(await sendVerification(newUser))) {
+    logger.warn(`Verification email could not be sent to new user ${newUser._id}`);
+  }
+
+  // 4) Generate JWT token
+  await createSendToken(newUser, 201, req, res);
+  return newUser;
+};
+
+// @desc    Register a patient account
+// @route   POST /api/auth/register
+// @access  Public
+exports.register = catchAsync(async (req, res, next) => {
+  // Doctors apply for review, and admins are only created by other admins
+  if (req.body.role && req.body.role !== 'patient') {
+    return next(
+      new AppError('You can only register as a patient. Doctors apply through /api/auth/register/doctor.', 400)
+    );
+  }
+
+  await registerUser(req, res, { role: 'patient' });
+});
+
+// @desc    Apply for a doctor account; it is held for admin review and cannot see patients until approved
+// @route   POST /api/auth/register/doctor
+// @access  Public
+exports.registerDoctor = catchAsync(async (req, res, next) => {
+  const { specialization, licenseNumber, licenseIssuer, practiceTimezone } = req.body;
+  const doctorApproval = buildApplication({ licenseNumber, licenseIssuer, specialization });
+
+  const applicant = await registerUser(req, res, {
+    role: 'doctor',
+    specialization,
+    ...(practiceTimezone && { practiceTimezone }),
+    doctorApproval,
+  });
+
+  await announceApplication(applicant);
+});
+
+// @desc    Correct and resubmit a doctor application (e.g. after it was rejected)
+// @route   PATCH /api/auth/doctor-application
+// @access  Private (doctor applicants)
+exports.updateDoctorApplication = catchAsync(async (req, res, next) => {
+  const { specialization, licenseNumber, licenseIssuer } = req.body;
+
+  const user = await resubmitApplication(
+    await User.findById(req.user.id),
+    { specialization, licenseNumber, licenseIssuer }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your application was submitted for review.',
+    data: {
+      doctorApproval: user.doctorApproval,
+    },
+  });
+});
+
+// @desc    Verify an email address with the token from the verification email
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(req.params.token)
+    .digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+  if (!user) {
+    return next(new AppError('Verification link is invalid or has expired. Please request a new one.', 400));
+  }
+
+  user.isVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  user.emailVerificationSentAt = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your email address has been verified.',
+  });
+});
+
+// @desc    Send a new verification email to the current user
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerificationEmail = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('+emailVerificationSentAt');
+
+  if (user.isVerified) {
+    return next(new AppError('Your email address is already verified', 400));
+  }
+
+  const cooldownEnds = user.emailVerificationSentAt &&
+    user.emailVerificationSentAt.getTime() + VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000;
+  if (cooldownEnds && cooldownEnds > Date.now()) {
+    return next(new AppError('A verification email was just sent. Please wait a minute before requesting another.', 429));
+  }
+
+  if (!(await sendVerification(user))) {
+    return next(new AppError('There was an error sending the email. Try again later!', 500));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Verification email sent!',
+  });
 });
 
 exports.login = catchAsync(async (req, res, next) => {
@@ -73,38 +271,133 @@ exports.login = catchAsync(async (req, res, next) => {
       return next(new AppError('Please provide email and password!', 400));
     }
 
-    // 2) Check if user exists
+    // 2) Refuse attempts while the account or IP address is locked out or must wait
+    await checkLoginAllowed({ email, ip: req.ip });
+
+    // 3) Check if user exists
     const user = await User.findOne({ email }).select('+password');
     
     if (!user) {
       logger.warn(`No user found with email: ${email}`);
+      await recordFailedLogin({ email, ip: req.ip });
       return next(new AppError('Incorrect email or password', 401));
     }
     
-    // 3) Check if password is correct
+    // 4) Check if password is correct
     const isPasswordCorrect = await user.correctPassword(password, user.password);
     logger.info(`Password check result for ${email}: ${isPasswordCorrect ? 'success' : 'failed'}`);
     
     if (!isPasswordCorrect) {
+      await recordFailedLogin({ email, ip: req.ip, user });
       return next(new AppError('Incorrect email or password', 401));
     }
 
-    // 4) If everything ok, send token to client
+    // 5) If everything ok, send token to client (after the second factor, if the user has one)
     logger.info(`Login successful for user: ${user._id}`);
-    createSendToken(user, 200, res);
+    await signInOrChallenge(user, 200, req, res);
   } catch (error) {
     logger.error('Error in login controller:', error);
     next(error);
   }
 });
 
-exports.logout = (req, res) => {
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
-  });
+// @desc    Finish signing in with a code from the second factor, or a recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+exports.verifyLoginChallenge = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const user = await completeLoginChallenge(challengeToken, { code, recoveryCode, ip: req.ip });
+
+  logger.info(`Two-factor sign-in completed for user: ${user._id}`);
+  await createSendToken(user, 200, req, res);
+});
+
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = catchAsync(async (req, res, next) => {
+  const refreshToken = req.body.refreshToken || (req.cookies && req.cookies.refreshToken);
+  if (!refreshToken) {
+    return next(new AppError('Please provide a refresh token', 400));
+  }
+
+  const { session, refreshToken: nextRefreshToken } = await rotateSession(refreshToken, req);
+
+  // The account may have been deleted since the session started
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSession(session._id);
+    return next(new AppError('The user belonging to this token no longer exists.', 401));
+  }
+
+  sendTokens(res, 200, { user, session, refreshToken: nextRefreshToken });
+});
+
+// @desc    End the current session
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = catchAsync(async (req, res, next) => {
+  await revokeSession(req.authSession._id, 'logout');
+  clearAuthCookies(res);
   res.status(200).json({ status: 'success' });
-};
+});
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await listSessions(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    }
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+  if (!session) {
+    return next(new AppError('No active session found with that ID', 404));
+  }
+
+  await revokeSession(session._id);
+  if (session._id.equals(req.authSession._id)) clearAuthCookies(res);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Revoke every session of the current user, signing out all devices
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeAllSessions = catchAsync(async (req, res, next) => {
+  const revoked = await revokeAllSessions(req.user._id);
+  clearAuthCookies(res);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      revoked
+    }
+  });
+});
 
 exports.protect = catchAsync(async (req, res, next) => {
   // 1) Getting token and check if it's there
@@ -205,11 +498,8 @@ exports.forgotPassword = catchAsync(async (req, res, next) => {
 
   // 3) Send it to user's email
   try {
-    const resetURL = `${req.protocol}://${req.get(
-      'host'
-    )}/api/v1/users/resetPassword/${resetToken}`;
-    
-    await new Email(user, resetURL).sendPasswordReset();
+    const sent = await Email.sendPasswordResetEmail(user.email, resetToken);
+    if (!sent) throw new Error('Password reset email was not sent');
 
     res.status(200).json({
       status: 'success',
@@ -253,8 +543,12 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   await user.save();
 
   // 3) Update changedPasswordAt property for the user
-  // 4) Log the user in, send JWT
-  createSendToken(user, 200, res);
+  // 4) Resetting the password also lifts a sign-in lockout
+  await clearFailedLogins(user.email);
+
+  // 5) Sign out every device, then log the user in here (a reset link is not a second factor)
+  await revokeAllSessions(user._id, { reason: 'password-change' });
+  await signInOrChallenge(user, 200, req, res);
 });
 
 exports.updatePassword = catchAsync(async (req, res, next) => {
@@ -272,8 +566,142 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
   await user.save();
   // User.findByIdAndUpdate will NOT work as intended!
 
-  // 4) Log user in, send JWT
-  createSendToken(user, 200, res);
+  // 4) Sign out every device, then log the user in again here
+  await revokeAllSessions(user._id, { reason: 'password-change' });
+  await createSendToken(user, 200, req, res);
+});
+
+exports.updateMe = catchAsync(async (req, res, next) => {
+  // 1) Passwords are changed through /update-password
+  if (req.body.password || req.body.passwordConfirm) {
+    return next(
+      new AppError('This route is not for password updates. Please use /update-password.', 400)
+    );
+  }
+
+  // 2) Only allow profile fields to be updated
+  const allowedFields = ['name', 'phone', 'address', 'timezone'];
+  if (req.user.role === 'doctor') allowedFields.push('practiceTimezone');
+
+  const user = await User.findById(req.user.id);
+  allowedFields.forEach(field => {
+    if (req.body[field] !== undefined) user[field] = req.body[field];
+  });
+  // Reminder times follow the patient's time zone (see reminderSync.service)
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user,
+    },
+  });
+});
+
+// @desc    Get the current user's two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = catchAsync(async (req, res, next) => {
+  const user = await findUserWithSecrets(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: await getTwoFactorStatus(user),
+  });
+});
+
+// @desc    Start setting up two-factor authentication (`method`: totp or telegram)
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await findUserWithSecrets(req.user.id);
+  const setup = await beginEnrollment(user, req.body.method);
+
+  res.status(200).json({
+    status: 'success',
+    message: setup.method === 'totp'
+      ? 'Add this secret to your authenticator app, then confirm with a code from it.'
+      : 'A code was sent to your Telegram account. Confirm with it to turn on two-factor authentication.',
+    data: setup,
+  });
+});
+
+// @desc    Turn on two-factor authentication with a code from the new factor
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await findUserWithSecrets(req.user.id);
+  const recoveryCodes = await confirmEnrollment(user, req.body.code);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication is on. Keep these recovery codes somewhere safe; each works once.',
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+// @desc    Send a code to the linked Telegram account, for users whose second factor is Telegram
+// @route   POST /api/auth/2fa/send-code
+// @access  Private
+exports.sendTwoFactorCode = catchAsync(async (req, res, next) => {
+  const user = await findUserWithSecrets(req.user.id);
+  if (!user.twoFactor.enabled || user.twoFactor.method !== 'telegram') {
+    return next(new AppError('Codes are only sent to users whose second factor is Telegram', 400));
+  }
+
+  await sendTelegramCode(user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'A code was sent to your Telegram account.',
+  });
+});
+
+// @desc    Replace the recovery codes, confirmed with a code or recovery code
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const user = await findUserWithSecrets(req.user.id);
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not on', 400));
+  }
+  if (!(await verifySecondFactor(user, req.body))) {
+    return next(new AppError('That code is not valid. Please try again.', 401));
+  }
+
+  const recoveryCodes = await generateRecoveryCodes(user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+// @desc    Turn off two-factor authentication, confirmed with the password and a code or recovery code
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await findUserWithSecrets(req.user.id).select('+password');
+  if (!user.twoFactor.enabled) {
+    return next(new AppError('Two-factor authentication is not on', 400));
+  }
+  if (!(await user.correctPassword(req.body.password || '', user.password))) {
+    return next(new AppError('Your password is wrong.', 401));
+  }
+  if (!(await verifySecondFactor(user, req.body))) {
+    return next(new AppError('That code is not valid. Please try again.', 401));
+  }
+
+  await disableTwoFactor(user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication is off.',
+  });
 });
 
 // Middleware to check if user is the owner of the resource
@@ -0,0 +1,126 @@
+const Availability = require('../models/availability.model');
+const User = require('../models/user.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { getDoctorAvailability, getWorkingBlocks } = require('../services/availability.service');
+const { addDays, getPracticeTimeZone } = require('../utils/timezone');
+
+// Make sure the doctor exists and the user may manage their schedule
+const getManagedDoctor = async (req) => {
+  const doctor = await User.findById(req.params.doctorId);
+  if (!doctor || !doctor.isApprovedDoctor()) {
+    throw new AppError('No doctor found with that ID', 404);
+  }
+
+  if (req.user.role !== 'admin' && doctor._id.toString() !== req.user.id) {
+    throw new AppError('You do not have permission to manage this schedule', 403);
+  }
+  return doctor;
+};
+
+// @desc    Get a doctor's availability schedule
+// @route   GET /api/availability/:doctorId
+// @access  Private
+exports.getAvailability = catchAsync(async (req, res, next) => {
+  const doctor = await User.findById(req.params.doctorId);
+  if (!doctor || !doctor.isApprovedDoctor()) {
+    return next(new AppError('No doctor found with that ID', 404));
+  }
+
+  const availability = await getDoctorAvailability(doctor._id);
+
+  // Optionally expand the schedule into working blocks for a date range
+  let days;
+  if (req.query.from) {
+    const from = req.query.from.slice(0, 10);
+    const to = (req.query.to || req.query.from).slice(0, 10);
+
+    if (addDays(from, 62) < to) {
+      return next(new AppError('Please request at most 62 days at a time', 400));
+    }
+
+    days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      days.push({ date, blocks: getWorkingBlocks(availability, date) });
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      timezone: getPracticeTimeZone(doctor),
+      isDefault: availability.isNew,
+      availability,
+      ...(days && { days })
+    }
+  });
+});
+
+// @desc    Set a doctor's weekly schedule and booking rules
+// @route   PUT /api/availability/:doctorId
+// @access  Private (Doctor/Admin)
+exports.updateAvailability = catchAsync(async (req, res, next) => {
+  const { weeklySchedule, slotDuration, requiresApproval, cancellationCutoffHours } = req.body;
+
+  const doctor = await getManagedDoctor(req);
+
+  if (weeklySchedule !== undefined && !Array.isArray(weeklySchedule)) {
+    return next(new AppError('weeklySchedule must be an array', 400));
+  }
+
+  const availability = await getDoctorAvailability(doctor._id);
+  if (weeklySchedule !== undefined) availability.weeklySchedule = weeklySchedule;
+  if (slotDuration !== undefined) availability.slotDuration = slotDuration;
+  if (requiresApproval !== undefined) availability.requiresApproval = requiresApproval;
+  if (cancellationCutoffHours !== undefined) availability.cancellationCutoffHours = cancellationCutoffHours;
+  await availability.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      availability
+    }
+  });
+});
+
+// @desc    Add a date-specific exception (vacation, holiday or extra clinic)
+// @route   POST /api/availability/:doctorId/exceptions
+// @access  Private (Doctor/Admin)
+exports.addException = catchAsync(async (req, res, next) => {
+  const { startDate, endDate, type, blocks, reason } = req.body;
+
+  const doctor = await getManagedDoctor(req);
+
+  const availability = await getDoctorAvailability(doctor._id);
+  availability.exceptions.push({ startDate, endDate, type, blocks, reason });
+  await availability.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      availability
+    }
+  });
+});
+
+// @desc    Remove a date-specific exception
+// @route   DELETE /api/availability/:doctorId/exceptions/:exceptionId
+// @access  Private (Doctor/Admin)
+exports.removeException = catchAsync(async (req, res, next) => {
+  const doctor = await getManagedDoctor(req);
+
+  const availability = await Availability.findOne({ doctor: doctor._id });
+  const exception = availability && availability.exceptions.id(req.params.exceptionId);
+
+  if (!exception) {
+    return next(new AppError('No exception found with that ID', 404));
+  }
+
+  exception.deleteOne();
+  await availability.save();
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
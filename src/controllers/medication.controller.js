@@ -3,7 +3,28 @@ const User = require('../models/user.model');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const logger = require('../config/logger');
-const { scheduleMedicationReminders } = require('../services/telegram.service');
+const DoseEvent = require('../models/doseEvent.model');
+const Escalation = require('../models/escalation.model');
+const { recordDose, calculateAdherence } = require('../services/dose.service');
+const { getInventoryStatus, checkInventory } = require('../services/inventory.service');
+const { checkInteractions, screenPrescription } = require('../services/interaction.service');
+const { reportSideEffect, getSideEffectsByDrug } = require('../services/sideEffect.service');
+const {
+  takeSnapshot,
+  recordMedicationVersion,
+  getMedicationHistory
+} = require('../services/medicationHistory.service');
+const { discontinueMedication } = require('../services/medicationLifecycle.service');
+const { getNextDoseTime, getMedicationTimeZone } = require('../utils/doseSchedule');
+const { formatDateTime } = require('../utils/timezone');
+
+// Patients never see the doctor's private notes on their medications
+const hidePrivateNotes = (medications, user) => {
+  if (user.role !== 'patient') return;
+  [].concat(medications).forEach((medication) => {
+    medication.notes = medication.notes.filter(note => !note.isPrivate);
+  });
+};
 
 // @desc    Get all medications (for doctors/admins)
 // @route   GET /api/medications
@@ -33,6 +54,7 @@ exports.getMyMedications = catchAsync(async (req, res, next) => {
   const medications = await Medication.find({ patient: req.user.id })
     .populate('doctor', 'name email')
     .sort({ startDate: -1 });
+  hidePrivateNotes(medications, req.user);
 
   res.status(200).json({
     status: 'success',
@@ -55,7 +77,12 @@ exports.createMedication = catchAsync(async (req, res, next) => {
     instructions, 
     startDate, 
     endDate, 
-    isCritical 
+    isCritical,
+    escalationGraceMinutes,
+    inventory,
+    refillInformation,
+    interactionOverride,
+    reason
   } = req.body;
   
   // 1) Check if patient exists and is a patient
@@ -64,7 +91,15 @@ exports.createMedication = catchAsync(async (req, res, next) => {
     return next(new AppError('No patient found with that ID', 404));
   }
 
-  // 2) Create medication
+  // 2) Check for interactions and duplicate therapy with what the patient already takes
+  const interactionCheck = await screenPrescription({
+    patient: patient._id,
+    name,
+    override: interactionOverride,
+    overriddenBy: req.user.id
+  });
+
+  // 3) Create medication
   const medication = await Medication.create({
     patient: patientId,
     doctor: req.user.id,
@@ -74,15 +109,30 @@ exports.createMedication = catchAsync(async (req, res, next) => {
     instructions,
     startDate: startDate || Date.now(),
     endDate,
-    isCritical: isCritical || false
+    isCritical: isCritical || false,
+    escalationGraceMinutes,
+    inventory: inventory && { ...inventory, updatedAt: Date.now() },
+    refillInformation: refillInformation && {
+      refillsRemaining: refillInformation.refillsRemaining,
+      lastFilled: inventory && inventory.quantity !== undefined ? Date.now() : undefined
+    },
+    interactionCheck
   });
 
-  // 3) Schedule reminders if patient has Telegram ID
-  if (patient.telegramId) {
+  // 4) Start the prescription's version history
+  // (reminders and critical dose checks are scheduled by reminderSync.service)
+  await recordMedicationVersion(medication, {
+    event: 'created',
+    changedBy: req.user.id,
+    reason
+  });
+
+  // 5) Project when the initial stock runs out
+  if (inventory && inventory.quantity !== undefined) {
     try {
-      await scheduleMedicationReminders(medication, patient);
+      await checkInventory(await Medication.findById(medication._id));
     } catch (err) {
-      logger.error(`Error scheduling medication reminders: ${err.message}`);
+      logger.error(`Error checking medication inventory: ${err.message}`);
     }
   }
 
@@ -94,6 +144,34 @@ exports.createMedication = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Check a prospective prescription for interactions, duplicate therapy and allergies
+// @route   POST /api/medications/interaction-check
+// @access  Private (Doctor/Admin)
+exports.checkMedicationInteractions = catchAsync(async (req, res, next) => {
+  const { patientId, name } = req.body;
+
+  if (!name) {
+    return next(new AppError('Please provide the medication name to check', 400));
+  }
+
+  const patient = await User.findById(patientId);
+  if (!patient || patient.role !== 'patient') {
+    return next(new AppError('No patient found with that ID', 404));
+  }
+
+  const activeMedications = await Medication.find({ patient: patient._id, status: 'active' });
+  const findings = await checkInteractions(name, activeMedications, patient.clinicalProfile);
+
+  res.status(200).json({
+    status: 'success',
+    results: findings.length,
+    data: {
+      blocked: findings.some(finding => finding.blocking),
+      findings
+    }
+  });
+});
+
 // @desc    Get all medications (filtered by role)
 // @route   GET /api/medications
 // @access  Private
@@ -120,6 +198,7 @@ exports.getAllMedications = catchAsync(async (req, res, next) => {
     .sort({ startDate: -1 })
     .populate('patient', 'name email')
     .populate('doctor', 'name specialization');
+  hidePrivateNotes(medications, req.user);
 
   res.status(200).json({
     status: 'success',
@@ -152,6 +231,7 @@ exports.getMedication = catchAsync(async (req, res, next) => {
       new AppError('You do not have permission to view this medication', 403)
     );
   }
+  hidePrivateNotes(medication, req.user);
 
   res.status(200).json({
     status: 'success',
@@ -171,7 +251,10 @@ exports.updateMedication = catchAsync(async (req, res, next) => {
     frequency, 
     instructions, 
     status, 
-    isCritical 
+    isCritical,
+    escalationGraceMinutes,
+    interactionOverride,
+    reason
   } = req.body;
   
   // 1) Get medication
@@ -180,10 +263,11 @@ exports.updateMedication = catchAsync(async (req, res, next) => {
   if (!medication) {
     return next(new AppError('No medication found with that ID', 404));
   }
+  const previous = takeSnapshot(medication);
 
   // 2) Check if user has permission to update
   if (
-    medication.doctor.toString() !== req.user.id &&
+    medication.doctor._id.toString() !== req.user.id &&
     req.user.role !== 'admin'
   ) {
     return next(
@@ -191,41 +275,103 @@ exports.updateMedication = catchAsync(async (req, res, next) => {
     );
   }
 
-  // 3) Update medication
+  // 3) Stopping a medication goes through the discontinue action, which records why
+  if (status === 'stopped' && medication.status !== 'stopped') {
+    return next(
+      new AppError('Please stop this medication with PATCH /api/medications/:id/discontinue and a reason', 400)
+    );
+  }
+
+  // 4) Switching to a different drug is checked like a new prescription
+  let interactionCheck;
+  if (name && name.trim().toLowerCase() !== medication.name.toLowerCase()) {
+    interactionCheck = await screenPrescription({
+      patient: medication.patient._id,
+      name,
+      exclude: medication._id,
+      override: interactionOverride,
+      overriddenBy: req.user.id
+    });
+  }
+
+  // 5) A new schedule is validated as a whole; update validators only check the fields it sets
+  if (frequency) {
+    medication.frequency = frequency;
+    await medication.validate();
+  }
+
+  // 6) Update medication
   const updatedMedication = await Medication.findByIdAndUpdate(
     req.params.id,
     {
       name: name || medication.name,
       dosage: dosage || medication.dosage,
-      frequency: frequency || medication.frequency,
+      frequency: medication.toObject({ virtuals: false }).frequency,
       instructions: instructions !== undefined ? instructions : medication.instructions,
       status: status || medication.status,
-      isCritical: isCritical !== undefined ? isCritical : medication.isCritical
+      isCritical: isCritical !== undefined ? isCritical : medication.isCritical,
+      escalationGraceMinutes: escalationGraceMinutes !== undefined
+        ? escalationGraceMinutes
+        : medication.escalationGraceMinutes,
+      ...(interactionCheck && { interactionCheck })
     },
     {
       new: true,
       runValidators: true
     }
-  )
-  .populate('patient', 'name email telegramId')
-  .populate('doctor', 'name');
+  );
+
+  // 7) Keep the previous prescription in its version history
+  // (reminders and critical dose checks follow the change through reminderSync.service)
+  await recordMedicationVersion(updatedMedication, {
+    changedBy: req.user.id,
+    reason,
+    previous
+  });
+
+  // 8) A new schedule changes when the stock runs out
+  try {
+    await checkInventory(updatedMedication);
+  } catch (err) {
+    logger.error(`Error checking medication inventory: ${err.message}`);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      medication: updatedMedication
+    }
+  });
+});
+
+// @desc    Stop a medication early, with a reason; its reminders end and the patient is told
+// @route   PATCH /api/medications/:id/discontinue
+// @access  Private (Doctor/Admin)
+exports.discontinueMedication = catchAsync(async (req, res, next) => {
+  const medication = await Medication.findById(req.params.id);
+
+  if (!medication) {
+    return next(new AppError('No medication found with that ID', 404));
+  }
 
-  // 4) Reschedule reminders if medication is active and patient has Telegram ID
   if (
-    updatedMedication.status === 'active' && 
-    updatedMedication.patient.telegramId
+    medication.doctor._id.toString() !== req.user.id &&
+    req.user.role !== 'admin'
   ) {
-    try {
-      await scheduleMedicationReminders(updatedMedication, updatedMedication.patient);
-    } catch (err) {
-      logger.error(`Error rescheduling medication reminders: ${err.message}`);
-    }
+    return next(
+      new AppError('You do not have permission to stop this medication', 403)
+    );
   }
 
+  const stopped = await discontinueMedication(medication, {
+    reason: req.body.reason,
+    discontinuedBy: req.user.id
+  });
+
   res.status(200).json({
     status: 'success',
     data: {
-      medication: updatedMedication
+      medication: stopped
     }
   });
 });
@@ -242,7 +388,7 @@ exports.deleteMedication = catchAsync(async (req, res, next) => {
 
   // Check if user has permission to delete
   if (
-    medication.doctor.toString() !== req.user.id &&
+    medication.doctor._id.toString() !== req.user.id &&
     req.user.role !== 'admin'
   ) {
     return next(
@@ -250,8 +396,14 @@ exports.deleteMedication = catchAsync(async (req, res, next) => {
     );
   }
 
-  // In a real app, we would also cancel any scheduled reminders here
+  // Its reminders and dose checks are cancelled by reminderSync.service
   await Medication.findByIdAndDelete(req.params.id);
+  await recordMedicationVersion(medication, {
+    event: 'deleted',
+    changedBy: req.user.id,
+    reason: req.body && req.body.reason,
+    previous: takeSnapshot(medication)
+  });
 
   res.status(204).json({
     status: 'success',
@@ -263,7 +415,7 @@ exports.deleteMedication = catchAsync(async (req, res, next) => {
 // @route   GET /api/medications/stats/:patientId
 // @access  Private
 exports.getMedicationStats = catchAsync(async (req, res, next) => {
-  const { patientId } = req.params;
+  const patientId = req.params.patientId || req.user.id;
   
   // Check if user has permission to view these stats
   if (
@@ -275,18 +427,29 @@ exports.getMedicationStats = catchAsync(async (req, res, next) => {
     );
   }
 
-  // In a real app, we would query the database for actual adherence data
-  // For now, we'll return mock data
+  // 1) Work out the reporting window (?days=N or ?from=&to=)
+  const now = new Date();
+  const to = req.query.to ? new Date(req.query.to) : now;
+  const days = parseInt(req.query.days, 10) || 30;
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+    return next(new AppError('Please provide a valid statistics window', 400));
+  }
+
   const stats = {
     patient: patientId,
+    window: { from, to },
     totalMedications: 0,
     activeMedications: 0,
-    adherenceRate: 0,
+    adherenceRate: null,
     nextDose: null,
     criticalMedications: []
   };
 
-  // Get all medications for the patient
+  // 2) Get all medications for the patient
   const medications = await Medication.find({ 
     patient: patientId,
     status: { $ne: 'completed' }
@@ -295,52 +458,50 @@ exports.getMedicationStats = catchAsync(async (req, res, next) => {
   stats.totalMedications = medications.length;
   stats.activeMedications = medications.filter(m => m.status === 'active').length;
   
-  // Calculate adherence rate (mock data - in a real app, this would be based on actual adherence data)
-  if (medications.length > 0) {
-    const adherenceData = medications.map(m => ({
-      medicationId: m._id,
+  // 3) Calculate adherence from recorded dose events
+  const trackedMedications = await Medication.find({
+    patient: patientId,
+    status: { $in: ['active', 'completed', 'stopped'] },
+    startDate: { $lt: to }
+  });
+
+  const adherence = await calculateAdherence(trackedMedications, from, to);
+  stats.adherenceRate = adherence.overall.adherenceRate;
+  stats.doses = adherence.overall;
+  stats.medicationAdherence = adherence.medications;
+    
+  // Find medications with low adherence
+  stats.criticalMedications = adherence.medications
+    .filter(m => m.adherence !== null && m.adherence < 70)
+    .map(m => ({
+      medicationId: m.medicationId,
       name: m.name,
-      adherence: Math.floor(Math.random() * 100) // Random adherence for demo
+      adherence: m.adherence
     }));
-    
-    const totalAdherence = adherenceData.reduce((sum, m) => sum + m.adherence, 0);
-    stats.adherenceRate = Math.round(totalAdherence / medications.length);
-    stats.medicationAdherence = adherenceData;
-    
-    // Find critical medications with low adherence
-    stats.criticalMedications = adherenceData
-      .filter(m => m.adherence < 70)
-      .map(m => ({
-        medicationId: m.medicationId,
-        name: m.name,
-        adherence: m.adherence
-      }));
-  }
 
-  // Find next scheduled dose
-  const now = new Date();
+  // 4) Include recent missed-dose escalations
+  stats.recentEscalations = await Escalation.find({
+    patient: patientId,
+    createdAt: { $gte: from, $lt: to }
+  })
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  // 5) Find next scheduled dose
   const upcomingMeds = [];
   
   for (const med of medications.filter(m => m.status === 'active')) {
-    if (med.frequency && med.frequency.specificTimes) {
-      for (const time of med.frequency.specificTimes) {
-        const [hours, minutes] = time.split(':').map(Number);
-        const nextDose = new Date();
-        nextDose.setHours(hours, minutes, 0, 0);
-        
-        // If the time has already passed today, schedule for tomorrow
-        if (nextDose < now) {
-          nextDose.setDate(nextDose.getDate() + 1);
-        }
-        
-        upcomingMeds.push({
-          medicationId: med._id,
-          name: med.name,
-          nextDose,
-          dosage: med.dosage,
-          instructions: med.instructions
-        });
-      }
+    const nextDose = getNextDoseTime(med, now);
+    if (nextDose) {
+      const timeZone = getMedicationTimeZone(med);
+      upcomingMeds.push({
+        medicationId: med._id,
+        name: med.name,
+        nextDose,
+        localTime: formatDateTime(nextDose, timeZone),
+        dosage: med.dosage,
+        instructions: med.instructions
+      });
     }
   }
   
@@ -357,3 +518,496 @@ exports.getMedicationStats = catchAsync(async (req, res, next) => {
     }
   });
 });
+
+// Load a medication and make sure it belongs to the logged in patient
+const getOwnMedication = async (req) => {
+  const medication = await Medication.findById(req.params.id);
+
+  if (!medication) {
+    throw new AppError('No medication found with that ID', 404);
+  }
+  if (medication.patient._id.toString() !== req.user.id) {
+    throw new AppError('You can only record doses for your own medications', 403);
+  }
+
+  return medication;
+};
+
+// @desc    Mark a scheduled dose as taken
+// @route   POST /api/medications/:id/doses/taken
+// @access  Private (Patient)
+exports.markDoseTaken = catchAsync(async (req, res, next) => {
+  const { scheduledFor, takenAt, notes } = req.body;
+
+  const medication = await getOwnMedication(req);
+
+  if (takenAt && Number.isNaN(new Date(takenAt).getTime())) {
+    return next(new AppError('Please provide a valid takenAt date', 400));
+  }
+
+  const dose = await recordDose({
+    medication,
+    scheduledFor,
+    status: 'taken',
+    takenAt,
+    notes,
+    recordedBy: req.user.id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      dose
+    }
+  });
+});
+
+// @desc    Mark a scheduled dose as skipped
+// @route   POST /api/medications/:id/doses/skipped
+// @access  Private (Patient)
+exports.markDoseSkipped = catchAsync(async (req, res, next) => {
+  const { scheduledFor, reason, notes } = req.body;
+
+  const medication = await getOwnMedication(req);
+
+  const dose = await recordDose({
+    medication,
+    scheduledFor,
+    status: 'skipped',
+    skipReason: reason,
+    notes,
+    recordedBy: req.user.id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      dose
+    }
+  });
+});
+
+// @desc    Get the version history of a prescription (also after it was deleted)
+// @route   GET /api/medications/:id/history
+// @access  Private (the patient, the prescribing doctor, admin)
+exports.getMedicationHistory = catchAsync(async (req, res, next) => {
+  const [medication, versions] = await Promise.all([
+    Medication.findById(req.params.id),
+    getMedicationHistory(req.params.id)
+  ]);
+
+  if (!medication && versions.length === 0) {
+    return next(new AppError('No medication found with that ID', 404));
+  }
+
+  // Deleted prescriptions are checked against their last recorded version
+  const owner = medication || versions[versions.length - 1];
+  const doctorId = owner.doctor && (owner.doctor._id || owner.doctor).toString();
+  const patientId = (owner.patient._id || owner.patient).toString();
+
+  if (doctorId !== req.user.id && patientId !== req.user.id && req.user.role !== 'admin') {
+    return next(
+      new AppError('You do not have permission to view this medication', 403)
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: versions.length,
+    data: {
+      versions
+    }
+  });
+});
+
+// @desc    Get recorded doses for a medication
+// @route   GET /api/medications/:id/doses
+// @access  Private
+exports.getMedicationDoses = catchAsync(async (req, res, next) => {
+  const medication = await Medication.findById(req.params.id);
+
+  if (!medication) {
+    return next(new AppError('No medication found with that ID', 404));
+  }
+
+  // Check if user has permission to view this medication
+  if (
+    medication.doctor._id.toString() !== req.user.id &&
+    medication.patient._id.toString() !== req.user.id &&
+    req.user.role !== 'admin'
+  ) {
+    return next(
+      new AppError('You do not have permission to view this medication', 403)
+    );
+  }
+
+  const filter = { medication: medication._id };
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.from || req.query.to) {
+    const from = req.query.from && new Date(req.query.from);
+    const to = req.query.to && new Date(req.query.to);
+    if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+      return next(new AppError('Please provide valid from and to dates', 400));
+    }
+
+    filter.scheduledFor = {};
+    if (from) filter.scheduledFor.$gte = from;
+    if (to) filter.scheduledFor.$lt = to;
+  }
+
+  const doses = await DoseEvent.find(filter).sort({ scheduledFor: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: doses.length,
+    data: {
+      doses
+    }
+  });
+});
+
+// @desc    Get missed critical dose escalations
+// @route   GET /api/medications/escalations
+// @access  Private (Doctor/Admin)
+exports.getEscalations = catchAsync(async (req, res, next) => {
+  // Doctors only see escalations for medications they prescribed
+  const filter = req.user.role === 'admin' ? {} : { doctor: req.user.id };
+
+  if (req.query.patientId) {
+    filter.patient = req.query.patientId;
+  }
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const escalations = await Escalation.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(parseInt(req.query.limit, 10) || 50);
+
+  res.status(200).json({
+    status: 'success',
+    results: escalations.length,
+    data: {
+      escalations
+    }
+  });
+});
+
+// @desc    Get a medication's stock and projected run-out date
+// @route   GET /api/medications/:id/inventory
+// @access  Private
+exports.getInventory = catchAsync(async (req, res, next) => {
+  const medication = await Medication.findById(req.params.id);
+
+  if (!medication) {
+    return next(new AppError('No medication found with that ID', 404));
+  }
+
+  // Check if user has permission to view this medication
+  if (
+    medication.doctor._id.toString() !== req.user.id &&
+    medication.patient._id.toString() !== req.user.id &&
+    req.user.role !== 'admin'
+  ) {
+    return next(
+      new AppError('You do not have permission to view this medication', 403)
+    );
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      inventory: getInventoryStatus(medication)
+    }
+  });
+});
+
+// @desc    Count, refill or configure a medication's stock
+// @route   PATCH /api/medications/:id/inventory
+// @access  Private
+exports.updateInventory = catchAsync(async (req, res, next) => {
+  const { quantity, refill, unit, dosePerIntake, lowStockDays, refillsRemaining } = req.body;
+
+  const medication = await Medication.findById(req.params.id);
+
+  if (!medication) {
+    return next(new AppError('No medication found with that ID', 404));
+  }
+
+  // The patient and the prescribing doctor both keep the stock up to date
+  const isPatient = medication.patient._id.toString() === req.user.id;
+  const isDoctor = medication.doctor._id.toString() === req.user.id;
+  if (!isPatient && !isDoctor && req.user.role !== 'admin') {
+    return next(
+      new AppError('You do not have permission to update this medication', 403)
+    );
+  }
+
+  if (refillsRemaining !== undefined && req.user.role === 'patient') {
+    return next(new AppError('Only the prescribing doctor can change the number of refills', 403));
+  }
+  if (quantity !== undefined && refill !== undefined) {
+    return next(new AppError('Please provide either a quantity or a refill amount, not both', 400));
+  }
+
+  // A refill adds to the stock and uses up one of the prescribed refills
+  if (refill !== undefined) {
+    const amount = Number(refill);
+    if (!(amount > 0)) {
+      return next(new AppError('Refill amount must be a positive number', 400));
+    }
+
+    medication.inventory.quantity = (medication.inventory.quantity || 0) + amount;
+    medication.refillInformation.lastFilled = Date.now();
+    if (medication.refillInformation.refillsRemaining > 0) {
+      medication.refillInformation.refillsRemaining -= 1;
+    }
+  }
+
+  if (quantity !== undefined) medication.inventory.quantity = quantity;
+  if (unit !== undefined) medication.inventory.unit = unit;
+  if (dosePerIntake !== undefined) medication.inventory.dosePerIntake = dosePerIntake;
+  if (lowStockDays !== undefined) medication.inventory.lowStockDays = lowStockDays;
+  if (refillsRemaining !== undefined) medication.refillInformation.refillsRemaining = refillsRemaining;
+  medication.inventory.updatedAt = Date.now();
+
+  await medication.save();
+
+  // Refresh the projected refill date and alert if the stock is (still) low
+  const inventory = (await checkInventory(medication)) || getInventoryStatus(medication);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      inventory
+    }
+  });
+});
+
+// @desc    Report a side effect of one of the patient's medications
+// @route   POST /api/medications/:id/side-effects
+// @access  Private (Patient)
+exports.reportMedicationSideEffect = catchAsync(async (req, res, next) => {
+  const medication = await Medication.findById(req.params.id);
+
+  if (!medication || medication.patient._id.toString() !== req.user.id) {
+    return next(new AppError('No medication found with that ID', 404));
+  }
+
+  const sideEffect = await reportSideEffect(medication, {
+    description: req.body.description,
+    severity: req.body.severity,
+    reportedBy: req.user.id,
+    source: 'api'
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      sideEffect
+    }
+  });
+});
+
+// @desc    Get the side effects reported for a medication
+// @route   GET /api/medications/:id/side-effects
+// @access  Private
+exports.getMedicationSideEffects = catchAsync(async (req, res, next) => {
+  const medication = await Medication.findById(req.params.id);
+
+  if (!medication) {
+    return next(new AppError('No medication found with that ID', 404));
+  }
+
+  // Check if user has permission to view this medication
+  if (
+    medication.doctor._id.toString() !== req.user.id &&
+    medication.patient._id.toString() !== req.user.id &&
+    req.user.role !== 'admin'
+  ) {
+    return next(
+      new AppError('You do not have permission to view this medication', 403)
+    );
+  }
+
+  const sideEffects = [...medication.sideEffects].sort((a, b) => b.reportedAt - a.reportedAt);
+
+  res.status(200).json({
+    status: 'success',
+    results: sideEffects.length,
+    data: {
+      sideEffects
+    }
+  });
+});
+
+// @desc    Side-effect reports across patients, grouped by drug
+// @route   GET /api/medications/side-effects
+// @access  Private (Doctor/Admin)
+exports.getSideEffectReports = catchAsync(async (req, res, next) => {
+  const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : undefined;
+  if (days !== undefined && !(days > 0)) {
+    return next(new AppError('days must be a positive number', 400));
+  }
+
+  // Doctors only see reports for medications they prescribed
+  const drugs = await getSideEffectsByDrug({
+    doctor: req.user.role === 'admin' ? req.query.doctorId : req.user.id,
+    severity: req.query.severity,
+    drug: req.query.drug,
+    days
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: drugs.length,
+    data: {
+      drugs
+    }
+  });
+});
+
+// Load a medication with its notes' authors, checking the user may see it
+const getMedicationForNotes = async (req) => {
+  const medication = await Medication.findById(req.params.id)
+    .populate('notes.createdBy', 'name role');
+
+  if (!medication) {
+    throw new AppError('No medication found with that ID', 404);
+  }
+
+  if (
+    medication.doctor._id.toString() !== req.user.id &&
+    medication.patient._id.toString() !== req.user.id &&
+    req.user.role !== 'admin'
+  ) {
+    throw new AppError('You do not have permission to view this medication', 403);
+  }
+
+  return medication;
+};
+
+const getVisibleNotes = (medication, user) => {
+  hidePrivateNotes(medication, user);
+  return [...medication.notes].sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// Find a note the user wrote, so it can be edited or deleted; admins may also delete others' notes
+const getOwnNote = (medication, req, { adminAllowed = false } = {}) => {
+  const note = medication.notes.id(req.params.noteId);
+
+  if (!note || (req.user.role === 'patient' && note.isPrivate)) {
+    throw new AppError('No note found with that ID', 404);
+  }
+
+  const authorId = note.createdBy && (note.createdBy._id || note.createdBy).toString();
+  if (authorId !== req.user.id && !(adminAllowed && req.user.role === 'admin')) {
+    throw new AppError('You can only change your own notes', 403);
+  }
+
+  return note;
+};
+
+// @desc    List the notes on a medication
+// @route   GET /api/medications/:id/notes
+// @access  Private
+exports.getMedicationNotes = catchAsync(async (req, res, next) => {
+  const medication = await getMedicationForNotes(req);
+  const notes = getVisibleNotes(medication, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    results: notes.length,
+    data: {
+      notes
+    }
+  });
+});
+
+// @desc    Add a note to a medication
+// @route   POST /api/medications/:id/notes
+// @access  Private
+exports.addMedicationNote = catchAsync(async (req, res, next) => {
+  const medication = await getMedicationForNotes(req);
+  const { content, isPrivate } = req.body;
+
+  if (isPrivate && req.user.role === 'patient') {
+    return next(new AppError('Patients cannot add private notes', 400));
+  }
+
+  medication.notes.push({
+    content,
+    isPrivate: !!isPrivate,
+    createdBy: req.user.id
+  });
+  const note = medication.notes[medication.notes.length - 1];
+  await note.validate();
+
+  await Medication.updateOne(
+    { _id: medication._id },
+    { $push: { notes: note.toObject({ virtuals: false }) } }
+  );
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      note
+    }
+  });
+});
+
+// @desc    Edit one of your notes on a medication
+// @route   PATCH /api/medications/:id/notes/:noteId
+// @access  Private (author)
+exports.updateMedicationNote = catchAsync(async (req, res, next) => {
+  const medication = await getMedicationForNotes(req);
+  const note = getOwnNote(medication, req);
+  const { content, isPrivate } = req.body;
+
+  if (isPrivate !== undefined && req.user.role === 'patient') {
+    return next(new AppError('Patients cannot add private notes', 400));
+  }
+
+  if (content !== undefined) note.content = content;
+  if (isPrivate !== undefined) note.isPrivate = !!isPrivate;
+  note.updatedAt = Date.now();
+  await note.validate();
+
+  await Medication.updateOne(
+    { _id: medication._id, 'notes._id': note._id },
+    {
+      $set: {
+        'notes.$.content': note.content,
+        'notes.$.isPrivate': note.isPrivate,
+        'notes.$.updatedAt': note.updatedAt
+      }
+    }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      note
+    }
+  });
+});
+
+// @desc    Delete one of your notes on a medication
+// @route   DELETE /api/medications/:id/notes/:noteId
+// @access  Private (author/Admin)
+exports.deleteMedicationNote = catchAsync(async (req, res, next) => {
+  const medication = await getMedicationForNotes(req);
+  const note = getOwnNote(medication, req, { adminAllowed: true });
+
+  await Medication.updateOne(
+    { _id: medication._id },
+    { $pull: { notes: { _id: note._id } } }
+  );
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -0,0 +1,210 @@
+const User = require('../models/user.model');
+const Medication = require('../models/medication.model');
+const Appointment = require('../models/appointment.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { getRegimenAt, parseRegimenDate } = require('../services/medicationHistory.service');
+const { describeFrequency } = require('../utils/doseSchedule');
+const { getUserTimeZone } = require('../utils/timezone');
+
+const ALLERGY_FIELDS = ['substance', 'drugClass', 'reaction', 'severity'];
+const CONDITION_FIELDS = ['name', 'status', 'diagnosedAt', 'notes'];
+
+// A doctor treats a patient once they have prescribed for or booked an appointment with them
+const isTreatingDoctor = async (doctorId, patientId) => {
+  const [medication, appointment] = await Promise.all([
+    Medication.exists({ doctor: doctorId, patient: patientId }),
+    Appointment.exists({ doctor: doctorId, patient: patientId })
+  ]);
+  return !!(medication || appointment);
+};
+
+// Load the patient whose record is requested; patients may read their own, their doctors may also edit it
+const getPatientRecord = async (req, { edit = false } = {}) => {
+  const patient = await User.findById(req.params.id);
+
+  if (!patient || patient.role !== 'patient') {
+    throw new AppError('No patient found with that ID', 404);
+  }
+
+  const isSelf = patient._id.toString() === req.user.id;
+  const allowed = req.user.role === 'admin' ||
+    (isSelf && !edit) ||
+    (req.user.role === 'doctor' && await isTreatingDoctor(req.user.id, patient._id));
+
+  if (!allowed) {
+    throw new AppError(
+      edit
+        ? 'Only the patient\'s doctors can update their clinical profile'
+        : 'You do not have permission to view this patient\'s records',
+      403
+    );
+  }
+
+  return patient;
+};
+
+// Copy the allowed fields of the request body onto a subdocument
+const assignFields = (target, body, fields) => {
+  fields.forEach(field => {
+    if (body[field] !== undefined) target[field] = body[field];
+  });
+};
+
+const sendProfile = (res, statusCode, patient) => {
+  res.status(statusCode).json({
+    status: 'success',
+    data: {
+      clinicalProfile: patient.clinicalProfile
+    }
+  });
+};
+
+// @desc    Get a patient's allergies, conditions and weight
+// @route   GET /api/patients/:id/clinical-profile
+// @access  Private (the patient, their doctors, admin)
+exports.getClinicalProfile = catchAsync(async (req, res, next) => {
+  const patient = await getPatientRecord(req);
+  sendProfile(res, 200, patient);
+});
+
+// @desc    Get the prescriptions a patient was on at a given time (default now)
+// @route   GET /api/patients/:id/regimen?date=YYYY-MM-DD
+// @access  Private (the patient, their doctors, admin)
+exports.getRegimen = catchAsync(async (req, res, next) => {
+  const patient = await getPatientRecord(req);
+  const at = parseRegimenDate(req.query.date, getUserTimeZone(patient));
+
+  const regimen = await getRegimenAt(patient._id, at);
+
+  res.status(200).json({
+    status: 'success',
+    results: regimen.length,
+    data: {
+      at,
+      regimen: regimen.map(entry => ({ ...entry, schedule: describeFrequency(entry) }))
+    }
+  });
+});
+
+// @desc    Record a patient's current weight
+// @route   PATCH /api/patients/:id/clinical-profile
+// @access  Private (their doctors, admin)
+exports.updateClinicalProfile = catchAsync(async (req, res, next) => {
+  const patient = await getPatientRecord(req, { edit: true });
+  const { weight } = req.body;
+
+  if (!weight || weight.value === undefined) {
+    return next(new AppError('Please provide the patient\'s weight', 400));
+  }
+
+  patient.clinicalProfile.weight = {
+    value: weight.value,
+    unit: weight.unit || 'kg',
+    measuredAt: weight.measuredAt || Date.now(),
+    recordedBy: req.user.id
+  };
+  await patient.save({ validateModifiedOnly: true });
+
+  sendProfile(res, 200, patient);
+});
+
+// @desc    Record an allergy
+// @route   POST /api/patients/:id/allergies
+// @access  Private (their doctors, admin)
+exports.addAllergy = catchAsync(async (req, res, next) => {
+  const patient = await getPatientRecord(req, { edit: true });
+
+  const allergy = { recordedBy: req.user.id };
+  assignFields(allergy, req.body, ALLERGY_FIELDS);
+  patient.clinicalProfile.allergies.push(allergy);
+  await patient.save({ validateModifiedOnly: true });
+
+  sendProfile(res, 201, patient);
+});
+
+// @desc    Update a recorded allergy
+// @route   PATCH /api/patients/:id/allergies/:allergyId
+// @access  Private (their doctors, admin)
+exports.updateAllergy = catchAsync(async (req, res, next) => {
+  const patient = await getPatientRecord(req, { edit: true });
+  const allergy = patient.clinicalProfile.allergies.id(req.params.allergyId);
+
+  if (!allergy) {
+    return next(new AppError('No allergy found with that ID', 404));
+  }
+
+  assignFields(allergy, req.body, ALLERGY_FIELDS);
+  allergy.recordedBy = req.user.id;
+  allergy.recordedAt = Date.now();
+  await patient.save({ validateModifiedOnly: true });
+
+  sendProfile(res, 200, patient);
+});
+
+// @desc    Remove a recorded allergy
+// @route   DELETE /api/patients/:id/allergies/:allergyId
+// @access  Private (their doctors, admin)
+exports.deleteAllergy = catchAsync(async (req, res, next) => {
+  const patient = await getPatientRecord(req, { edit: true });
+  const allergy = patient.clinicalProfile.allergies.id(req.params.allergyId);
+
+  if (!allergy) {
+    return next(new AppError('No allergy found with that ID', 404));
+  }
+
+  allergy.deleteOne();
+  await patient.save({ validateModifiedOnly: true });
+
+  sendProfile(res, 200, patient);
+});
+
+// @desc    Record a chronic condition
+// @route   POST /api/patients/:id/conditions
+// @access  Private (their doctors, admin)
+exports.addCondition = catchAsync(async (req, res, next) => {
+  const patient = await getPatientRecord(req, { edit: true });
+
+  const condition = { recordedBy: req.user.id };
+  assignFields(condition, req.body, CONDITION_FIELDS);
+  patient.clinicalProfile.conditions.push(condition);
+  await patient.save({ validateModifiedOnly: true });
+
+  sendProfile(res, 201, patient);
+});
+
+// @desc    Update a recorded condition
+// @route   PATCH /api/patients/:id/conditions/:conditionId
+// @access  Private (their doctors, admin)
+exports.updateCondition = catchAsync(async (req, res, next) => {
+  const patient = await getPatientRecord(req, { edit: true });
+  const condition = patient.clinicalProfile.conditions.id(req.params.conditionId);
+
+  if (!condition) {
+    return next(new AppError('No condition found with that ID', 404));
+  }
+
+  assignFields(condition, req.body, CONDITION_FIELDS);
+  condition.recordedBy = req.user.id;
+  condition.recordedAt = Date.now();
+  await patient.save({ validateModifiedOnly: true });
+
+  sendProfile(res, 200, patient);
+});
+
+// @desc    Remove a recorded condition
+// @route   DELETE /api/patients/:id/conditions/:conditionId
+// @access  Private (their doctors, admin)
+exports.deleteCondition = catchAsync(async (req, res, next) => {
+  const patient = await getPatientRecord(req, { edit: true });
+  const condition = patient.clinicalProfile.conditions.id(req.params.conditionId);
+
+  if (!condition) {
+    return next(new AppError('No condition found with that ID', 404));
+  }
+
+  condition.deleteOne();
+  await patient.save({ validateModifiedOnly: true });
+
+  sendProfile(res, 200, patient);
+});
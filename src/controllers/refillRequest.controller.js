@@ -0,0 +1,168 @@
+const RefillRequest = require('../models/refillRequest.model');
+const Medication = require('../models/medication.model');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const {
+  createRefillRequest,
+  cancelRefillRequest,
+  decideRefillRequest
+} = require('../services/refillRequest.service');
+
+// Load a refill request the current user may see
+const getAccessibleRequest = async (req) => {
+  const request = await RefillRequest.findById(req.params.id);
+
+  if (!request) {
+    throw new AppError('No refill request found with that ID', 404);
+  }
+
+  if (
+    request.patient._id.toString() !== req.user.id &&
+    request.doctor._id.toString() !== req.user.id &&
+    req.user.role !== 'admin'
+  ) {
+    throw new AppError('You do not have permission to view this refill request', 403);
+  }
+
+  return request;
+};
+
+// @desc    Request a refill of one of the patient's medications
+// @route   POST /api/refill-requests
+// @access  Private (Patient)
+exports.createRequest = catchAsync(async (req, res, next) => {
+  const { medicationId, quantity, note } = req.body;
+
+  if (!medicationId) {
+    return next(new AppError('Please provide the medication to refill', 400));
+  }
+
+  const medication = await Medication.findById(medicationId);
+
+  if (!medication || medication.patient._id.toString() !== req.user.id) {
+    return next(new AppError('No medication found with that ID', 404));
+  }
+
+  const refillRequest = await createRefillRequest(medication, { quantity, note, source: 'api' });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      refillRequest
+    }
+  });
+});
+
+// @desc    List refill requests: the patient's own, or the doctor's queue
+// @route   GET /api/refill-requests
+// @access  Private
+exports.getRequests = catchAsync(async (req, res, next) => {
+  const filter = {};
+  let sort = { createdAt: -1 };
+
+  if (req.user.role === 'patient') {
+    filter.patient = req.user.id;
+    if (req.query.status) filter.status = req.query.status;
+  } else {
+    // Doctors see requests for their own prescriptions, pending ones first in line
+    if (req.user.role === 'doctor') filter.doctor = req.user.id;
+    if (req.query.patientId) filter.patient = req.query.patientId;
+
+    filter.status = req.query.status || 'pending';
+    if (filter.status === 'pending') sort = { createdAt: 1 };
+  }
+
+  const refillRequests = await RefillRequest.find(filter)
+    .sort(sort)
+    .limit(parseInt(req.query.limit, 10) || 50);
+
+  res.status(200).json({
+    status: 'success',
+    results: refillRequests.length,
+    data: {
+      refillRequests
+    }
+  });
+});
+
+// @desc    Get a single refill request
+// @route   GET /api/refill-requests/:id
+// @access  Private
+exports.getRequest = catchAsync(async (req, res, next) => {
+  const refillRequest = await getAccessibleRequest(req);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      refillRequest
+    }
+  });
+});
+
+// @desc    Approve a refill request
+// @route   PATCH /api/refill-requests/:id/approve
+// @access  Private (Doctor/Admin)
+exports.approveRequest = catchAsync(async (req, res, next) => {
+  const request = await getAccessibleRequest(req);
+
+  if (req.user.role === 'patient') {
+    return next(new AppError('Only the prescribing doctor can approve a refill', 403));
+  }
+
+  const refillRequest = await decideRefillRequest(request, {
+    approve: true,
+    refillsGranted: req.body.refillsGranted,
+    decidedBy: req.user.id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      refillRequest
+    }
+  });
+});
+
+// @desc    Deny a refill request with a reason
+// @route   PATCH /api/refill-requests/:id/deny
+// @access  Private (Doctor/Admin)
+exports.denyRequest = catchAsync(async (req, res, next) => {
+  const request = await getAccessibleRequest(req);
+
+  if (req.user.role === 'patient') {
+    return next(new AppError('Only the prescribing doctor can deny a refill', 403));
+  }
+
+  const refillRequest = await decideRefillRequest(request, {
+    approve: false,
+    reason: req.body.reason,
+    decidedBy: req.user.id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      refillRequest
+    }
+  });
+});
+
+// @desc    Withdraw a pending refill request
+// @route   PATCH /api/refill-requests/:id/cancel
+// @access  Private (Patient)
+exports.cancelRequest = catchAsync(async (req, res, next) => {
+  const request = await getAccessibleRequest(req);
+
+  if (request.patient._id.toString() !== req.user.id) {
+    return next(new AppError('You can only cancel your own refill requests', 403));
+  }
+
+  const refillRequest = await cancelRefillRequest(request);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      refillRequest
+    }
+  });
+});
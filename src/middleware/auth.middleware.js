@@ -3,6 +3,12 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
+const { getActiveSession } = require('../services/session.service');
+const { requiresVerifiedEmail, requiresTwoFactor } = require('../services/settings.service');
+
+// Routes still open to doctors awaiting approval and to users who must set up two-factor
+// authentication but have not yet (account and 2FA setup, and Telegram linking)
+const ACCOUNT_ROUTES = ['/api/auth', '/api/telegram'];
 
 // Middleware to protect routes - requires authentication
 exports.protect = catchAsync(async (req, res, next) => {
@@ -13,7 +19,7 @@ exports.protect = catchAsync(async (req, res, next) => {
     req.headers.authorization.startsWith('Bearer')
   ) {
     token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies.jwt) {
+  } else if (req.cookies && req.cookies.jwt) {
     token = req.cookies.jwt;
   }
 
@@ -23,10 +29,30 @@ exports.protect = catchAsync(async (req, res, next) => {
     );
   }
 
-  // 2) Verify token
-  const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+  // 2) Verify token (expired access tokens are renewed with POST /api/auth/refresh)
+  let decoded;
+  try {
+    decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return next(
+      new AppError(
+        err.name === 'TokenExpiredError'
+          ? 'Your access token has expired. Please refresh it or log in again.'
+          : 'Invalid token. Please log in again.',
+        401
+      )
+    );
+  }
+
+  // 3) Check the session it was issued for has not been revoked
+  const session = await getActiveSession(decoded.sid, decoded.id);
+  if (!session) {
+    return next(
+      new AppError('Your session has ended. Please log in again.', 401)
+    );
+  }
 
-  // 3) Check if user still exists
+  // 4) Check if user still exists
   const currentUser = await User.findById(decoded.id);
   if (!currentUser) {
     return next(
@@ -34,15 +60,45 @@ exports.protect = catchAsync(async (req, res, next) => {
     );
   }
 
-  // 4) Check if user changed password after the token was issued
+  // 5) Check if user changed password after the token was issued
   if (currentUser.changedPasswordAfter(decoded.iat)) {
     return next(
       new AppError('User recently changed password! Please log in again.', 401)
     );
   }
 
+  // 6) Doctors see no clinical data until an admin approves their application
+  const accountRouteOnly = ACCOUNT_ROUTES.includes(req.baseUrl);
+  if (currentUser.role === 'doctor' && !currentUser.isApprovedDoctor() && !accountRouteOnly) {
+    return next(
+      new AppError(
+        currentUser.doctorApproval.status === 'rejected'
+          ? 'Your doctor application was not approved. You can correct it and apply again at /api/auth/doctor-application.'
+          : 'Your doctor account is awaiting approval by an administrator.',
+        403,
+        { doctorApproval: currentUser.doctorApproval.status || 'pending' }
+      )
+    );
+  }
+
+  // 7) Roles that must use two-factor authentication can only set it up until they have
+  if (
+    !currentUser.twoFactor.enabled &&
+    !accountRouteOnly &&
+    await requiresTwoFactor(currentUser.role)
+  ) {
+    return next(
+      new AppError(
+        'Two-factor authentication is required for your account. Please set it up at /api/auth/2fa/setup.',
+        403,
+        { twoFactorSetupRequired: true }
+      )
+    );
+  }
+
   // GRANT ACCESS TO PROTECTED ROUTE
   req.user = currentUser;
+  req.authSession = session;
   res.locals.user = currentUser;
   next();
 });
@@ -59,6 +115,25 @@ exports.restrictTo = (...roles) => {
   };
 };
 
+// Middleware to require a verified email address for an action, if admins have asked for it
+exports.requireVerifiedEmail = (action) => {
+  return catchAsync(async (req, res, next) => {
+    if (req.user.isVerified || req.user.role === 'admin') return next();
+
+    if (await requiresVerifiedEmail(action)) {
+      return next(
+        new AppError(
+          'Please verify your email address first. You can request a new verification email from /api/auth/resend-verification.',
+          403,
+          { action }
+        )
+      );
+    }
+
+    next();
+  });
+};
+
 // Middleware to check if user is the owner of the resource
 exports.isOwner = (model) => {
   return catchAsync(async (req, res, next) => {
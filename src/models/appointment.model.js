@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { zonedTimeToUtc } = require('../utils/timezone');
 
 const appointmentSchema = new mongoose.Schema({
   doctor: {
@@ -11,6 +12,11 @@ const appointmentSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Appointment must belong to a patient']
   },
+  // Recurring series this visit was generated from
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AppointmentSeries'
+  },
   date: {
     type: Date,
     required: [true, 'Please provide appointment date']
@@ -23,11 +29,27 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Please provide end time']
   },
+  // Real start/end instants, derived from date/startTime/endTime in the doctor's practice time zone
+  startAt: Date,
+  endAt: Date,
   status: {
     type: String,
-    enum: ['scheduled', 'completed', 'cancelled', 'no-show'],
+    enum: ['pending', 'scheduled', 'confirmed', 'completed', 'cancelled', 'declined', 'no-show'],
     default: 'scheduled'
   },
+  bookedBy: {
+    type: String,
+    enum: ['doctor', 'patient'],
+    default: 'doctor'
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date,
+  cancellationReason: String,
+  // When the patient confirmed attendance (e.g. from a reminder)
+  confirmedAt: Date,
   notes: String,
   reason: {
     type: String,
@@ -50,8 +72,10 @@ const appointmentSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 appointmentSchema.index({ doctor: 1, date: 1 });
+appointmentSchema.index({ doctor: 1, startAt: 1, endAt: 1 });
 appointmentSchema.index({ patient: 1, date: 1 });
 appointmentSchema.index({ status: 1, date: 1 });
+appointmentSchema.index({ series: 1, date: 1 });
 
 // Virtual for duration
 appointmentSchema.virtual('duration').get(function() {
@@ -60,6 +84,16 @@ appointmentSchema.virtual('duration').get(function() {
   return (end - start) / (1000 * 60); // Duration in minutes
 });
 
+// Real start/end instants of the appointment; date and times are wall-clock values in the
+// doctor's practice time zone
+appointmentSchema.methods.getStartAt = function(timeZone) {
+  return zonedTimeToUtc(this.date.toISOString().slice(0, 10), this.startTime, timeZone);
+};
+
+appointmentSchema.methods.getEndAt = function(timeZone) {
+  return zonedTimeToUtc(this.date.toISOString().slice(0, 10), this.endTime, timeZone);
+};
+
 // Document middleware to update updatedAt timestamp
 appointmentSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -70,10 +104,10 @@ appointmentSchema.pre('save', function(next) {
 appointmentSchema.pre(/^find/, function(next) {
   this.populate({
     path: 'doctor',
-    select: 'name email phone specialization'
+    select: 'name email phone specialization timezone practiceTimezone'
   }).populate({
     path: 'patient',
-    select: 'name email phone dateOfBirth'
+    select: 'name email phone dateOfBirth timezone'
   });
   
   next();
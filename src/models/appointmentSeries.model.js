@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// A recurring appointment; each visit is a regular Appointment linked back to its series
+const appointmentSeriesSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Appointment series must belong to a doctor']
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Appointment series must belong to a patient']
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'biweekly', 'monthly'],
+      required: [true, 'Please provide the recurrence frequency']
+    },
+    // Number of visits to generate, including the first one
+    count: {
+      type: Number,
+      min: [1, 'A series needs at least one visit']
+    },
+    // Last date ("YYYY-MM-DD") a visit may fall on
+    until: {
+      type: String,
+      match: [DATE_REGEX, 'Recurrence until must be in YYYY-MM-DD format']
+    }
+  },
+  // First visit, as a "YYYY-MM-DD" date and wall-clock times in the practice time zone
+  startDate: {
+    type: String,
+    required: [true, 'Please provide the first appointment date'],
+    match: [DATE_REGEX, 'Start date must be in YYYY-MM-DD format']
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Please provide start time']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'Please provide end time']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please provide reason for appointment']
+  },
+  notes: String,
+  isVirtual: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  // Visits that could not be booked when the series was generated
+  conflicts: [{
+    _id: false,
+    date: String,
+    reason: String,
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+appointmentSeriesSchema.index({ doctor: 1, status: 1 });
+appointmentSeriesSchema.index({ patient: 1, status: 1 });
+
+// A series ends either after a number of visits or on a date
+appointmentSeriesSchema.pre('validate', function(next) {
+  if (!this.recurrence.count && !this.recurrence.until) {
+    this.invalidate('recurrence', 'Please provide a recurrence count or until date');
+  }
+  if (this.recurrence.until && this.startDate && this.recurrence.until < this.startDate) {
+    this.invalidate('recurrence.until', 'Recurrence until must not be before the first appointment');
+  }
+  next();
+});
+
+const AppointmentSeries = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
+
+module.exports = AppointmentSeries;
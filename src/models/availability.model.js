@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// A continuous stretch of working time, as "HH:MM" wall-clock times
+const blockSchema = new mongoose.Schema({
+  start: {
+    type: String,
+    required: [true, 'Please provide block start time'],
+    match: [TIME_REGEX, 'Block start must be in HH:MM format']
+  },
+  end: {
+    type: String,
+    required: [true, 'Please provide block end time'],
+    match: [TIME_REGEX, 'Block end must be in HH:MM format']
+  }
+}, { _id: false });
+
+blockSchema.pre('validate', function(next) {
+  if (this.start && this.end && toMinutes(this.start) >= toMinutes(this.end)) {
+    this.invalidate('end', 'Block end must be after block start');
+  }
+  next();
+});
+
+const availabilitySchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Availability must belong to a doctor'],
+    unique: true
+  },
+  // Recurring weekly working hours; days without an entry are days off
+  weeklySchedule: [{
+    _id: false,
+    dayOfWeek: {
+      type: Number,
+      required: [true, 'Please provide the day of the week'],
+      min: 0,
+      max: 6
+    },
+    blocks: [blockSchema]
+  }],
+  // Date-specific changes: vacations and holidays (unavailable) or extra clinics (available)
+  exceptions: [{
+    startDate: {
+      type: String,
+      required: [true, 'Please provide the exception start date'],
+      match: [DATE_REGEX, 'Exception dates must be in YYYY-MM-DD format']
+    },
+    endDate: {
+      type: String,
+      match: [DATE_REGEX, 'Exception dates must be in YYYY-MM-DD format']
+    },
+    type: {
+      type: String,
+      enum: ['unavailable', 'available'],
+      required: [true, 'Please provide the exception type']
+    },
+    // Without blocks an unavailable exception covers the whole day
+    blocks: [blockSchema],
+    reason: String
+  }],
+  slotDuration: {
+    type: Number,
+    default: 30,
+    min: [5, 'Slot duration must be at least 5 minutes']
+  },
+  // Patient bookings stay pending until the doctor approves them
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  // Hours before an appointment after which patients can no longer cancel or reschedule online
+  // (defaults to APPOINTMENT_CANCELLATION_CUTOFF_HOURS)
+  cancellationCutoffHours: {
+    type: Number,
+    min: [0, 'Cancellation cutoff cannot be negative']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Validate days and exceptions
+availabilitySchema.pre('validate', function(next) {
+  const days = this.weeklySchedule.map(d => d.dayOfWeek);
+  if (new Set(days).size !== days.length) {
+    this.invalidate('weeklySchedule', 'Each day of the week can only appear once');
+  }
+
+  this.exceptions.forEach((exception, index) => {
+    if (!exception.endDate) exception.endDate = exception.startDate;
+    if (exception.endDate < exception.startDate) {
+      this.invalidate(`exceptions.${index}.endDate`, 'Exception end date must not be before its start date');
+    }
+    if (exception.type === 'available' && exception.blocks.length === 0) {
+      this.invalidate(`exceptions.${index}.blocks`, 'Extra availability needs at least one block');
+    }
+  });
+
+  next();
+});
+
+// Default hours for doctors who have not set up a schedule
+availabilitySchema.statics.DEFAULT_WEEKLY_SCHEDULE = [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+  dayOfWeek,
+  blocks: [
+    { start: '09:00', end: '12:00' },
+    { start: '13:00', end: '17:00' }
+  ]
+}));
+
+const Availability = mongoose.model('Availability', availabilitySchema);
+
+module.exports = Availability;
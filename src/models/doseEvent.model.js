@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const doseEventSchema = new mongoose.Schema({
+  medication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+    required: [true, 'Dose event must belong to a medication']
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Dose event must belong to a patient']
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  scheduledFor: {
+    type: Date,
+    required: [true, 'Please provide the scheduled dose time']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'taken', 'late', 'skipped', 'missed'],
+    default: 'pending'
+  },
+  takenAt: Date,
+  skipReason: {
+    type: String,
+    maxlength: [200, 'Skip reason cannot be longer than 200 characters']
+  },
+  source: {
+    type: String,
+    enum: ['api', 'telegram', 'system'],
+    default: 'api'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  snoozedUntil: Date,
+  snoozeCount: {
+    type: Number,
+    default: 0
+  },
+  notes: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One event per scheduled dose
+doseEventSchema.index({ medication: 1, scheduledFor: 1 }, { unique: true });
+doseEventSchema.index({ patient: 1, scheduledFor: -1 });
+doseEventSchema.index({ status: 1, scheduledFor: 1 });
+
+// Virtual for how many minutes after the scheduled time the dose was taken
+doseEventSchema.virtual('delayMinutes').get(function() {
+  if (!this.takenAt) return null;
+  return Math.round((this.takenAt - this.scheduledFor) / (1000 * 60));
+});
+
+const DoseEvent = mongoose.model('DoseEvent', doseEventSchema);
+
+module.exports = DoseEvent;
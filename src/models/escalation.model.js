@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const escalationSchema = new mongoose.Schema({
+  medication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+    required: [true, 'Escalation must belong to a medication']
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Escalation must belong to a patient']
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Escalation must belong to a doctor']
+  },
+  doseEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DoseEvent'
+  },
+  scheduledFor: {
+    type: Date,
+    required: [true, 'Please provide the scheduled dose time']
+  },
+  status: {
+    type: String,
+    enum: ['patient-reminded', 'doctor-notified', 'resolved'],
+    default: 'patient-reminded'
+  },
+  // Every notification sent while escalating
+  notifications: [{
+    recipient: {
+      type: String,
+      enum: ['patient', 'doctor']
+    },
+    channel: {
+      type: String,
+      enum: ['telegram', 'email']
+    },
+    delivered: Boolean,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  resolvedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One escalation per scheduled dose
+escalationSchema.index({ medication: 1, scheduledFor: 1 }, { unique: true });
+escalationSchema.index({ doctor: 1, createdAt: -1 });
+escalationSchema.index({ patient: 1, createdAt: -1 });
+
+// Populate medication name and patient data when querying
+escalationSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'medication',
+    select: 'name dosage isCritical'
+  }).populate({
+    path: 'patient',
+    select: 'name email phone'
+  });
+
+  next();
+});
+
+const Escalation = mongoose.model('Escalation', escalationSchema);
+
+module.exports = Escalation;
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A sign-in that passed the password check and awaits the second factor
+const loginChallengeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Login challenge must belong to a user']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  method: {
+    type: String,
+    enum: ['totp', 'telegram'],
+    required: true
+  },
+  // Wrong codes entered so far
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Expired challenges are removed by MongoDB
+loginChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginChallenge = mongoose.model('LoginChallenge', loginChallengeSchema);
+
+module.exports = LoginChallenge;
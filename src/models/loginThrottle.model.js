@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Failed sign-ins counted for one account (by email) or one IP address
+const loginThrottleSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // The email address or IP address
+  key: {
+    type: String,
+    required: true
+  },
+  // The account's user, when the email belongs to one
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: Date,
+  lockedUntil: Date,
+  // Lockouts since the counter was last cleared; each one lasts longer
+  lockouts: {
+    type: Number,
+    default: 0
+  },
+  // Counters with no recent failures are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+loginThrottleSchema.index({ kind: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: 1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+loginThrottleSchema.virtual('isLocked').get(function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+module.exports = LoginThrottle;
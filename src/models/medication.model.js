@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const { FREQUENCY_TYPES } = require('../utils/doseSchedule');
+const { emitModelEvents } = require('../utils/modelEvents');
+
+// "HH:MM" wall-clock time in the patient's time zone
+const timeOfDay = {
+  type: String,
+  validate: {
+    validator: function(v) {
+      return /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
+    },
+    message: props => `${props.value} is not a valid time format (HH:MM)`
+  }
+};
 
 const medicationSchema = new mongoose.Schema({
   patient: {
@@ -33,19 +46,67 @@ const medicationSchema = new mongoose.Schema({
     }
   },
   frequency: {
+    type: {
+      type: String,
+      enum: FREQUENCY_TYPES,
+      default: 'daily'
+    },
+    // Doses per day of a daily schedule
     timesPerDay: {
       type: Number,
-      required: [true, 'Please specify how many times per day']
+      min: [1, 'Times per day must be at least 1']
     },
-    specificTimes: [{
-      type: String,
-      validate: {
-        validator: function(v) {
-          return /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(v);
-        },
-        message: props => `${props.value} is not a valid time format (HH:MM)`
-      }
+    specificTimes: [timeOfDay],
+    // interval: a dose every `intervalHours` hours, starting at `intervalStart` on the start date
+    intervalHours: {
+      type: Number,
+      min: [1, 'Interval must be at least 1 hour'],
+      max: [168, 'Interval cannot be longer than a week']
+    },
+    intervalStart: {
+      ...timeOfDay,
+      default: '08:00'
+    },
+    // weekly: days of the week (0 = Sunday) the doses are taken
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // alternate: doses every `everyNDays` days, counted from the start date
+    everyNDays: {
+      type: Number,
+      min: [2, 'Every N days must be at least 2'],
+      default: 2
+    },
+    // cycle: `daysOn` days of doses followed by `daysOff` days without, repeating
+    cycle: {
+      daysOn: Number,
+      daysOff: Number
+    },
+    // taper: consecutive steps from the start date, each with its own dosage (in dosage.unit)
+    taperSteps: [{
+      days: {
+        type: Number,
+        required: [true, 'Each taper step needs a number of days'],
+        min: [1, 'Each taper step must last at least 1 day']
+      },
+      dosage: {
+        type: Number,
+        required: [true, 'Each taper step needs a dosage'],
+        min: [0, 'Taper dosage cannot be negative']
+      },
+      specificTimes: [timeOfDay]
     }],
+    // prn: taken as needed, within these limits
+    maxPerDay: {
+      type: Number,
+      min: [1, 'Max doses per day must be at least 1']
+    },
+    minHoursBetween: {
+      type: Number,
+      min: [0, 'Minimum hours between doses cannot be negative']
+    },
     instructions: String
   },
   startDate: {
@@ -67,12 +128,24 @@ const medicationSchema = new mongoose.Schema({
     enum: ['active', 'completed', 'stopped', 'cancelled'],
     default: 'active'
   },
+  // Why and by whom the medication was stopped early
+  discontinuation: {
+    reason: String,
+    discontinuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    discontinuedAt: Date
+  },
   instructions: {
     type: String,
     maxlength: [500, 'Instructions cannot be longer than 500 characters']
   },
   sideEffects: [{
-    description: String,
+    description: {
+      type: String,
+      maxlength: [500, 'Side effect description cannot be longer than 500 characters']
+    },
     severity: {
       type: String,
       enum: ['mild', 'moderate', 'severe']
@@ -80,19 +153,109 @@ const medicationSchema = new mongoose.Schema({
     reportedAt: {
       type: Date,
       default: Date.now
-    }
+    },
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Where the report came from
+    source: {
+      type: String,
+      enum: ['api', 'telegram'],
+      default: 'api'
+    },
+    // When the prescribing doctor was alerted (severe reports only)
+    doctorNotifiedAt: Date
   }],
   refillInformation: {
     refillsRemaining: Number,
     lastFilled: Date,
+    // Projected date the current stock runs out
     nextRefill: Date
   },
+  // Units on hand (tablets, ml, puffs...); doses confirmed as taken are deducted automatically
+  inventory: {
+    quantity: {
+      type: Number,
+      min: [0, 'Inventory quantity cannot be negative']
+    },
+    unit: String,
+    // Units used by one dose
+    dosePerIntake: {
+      type: Number,
+      default: 1,
+      min: [0, 'Units per dose cannot be negative']
+    },
+    // Alert when the stock covers fewer than this many days (defaults to MEDICATION_REFILL_ALERT_DAYS)
+    lowStockDays: {
+      type: Number,
+      min: [0, 'Low stock threshold cannot be negative']
+    },
+    updatedAt: Date,
+    // Last refill reminder to the patient and refill notification to the doctor for the current stock
+    patientRemindedAt: Date,
+    doctorNotifiedAt: Date
+  },
   isCritical: {
     type: Boolean,
     default: false
   },
+  // Minutes a critical dose may stay unconfirmed before escalating (defaults to CRITICAL_DOSE_GRACE_MINUTES)
+  escalationGraceMinutes: {
+    type: Number,
+    min: [5, 'Escalation grace window must be at least 5 minutes'],
+    max: [720, 'Escalation grace window cannot be longer than 12 hours']
+  },
+  // Result of the interaction, duplicate-therapy and allergy check when the medication was prescribed
+  interactionCheck: {
+    checkedAt: Date,
+    datasetVersion: String,
+    findings: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['interaction', 'duplicate', 'allergy']
+      },
+      severity: {
+        type: String,
+        enum: ['minor', 'moderate', 'major']
+      },
+      // The active medication it clashes with
+      medication: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medication'
+      },
+      medicationName: String,
+      // The recorded allergy it matches
+      allergy: mongoose.Schema.Types.ObjectId,
+      allergen: String,
+      description: String,
+      source: String,
+      blocking: Boolean
+    }],
+    // Set when the doctor prescribed despite blocking findings
+    override: {
+      justification: String,
+      overriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      overriddenAt: Date
+    }
+  },
+  // Care team conversation about the prescription
   notes: [{
-    content: String,
+    content: {
+      type: String,
+      required: [true, 'Note cannot be empty'],
+      trim: true,
+      maxlength: [2000, 'Note cannot be longer than 2000 characters']
+    },
+    // Private notes are only visible to the prescribing doctor and admins
+    isPrivate: {
+      type: Boolean,
+      default: false
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -100,7 +263,8 @@ const medicationSchema = new mongoose.Schema({
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    }
+    },
+    updatedAt: Date
   }]
 }, {
   timestamps: true,
@@ -112,6 +276,7 @@ const medicationSchema = new mongoose.Schema({
 medicationSchema.index({ patient: 1, status: 1 });
 medicationSchema.index({ doctor: 1, status: 1 });
 medicationSchema.index({ status: 1, startDate: 1 });
+medicationSchema.index({ doctor: 1, 'sideEffects.reportedAt': -1 });
 
 // Virtual for duration of medication
 medicationSchema.virtual('durationInDays').get(function() {
@@ -119,11 +284,61 @@ medicationSchema.virtual('durationInDays').get(function() {
   return Math.ceil((this.endDate - this.startDate) / (1000 * 60 * 60 * 24));
 });
 
-// Document middleware to validate specificTimes length matches timesPerDay
-medicationSchema.pre('save', function(next) {
-  if (this.frequency.specificTimes && this.frequency.specificTimes.length !== this.frequency.timesPerDay) {
-    this.frequency.specificTimes = [];
+// Check that the frequency has everything its schedule type needs
+medicationSchema.pre('validate', function(next) {
+  // Medications saved before these checks existed may not pass them (e.g. daily schedules
+  // whose times were cleared), so they are only checked when their schedule is set or changed
+  if (!this.isNew && !this.isModified('frequency')) return next();
+
+  const frequency = this.frequency;
+  const times = frequency.specificTimes || [];
+
+  // Defaults are not applied when a whole new frequency is assigned on update
+  if (!frequency.type) {
+    this.set('frequency.type', 'daily');
   }
+
+  switch (frequency.type) {
+    case 'daily':
+      if (!frequency.timesPerDay && times.length > 0) {
+        this.set('frequency.timesPerDay', times.length);
+      }
+      if (!frequency.timesPerDay) {
+        this.invalidate('frequency.timesPerDay', 'Please specify how many times per day');
+      } else if (times.length !== frequency.timesPerDay) {
+        this.invalidate('frequency.specificTimes', `Please provide ${frequency.timesPerDay} dose time(s), one per dose`);
+      }
+      break;
+    case 'interval':
+      if (!frequency.intervalHours) {
+        this.invalidate('frequency.intervalHours', 'Please specify the number of hours between doses');
+      }
+      break;
+    case 'taper':
+      if (!frequency.taperSteps || frequency.taperSteps.length === 0) {
+        this.invalidate('frequency.taperSteps', 'Please provide the taper steps');
+      } else if (times.length === 0 && frequency.taperSteps.some(step => step.specificTimes.length === 0)) {
+        this.invalidate('frequency.specificTimes', 'Please provide dose times for every taper step');
+      }
+      break;
+    case 'prn':
+      if (!frequency.maxPerDay) {
+        this.invalidate('frequency.maxPerDay', 'Please specify the maximum number of doses per day');
+      }
+      break;
+    default:
+      // weekly, alternate and cycle schedules take their doses at fixed times on the days they apply
+      if (times.length === 0) {
+        this.invalidate('frequency.specificTimes', 'Please provide the dose times');
+      }
+      if (frequency.type === 'weekly' && (!frequency.daysOfWeek || frequency.daysOfWeek.length === 0)) {
+        this.invalidate('frequency.daysOfWeek', 'Please specify the days of the week');
+      }
+      if (frequency.type === 'cycle' && !(frequency.cycle.daysOn >= 1 && frequency.cycle.daysOff >= 1)) {
+        this.invalidate('frequency.cycle', 'Please specify at least 1 day on and 1 day off');
+      }
+  }
+
   next();
 });
 
@@ -134,12 +349,23 @@ medicationSchema.pre(/^find/, function(next) {
     select: 'name specialization'
   }).populate({
     path: 'patient',
-    select: 'name email phone'
+    select: 'name email phone timezone'
   });
   
   next();
 });
 
+// Reminders and dose checks are rescheduled whenever these change (see reminderSync.service)
+emitModelEvents(medicationSchema, 'medication', [
+  'patient',
+  'status',
+  'frequency',
+  'startDate',
+  'endDate',
+  'isCritical',
+  'escalationGraceMinutes'
+]);
+
 const Medication = mongoose.model('Medication', medicationSchema);
 
 module.exports = Medication;
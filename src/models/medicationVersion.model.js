@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// One immutable entry of a prescription's history: the prescription as it stood from `effectiveFrom`
+const medicationVersionSchema = new mongoose.Schema({
+  // Not a populated ref: versions outlive the medication if it is deleted
+  medication: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Version must belong to a medication']
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Version must belong to a patient']
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  event: {
+    type: String,
+    enum: ['created', 'updated', 'deleted'],
+    required: true
+  },
+  // The prescription's fields after the change
+  snapshot: {
+    name: String,
+    dosage: {
+      value: Number,
+      unit: String,
+      form: String
+    },
+    frequency: mongoose.Schema.Types.Mixed,
+    instructions: String,
+    startDate: Date,
+    endDate: Date,
+    status: String,
+    isCritical: Boolean,
+    escalationGraceMinutes: Number
+  },
+  // Fields that differ from the previous version
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be longer than 500 characters']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+medicationVersionSchema.index({ medication: 1, version: 1 }, { unique: true });
+medicationVersionSchema.index({ patient: 1, effectiveFrom: 1 });
+
+// History is append-only
+const rejectChange = function(next) {
+  next(new Error('Medication versions cannot be changed or deleted'));
+};
+medicationVersionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+medicationVersionSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+medicationVersionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+// Populate who made the change when querying
+medicationVersionSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'changedBy',
+    select: 'name role'
+  });
+
+  next();
+});
+
+const MedicationVersion = mongoose.model('MedicationVersion', medicationVersionSchema);
+
+module.exports = MedicationVersion;
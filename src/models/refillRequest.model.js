@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const refillRequestSchema = new mongoose.Schema({
+  medication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication',
+    required: [true, 'Refill request must be for a medication']
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Refill request must belong to a patient']
+  },
+  // Prescribing doctor who decides on the request
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Refill request must have a doctor']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied', 'cancelled'],
+    default: 'pending'
+  },
+  // Where the request came from; "system" requests are raised by low-stock alerts
+  source: {
+    type: String,
+    enum: ['api', 'telegram', 'system'],
+    default: 'api'
+  },
+  // Units the patient asks for, if they said
+  quantity: {
+    type: Number,
+    min: [1, 'Requested quantity must be at least 1']
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot be longer than 500 characters']
+  },
+  // Refills added to the prescription on approval
+  refillsGranted: {
+    type: Number,
+    min: [1, 'At least one refill must be granted']
+  },
+  denialReason: String,
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for the doctor's queue and the patient's history
+refillRequestSchema.index({ doctor: 1, status: 1, createdAt: 1 });
+refillRequestSchema.index({ patient: 1, createdAt: -1 });
+refillRequestSchema.index({ medication: 1, status: 1 });
+
+// At most one pending request per medication, even when two are made at once
+refillRequestSchema.index(
+  { medication: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Populate medication and people when querying
+refillRequestSchema.pre(/^find/, function(next) {
+  this.populate({
+    path: 'medication',
+    select: 'name dosage refillInformation inventory status'
+  }).populate({
+    path: 'patient',
+    select: 'name email phone'
+  }).populate({
+    path: 'doctor',
+    select: 'name'
+  });
+
+  next();
+});
+
+const RefillRequest = mongoose.model('RefillRequest', refillRequestSchema);
+
+module.exports = RefillRequest;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const reminderJobSchema = new mongoose.Schema({
+  // Unique identity of the job, e.g. "medication-dose:<medicationId>:08:00"
+  key: {
+    type: String,
+    required: [true, 'Reminder job must have a key'],
+    unique: true
+  },
+  // Handler registered with the scheduler service
+  type: {
+    type: String,
+    required: [true, 'Reminder job must have a type']
+  },
+  medication: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Medication'
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // "HH:MM" slot for recurring dose reminders
+  timeSlot: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  nextRunAt: {
+    type: Date,
+    required: [true, 'Reminder job must have a next run time']
+  },
+  // Lease held by the instance currently running the job
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: Date,
+  lastError: String,
+  attempts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for claiming due jobs and cleaning up by owner
+reminderJobSchema.index({ nextRunAt: 1, lockedUntil: 1 });
+reminderJobSchema.index({ medication: 1, type: 1 });
+reminderJobSchema.index({ patient: 1, type: 1 });
+reminderJobSchema.index({ appointment: 1, type: 1 });
+
+const ReminderJob = mongoose.model('ReminderJob', reminderJobSchema);
+
+module.exports = ReminderJob;
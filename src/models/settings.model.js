@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Actions an admin can put behind a verified email address
+const VERIFIED_EMAIL_ACTIONS = [
+  'book-appointment',
+  'link-telegram',
+  'request-refill',
+  'report-side-effect',
+  'prescribe-medication'
+];
+
+// Application-wide settings managed by admins; there is a single document
+const settingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  emailVerification: {
+    // Actions users may only take once their email address is verified
+    requiredFor: {
+      type: [{
+        type: String,
+        enum: VERIFIED_EMAIL_ACTIONS
+      }],
+      default: []
+    }
+  },
+  twoFactor: {
+    // Roles that must use two-factor authentication
+    requiredRoles: {
+      type: [{
+        type: String,
+        enum: ['patient', 'doctor', 'admin']
+      }],
+      default: []
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+settingsSchema.statics.VERIFIED_EMAIL_ACTIONS = VERIFIED_EMAIL_ACTIONS;
+
+const Settings = mongoose.model('Settings', settingsSchema);
+
+module.exports = Settings;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One claim per doctor per time granule; the unique index makes booking race-free
+const slotClaimSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Slot claim must belong to a doctor']
+  },
+  // Start of the claimed granule
+  slot: {
+    type: Date,
+    required: [true, 'Slot claim must have a slot time']
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Slot claim must belong to an appointment']
+  }
+}, {
+  timestamps: true
+});
+
+slotClaimSchema.index({ doctor: 1, slot: 1 }, { unique: true });
+slotClaimSchema.index({ appointment: 1 });
+
+const SlotClaim = mongoose.model('SlotClaim', slotClaimSchema);
+
+module.exports = SlotClaim;
@@ -1,6 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/timezone');
+const { emitModelEvents } = require('../utils/modelEvents');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -47,10 +50,179 @@ const userSchema = new mongoose.Schema({
       return this.role === 'doctor';
     }
   },
+  // Doctors who sign up themselves apply with their license and are reviewed by an admin.
+  // Doctors without a status are treated as pending; scripts/backfillDoctorApprovals.js sets one.
+  doctorApproval: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    licenseNumber: {
+      type: String,
+      trim: true
+    },
+    // Board or authority that issued the license
+    licenseIssuer: {
+      type: String,
+      trim: true
+    },
+    submittedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    rejectionReason: {
+      type: String,
+      maxlength: [500, 'Reason cannot be longer than 500 characters']
+    }
+  },
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA time zone!`
+    }
+  },
+  // Time zone the doctor's practice (working hours and slots) runs in; falls back to timezone
+  practiceTimezone: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return v == null || isValidTimeZone(v);
+      },
+      message: props => `${props.value} is not a valid IANA time zone!`
+    }
+  },
+  // Patient's clinical record, kept up to date by their doctors
+  clinicalProfile: {
+    allergies: [{
+      substance: {
+        type: String,
+        required: [true, 'Please provide the allergen'],
+        trim: true
+      },
+      // Drug class the allergy covers, e.g. "penicillin" or "nsaid"
+      drugClass: {
+        type: String,
+        trim: true,
+        lowercase: true
+      },
+      reaction: String,
+      severity: {
+        type: String,
+        enum: ['mild', 'moderate', 'severe', 'life-threatening'],
+        default: 'moderate'
+      },
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      recordedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    conditions: [{
+      name: {
+        type: String,
+        required: [true, 'Please provide the condition'],
+        trim: true
+      },
+      status: {
+        type: String,
+        enum: ['active', 'resolved'],
+        default: 'active'
+      },
+      diagnosedAt: Date,
+      notes: String,
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      recordedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    weight: {
+      value: {
+        type: Number,
+        min: [0, 'Weight cannot be negative']
+      },
+      unit: {
+        type: String,
+        enum: ['kg', 'lb']
+      },
+      measuredAt: Date,
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }
+  },
   isVerified: {
     type: Boolean,
     default: false
   },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  // Second sign-in factor: codes from an authenticator app (totp) or sent to the linked Telegram account
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    method: {
+      type: String,
+      enum: ['totp', 'telegram']
+    },
+    enabledAt: Date,
+    // Base32 TOTP secret, and the one awaiting confirmation during enrollment
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    pendingMethod: {
+      type: String,
+      enum: ['totp', 'telegram'],
+      select: false
+    },
+    // Last TOTP time step accepted, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // Hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Hash of the last code sent via Telegram, and when it stops working
+    telegramCodeHash: {
+      type: String,
+      select: false
+    },
+    telegramCodeExpires: {
+      type: Date,
+      select: false
+    }
+  },
   passwordChangedAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
@@ -112,6 +284,30 @@ userSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+// Is this a doctor cleared to see patients (not an application awaiting or refused approval)?
+userSchema.methods.isApprovedDoctor = function() {
+  if (this.role !== 'doctor') return false;
+  return !!this.doctorApproval && this.doctorApproval.status === 'approved';
+};
+
+// Create an email verification token; like reset tokens, only its hash is stored
+userSchema.methods.createEmailVerificationToken = function(expiresInHours) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  this.emailVerificationExpires = Date.now() + expiresInHours * 60 * 60 * 1000;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
+// Telegram reminders follow the account's link, time zone and status (see reminderSync.service)
+emitModelEvents(userSchema, 'user', ['telegramId', 'timezone', 'active']);
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -24,12 +24,29 @@ router
   .patch(adminController.updateUser)
   .delete(adminController.deleteUser);
 
+router.delete('/users/:id/two-factor', adminController.resetTwoFactor);
+
 // Appointment management routes
 router.get('/appointments', adminController.getAllAppointments);
 
 // Medication management routes
 router.get('/medications', adminController.getAllMedications);
 
+// Doctor applications
+router.get('/doctor-applications', adminController.getDoctorApplications);
+router.patch('/doctor-applications/:id/approve', adminController.approveDoctorApplication);
+router.patch('/doctor-applications/:id/reject', adminController.rejectDoctorApplication);
+
+// Sign-in lockouts
+router.get('/login-lockouts', adminController.getLoginLockouts);
+router.delete('/login-lockouts/:id', adminController.removeLoginLockout);
+
+// Application settings
+router
+  .route('/settings')
+  .get(adminController.getSettings)
+  .patch(adminController.updateSettings);
+
 // System logs
 router.get('/logs', adminController.getLogs);
 
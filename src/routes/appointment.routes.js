@@ -1,7 +1,7 @@
 const express = require('express');
 const appointmentController = require('../controllers/appointment.controller');
 const authController = require('../controllers/auth.controller');
-const { protect, restrictTo } = require('../middleware/auth.middleware');
+const { protect, restrictTo, requireVerifiedEmail } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -12,7 +12,11 @@ router.use(protect);
 router
   .route('/')
   .get(restrictTo('doctor', 'admin'), appointmentController.getAllAppointments)
-  .post(restrictTo('doctor'), appointmentController.createAppointment);
+  .post(
+    restrictTo('doctor'),
+    requireVerifiedEmail('book-appointment'),
+    appointmentController.createAppointment
+  );
 
 // Patient routes
 router.get('/my-appointments', 
@@ -20,6 +24,14 @@ router.get('/my-appointments',
   appointmentController.getMyAppointments
 );
 
+// Patient self-service booking
+router.post(
+  '/book',
+  restrictTo('patient'),
+  requireVerifiedEmail('book-appointment'),
+  appointmentController.bookAppointment
+);
+
 // Available time slots (public but protected)
 router.get(
   '/available-slots',
@@ -27,6 +39,23 @@ router.get(
   appointmentController.getAvailableSlots
 );
 
+// Recurring series
+router.get('/series/:seriesId', appointmentController.getSeries);
+
+// Cancellation, rescheduling and approval
+router.patch('/:id/cancel', appointmentController.cancelAppointment);
+router.patch('/:id/reschedule', appointmentController.rescheduleAppointment);
+router.patch(
+  '/:id/approve',
+  restrictTo('doctor', 'admin'),
+  appointmentController.approveAppointment
+);
+router.patch(
+  '/:id/decline',
+  restrictTo('doctor', 'admin'),
+  appointmentController.declineAppointment
+);
+
 // Single appointment routes
 router
   .route('/:id')
@@ -1,14 +1,18 @@
 const express = require('express');
 const authController = require('../controllers/auth.controller');
-const { protect, restrictTo } = require('../middleware/auth.middleware');
+const { protect, restrictTo, requireVerifiedEmail } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
 // Public routes
 router.post('/register', authController.register);
+router.post('/register/doctor', authController.registerDoctor);
 router.post('/login', authController.login);
+router.post('/login/2fa', authController.verifyLoginChallenge);
+router.post('/refresh', authController.refresh);
 router.post('/forgot-password', authController.forgotPassword);
 router.patch('/reset-password/:token', authController.resetPassword);
+router.get('/verify-email/:token', authController.verifyEmail);
 
 // Protected routes - require authentication
 router.use(protect);
@@ -22,9 +26,34 @@ router.get('/me', (req, res) => {
   });
 });
 
+router.patch('/update-me', authController.updateMe);
 router.patch('/update-password', authController.updatePassword);
+router.post('/resend-verification', authController.resendVerificationEmail);
+router.patch(
+  '/doctor-application',
+  restrictTo('doctor'),
+  authController.updateDoctorApplication
+);
+
+// Two-factor authentication
+router.get('/2fa', authController.getTwoFactorStatus);
+router.post('/2fa/setup', authController.setupTwoFactor);
+router.post('/2fa/enable', authController.enableTwoFactor);
+router.post('/2fa/send-code', authController.sendTwoFactorCode);
+router.post('/2fa/recovery-codes', authController.regenerateRecoveryCodes);
+router.post('/2fa/disable', authController.disableTwoFactor);
+
 router.post('/logout', authController.logout);
-router.post('/verify-telegram', authController.verifyTelegramId);
+router
+  .route('/sessions')
+  .get(authController.getSessions)
+  .delete(authController.revokeAllSessions);
+router.delete('/sessions/:id', authController.revokeSession);
+router.post(
+  '/verify-telegram',
+  requireVerifiedEmail('link-telegram'),
+  authController.verifyTelegramId
+);
 
 // Admin only routes
 router.use(restrictTo('admin'));
@@ -0,0 +1,30 @@
+const express = require('express');
+const availabilityController = require('../controllers/availability.controller');
+const { protect, restrictTo } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+
+router
+  .route('/:doctorId')
+  .get(availabilityController.getAvailability)
+  .put(
+    restrictTo('doctor', 'admin'),
+    availabilityController.updateAvailability
+  );
+
+// Date-specific exceptions
+router.post(
+  '/:doctorId/exceptions',
+  restrictTo('doctor', 'admin'),
+  availabilityController.addException
+);
+router.delete(
+  '/:doctorId/exceptions/:exceptionId',
+  restrictTo('doctor', 'admin'),
+  availabilityController.removeException
+);
+
+module.exports = router;
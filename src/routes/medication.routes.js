@@ -1,6 +1,6 @@
 const express = require('express');
 const medicationController = require('../controllers/medication.controller');
-const { protect, restrictTo } = require('../middleware/auth.middleware');
+const { protect, restrictTo, requireVerifiedEmail } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
@@ -11,7 +11,11 @@ router.use(protect);
 router
   .route('/')
   .get(medicationController.getAllMedications)
-  .post(restrictTo('doctor'), medicationController.createMedication);
+  .post(
+    restrictTo('doctor'),
+    requireVerifiedEmail('prescribe-medication'),
+    medicationController.createMedication
+  );
 
 // Patient routes for viewing their own medications
 router.get(
@@ -20,12 +24,82 @@ router.get(
   medicationController.getMyMedications
 );
 
+// Interaction and duplicate-therapy check before prescribing
+router.post(
+  '/interaction-check',
+  restrictTo('doctor', 'admin'),
+  medicationController.checkMedicationInteractions
+);
+
+// Missed critical dose escalations
+router.get(
+  '/escalations',
+  restrictTo('doctor', 'admin'),
+  medicationController.getEscalations
+);
+
+// Side-effect reports across patients, per drug
+router.get(
+  '/side-effects',
+  restrictTo('doctor', 'admin'),
+  medicationController.getSideEffectReports
+);
+
 // Medication statistics
 router.get(
   '/stats/:patientId?',
   medicationController.getMedicationStats
 );
 
+// Prescription version history
+router.get('/:id/history', medicationController.getMedicationHistory);
+
+// Dose intake tracking
+router.get('/:id/doses', medicationController.getMedicationDoses);
+router.post(
+  '/:id/doses/taken',
+  restrictTo('patient'),
+  medicationController.markDoseTaken
+);
+router.post(
+  '/:id/doses/skipped',
+  restrictTo('patient'),
+  medicationController.markDoseSkipped
+);
+
+// Side-effect reporting
+router
+  .route('/:id/side-effects')
+  .get(medicationController.getMedicationSideEffects)
+  .post(
+    restrictTo('patient'),
+    requireVerifiedEmail('report-side-effect'),
+    medicationController.reportMedicationSideEffect
+  );
+
+// Care team notes
+router
+  .route('/:id/notes')
+  .get(medicationController.getMedicationNotes)
+  .post(medicationController.addMedicationNote);
+router
+  .route('/:id/notes/:noteId')
+  .patch(medicationController.updateMedicationNote)
+  .delete(medicationController.deleteMedicationNote);
+
+// Stock tracking and refills
+router
+  .route('/:id/inventory')
+  .get(medicationController.getInventory)
+  .patch(medicationController.updateInventory);
+
+// Stop a medication early, with a reason
+router.patch(
+  '/:id/discontinue',
+  restrictTo('doctor', 'admin'),
+  medicationController.discontinueMedication
+);
+
 // Single medication routes
 router
   .route('/:id')
@@ -0,0 +1,39 @@
+const express = require('express');
+const patientController = require('../controllers/patient.controller');
+const { protect, restrictTo } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+
+// Clinical profile: readable by the patient, editable by their doctors
+router
+  .route('/:id/clinical-profile')
+  .get(patientController.getClinicalProfile)
+  .patch(restrictTo('doctor', 'admin'), patientController.updateClinicalProfile);
+
+// Prescriptions in force now or on a past date
+router.get('/:id/regimen', patientController.getRegimen);
+
+router.post(
+  '/:id/allergies',
+  restrictTo('doctor', 'admin'),
+  patientController.addAllergy
+);
+router
+  .route('/:id/allergies/:allergyId')
+  .patch(restrictTo('doctor', 'admin'), patientController.updateAllergy)
+  .delete(restrictTo('doctor', 'admin'), patientController.deleteAllergy);
+
+router.post(
+  '/:id/conditions',
+  restrictTo('doctor', 'admin'),
+  patientController.addCondition
+);
+router
+  .route('/:id/conditions/:conditionId')
+  .patch(restrictTo('doctor', 'admin'), patientController.updateCondition)
+  .delete(restrictTo('doctor', 'admin'), patientController.deleteCondition);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const refillRequestController = require('../controllers/refillRequest.controller');
+const { protect, restrictTo, requireVerifiedEmail } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(protect);
+
+router
+  .route('/')
+  .get(refillRequestController.getRequests)
+  .post(
+    restrictTo('patient'),
+    requireVerifiedEmail('request-refill'),
+    refillRequestController.createRequest
+  );
+
+router.get('/:id', refillRequestController.getRequest);
+
+// Doctor decisions
+router.patch(
+  '/:id/approve',
+  restrictTo('doctor', 'admin'),
+  refillRequestController.approveRequest
+);
+router.patch(
+  '/:id/deny',
+  restrictTo('doctor', 'admin'),
+  refillRequestController.denyRequest
+);
+
+// Patient withdraws a pending request
+router.patch(
+  '/:id/cancel',
+  restrictTo('patient'),
+  refillRequestController.cancelRequest
+);
+
+module.exports = router;
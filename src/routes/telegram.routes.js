@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const telegramService = require('../services/telegram.service');
 const authController = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth.middleware');
+const { protect, requireVerifiedEmail } = require('../middleware/auth.middleware');
+const AppError = require('../utils/appError');
 
 // Webhook endpoint for Telegram updates (POST only)
 router.post('/webhook/:token', (req, res) => {
@@ -13,6 +14,7 @@ router.post('/webhook/:token', (req, res) => {
 router.post(
   '/generate-verification-code',
   protect,
+  requireVerifiedEmail('link-telegram'),
   async (req, res, next) => {
     try {
       // Generate a random 6-digit code
@@ -44,12 +46,14 @@ router.post(
   protect,
   async (req, res, next) => {
     try {
-      // Cancel any active reminders for this user
-      if (req.user.telegramId) {
-        telegramService.cancelUserReminders(req.user._id);
+      // Telegram cannot be unlinked while it is the user's second factor
+      if (req.user.twoFactor.enabled && req.user.twoFactor.method === 'telegram') {
+        return next(
+          new AppError('Telegram is your second sign-in factor. Switch two-factor authentication to an authenticator app before unlinking it.', 400)
+        );
       }
-      
-      // Clear Telegram ID and verification data
+
+      // Clear Telegram ID and verification data; reminders stop with it (see reminderSync.service)
       req.user.telegramId = undefined;
       req.user.telegramVerificationCode = undefined;
       req.user.telegramVerificationExpires = undefined;
@@ -0,0 +1,146 @@
+const Appointment = require('../models/appointment.model');
+const User = require('../models/user.model');
+const logger = require('../config/logger');
+const Email = require('../utils/email');
+const { scheduleJob, cancelJobs, registerJobType } = require('./scheduler.service');
+const { sendTelegramMessage, escapeMarkdown } = require('./telegram.service');
+const { getDoctorAvailability, getCancellationCutoffHours } = require('./availability.service');
+const { formatDateTime, getUserTimeZone, getPracticeTimeZone } = require('../utils/timezone');
+
+// Minutes before the visit at which patients are reminded, e.g. "1440,60" for 24h and 1h
+const LEAD_MINUTES = (process.env.APPOINTMENT_REMINDER_LEAD_MINUTES || '1440,60')
+  .split(',')
+  .map(value => parseInt(value, 10))
+  .filter(value => value > 0)
+  .sort((a, b) => b - a);
+
+// Only appointments in these states are reminded
+const REMINDED_STATUSES = ['scheduled', 'confirmed'];
+
+const reminderJobKey = (appointmentId, leadMinutes) => `appointment-reminder:${appointmentId}:${leadMinutes}`;
+
+const getStartAt = (appointment) =>
+  appointment.startAt || appointment.getStartAt(getPracticeTimeZone(appointment.doctor));
+
+// "24 hours", "1 hour", "30 minutes"
+const describeLead = (minutes) => {
+  if (minutes % 60 !== 0) return `${minutes} minutes`;
+  const hours = minutes / 60;
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+// Buttons under a Telegram appointment reminder; Cancel is only offered before the cutoff
+const appointmentReminderKeyboard = (appointment, canCancel) => {
+  const buttons = [];
+  if (appointment.status !== 'confirmed') {
+    buttons.push({ text: '✅ Confirm', callback_data: `appt:confirm:${appointment._id}` });
+  }
+  if (canCancel) {
+    buttons.push({ text: '❌ Cancel', callback_data: `appt:cancel:${appointment._id}` });
+  }
+  return buttons.length > 0 ? { inline_keyboard: [buttons] } : undefined;
+};
+
+// Cancel the pending reminders of an appointment
+const cancelAppointmentReminders = (appointmentId) => {
+  return cancelJobs({ appointment: appointmentId, type: 'appointment-reminder' });
+};
+
+// (Re)create reminder jobs for an appointment; appointments that are not going ahead lose theirs
+const scheduleAppointmentReminders = async (appointment) => {
+  await cancelAppointmentReminders(appointment._id);
+
+  if (!REMINDED_STATUSES.includes(appointment.status)) return;
+
+  const startAt = getStartAt(appointment);
+  const now = Date.now();
+
+  for (const leadMinutes of LEAD_MINUTES) {
+    const nextRunAt = new Date(startAt.getTime() - leadMinutes * 60 * 1000);
+    if (nextRunAt.getTime() <= now) continue;
+
+    await scheduleJob({
+      key: reminderJobKey(appointment._id, leadMinutes),
+      type: 'appointment-reminder',
+      appointment: appointment._id,
+      payload: { leadMinutes },
+      nextRunAt
+    });
+  }
+};
+
+// Recreate reminder jobs for every upcoming appointment (run on boot)
+const syncAllAppointmentReminders = async () => {
+  const appointments = await Appointment.find({
+    status: { $in: REMINDED_STATUSES },
+    date: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+  });
+
+  for (const appointment of appointments) {
+    await scheduleAppointmentReminders(appointment);
+  }
+
+  logger.info(`Synchronised reminders for ${appointments.length} upcoming appointments`);
+};
+
+// Remind the patient by email and, if linked, Telegram
+const sendAppointmentReminder = async (appointment, leadMinutes) => {
+  const patient = await User.findById(appointment.patient._id);
+  if (!patient) return;
+
+  const startAt = getStartAt(appointment);
+  const when = formatDateTime(startAt, getUserTimeZone(patient));
+
+  try {
+    await Email.sendAppointmentReminder(patient.email, {
+      doctorName: appointment.doctor.name,
+      when,
+      reason: appointment.reason,
+      meetingLink: appointment.isVirtual ? appointment.meetingLink : undefined,
+      url: process.env.APP_URL && `${process.env.APP_URL}/my-appointments`
+    });
+  } catch (err) {
+    logger.error(`Error sending appointment reminder email: ${err.message}`);
+  }
+
+  if (patient.telegramId) {
+    const availability = await getDoctorAvailability(appointment.doctor._id);
+    const canCancel = startAt.getTime() - Date.now() >= getCancellationCutoffHours(availability) * 60 * 60 * 1000;
+
+    const message = `📅 *Appointment in ${describeLead(leadMinutes)}*\n\n` +
+      `Dr. ${appointment.doctor.name} - ${when}\n` +
+      `Reason: ${escapeMarkdown(appointment.reason)}` +
+      (appointment.isVirtual && appointment.meetingLink ? `\n[Join Meeting](${appointment.meetingLink})` : '');
+
+    const sent = await sendTelegramMessage(patient.telegramId, message, {
+      disable_web_page_preview: true,
+      reply_markup: appointmentReminderKeyboard(appointment, canCancel)
+    });
+    if (!sent) {
+      logger.warn(`Telegram bot is not running; appointment reminder for ${appointment._id} was only emailed`);
+    }
+  }
+
+  logger.info(`Sent ${describeLead(leadMinutes)} reminder for appointment ${appointment._id}`);
+};
+
+// One reminder ahead of a visit
+registerJobType('appointment-reminder', {
+  run: async (job) => {
+    const appointment = await Appointment.findById(job.appointment);
+
+    // Skip appointments that were cancelled, moved into the past or already took place
+    if (!appointment || !REMINDED_STATUSES.includes(appointment.status) || getStartAt(appointment) <= new Date()) {
+      return;
+    }
+
+    await sendAppointmentReminder(appointment, job.payload.leadMinutes);
+  }
+});
+
+module.exports = {
+  LEAD_MINUTES,
+  scheduleAppointmentReminders,
+  cancelAppointmentReminders,
+  syncAllAppointmentReminders
+};
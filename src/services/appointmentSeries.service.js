@@ -0,0 +1,206 @@
+const Appointment = require('../models/appointment.model');
+const AppointmentSeries = require('../models/appointmentSeries.model');
+const AppError = require('../utils/appError');
+const { checkTimeSlotAvailability, createWithClaim } = require('./slotReservation.service');
+const { addDays, addMonths } = require('../utils/timezone');
+
+// Upper bound on the visits one series may generate
+const MAX_SERIES_OCCURRENCES = parseInt(process.env.APPOINTMENT_SERIES_MAX_OCCURRENCES, 10) || 52;
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+// Occurrences that can still be changed as part of a series
+const ACTIVE_STATUSES = ['pending', 'scheduled', 'confirmed'];
+
+const SCOPES = ['this', 'following', 'series'];
+
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Human readable rule, e.g. "every 2 weeks"
+const describeRecurrence = ({ frequency }) => ({
+  weekly: 'every week',
+  biweekly: 'every 2 weeks',
+  monthly: 'every month'
+}[frequency]);
+
+// Validate a recurrence rule from a request body
+const parseRecurrence = (recurrence) => {
+  const { frequency, count } = recurrence || {};
+  const until = recurrence && recurrence.until ? String(recurrence.until).slice(0, 10) : undefined;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new AppError(`Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}`, 400);
+  }
+  if (count === undefined && !until) {
+    throw new AppError('Please provide a recurrence count or until date', 400);
+  }
+  if (count !== undefined && (!Number.isInteger(Number(count)) || Number(count) < 1)) {
+    throw new AppError('Recurrence count must be a positive whole number', 400);
+  }
+  if (Number(count) > MAX_SERIES_OCCURRENCES) {
+    throw new AppError(`A series can have at most ${MAX_SERIES_OCCURRENCES} appointments`, 400);
+  }
+  if (until && (!/^\d{4}-\d{2}-\d{2}$/.test(until) || Number.isNaN(new Date(until).getTime()))) {
+    throw new AppError('Recurrence until must be a valid YYYY-MM-DD date', 400);
+  }
+
+  return {
+    frequency,
+    ...(count !== undefined && { count: Number(count) }),
+    ...(until && { until })
+  };
+};
+
+// "YYYY-MM-DD" dates of every visit of a rule, starting with startDate
+const getOccurrenceDates = (startDate, { frequency, count, until }) => {
+  const dates = [];
+  const limit = Math.min(count || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+
+  for (let i = 0; dates.length < limit; i++) {
+    const date = frequency === 'monthly'
+      ? addMonths(startDate, i)
+      : addDays(startDate, i * (frequency === 'biweekly' ? 14 : 7));
+
+    if (until && date > until) break;
+    dates.push(date);
+  }
+  return dates;
+};
+
+// Turn a booking error for one visit into a conflict entry, rethrowing unexpected errors
+const toConflict = (date, err) => {
+  if (!err.isOperational || ![400, 409].includes(err.statusCode)) throw err;
+
+  return {
+    date,
+    reason: err.message,
+    ...(err.data && err.data.conflict && { appointment: err.data.conflict.appointment })
+  };
+};
+
+// Generate a series and book every visit that is free; visits that clash are reported, not booked
+const createSeries = async ({
+  doctor,
+  patient,
+  startDate,
+  startTime,
+  endTime,
+  recurrence,
+  reason,
+  notes,
+  isVirtual,
+  status,
+  bookedBy,
+  createdBy
+}) => {
+  const series = new AppointmentSeries({
+    doctor: getId(doctor),
+    patient: getId(patient),
+    recurrence,
+    startDate,
+    startTime,
+    endTime,
+    reason,
+    notes,
+    isVirtual,
+    createdBy
+  });
+  await series.validate();
+
+  const appointments = [];
+  const conflicts = [];
+
+  for (const date of getOccurrenceDates(startDate, recurrence)) {
+    try {
+      const { startAt, endAt } = await checkTimeSlotAvailability(doctor, date, startTime, endTime);
+      appointments.push(await createWithClaim({
+        doctor: getId(doctor),
+        patient: getId(patient),
+        series: series._id,
+        date,
+        startTime,
+        endTime,
+        startAt,
+        endAt,
+        reason,
+        notes,
+        isVirtual,
+        status,
+        bookedBy
+      }));
+    } catch (err) {
+      conflicts.push(toConflict(date, err));
+    }
+  }
+
+  if (appointments.length === 0) {
+    throw new AppError('None of the appointments in the series could be booked', 409, { conflicts });
+  }
+
+  series.conflicts = conflicts;
+  await series.save();
+
+  return { series, appointments, conflicts };
+};
+
+// Appointments affected by a change to `appointment` with the given scope
+const getScopedAppointments = async (appointment, scope = 'this') => {
+  if (!SCOPES.includes(scope)) {
+    throw new AppError(`Scope must be one of: ${SCOPES.join(', ')}`, 400);
+  }
+  if (scope === 'this' || !appointment.series) {
+    return [appointment];
+  }
+
+  // Visits that already took place are left alone
+  const filter = {
+    series: getId(appointment.series),
+    status: { $in: ACTIVE_STATUSES },
+    startAt: { $gt: new Date() }
+  };
+  if (scope === 'following') {
+    filter.date = { $gte: appointment.date };
+  }
+
+  const appointments = await Appointment.find(filter).sort({ date: 1 });
+
+  // The chosen visit is always included, even if it is no longer pending or scheduled
+  if (!appointments.some(a => a._id.equals(appointment._id))) {
+    appointments.unshift(appointment);
+  }
+  return appointments;
+};
+
+// Record a series-wide change on the series itself
+const updateSeriesRule = async (appointment, scope, { startTime, endTime, status }) => {
+  if (scope === 'this' || !appointment.series) return;
+
+  const series = await AppointmentSeries.findById(getId(appointment.series));
+  if (!series) return;
+
+  if (status === 'cancelled') {
+    if (scope === 'series') {
+      series.status = 'cancelled';
+    } else {
+      // "This and following" ends the series the day before this visit
+      series.recurrence.until = addDays(appointment.date.toISOString().slice(0, 10), -1);
+      if (series.recurrence.until < series.startDate) series.status = 'cancelled';
+    }
+  }
+  if (startTime) series.startTime = startTime;
+  if (endTime) series.endTime = endTime;
+
+  await series.save({ validateBeforeSave: false });
+};
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  SCOPES,
+  describeRecurrence,
+  parseRecurrence,
+  getOccurrenceDates,
+  toConflict,
+  createSeries,
+  getScopedAppointments,
+  updateSeriesRule
+};
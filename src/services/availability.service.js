@@ -0,0 +1,110 @@
+const Availability = require('../models/availability.model');
+const { getWeekday } = require('../utils/timezone');
+
+// Hours before an appointment after which patients can no longer cancel or reschedule it
+const DEFAULT_CANCELLATION_CUTOFF_HOURS =
+  parseInt(process.env.APPOINTMENT_CANCELLATION_CUTOFF_HOURS, 10) || 24;
+
+// Convert between "HH:MM" and minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Sort and merge overlapping or touching [start, end] minute ranges
+const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+};
+
+// Remove `removed` minute ranges from `ranges`
+const subtractRanges = (ranges, removed) => {
+  let result = ranges;
+
+  for (const [cutStart, cutEnd] of removed) {
+    result = result.flatMap(([start, end]) => {
+      if (cutEnd <= start || cutStart >= end) return [[start, end]];
+
+      const pieces = [];
+      if (cutStart > start) pieces.push([start, cutStart]);
+      if (cutEnd < end) pieces.push([cutEnd, end]);
+      return pieces;
+    });
+  }
+  return result;
+};
+
+const blocksToRanges = (blocks = []) => blocks.map(b => [toMinutes(b.start), toMinutes(b.end)]);
+
+// Get a doctor's availability document, or an unsaved default one
+const getDoctorAvailability = async (doctorId) => {
+  const availability = await Availability.findOne({ doctor: doctorId });
+  if (availability) return availability;
+
+  return new Availability({
+    doctor: doctorId,
+    weeklySchedule: Availability.DEFAULT_WEEKLY_SCHEDULE
+  });
+};
+
+// Working blocks of a doctor on a "YYYY-MM-DD" date (wall-clock times in the practice time zone)
+const getWorkingBlocks = (availability, dateKey) => {
+  const weekday = getWeekday(dateKey);
+  const day = availability.weeklySchedule.find(d => d.dayOfWeek === weekday);
+  let ranges = mergeRanges(blocksToRanges(day ? day.blocks : []));
+
+  const exceptions = availability.exceptions.filter(e =>
+    e.startDate <= dateKey && (e.endDate || e.startDate) >= dateKey
+  );
+
+  // Time off first, then extra clinics on top
+  for (const exception of exceptions.filter(e => e.type === 'unavailable')) {
+    ranges = exception.blocks.length === 0
+      ? []
+      : subtractRanges(ranges, blocksToRanges(exception.blocks));
+  }
+  for (const exception of exceptions.filter(e => e.type === 'available')) {
+    ranges = mergeRanges([...ranges, ...blocksToRanges(exception.blocks)]);
+  }
+
+  return ranges.map(([start, end]) => ({ start: toTime(start), end: toTime(end) }));
+};
+
+// Check that an "HH:MM" start/end range falls entirely inside one working block
+const isWithinWorkingHours = (availability, dateKey, startTime, endTime) => {
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+
+  return getWorkingBlocks(availability, dateKey).some(block =>
+    start >= toMinutes(block.start) && end <= toMinutes(block.end)
+  );
+};
+
+// The doctor's own cancellation cutoff, or the default
+const getCancellationCutoffHours = (availability) =>
+  (availability.cancellationCutoffHours !== undefined && availability.cancellationCutoffHours !== null
+    ? availability.cancellationCutoffHours
+    : DEFAULT_CANCELLATION_CUTOFF_HOURS);
+
+module.exports = {
+  DEFAULT_CANCELLATION_CUTOFF_HOURS,
+  toMinutes,
+  toTime,
+  getDoctorAvailability,
+  getWorkingBlocks,
+  isWithinWorkingHours,
+  getCancellationCutoffHours
+};
@@ -0,0 +1,114 @@
+const User = require('../models/user.model');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const Email = require('../utils/email');
+
+// Check an application's details; resolves to the doctorApproval of a new, pending application
+const buildApplication = ({ licenseNumber, licenseIssuer, specialization }) => {
+  if (!licenseNumber || !String(licenseNumber).trim() || !specialization || !String(specialization).trim()) {
+    throw new AppError('Please provide your license number and specialization', 400);
+  }
+
+  return {
+    status: 'pending',
+    licenseNumber,
+    ...(licenseIssuer && { licenseIssuer }),
+    submittedAt: new Date()
+  };
+};
+
+// Tell every admin there is an application to review
+const notifyAdmins = async (applicant) => {
+  const admins = await User.find({ role: 'admin' });
+
+  await Promise.all(admins.map(admin =>
+    Email.sendDoctorApplicationAlert(admin.email, {
+      applicantName: applicant.name,
+      specialization: applicant.specialization,
+      licenseNumber: applicant.doctorApproval.licenseNumber,
+      licenseIssuer: applicant.doctorApproval.licenseIssuer,
+      url: process.env.APP_URL && `${process.env.APP_URL}/admin/doctor-applications`
+    })
+  ));
+};
+
+// Let admins know about a new application, without failing the request that made it
+const announceApplication = async (applicant) => {
+  logger.info(`Doctor application submitted by user ${applicant._id}`);
+  try {
+    await notifyAdmins(applicant);
+  } catch (err) {
+    logger.error(`Error notifying admins of doctor application ${applicant._id}: ${err.message}`);
+  }
+};
+
+// Apply again with corrected details after a rejection (or update a pending application)
+const resubmitApplication = async (user, details) => {
+  if (user.isApprovedDoctor()) {
+    throw new AppError('Your doctor account is already approved', 400);
+  }
+  if (user.role !== 'doctor') {
+    throw new AppError('Only doctor applicants can submit an application', 403);
+  }
+
+  const specialization = details.specialization || user.specialization;
+  user.doctorApproval = buildApplication({ ...details, specialization });
+  user.specialization = specialization;
+  await user.save({ validateBeforeSave: false });
+
+  await announceApplication(user);
+  return user;
+};
+
+// Approve or reject a pending application; only the first decision counts
+const decideApplication = async (applicantId, { approved, reason, reviewedBy }) => {
+  if (!approved && (!reason || !String(reason).trim())) {
+    throw new AppError('Please provide a reason for rejecting the application', 400);
+  }
+
+  const applicant = await User.findOneAndUpdate(
+    { _id: applicantId, role: 'doctor', 'doctorApproval.status': 'pending' },
+    {
+      $set: {
+        'doctorApproval.status': approved ? 'approved' : 'rejected',
+        'doctorApproval.reviewedBy': reviewedBy,
+        'doctorApproval.reviewedAt': new Date(),
+        ...(!approved && { 'doctorApproval.rejectionReason': String(reason).trim() })
+      },
+      ...(approved && { $unset: { 'doctorApproval.rejectionReason': 1 } })
+    },
+    { new: true }
+  );
+  if (!applicant) {
+    throw new AppError('No pending doctor application found with that ID', 404);
+  }
+
+  logger.info(`Doctor application of user ${applicant._id} ${approved ? 'approved' : 'rejected'} by ${reviewedBy}`);
+
+  await Email.sendDoctorApplicationDecision(applicant.email, {
+    name: applicant.name,
+    approved,
+    reason: applicant.doctorApproval.rejectionReason
+  });
+
+  return applicant;
+};
+
+// Applications with a given status, oldest first
+const listApplications = async (status = 'pending') => {
+  if (!['pending', 'approved', 'rejected'].includes(status)) {
+    throw new AppError('status must be pending, approved or rejected', 400);
+  }
+
+  return User.find({ role: 'doctor', 'doctorApproval.status': status })
+    .populate('doctorApproval.reviewedBy', 'name')
+    .sort({ 'doctorApproval.submittedAt': 1 });
+};
+
+module.exports = {
+  buildApplication,
+  announceApplication,
+  resubmitApplication,
+  decideApplication,
+  listApplications
+};
@@ -0,0 +1,277 @@
+const DoseEvent = require('../models/doseEvent.model');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const {
+  getScheduledDoseTimes,
+  findScheduledDoseTime,
+  getClosestDoseTime,
+  getMedicationTimeZone,
+  isAsNeeded
+} = require('../utils/doseSchedule');
+const { zonedTimeToUtc, toDateKey, addDays } = require('../utils/timezone');
+
+// Doses taken later than this after their scheduled time are recorded as late
+const LATE_THRESHOLD_MINUTES = parseInt(process.env.DOSE_LATE_THRESHOLD_MINUTES, 10) || 60;
+
+// Unconfirmed doses older than this are counted as missed
+const MISSED_AFTER_MINUTES = parseInt(process.env.DOSE_MISSED_AFTER_MINUTES, 10) || 240;
+
+// Doses that count as taken
+const CONFIRMED_STATUSES = ['taken', 'late'];
+
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Work out which scheduled dose a request refers to
+const resolveScheduledFor = (medication, scheduledFor) => {
+  if (!scheduledFor) {
+    const closest = getClosestDoseTime(medication, new Date());
+    if (!closest) {
+      throw new AppError('This medication has no scheduled doses around the current time', 400);
+    }
+    return closest;
+  }
+
+  const time = new Date(scheduledFor);
+  if (Number.isNaN(time.getTime())) {
+    throw new AppError('Please provide a valid scheduledFor date', 400);
+  }
+
+  // Events are keyed on the exact dose time, so a time a few seconds off is snapped to its dose
+  const dose = findScheduledDoseTime(medication, time);
+  if (!dose) {
+    throw new AppError('scheduledFor does not match a scheduled dose of this medication', 400);
+  }
+  return dose;
+};
+
+// As-needed doses are recorded when they are taken rather than against a schedule
+const resolveAsNeededTime = (scheduledFor, takenAt) => {
+  const time = new Date(scheduledFor || takenAt || Date.now());
+  if (Number.isNaN(time.getTime())) {
+    throw new AppError('Please provide a valid dose time', 400);
+  }
+  return time;
+};
+
+// Make sure another as-needed dose stays within the daily maximum and minimum spacing
+const checkAsNeededLimits = async (medication, doseTime) => {
+  const { maxPerDay, minHoursBetween } = medication.frequency;
+  const timeZone = getMedicationTimeZone(medication);
+  const day = toDateKey(doseTime, timeZone);
+
+  const taken = await DoseEvent.find({
+    medication: medication._id,
+    status: { $in: CONFIRMED_STATUSES },
+    scheduledFor: {
+      $gte: zonedTimeToUtc(day, '00:00', timeZone),
+      $lt: zonedTimeToUtc(addDays(day, 1), '00:00', timeZone),
+      $ne: doseTime
+    }
+  });
+
+  if (maxPerDay && taken.length >= maxPerDay) {
+    throw new AppError(`You have already taken the maximum of ${maxPerDay} dose(s) of this medication today`, 400);
+  }
+
+  if (minHoursBetween) {
+    const spacingMs = minHoursBetween * 60 * 60 * 1000;
+    const nearby = await DoseEvent.exists({
+      medication: medication._id,
+      status: { $in: CONFIRMED_STATUSES },
+      scheduledFor: {
+        $gt: new Date(doseTime.getTime() - spacingMs),
+        $lt: new Date(doseTime.getTime() + spacingMs),
+        $ne: doseTime
+      }
+    });
+    if (nearby) {
+      throw new AppError(`Doses of this medication must be at least ${minHoursBetween} hour(s) apart`, 400);
+    }
+  }
+};
+
+// Record the outcome of a scheduled dose, creating its event if needed
+const recordDose = async ({
+  medication,
+  scheduledFor,
+  status,
+  takenAt,
+  skipReason,
+  notes,
+  source = 'api',
+  recordedBy
+}) => {
+  if (medication.status !== 'active') {
+    throw new AppError('Doses can only be recorded for active medications', 400);
+  }
+
+  let doseTime;
+  if (isAsNeeded(medication)) {
+    if (status !== 'taken') {
+      throw new AppError('As-needed doses can only be recorded as taken', 400);
+    }
+    doseTime = resolveAsNeededTime(scheduledFor, takenAt);
+    await checkAsNeededLimits(medication, doseTime);
+  } else {
+    doseTime = resolveScheduledFor(medication, scheduledFor);
+  }
+
+  const $set = {
+    patient: getId(medication.patient),
+    doctor: getId(medication.doctor),
+    source,
+    recordedBy
+  };
+  // Fields left over from an earlier answer are removed (undefined values would be dropped from $set)
+  const $unset = {};
+
+  if (status === 'taken') {
+    const takenTime = takenAt ? new Date(takenAt) : new Date();
+    const delay = (takenTime - doseTime) / (1000 * 60);
+    $set.status = !isAsNeeded(medication) && delay > LATE_THRESHOLD_MINUTES ? 'late' : 'taken';
+    $set.takenAt = takenTime;
+    $unset.skipReason = 1;
+  } else if (status === 'skipped') {
+    $set.status = 'skipped';
+    $unset.takenAt = 1;
+    if (skipReason) {
+      $set.skipReason = skipReason;
+    } else {
+      $unset.skipReason = 1;
+    }
+  } else {
+    $set.status = status;
+    $unset.takenAt = 1;
+    $unset.skipReason = 1;
+  }
+
+  if (notes !== undefined) $set.notes = notes;
+
+  // Read the previous state in the same operation so stock is adjusted exactly once per change
+  const previous = await DoseEvent.findOneAndUpdate(
+    { medication: medication._id, scheduledFor: doseTime },
+    { $set, $unset },
+    { new: false, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  const dose = await DoseEvent.findOne({ medication: medication._id, scheduledFor: doseTime });
+
+  // An answered dose (taken or skipped) needs no further escalation
+  if (medication.isCritical) {
+    const { ANSWERED_STATUSES, resolveEscalation } = require('./escalation.service');
+    if (ANSWERED_STATUSES.includes(dose.status)) {
+      await resolveEscalation(medication._id, doseTime);
+    }
+  }
+
+  // Deduct confirmed doses from the medication's stock (and give them back if the answer changes)
+  const wasConfirmed = !!previous && CONFIRMED_STATUSES.includes(previous.status);
+  const isConfirmed = CONFIRMED_STATUSES.includes(dose.status);
+  if (wasConfirmed !== isConfirmed) {
+    try {
+      const { adjustInventory } = require('./inventory.service');
+      await adjustInventory(medication, isConfirmed ? 1 : -1, doseTime);
+    } catch (err) {
+      logger.error(`Error updating inventory of medication ${medication._id}: ${err.message}`);
+    }
+  }
+
+  return dose;
+};
+
+// Summarise dose counts into an adherence figure
+const summarise = (counts) => {
+  const adhered = counts.taken + counts.late;
+  const resolved = adhered + counts.skipped + counts.missed;
+  return {
+    ...counts,
+    expected: resolved,
+    adherenceRate: resolved > 0 ? Math.round((adhered / resolved) * 100) : null
+  };
+};
+
+// Usage of an as-needed medication: how often it was taken and how often the daily maximum was reached
+const summariseAsNeeded = (medication, events, from, to) => {
+  const timeZone = getMedicationTimeZone(medication);
+  const perDay = new Map();
+
+  events
+    .filter(e => CONFIRMED_STATUSES.includes(e.status))
+    .forEach(e => {
+      const day = toDateKey(e.scheduledFor, timeZone);
+      perDay.set(day, (perDay.get(day) || 0) + 1);
+    });
+
+  const dosesTaken = [...perDay.values()].reduce((sum, count) => sum + count, 0);
+  const windowStart = new Date(Math.max(new Date(from), new Date(medication.startDate)));
+  const days = Math.max(1, Math.ceil((new Date(to) - windowStart) / (24 * 60 * 60 * 1000)));
+  const { maxPerDay } = medication.frequency;
+
+  return {
+    medicationId: medication._id,
+    name: medication.name,
+    isCritical: medication.isCritical,
+    asNeeded: true,
+    dosesTaken,
+    averagePerDay: Math.round((dosesTaken / days) * 100) / 100,
+    maxPerDay,
+    daysAtLimit: maxPerDay ? [...perDay.values()].filter(count => count >= maxPerDay).length : 0,
+    adherence: null
+  };
+};
+
+// Calculate per-medication and overall adherence over a time window.
+// As-needed medications have no schedule to adhere to, so they report their usage instead.
+const calculateAdherence = async (medications, from, to = new Date()) => {
+  const events = await DoseEvent.find({
+    medication: { $in: medications.map(m => m._id) },
+    scheduledFor: { $gte: from, $lt: to }
+  });
+
+  const eventsByDose = new Map(
+    events.map(e => [`${e.medication}:${e.scheduledFor.getTime()}`, e])
+  );
+  const missedCutoff = new Date(Date.now() - MISSED_AFTER_MINUTES * 60 * 1000);
+  const overall = { taken: 0, late: 0, skipped: 0, missed: 0, pending: 0 };
+
+  const perMedication = medications.map(med => {
+    if (isAsNeeded(med)) {
+      return summariseAsNeeded(med, events.filter(e => e.medication.equals(med._id)), from, to);
+    }
+
+    const counts = { taken: 0, late: 0, skipped: 0, missed: 0, pending: 0 };
+
+    for (const dose of getScheduledDoseTimes(med, from, to)) {
+      const event = eventsByDose.get(`${med._id}:${dose.getTime()}`);
+      let status = event ? event.status : 'pending';
+
+      // Unanswered doses become missed once they are old enough
+      if (status === 'pending' && dose < missedCutoff) {
+        status = 'missed';
+      }
+      counts[status] += 1;
+    }
+
+    Object.keys(counts).forEach(key => { overall[key] += counts[key]; });
+
+    const summary = summarise(counts);
+    return {
+      medicationId: med._id,
+      name: med.name,
+      isCritical: med.isCritical,
+      ...summary,
+      adherence: summary.adherenceRate
+    };
+  });
+
+  return {
+    overall: summarise(overall),
+    medications: perMedication
+  };
+};
+
+module.exports = {
+  LATE_THRESHOLD_MINUTES,
+  MISSED_AFTER_MINUTES,
+  recordDose,
+  calculateAdherence
+};
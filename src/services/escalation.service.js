@@ -0,0 +1,262 @@
+const Medication = require('../models/medication.model');
+const DoseEvent = require('../models/doseEvent.model');
+const Escalation = require('../models/escalation.model');
+const User = require('../models/user.model');
+const logger = require('../config/logger');
+const Email = require('../utils/email');
+const { scheduleJob, cancelJobs, registerJobType } = require('./scheduler.service');
+const { sendDoseReminder, sendTelegramMessage } = require('./telegram.service');
+const { getNextDoseTime, getDoseSlots, getDoseAmount } = require('../utils/doseSchedule');
+const { formatDateTime, getUserTimeZone } = require('../utils/timezone');
+
+// Minutes a critical dose may stay unconfirmed before each escalation step
+const DEFAULT_GRACE_MINUTES = parseInt(process.env.CRITICAL_DOSE_GRACE_MINUTES, 10) || 30;
+
+// Doses the patient has answered, whether they took or skipped them, need no further escalation
+const ANSWERED_STATUSES = ['taken', 'late', 'skipped'];
+
+const getGraceMs = (medication) =>
+  (medication.escalationGraceMinutes || DEFAULT_GRACE_MINUTES) * 60 * 1000;
+
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Job key for the recurring check of one reminder slot of a critical medication
+const checkJobKey = (medicationId, time) => `critical-dose-check:${medicationId}:${time}`;
+
+// Job key for the doctor escalation step of one dose
+const escalationJobKey = (medicationId, scheduledFor) =>
+  `dose-escalation:${medicationId}:${new Date(scheduledFor).getTime()}`;
+
+// Schedule unconfirmed-dose checks for each slot of a critical medication
+const scheduleCriticalDoseChecks = async (medication) => {
+  const slots = getDoseSlots(medication);
+
+  if (medication.status !== 'active' || !medication.isCritical) {
+    return cancelCriticalDoseChecks(medication._id);
+  }
+
+  // Clear checks for slots that are no longer part of the schedule
+  await cancelJobs({
+    medication: medication._id,
+    type: 'critical-dose-check',
+    timeSlot: { $nin: slots }
+  });
+
+  for (const slot of slots) {
+    const nextDose = getNextDoseTime(medication, new Date(Date.now() - getGraceMs(medication)), { slot });
+
+    if (!nextDose) {
+      await cancelJobs({ key: checkJobKey(medication._id, slot) });
+      continue;
+    }
+
+    await scheduleJob({
+      key: checkJobKey(medication._id, slot),
+      type: 'critical-dose-check',
+      medication: medication._id,
+      patient: getId(medication.patient),
+      timeSlot: slot,
+      nextRunAt: new Date(nextDose.getTime() + getGraceMs(medication))
+    });
+  }
+};
+
+// Cancel every pending check and escalation step for a medication
+const cancelCriticalDoseChecks = (medicationId) => {
+  return cancelJobs({
+    medication: medicationId,
+    type: { $in: ['critical-dose-check', 'dose-escalation'] }
+  });
+};
+
+// Schedule checks for every active critical medication (run on boot)
+const syncAllCriticalDoseChecks = async () => {
+  const medications = await Medication.find({ status: 'active', isCritical: true });
+
+  for (const medication of medications) {
+    await scheduleCriticalDoseChecks(medication);
+  }
+
+  logger.info(`Synchronised critical dose checks for ${medications.length} medications`);
+};
+
+// Load the medication and dose an escalation job refers to, or nothing if it is resolved
+const loadEscalationContext = async (medicationId, scheduledFor) => {
+  const medication = await Medication.findById(medicationId);
+  if (!medication || medication.status !== 'active' || !medication.isCritical) return null;
+
+  const dose = await DoseEvent.findOne({ medication: medication._id, scheduledFor });
+  if (dose && ANSWERED_STATUSES.includes(dose.status)) return null;
+
+  return { medication, dose };
+};
+
+// Step 1: remind the patient again
+const remindPatient = async (medication, scheduledFor) => {
+  const patient = await User.findById(getId(medication.patient));
+  if (!patient) return;
+
+  const notifications = [];
+  const dosage = `${getDoseAmount(medication, scheduledFor)} ${medication.dosage.unit}`;
+
+  if (patient.telegramId) {
+    try {
+      const sent = await sendDoseReminder(medication, patient, scheduledFor, {
+        headline: '⚠️ *You have not confirmed this critical dose yet!*'
+      });
+      notifications.push({ recipient: 'patient', channel: 'telegram', delivered: !!sent });
+    } catch (error) {
+      logger.error(`Error sending critical dose reminder via Telegram: ${error.message}`);
+      notifications.push({ recipient: 'patient', channel: 'telegram', delivered: false });
+    }
+  }
+
+  const emailed = await Email.sendMissedDoseReminder(patient.email, {
+    medicationName: medication.name,
+    dosage,
+    scheduledAt: formatDateTime(scheduledFor, getUserTimeZone(patient))
+  });
+  notifications.push({ recipient: 'patient', channel: 'email', delivered: emailed });
+
+  await Escalation.findOneAndUpdate(
+    { medication: medication._id, scheduledFor },
+    {
+      $setOnInsert: {
+        patient: patient._id,
+        doctor: getId(medication.doctor),
+        status: 'patient-reminded'
+      },
+      $push: { notifications: { $each: notifications } }
+    },
+    { upsert: true, new: true }
+  );
+
+  logger.info(`Critical dose of ${medication.name} for patient ${patient._id} not confirmed; patient reminded`);
+};
+
+// Step 2: mark the dose missed and notify the prescribing doctor
+const notifyDoctor = async (medication, scheduledFor, dose) => {
+  const [patient, doctor] = await Promise.all([
+    User.findById(getId(medication.patient)),
+    User.findById(getId(medication.doctor))
+  ]);
+  if (!patient || !doctor) return;
+
+  if (!dose || dose.status === 'pending') {
+    dose = await DoseEvent.findOneAndUpdate(
+      { medication: medication._id, scheduledFor },
+      {
+        $set: { status: 'missed' },
+        $setOnInsert: { patient: patient._id, doctor: doctor._id, source: 'system' }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  const notifications = [];
+  const dosage = `${getDoseAmount(medication, scheduledFor)} ${medication.dosage.unit}`;
+  const scheduledAt = formatDateTime(scheduledFor, getUserTimeZone(doctor));
+
+  const emailed = await Email.sendCriticalDoseAlert(doctor.email, {
+    patientName: patient.name,
+    medicationName: medication.name,
+    dosage,
+    scheduledAt
+  });
+  notifications.push({ recipient: 'doctor', channel: 'email', delivered: emailed });
+
+  if (doctor.telegramId) {
+    try {
+      const sent = await sendTelegramMessage(
+        doctor.telegramId,
+        `🚨 *Missed critical dose*\n\n` +
+        `*${patient.name}* has not confirmed *${medication.name}* (${dosage}) ` +
+        `scheduled for ${scheduledAt}, even after a follow-up reminder.`
+      );
+      notifications.push({ recipient: 'doctor', channel: 'telegram', delivered: sent });
+    } catch (error) {
+      logger.error(`Error sending critical dose alert via Telegram: ${error.message}`);
+      notifications.push({ recipient: 'doctor', channel: 'telegram', delivered: false });
+    }
+  }
+
+  await Escalation.findOneAndUpdate(
+    { medication: medication._id, scheduledFor },
+    {
+      $set: { status: 'doctor-notified', doseEvent: dose._id },
+      $setOnInsert: { patient: patient._id, doctor: doctor._id },
+      $push: { notifications: { $each: notifications } }
+    },
+    { upsert: true, new: true }
+  );
+
+  logger.warn(`Critical dose of ${medication.name} for patient ${patient._id} missed; doctor ${doctor._id} notified`);
+};
+
+// Mark a dose's escalation resolved once the dose is answered
+const resolveEscalation = async (medicationId, scheduledFor) => {
+  await cancelJobs({ key: escalationJobKey(medicationId, scheduledFor) });
+  return Escalation.updateOne(
+    { medication: medicationId, scheduledFor, status: { $ne: 'resolved' } },
+    { status: 'resolved', resolvedAt: new Date() }
+  );
+};
+
+// Runs one grace window after each dose of a critical medication
+registerJobType('critical-dose-check', {
+  run: async (job) => {
+    const medication = await Medication.findById(job.medication);
+    if (!medication) return;
+
+    const scheduledFor = new Date(job.nextRunAt.getTime() - getGraceMs(medication));
+    const context = await loadEscalationContext(medication._id, scheduledFor);
+    if (!context) return;
+
+    await remindPatient(context.medication, scheduledFor);
+
+    // Escalate to the doctor if the dose is still unconfirmed after another grace window
+    await scheduleJob({
+      key: escalationJobKey(medication._id, scheduledFor),
+      type: 'dose-escalation',
+      medication: medication._id,
+      patient: getId(medication.patient),
+      payload: { scheduledFor },
+      nextRunAt: new Date(Date.now() + getGraceMs(medication))
+    });
+  },
+  next: async (job, after) => {
+    const medication = await Medication.findById(job.medication);
+    if (
+      !medication ||
+      medication.status !== 'active' ||
+      !medication.isCritical ||
+      !getDoseSlots(medication).includes(job.timeSlot)
+    ) {
+      return null;
+    }
+
+    const graceMs = getGraceMs(medication);
+    const nextDose = getNextDoseTime(medication, new Date(after.getTime() - graceMs), { slot: job.timeSlot });
+    return nextDose ? new Date(nextDose.getTime() + graceMs) : null;
+  }
+});
+
+// Second escalation step for one dose
+registerJobType('dose-escalation', {
+  run: async (job) => {
+    const scheduledFor = new Date(job.payload.scheduledFor);
+    const context = await loadEscalationContext(job.medication, scheduledFor);
+    if (!context) return;
+
+    await notifyDoctor(context.medication, scheduledFor, context.dose);
+  }
+});
+
+module.exports = {
+  DEFAULT_GRACE_MINUTES,
+  ANSWERED_STATUSES,
+  scheduleCriticalDoseChecks,
+  cancelCriticalDoseChecks,
+  syncAllCriticalDoseChecks,
+  resolveEscalation
+};
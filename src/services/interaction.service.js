@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const Medication = require('../models/medication.model');
+const User = require('../models/user.model');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+
+// JSON dataset of drugs, duplicate-therapy classes and interactions used by the local checker
+const INTERACTION_DATASET_PATH = process.env.INTERACTION_DATASET_PATH ||
+  path.join(__dirname, '..', 'data', 'interactions.json');
+
+// Checkers consulted when prescribing, e.g. "local,myprovider"
+const INTERACTION_PROVIDERS = (process.env.INTERACTION_PROVIDERS || 'local')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const SEVERITIES = ['minor', 'moderate', 'major'];
+
+// Findings at or above this severity block the prescription unless overridden
+const INTERACTION_BLOCK_SEVERITY = SEVERITIES.includes(process.env.INTERACTION_BLOCK_SEVERITY)
+  ? process.env.INTERACTION_BLOCK_SEVERITY
+  : 'major';
+
+const providers = new Map();
+
+let dataset = null;
+
+const severityRank = (severity) => SEVERITIES.indexOf(severity);
+
+const isBlocking = (finding) => severityRank(finding.severity) >= severityRank(INTERACTION_BLOCK_SEVERITY);
+
+// Register a checker: `check(name, activeMedications, clinicalProfile)` resolves to a list of findings
+const registerInteractionProvider = (name, definition) => {
+  providers.set(name, definition);
+};
+
+// "Warfarin Sodium 5mg" -> " warfarin sodium 5mg "
+const normalise = (text) => ` ${String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+
+// Load (or reload) the local dataset and index its drug names and aliases
+const loadInteractionDataset = (filePath = INTERACTION_DATASET_PATH) => {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  // Longest terms first, so "isosorbide mononitrate" wins over a shorter alias
+  const terms = [];
+  for (const drug of raw.drugs || []) {
+    for (const term of [drug.name, ...(drug.aliases || [])]) {
+      terms.push({ term: normalise(term), drug });
+    }
+  }
+  terms.sort((a, b) => b.term.length - a.term.length);
+
+  dataset = {
+    version: raw.version,
+    terms,
+    duplicateClasses: raw.duplicateClasses || {},
+    allergyCrossReactivity: raw.allergyCrossReactivity || {},
+    interactions: raw.interactions || []
+  };
+
+  logger.info(`Loaded interaction dataset ${raw.version || ''} (${(raw.drugs || []).length} drugs, ${dataset.interactions.length} interactions)`);
+  return dataset;
+};
+
+const getDataset = () => dataset || loadInteractionDataset();
+
+// Dataset entry for a free-text medication name, or null if it is not known
+const resolveDrug = (name) => {
+  const text = normalise(name);
+  const match = getDataset().terms.find(({ term }) => text.includes(term));
+  return match ? match.drug : null;
+};
+
+// "warfarin" matches the drug itself, "class:nsaid" any drug of that class
+const matchesTerm = (drug, term) => (
+  term.startsWith('class:')
+    ? (drug.classes || []).includes(term.slice(6))
+    : drug.name === term
+);
+
+// How serious prescribing against a recorded allergy is
+const ALLERGY_SEVERITY = {
+  mild: 'minor',
+  moderate: 'moderate',
+  severe: 'major',
+  'life-threatening': 'major'
+};
+
+// Findings for a prescription the patient is (or may be) allergic to
+const checkAllergies = (name, allergies) => {
+  const { allergyCrossReactivity } = getDataset();
+  const candidate = resolveDrug(name);
+  const findings = [];
+
+  for (const allergy of allergies) {
+    const allergen = resolveDrug(allergy.substance);
+    // An allergy to "Penicillin" or "NSAIDs" also covers the class of that name
+    const allergyClasses = [allergy.drugClass, normalise(allergy.substance).trim().replace(/s$/, '')]
+      .filter(Boolean);
+    const severity = ALLERGY_SEVERITY[allergy.severity] || 'moderate';
+    const reaction = allergy.reaction ? ` (${allergy.reaction})` : '';
+
+    const finding = (findingSeverity, description) => findings.push({
+      type: 'allergy',
+      severity: findingSeverity,
+      allergy: allergy._id,
+      allergen: allergy.substance,
+      description,
+      source: 'local'
+    });
+
+    if (!candidate) {
+      // Unknown drug: fall back to the allergen appearing in its name
+      if (normalise(name).includes(normalise(allergy.substance))) {
+        finding(severity, `Patient is allergic to ${allergy.substance}${reaction}`);
+      }
+      continue;
+    }
+
+    const matchedClass = allergyClasses.find(drugClass => (candidate.classes || []).includes(drugClass));
+    const crossReaction = allergyClasses
+      .flatMap(drugClass => allergyCrossReactivity[drugClass] || [])
+      .find(cross => (candidate.classes || []).includes(cross.class));
+
+    if (allergen && allergen.name === candidate.name) {
+      finding(severity, `Patient is allergic to ${allergy.substance}${reaction}`);
+    } else if (matchedClass) {
+      finding(severity, `${candidate.name} is a ${matchedClass}; patient is allergic to ${allergy.substance}${reaction}`);
+    } else if (crossReaction) {
+      // Cross-reactivity is less certain than a direct match, so it is never rated above it
+      const crossSeverity = severityRank(crossReaction.severity) < severityRank(severity) ? crossReaction.severity : severity;
+      finding(crossSeverity, `${candidate.name} is a ${crossReaction.class}, which can cross-react with a ${allergy.substance} allergy${reaction}`);
+    }
+  }
+
+  return findings;
+};
+
+// Findings from the local dataset
+const checkLocal = async (name, activeMedications, clinicalProfile) => {
+  const { duplicateClasses, interactions } = getDataset();
+  const findings = checkAllergies(name, (clinicalProfile && clinicalProfile.allergies) || []);
+
+  const candidate = resolveDrug(name);
+  if (!candidate) return findings;
+
+  for (const medication of activeMedications) {
+    const current = resolveDrug(medication.name);
+    if (!current) continue;
+
+    const finding = (type, severity, description) => findings.push({
+      type,
+      severity,
+      medication: medication._id,
+      medicationName: medication.name,
+      description,
+      source: 'local'
+    });
+
+    // Duplicate therapy: the same drug, or two drugs of a class that should not be combined
+    if (current.name === candidate.name) {
+      finding('duplicate', 'major', `${medication.name} already contains ${candidate.name}`);
+    } else {
+      for (const drugClass of candidate.classes || []) {
+        if (duplicateClasses[drugClass] && (current.classes || []).includes(drugClass)) {
+          finding('duplicate', duplicateClasses[drugClass], `${medication.name} is also a ${drugClass}`);
+        }
+      }
+    }
+
+    for (const { between: [a, b], severity, description } of interactions) {
+      if (
+        (matchesTerm(candidate, a) && matchesTerm(current, b)) ||
+        (matchesTerm(candidate, b) && matchesTerm(current, a))
+      ) {
+        finding('interaction', severity, description);
+      }
+    }
+  }
+
+  return findings;
+};
+
+registerInteractionProvider('local', { check: checkLocal });
+
+// Interactions, duplicate therapies and allergies for prescribing `name` alongside the given
+// medications to a patient with the given clinical profile, most severe first
+const checkInteractions = async (name, activeMedications, clinicalProfile) => {
+  const findings = [];
+
+  for (const providerName of INTERACTION_PROVIDERS) {
+    const provider = providers.get(providerName);
+    if (!provider) {
+      logger.warn(`No interaction provider registered as ${providerName}`);
+      continue;
+    }
+    findings.push(...(await provider.check(name, activeMedications, clinicalProfile)));
+  }
+
+  // Several rules (e.g. a drug in two classes) can report the same problem
+  const seen = new Set();
+  return findings
+    .filter((finding) => {
+      const key = `${finding.medication || finding.allergy}:${finding.type}:${finding.description}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(finding => ({ ...finding, blocking: isBlocking(finding) }))
+    .sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+};
+
+// Check a new prescription against the patient's active medications and recorded allergies.
+// Blocking findings need an `override` with a justification, which is recorded with the check.
+const screenPrescription = async ({ patient, name, exclude, override, overriddenBy }) => {
+  const [activeMedications, patientRecord] = await Promise.all([
+    Medication.find({
+      patient,
+      status: 'active',
+      ...(exclude && { _id: { $ne: exclude } })
+    }),
+    User.findById(patient).select('clinicalProfile')
+  ]);
+
+  const findings = await checkInteractions(name, activeMedications, patientRecord && patientRecord.clinicalProfile);
+  const blocking = findings.filter(finding => finding.blocking);
+
+  if (blocking.length > 0) {
+    if (!override) {
+      throw new AppError(
+        `${name} has ${blocking.length} serious interaction(s), duplicate therapies or allergy matches for this patient. ` +
+        'Provide an interactionOverride with a justification to prescribe it anyway.',
+        409,
+        { findings }
+      );
+    }
+    if (!override.justification || !String(override.justification).trim()) {
+      throw new AppError('Please provide a justification for overriding the interaction check', 400, { findings });
+    }
+
+    logger.warn(`Interaction check for ${name} (patient ${patient}) overridden by ${overriddenBy}: ${override.justification}`);
+  }
+
+  return {
+    checkedAt: new Date(),
+    ...(INTERACTION_PROVIDERS.includes('local') && { datasetVersion: getDataset().version }),
+    findings,
+    ...(blocking.length > 0 && {
+      override: {
+        justification: String(override.justification).trim(),
+        overriddenBy,
+        overriddenAt: new Date()
+      }
+    })
+  };
+};
+
+module.exports = {
+  SEVERITIES,
+  INTERACTION_BLOCK_SEVERITY,
+  registerInteractionProvider,
+  loadInteractionDataset,
+  resolveDrug,
+  checkAllergies,
+  checkInteractions,
+  screenPrescription
+};
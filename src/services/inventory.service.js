@@ -0,0 +1,239 @@
+const Medication = require('../models/medication.model');
+const User = require('../models/user.model');
+const logger = require('../config/logger');
+const Email = require('../utils/email');
+const { scheduleJob, registerJobType } = require('./scheduler.service');
+const { sendTelegramMessage } = require('./telegram.service');
+const { createRefillRequest } = require('./refillRequest.service');
+const { getScheduledDoseTimes, getDoseAmount } = require('../utils/doseSchedule');
+const {
+  DEFAULT_TIMEZONE,
+  zonedTimeToUtc,
+  toDateKey,
+  addDays,
+  formatDate,
+  getUserTimeZone
+} = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Alert when the remaining stock covers fewer than this many days
+const REFILL_ALERT_DAYS = parseInt(process.env.MEDICATION_REFILL_ALERT_DAYS, 10) || 7;
+
+// Time of day ("HH:MM", in DEFAULT_TIMEZONE) the daily stock check runs
+const REFILL_CHECK_TIME = process.env.MEDICATION_REFILL_CHECK_TIME || '09:00';
+
+// Patients are reminded at most about once a day while their stock is low
+const PATIENT_REMINDER_INTERVAL_MS = 20 * 60 * 60 * 1000;
+
+// How far ahead run-out dates are projected
+const PROJECTION_HORIZON_DAYS = 366;
+
+const REFILL_CHECK_JOB_KEY = 'refill-check';
+
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+const hasInventory = (medication) =>
+  !!medication.inventory && typeof medication.inventory.quantity === 'number';
+
+const getLowStockDays = (medication) =>
+  (typeof medication.inventory.lowStockDays === 'number' ? medication.inventory.lowStockDays : REFILL_ALERT_DAYS);
+
+// "8 tablets", "120 ml"
+const describeStock = (medication) =>
+  `${medication.inventory.quantity} ${medication.inventory.unit || 'units'}`;
+
+// Stock units used by the dose at `time`; tapering doses use dosePerIntake scaled to that step's dosage
+const getDoseUnits = (medication, time) => {
+  const { dosePerIntake } = medication.inventory;
+  const baseDosage = medication.dosage.value;
+  return baseDosage ? dosePerIntake * (getDoseAmount(medication, time) / baseDosage) : dosePerIntake;
+};
+
+// The first scheduled dose the remaining stock cannot cover, or null if it lasts the course (or the horizon).
+// As-needed medications have no schedule to project.
+const projectRunOut = (medication, from = new Date()) => {
+  if (!hasInventory(medication) || !medication.inventory.dosePerIntake) return null;
+
+  const doses = getScheduledDoseTimes(medication, from, new Date(from.getTime() + PROJECTION_HORIZON_DAYS * DAY_MS));
+  let remaining = medication.inventory.quantity;
+
+  for (const dose of doses) {
+    remaining -= getDoseUnits(medication, dose);
+    // Small epsilon so e.g. 1.5 ml / 0.5 ml per dose covers 3 doses despite floating point
+    if (remaining < -1e-9) return dose;
+  }
+  return null;
+};
+
+// Stock on hand and how long it will last
+const getInventoryStatus = (medication, now = new Date()) => {
+  if (!hasInventory(medication)) return null;
+
+  const runOutDate = projectRunOut(medication, now);
+  const lowStockDays = getLowStockDays(medication);
+
+  return {
+    quantity: medication.inventory.quantity,
+    unit: medication.inventory.unit,
+    dosePerIntake: medication.inventory.dosePerIntake,
+    lowStockDays,
+    runOutDate,
+    daysRemaining: runOutDate ? Math.floor((runOutDate - now) / DAY_MS) : null,
+    lowStock: !!runOutDate && runOutDate - now <= lowStockDays * DAY_MS,
+    refillsRemaining: medication.refillInformation && medication.refillInformation.refillsRemaining,
+    lastFilled: medication.refillInformation && medication.refillInformation.lastFilled
+  };
+};
+
+// Remind the patient to refill, by email and, if linked, Telegram
+const remindPatient = async (medication, runOutDate) => {
+  const patient = await User.findById(getId(medication.patient));
+  if (!patient) return false;
+
+  const remaining = describeStock(medication);
+  const runOut = formatDate(runOutDate, getUserTimeZone(patient));
+
+  if (patient.telegramId) {
+    try {
+      await sendTelegramMessage(
+        patient.telegramId,
+        `🔔 *Refill reminder*\n\n*${medication.name}*: ${remaining} left, enough until about ${runOut}. ` +
+        'Please arrange a refill so you do not miss any doses.'
+      );
+    } catch (error) {
+      logger.error(`Error sending refill reminder via Telegram: ${error.message}`);
+    }
+  }
+
+  await Email.sendRefillReminder(patient.email, {
+    medicationName: medication.name,
+    remaining,
+    runOutDate: runOut
+  });
+  return true;
+};
+
+// Raise a refill request with the prescribing doctor, who is alerted by email and Telegram
+const notifyDoctor = async (medication, runOutDate) => {
+  await createRefillRequest(medication, {
+    source: 'system',
+    note: 'Raised automatically because stock is running low',
+    stock: { remaining: describeStock(medication), runOutDate }
+  });
+  return true;
+};
+
+// Update the projected refill date and send refill alerts when stock is running low
+const checkInventory = async (medication, now = new Date()) => {
+  if (!hasInventory(medication) || medication.status !== 'active') return null;
+
+  const status = getInventoryStatus(medication, now);
+  const $set = {};
+  const $unset = {};
+
+  if (status.runOutDate) {
+    $set['refillInformation.nextRefill'] = status.runOutDate;
+  } else {
+    $unset['refillInformation.nextRefill'] = '';
+  }
+
+  if (!status.lowStock) {
+    // Enough stock again (e.g. after a refill): the next shortage alerts afresh
+    $unset['inventory.patientRemindedAt'] = '';
+    $unset['inventory.doctorNotifiedAt'] = '';
+  } else {
+    const { patientRemindedAt, doctorNotifiedAt } = medication.inventory;
+
+    if (!patientRemindedAt || now - patientRemindedAt >= PATIENT_REMINDER_INTERVAL_MS) {
+      if (await remindPatient(medication, status.runOutDate)) {
+        $set['inventory.patientRemindedAt'] = now;
+      }
+    }
+
+    // The doctor is asked once per shortage
+    if (!doctorNotifiedAt && await notifyDoctor(medication, status.runOutDate)) {
+      $set['inventory.doctorNotifiedAt'] = now;
+      logger.info(`Medication ${medication._id} is running low; refill requested from doctor`);
+    }
+  }
+
+  await Medication.updateOne(
+    { _id: medication._id },
+    {
+      ...(Object.keys($set).length > 0 && { $set }),
+      ...(Object.keys($unset).length > 0 && { $unset })
+    }
+  );
+  return status;
+};
+
+// Deduct (or, for negative counts, restore) the units of confirmed doses taken at `at`, never going below zero
+const adjustInventory = async (medication, doses, at = new Date()) => {
+  if (!hasInventory(medication)) return null;
+
+  const units = doses * getDoseUnits(medication, at);
+  const updated = await Medication.findOneAndUpdate(
+    { _id: medication._id, 'inventory.quantity': { $type: 'number' } },
+    [{
+      $set: {
+        'inventory.quantity': { $max: [0, { $subtract: ['$inventory.quantity', units] }] },
+        'inventory.updatedAt': '$$NOW'
+      }
+    }],
+    { new: true }
+  );
+
+  if (updated) {
+    await checkInventory(updated);
+  }
+  return updated;
+};
+
+// Next run of the daily stock check
+const getNextRefillCheckTime = (after = new Date()) => {
+  const today = toDateKey(after, DEFAULT_TIMEZONE);
+  const todayRun = zonedTimeToUtc(today, REFILL_CHECK_TIME, DEFAULT_TIMEZONE);
+  return todayRun > after ? todayRun : zonedTimeToUtc(addDays(today, 1), REFILL_CHECK_TIME, DEFAULT_TIMEZONE);
+};
+
+// Make sure the daily stock check is scheduled (run on boot)
+const scheduleRefillChecks = () => {
+  return scheduleJob({
+    key: REFILL_CHECK_JOB_KEY,
+    type: 'refill-check',
+    nextRunAt: getNextRefillCheckTime()
+  });
+};
+
+// Daily check of every tracked, active medication
+registerJobType('refill-check', {
+  run: async () => {
+    const medications = await Medication.find({
+      status: 'active',
+      'inventory.quantity': { $type: 'number' }
+    });
+
+    let low = 0;
+    for (const medication of medications) {
+      try {
+        const status = await checkInventory(medication);
+        if (status && status.lowStock) low += 1;
+      } catch (error) {
+        logger.error(`Error checking inventory of medication ${medication._id}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Checked inventory of ${medications.length} medications (${low} running low)`);
+  },
+  next: async (job, after) => getNextRefillCheckTime(after)
+});
+
+module.exports = {
+  REFILL_ALERT_DAYS,
+  projectRunOut,
+  getInventoryStatus,
+  checkInventory,
+  adjustInventory,
+  scheduleRefillChecks
+};
@@ -0,0 +1,157 @@
+const LoginThrottle = require('../models/loginThrottle.model');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const Email = require('../utils/email');
+const { formatDateTime, getUserTimeZone } = require('../utils/timezone');
+
+// Failed sign-ins that lock an account (by email) or an IP address
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS, 10) || 20;
+
+// Failures further apart than this are not counted together
+const ATTEMPT_WINDOW_MINUTES = parseFloat(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+
+// Length of the first lockout; each further lockout of the same account or IP doubles it, up to a day
+const LOCKOUT_MINUTES = parseFloat(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// Counters are kept this long after the last failure, so repeated lockouts keep growing
+const THROTTLE_RETENTION_HOURS = 24;
+
+const MINUTE = 60 * 1000;
+
+const normaliseEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Seconds to wait before the next attempt at an account after `failures` failures in a row:
+// none after the first, then 2, 4, 8... seconds
+const getDelaySeconds = (failures) => (failures < 2 ? 0 : 2 ** (failures - 1));
+
+const getLockoutMinutes = (lockouts) => Math.min(LOCKOUT_MINUTES * 2 ** lockouts, MAX_LOCKOUT_MINUTES);
+
+const describeWait = (seconds) =>
+  (seconds < 90 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`);
+
+// Reject a sign-in attempt while its account or IP address is locked or must still wait
+const checkLoginAllowed = async ({ email, ip }) => {
+  const throttles = await LoginThrottle.find({
+    $or: [
+      { kind: 'account', key: normaliseEmail(email) },
+      { kind: 'ip', key: ip }
+    ]
+  });
+  const now = Date.now();
+
+  for (const throttle of throttles) {
+    if (throttle.isLocked) {
+      const retryAfter = Math.ceil((throttle.lockedUntil - now) / 1000);
+      throw new AppError(
+        throttle.kind === 'account'
+          ? `Too many failed sign-in attempts. Try again in ${describeWait(retryAfter)}, or reset your password to unlock your account now.`
+          : `Too many failed sign-in attempts from your network. Try again in ${describeWait(retryAfter)}.`,
+        429,
+        { retryAfter }
+      );
+    }
+
+    if (throttle.kind === 'account' && throttle.lastFailedAt) {
+      const allowedAt = throttle.lastFailedAt.getTime() + getDelaySeconds(throttle.failures) * 1000;
+      if (allowedAt > now) {
+        const retryAfter = Math.ceil((allowedAt - now) / 1000);
+        throw new AppError(`Please wait ${describeWait(retryAfter)} before trying again.`, 429, { retryAfter });
+      }
+    }
+  }
+};
+
+// Tell the account's owner it was locked and how to unlock it
+const notifyLocked = async (user, lockedUntil) => {
+  try {
+    await Email.sendAccountLocked(user.email, {
+      name: user.name,
+      lockedUntil: formatDateTime(lockedUntil, getUserTimeZone(user)),
+      url: process.env.APP_URL && `${process.env.APP_URL}/forgot-password`
+    });
+  } catch (err) {
+    logger.error(`Error sending account lockout email to user ${user._id}: ${err.message}`);
+  }
+};
+
+// Count one failure against a counter, locking it when it reaches `maxFailures`
+const countFailure = async ({ kind, key, user }, maxFailures) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - ATTEMPT_WINDOW_MINUTES * MINUTE);
+
+  // Failures restart from one when the previous one is outside the window
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { kind, key },
+    [{
+      $set: {
+        failures: {
+          $cond: [
+            { $lt: [{ $ifNull: ['$lastFailedAt', new Date(0)] }, windowStart] },
+            1,
+            { $add: ['$failures', 1] }
+          ]
+        },
+        lockouts: { $ifNull: ['$lockouts', 0] },
+        lastFailedAt: now,
+        expiresAt: new Date(now.getTime() + THROTTLE_RETENTION_HOURS * 60 * MINUTE),
+        ...(user && { user: user._id })
+      }
+    }],
+    { upsert: true, new: true }
+  );
+  if (throttle.failures < maxFailures) return null;
+
+  // Only the request that reached the limit locks it; the count starts again afterwards
+  const lockedUntil = new Date(now.getTime() + getLockoutMinutes(throttle.lockouts) * MINUTE);
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { _id: throttle._id, failures: throttle.failures },
+    { $set: { failures: 0, lockedUntil }, $inc: { lockouts: 1 } },
+    { new: true }
+  );
+  if (locked) logger.warn(`Sign-in locked for ${kind} ${key} until ${lockedUntil.toISOString()}`);
+  return locked;
+};
+
+// Record a failed sign-in against the account (known or not) and the IP address
+const recordFailedLogin = async ({ email, ip, user }) => {
+  const [accountLock] = await Promise.all([
+    countFailure({ kind: 'account', key: normaliseEmail(email), user }, MAX_ACCOUNT_FAILURES),
+    ip && countFailure({ kind: 'ip', key: ip }, MAX_IP_FAILURES)
+  ]);
+
+  if (accountLock && user) {
+    await notifyLocked(user, accountLock.lockedUntil);
+  }
+};
+
+// Forget an account's failures, after a successful sign-in or password reset
+const clearFailedLogins = (email) =>
+  LoginThrottle.deleteOne({ kind: 'account', key: normaliseEmail(email) });
+
+// Accounts and IP addresses locked right now
+const listLockouts = (kind) =>
+  LoginThrottle.find({
+    lockedUntil: { $gt: new Date() },
+    ...(kind && { kind })
+  })
+    .populate('user', 'name email role')
+    .sort({ lockedUntil: -1 });
+
+// Lift a lockout early
+const unlock = async (throttleId) => {
+  const throttle = await LoginThrottle.findByIdAndDelete(throttleId);
+  if (!throttle) {
+    throw new AppError('No lockout found with that ID', 404);
+  }
+  return throttle;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+  listLockouts,
+  unlock
+};
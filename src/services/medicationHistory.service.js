@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const Medication = require('../models/medication.model');
+const MedicationVersion = require('../models/medicationVersion.model');
+const AppError = require('../utils/appError');
+const { zonedTimeToUtc, addDays } = require('../utils/timezone');
+
+// Prescription fields kept in each version
+const TRACKED_FIELDS = [
+  'name',
+  'dosage',
+  'frequency',
+  'instructions',
+  'startDate',
+  'endDate',
+  'status',
+  'isCritical',
+  'escalationGraceMinutes'
+];
+
+// Retries when two changes to the same medication race for the next version number
+const MAX_VERSION_ATTEMPTS = 3;
+
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Drop subdocument ids so equal schedules compare equal
+const stripIds = (value) =>
+  JSON.parse(JSON.stringify(value, (key, v) => (key === '_id' ? undefined : v)));
+
+// The tracked fields of a medication (document or plain object)
+const takeSnapshot = (medication) => {
+  const plain = typeof medication.toObject === 'function'
+    ? medication.toObject({ virtuals: false, depopulate: true })
+    : medication;
+
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    if (plain[field] !== undefined && plain[field] !== null) {
+      snapshot[field] = ['dosage', 'frequency'].includes(field) ? stripIds(plain[field]) : plain[field];
+    }
+    return snapshot;
+  }, {});
+};
+
+// Fields whose value differs between two snapshots
+const diffSnapshots = (before = {}, after = {}) =>
+  TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+
+// Append a version; the unique (medication, version) index settles concurrent writers
+const appendVersion = async (medication, fields) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await MedicationVersion.findOne({ medication: medication._id }).sort({ version: -1 });
+
+    try {
+      return await MedicationVersion.create({
+        medication: medication._id,
+        patient: getId(medication.patient),
+        doctor: getId(medication.doctor),
+        version: latest ? latest.version + 1 : 1,
+        ...fields
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw err;
+    }
+  }
+};
+
+// Record a new version of a prescription after it was created, changed or deleted.
+// `previous` is the snapshot from before the change, used as a baseline for medications
+// prescribed before version history existed. Returns null when nothing tracked changed.
+const recordMedicationVersion = async (medication, {
+  event = 'updated',
+  changedBy,
+  reason,
+  previous,
+  effectiveFrom = new Date()
+} = {}) => {
+  const snapshot = takeSnapshot(medication);
+  let latest = await MedicationVersion.findOne({ medication: medication._id }).sort({ version: -1 });
+
+  if (!latest && event !== 'created' && previous) {
+    latest = await appendVersion(medication, {
+      event: 'created',
+      snapshot: previous,
+      reason: 'Prescription as recorded before version history',
+      changedBy: getId(medication.doctor),
+      effectiveFrom: medication.createdAt || previous.startDate
+    });
+  }
+
+  const changes = event === 'created' ? [] : diffSnapshots(
+    latest ? latest.toObject({ virtuals: false }).snapshot : previous,
+    snapshot
+  );
+  if (event === 'updated' && changes.length === 0) return null;
+
+  return appendVersion(medication, {
+    event,
+    snapshot,
+    changes,
+    reason,
+    changedBy,
+    effectiveFrom
+  });
+};
+
+// Every version of a prescription, oldest first
+const getMedicationHistory = (medicationId) =>
+  MedicationVersion.find({ medication: medicationId }).sort({ version: 1 });
+
+// Was the prescription being taken at `at`?
+const isInEffect = (snapshot, at) =>
+  snapshot.status === 'active' &&
+  (!snapshot.startDate || new Date(snapshot.startDate) <= at) &&
+  (!snapshot.endDate || new Date(snapshot.endDate) > at);
+
+// The patient's prescriptions as they stood at `at`, in force at that moment.
+// Medications with no recorded versions yet are shown as they are now.
+const getRegimenAt = async (patientId, at = new Date()) => {
+  const patient = new mongoose.Types.ObjectId(String(getId(patientId)));
+  const latestVersions = await MedicationVersion.aggregate([
+    { $match: { patient, effectiveFrom: { $lte: at } } },
+    { $sort: { version: -1 } },
+    { $group: { _id: '$medication', version: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$version' } }
+  ]);
+
+  const versioned = await MedicationVersion.distinct('medication', { patient });
+  const unversioned = await Medication.find({
+    patient,
+    _id: { $nin: versioned },
+    createdAt: { $lte: at }
+  });
+
+  const regimen = [
+    ...latestVersions
+      .filter(version => version.event !== 'deleted')
+      .map(version => ({
+        medication: version.medication,
+        version: version.version,
+        effectiveFrom: version.effectiveFrom,
+        ...version.snapshot
+      })),
+    ...unversioned.map(medication => ({
+      medication: medication._id,
+      version: null,
+      effectiveFrom: medication.createdAt,
+      ...takeSnapshot(medication)
+    }))
+  ];
+
+  return regimen
+    .filter(entry => isInEffect(entry, at))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Parse a regimen date: a "YYYY-MM-DD" day means the end of that day in `timeZone`, anything else an exact time
+const parseRegimenDate = (value, timeZone) => {
+  if (!value) return new Date();
+
+  const at = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(zonedTimeToUtc(addDays(value, 1), '00:00', timeZone).getTime() - 1)
+    : new Date(value);
+  if (Number.isNaN(at.getTime())) {
+    throw new AppError('Please provide a valid date (YYYY-MM-DD or an ISO date-time)', 400);
+  }
+  return at;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  takeSnapshot,
+  recordMedicationVersion,
+  getMedicationHistory,
+  getRegimenAt,
+  parseRegimenDate
+};
@@ -0,0 +1,163 @@
+const Medication = require('../models/medication.model');
+const User = require('../models/user.model');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const Email = require('../utils/email');
+const { scheduleJob, registerJobType } = require('./scheduler.service');
+const { sendTelegramMessage, escapeMarkdown } = require('./telegram.service');
+const { takeSnapshot, recordMedicationVersion } = require('./medicationHistory.service');
+const { DEFAULT_TIMEZONE, zonedTimeToUtc, toDateKey, addDays } = require('../utils/timezone');
+
+// Time of day ("HH:MM", in DEFAULT_TIMEZONE) the daily end-date check runs
+const COMPLETION_CHECK_TIME = process.env.MEDICATION_COMPLETION_CHECK_TIME || '00:05';
+
+const COMPLETION_CHECK_JOB_KEY = 'medication-completion-check';
+
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Tell the patient a medication has ended, by email and, if linked, Telegram
+const notifyPatient = async (medication, { completed, reason, doctorId }) => {
+  const [patient, doctor] = await Promise.all([
+    User.findById(getId(medication.patient)),
+    doctorId ? User.findById(doctorId) : null
+  ]);
+  if (!patient) return;
+
+  if (patient.telegramId) {
+    const message = completed
+      ? `✅ *Course complete*\n\nYour course of *${medication.name}* has reached its end date. You will no longer receive reminders for it.`
+      : `⏹ *Medication stopped*\n\n${doctor ? `Dr. ${doctor.name}` : 'Your doctor'} has stopped *${medication.name}*.` +
+        `${reason ? `\nReason: ${escapeMarkdown(reason)}` : ''}\n\nYou will no longer receive reminders for it.`;
+
+    try {
+      await sendTelegramMessage(patient.telegramId, message);
+    } catch (error) {
+      logger.error(`Error sending medication update via Telegram: ${error.message}`);
+    }
+  }
+
+  await Email.sendMedicationEnded(patient.email, {
+    medicationName: medication.name,
+    completed,
+    doctorName: doctor && doctor.name,
+    reason
+  });
+};
+
+// Move an active medication to `status`, recording why; resolves to null if it was no longer active.
+// Its reminders and dose checks are cancelled by reminderSync.service.
+const endMedication = async (medication, { status, reason, changedBy, $set = {} }) => {
+  const previous = takeSnapshot(medication);
+
+  // Only one caller (e.g. the daily job and a doctor at the same time) gets to end it
+  const ended = await Medication.findOneAndUpdate(
+    { _id: medication._id, status: 'active' },
+    { $set: { status, ...$set } },
+    { new: true }
+  );
+  if (!ended) return null;
+
+  await recordMedicationVersion(ended, { changedBy, reason, previous });
+
+  try {
+    await notifyPatient(ended, {
+      completed: status === 'completed',
+      reason,
+      doctorId: changedBy
+    });
+  } catch (err) {
+    logger.error(`Error notifying patient about medication ${ended._id}: ${err.message}`);
+  }
+
+  return ended;
+};
+
+// Stop an active medication early. A reason is required, and the schedule ends now
+// so no further doses are expected.
+const discontinueMedication = async (medication, { reason, discontinuedBy }) => {
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('Please provide a reason for stopping this medication', 400);
+  }
+  if (medication.status !== 'active') {
+    throw new AppError(`Only active medications can be stopped (this one is ${medication.status})`, 400);
+  }
+
+  const now = new Date();
+  const $set = {
+    discontinuation: {
+      reason: String(reason).trim(),
+      discontinuedBy,
+      discontinuedAt: now
+    }
+  };
+  // A course that already started ends now; one that has not started simply never will
+  if (medication.startDate < now && (!medication.endDate || medication.endDate > now)) {
+    $set.endDate = now;
+  }
+
+  const stopped = await endMedication(medication, {
+    status: 'stopped',
+    reason: $set.discontinuation.reason,
+    changedBy: discontinuedBy,
+    $set
+  });
+  if (!stopped) {
+    throw new AppError('This medication is no longer active', 409);
+  }
+
+  logger.info(`Medication ${stopped._id} stopped by ${discontinuedBy}`);
+  return stopped;
+};
+
+// Complete every active medication whose end date has passed
+const completeEndedMedications = async (now = new Date()) => {
+  const medications = await Medication.find({
+    status: 'active',
+    endDate: { $lte: now }
+  });
+
+  let completed = 0;
+  for (const medication of medications) {
+    try {
+      const ended = await endMedication(medication, {
+        status: 'completed',
+        reason: 'Course reached its end date'
+      });
+      if (ended) completed += 1;
+    } catch (error) {
+      logger.error(`Error completing medication ${medication._id}: ${error.message}`);
+    }
+  }
+  return completed;
+};
+
+// Next run of the daily end-date check
+const getNextCompletionCheckTime = (after = new Date()) => {
+  const today = toDateKey(after, DEFAULT_TIMEZONE);
+  const todayRun = zonedTimeToUtc(today, COMPLETION_CHECK_TIME, DEFAULT_TIMEZONE);
+  return todayRun > after ? todayRun : zonedTimeToUtc(addDays(today, 1), COMPLETION_CHECK_TIME, DEFAULT_TIMEZONE);
+};
+
+// Make sure the daily end-date check is scheduled (run on boot)
+const scheduleCompletionChecks = () => {
+  return scheduleJob({
+    key: COMPLETION_CHECK_JOB_KEY,
+    type: 'medication-completion-check',
+    nextRunAt: getNextCompletionCheckTime()
+  });
+};
+
+// Daily completion of medications past their end date
+registerJobType('medication-completion-check', {
+  run: async () => {
+    const completed = await completeEndedMedications();
+    logger.info(`Completed ${completed} medications past their end date`);
+  },
+  next: async (job, after) => getNextCompletionCheckTime(after)
+});
+
+module.exports = {
+  discontinueMedication,
+  completeEndedMedications,
+  scheduleCompletionChecks
+};
@@ -0,0 +1,181 @@
+const RefillRequest = require('../models/refillRequest.model');
+const Medication = require('../models/medication.model');
+const User = require('../models/user.model');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const Email = require('../utils/email');
+const { sendTelegramMessage, escapeMarkdown } = require('./telegram.service');
+const { formatDate, getUserTimeZone } = require('../utils/timezone');
+
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Tell the prescribing doctor about a new request, by email and, if linked, Telegram
+const notifyDoctorOfRequest = async (request, medication, { remaining, runOutDate } = {}) => {
+  const [patient, doctor] = await Promise.all([
+    User.findById(getId(request.patient)),
+    User.findById(getId(request.doctor))
+  ]);
+  if (!patient || !doctor) return;
+
+  const runOut = runOutDate && formatDate(runOutDate, getUserTimeZone(doctor));
+  const stock = remaining ? ` They have ${remaining} left, which will run out around ${runOut}.` : '';
+
+  if (doctor.telegramId) {
+    try {
+      await sendTelegramMessage(
+        doctor.telegramId,
+        `📦 *Refill request*\n\n*${patient.name}* needs a refill of *${medication.name}*.${stock}` +
+        (request.note ? `\n\nNote: ${escapeMarkdown(request.note)}` : '')
+      );
+    } catch (error) {
+      logger.error(`Error sending refill request via Telegram: ${error.message}`);
+    }
+  }
+
+  await Email.sendRefillRequestAlert(doctor.email, {
+    patientName: patient.name,
+    medicationName: medication.name,
+    remaining,
+    runOutDate: runOut,
+    note: request.note,
+    url: process.env.APP_URL && `${process.env.APP_URL}/refill-requests`
+  });
+};
+
+// Tell the patient what the doctor decided, by email and, if linked, Telegram
+const notifyPatientOfDecision = async (request, medication) => {
+  const [patient, doctor] = await Promise.all([
+    User.findById(getId(request.patient)),
+    User.findById(getId(request.doctor))
+  ]);
+  if (!patient) return;
+
+  const approved = request.status === 'approved';
+  const doctorName = doctor ? doctor.name : request.doctor.name;
+  const refillsRemaining = medication.refillInformation && medication.refillInformation.refillsRemaining;
+
+  if (patient.telegramId) {
+    try {
+      await sendTelegramMessage(
+        patient.telegramId,
+        approved
+          ? `✅ Your refill of *${medication.name}* was approved.` +
+            (refillsRemaining !== undefined ? ` Refills remaining: ${refillsRemaining}.` : '')
+          : `❌ Your refill request for *${medication.name}* was declined.` +
+            (request.denialReason ? `\nReason: ${escapeMarkdown(request.denialReason)}` : '')
+      );
+    } catch (error) {
+      logger.error(`Error sending refill decision via Telegram: ${error.message}`);
+    }
+  }
+
+  await Email.sendRefillDecision(patient.email, {
+    doctorName,
+    medicationName: medication.name,
+    approved,
+    refillsRemaining,
+    reason: request.denialReason
+  });
+};
+
+// Ask the prescribing doctor for a refill; only one request per medication can be pending.
+// `stock` ({ remaining, runOutDate }) is included in the doctor's alert for low-stock requests.
+const createRefillRequest = async (medication, { quantity, note, source = 'api', stock } = {}) => {
+  if (medication.status !== 'active') {
+    throw new AppError('Refills can only be requested for active medications', 400);
+  }
+
+  const alreadyPending = (pending) => {
+    // A low-stock alert for a medication the patient already asked about needs no second request
+    if (source === 'system') return pending;
+    throw new AppError('A refill request for this medication is already pending', 409);
+  };
+
+  const pending = await RefillRequest.findOne({ medication: medication._id, status: 'pending' });
+  if (pending) return alreadyPending(pending);
+
+  let request;
+  try {
+    request = await RefillRequest.create({
+      medication: medication._id,
+      patient: getId(medication.patient),
+      doctor: getId(medication.doctor),
+      quantity,
+      note,
+      source
+    });
+  } catch (err) {
+    // Another request for the medication was created since the check above
+    if (err.code !== 11000) throw err;
+    return alreadyPending(await RefillRequest.findOne({ medication: medication._id, status: 'pending' }));
+  }
+
+  try {
+    await notifyDoctorOfRequest(request, medication, stock);
+  } catch (err) {
+    logger.error(`Error notifying doctor of refill request: ${err.message}`);
+  }
+
+  return request;
+};
+
+// Approve or deny a pending request, update the prescription and notify the patient
+const decideRefillRequest = async (request, { approve, refillsGranted = 1, reason, decidedBy }) => {
+  if (request.status !== 'pending') {
+    throw new AppError(`This refill request is already ${request.status}`, 400);
+  }
+
+  const medication = await Medication.findById(getId(request.medication));
+  if (!medication) {
+    throw new AppError('The medication for this refill request no longer exists', 404);
+  }
+
+  if (approve) {
+    const granted = Number(refillsGranted);
+    if (!Number.isInteger(granted) || granted < 1) {
+      throw new AppError('refillsGranted must be a positive whole number', 400);
+    }
+
+    medication.refillInformation.refillsRemaining = (medication.refillInformation.refillsRemaining || 0) + granted;
+    medication.refillInformation.lastFilled = Date.now();
+    await medication.save();
+
+    request.status = 'approved';
+    request.refillsGranted = granted;
+  } else {
+    if (!reason) {
+      throw new AppError('Please provide a reason for denying the refill', 400);
+    }
+    request.status = 'denied';
+    request.denialReason = reason;
+  }
+
+  request.decidedBy = decidedBy;
+  request.decidedAt = Date.now();
+  await request.save();
+
+  try {
+    await notifyPatientOfDecision(request, medication);
+  } catch (err) {
+    logger.error(`Error notifying patient of refill decision: ${err.message}`);
+  }
+
+  return request;
+};
+
+// Withdraw a pending request
+const cancelRefillRequest = async (request) => {
+  if (request.status !== 'pending') {
+    throw new AppError(`This refill request is already ${request.status}`, 400);
+  }
+
+  request.status = 'cancelled';
+  await request.save();
+  return request;
+};
+
+module.exports = {
+  createRefillRequest,
+  cancelRefillRequest,
+  decideRefillRequest
+};
@@ -0,0 +1,71 @@
+const Medication = require('../models/medication.model');
+const User = require('../models/user.model');
+const Appointment = require('../models/appointment.model');
+const logger = require('../config/logger');
+const { cancelJobs } = require('./scheduler.service');
+const {
+  scheduleMedicationReminders,
+  cancelMedicationReminders,
+  scheduleUserMedicationReminders,
+  cancelUserReminders
+} = require('./telegram.service');
+const { scheduleCriticalDoseChecks } = require('./escalation.service');
+const { onModelEvent } = require('../utils/modelEvents');
+
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Make a medication's reminder and dose-check jobs match its current state
+const syncMedicationJobs = async (medicationId) => {
+  const medication = await Medication.findById(medicationId);
+
+  // Jobs of a medication that is no longer taken all go, including pending escalations
+  if (!medication || medication.status !== 'active') {
+    await cancelJobs({ medication: medicationId });
+    return;
+  }
+
+  const patient = await User.findById(getId(medication.patient)).select('+active');
+  if (patient && patient.telegramId && patient.active !== false) {
+    await scheduleMedicationReminders(medication, patient);
+  } else {
+    await cancelMedicationReminders(medication._id);
+  }
+
+  await scheduleCriticalDoseChecks(medication);
+};
+
+// Make a user's Telegram reminders match their link, time zone and account status
+const syncUserReminders = async (userId) => {
+  const user = await User.findById(userId).select('+active');
+
+  if (!user || !user.telegramId || user.active === false) {
+    await cancelUserReminders(userId);
+    return;
+  }
+
+  await scheduleUserMedicationReminders(user);
+};
+
+// Drop every job that belonged to a deleted user: dose reminders and checks, and appointment reminders
+const removeUserJobs = async (userId) => {
+  const appointments = await Appointment.distinct('_id', {
+    $or: [{ patient: userId }, { doctor: userId }]
+  });
+
+  await Promise.all([
+    cancelJobs({ patient: userId }),
+    appointments.length > 0 && cancelJobs({ appointment: { $in: appointments } })
+  ]);
+
+  logger.info(`Cancelled the reminders of deleted user ${userId}`);
+};
+
+onModelEvent('medication:changed', syncMedicationJobs);
+onModelEvent('medication:deleted', (medicationId) => cancelJobs({ medication: medicationId }));
+onModelEvent('user:changed', syncUserReminders);
+onModelEvent('user:deleted', removeUserJobs);
+
+module.exports = {
+  syncMedicationJobs,
+  syncUserReminders
+};
@@ -0,0 +1,214 @@
+const os = require('os');
+const crypto = require('crypto');
+const ReminderJob = require('../models/reminderJob.model');
+const logger = require('../config/logger');
+
+// Identifies this process when it holds a job lease
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// How often due jobs are polled for
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10) || 15 * 1000;
+
+// How long a claimed job stays locked to this instance
+const LEASE_MS = parseInt(process.env.SCHEDULER_LEASE_MS, 10) || 60 * 1000;
+
+// Recurring jobs overdue by more than this (e.g. after downtime) are skipped forward instead of fired
+const MAX_LATENESS_MS = (parseInt(process.env.SCHEDULER_MAX_LATENESS_MINUTES, 10) || 60) * 60 * 1000;
+
+// One-off jobs are retried this many times before being dropped
+const MAX_ATTEMPTS = 3;
+
+// Jobs of a type this instance has no handler for (e.g. during a rolling deploy) are put back for this long
+const UNKNOWN_TYPE_RETRY_MS = 60 * 60 * 1000;
+
+// Job types: { run(job), next(job, after) } - `next` makes a job recurring
+const jobTypes = new Map();
+
+let pollTimer = null;
+let ticking = false;
+
+// Register the handler for a job type
+const registerJobType = (type, definition) => {
+  jobTypes.set(type, definition);
+};
+
+// Create or replace a job by its key. A job another instance is running keeps its lease,
+// so rescheduling it (e.g. on boot) cannot let it run twice.
+const scheduleJob = async ({ key, type, nextRunAt, ...fields }) => {
+  const now = new Date();
+
+  try {
+    return await ReminderJob.findOneAndUpdate(
+      { key, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      {
+        $set: {
+          type,
+          nextRunAt,
+          lockedBy: null,
+          lockedUntil: null,
+          attempts: 0,
+          ...fields
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // The job exists but is leased: the upsert's insert collides with it on the unique key
+    if (error.code !== 11000) throw error;
+
+    return ReminderJob.findOneAndUpdate(
+      { key },
+      { $set: { type, nextRunAt, ...fields } },
+      { new: true }
+    );
+  }
+};
+
+// Remove every job matching a filter
+const cancelJobs = async (filter) => {
+  const { deletedCount } = await ReminderJob.deleteMany(filter);
+  return deletedCount;
+};
+
+// Atomically lease the earliest due job that no other instance holds
+const claimNextJob = async () => {
+  const now = new Date();
+  return ReminderJob.findOneAndUpdate(
+    {
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      $set: {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + LEASE_MS)
+      }
+    },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+};
+
+// Run a claimed job and move it to its next run, or remove it when it is done
+const processJob = async (job) => {
+  const definition = jobTypes.get(job.type);
+  const owned = { _id: job._id, lockedBy: INSTANCE_ID };
+
+  if (!definition) {
+    logger.warn(`No handler registered for reminder job type ${job.type} (${job.key})`);
+    await ReminderJob.updateOne(owned, {
+      $set: {
+        nextRunAt: new Date(Date.now() + UNKNOWN_TYPE_RETRY_MS),
+        lockedBy: null,
+        lockedUntil: null,
+        lastError: `No handler registered for job type ${job.type}`
+      }
+    });
+    return;
+  }
+
+  const now = new Date();
+  const isStale = definition.next && now - job.nextRunAt > MAX_LATENESS_MS;
+
+  try {
+    if (isStale) {
+      logger.warn(`Skipping overdue reminder job ${job.key} (due ${job.nextRunAt.toISOString()})`);
+    } else {
+      await definition.run(job);
+    }
+
+    if (!definition.next) {
+      await ReminderJob.deleteOne(owned);
+      return;
+    }
+
+    const nextRunAt = await definition.next(job, now);
+    if (!nextRunAt) {
+      await ReminderJob.deleteOne(owned);
+      return;
+    }
+
+    await ReminderJob.updateOne(owned, {
+      $set: {
+        nextRunAt,
+        lastRunAt: now,
+        lockedBy: null,
+        lockedUntil: null,
+        attempts: 0,
+        lastError: null
+      }
+    });
+  } catch (error) {
+    logger.error(`Error running reminder job ${job.key}: ${error.message}`);
+
+    const attempts = job.attempts + 1;
+    if (!definition.next && attempts >= MAX_ATTEMPTS) {
+      await ReminderJob.deleteOne(owned);
+      return;
+    }
+
+    // Retry one-off jobs after a short backoff; recurring jobs move on to their next run
+    const nextRunAt = definition.next
+      ? (await definition.next(job, now).catch(() => null))
+      : new Date(now.getTime() + attempts * 60 * 1000);
+
+    if (!nextRunAt) {
+      await ReminderJob.deleteOne(owned);
+      return;
+    }
+
+    await ReminderJob.updateOne(owned, {
+      $set: {
+        nextRunAt,
+        lockedBy: null,
+        lockedUntil: null,
+        attempts,
+        lastError: error.message
+      }
+    });
+  }
+};
+
+// Run every job that is currently due
+const runDueJobs = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      await processJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    logger.error(`Error polling reminder jobs: ${error.message}`);
+  } finally {
+    ticking = false;
+  }
+};
+
+// Start polling for due jobs
+const start = () => {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(runDueJobs, POLL_INTERVAL_MS);
+  runDueJobs();
+  logger.info(`Reminder scheduler started (instance ${INSTANCE_ID})`);
+};
+
+// Stop polling for due jobs
+const stop = () => {
+  if (!pollTimer) return;
+
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+module.exports = {
+  INSTANCE_ID,
+  registerJobType,
+  scheduleJob,
+  cancelJobs,
+  runDueJobs,
+  start,
+  stop
+};
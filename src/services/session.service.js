@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session.model');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+
+// How long an access token is valid; clients refresh it with their refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+// JWT_EXPIRES_IN used to set the lifetime of the only token, often to months, so it is no longer read
+if (process.env.JWT_EXPIRES_IN) {
+  logger.warn(`JWT_EXPIRES_IN is no longer used; access tokens last ACCESS_TOKEN_EXPIRES_IN (${ACCESS_TOKEN_EXPIRES_IN})`);
+}
+
+// Days a session lasts from sign-in, however often it is refreshed
+const REFRESH_TOKEN_EXPIRES_DAYS = parseFloat(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Exchanged refresh tokens kept per session to recognise reuse
+const MAX_PREVIOUS_TOKENS = 20;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<session id>.<secret>"; only the secret's hash is stored
+const newRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(40).toString('hex');
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new AppError('Invalid refresh token. Please log in again.', 401);
+  }
+  return { sessionId, hash: hashToken(secret) };
+};
+
+// Short-lived JWT naming the user and the session it belongs to
+const signAccessToken = (user, session) =>
+  jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+
+// Where a request came from, for the session list
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// Start a session for a user who just signed in; resolves to the session and its refresh token
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+    ...getClientInfo(req)
+  });
+  const { token, hash } = newRefreshToken(session._id);
+  session.refreshTokenHash = hash;
+  await session.save();
+
+  return { session, refreshToken: token };
+};
+
+const revokeSession = (sessionId, reason = 'revoked') =>
+  Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+
+// Revoke every session of a user, optionally keeping one (e.g. the one making the request)
+const revokeAllSessions = async (userId, { reason = 'revoked', except } = {}) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Exchange a refresh token for a new one. Each token works once: presenting a token that
+// was already exchanged means it leaked, so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const { sessionId, hash } = parseRefreshToken(refreshToken);
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHashes');
+
+  if (!session || !session.isActive) {
+    throw new AppError('Your session has ended. Please log in again.', 401);
+  }
+
+  const { token, hash: nextHash } = newRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      $set: { refreshTokenHash: nextHash, lastUsedAt: new Date(), ...getClientInfo(req) },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    // An old token of this session, or the current one used twice at once
+    if (hash === session.refreshTokenHash || (session.previousTokenHashes || []).includes(hash)) {
+      await revokeSession(session._id, 'token-reuse');
+      logger.warn(`Refresh token reused for session ${session._id} of user ${session.user}; session revoked`);
+    }
+    throw new AppError('Invalid refresh token. Please log in again.', 401);
+  }
+
+  return { session: rotated, refreshToken: token };
+};
+
+// The session an access token belongs to, if it is still active
+const getActiveSession = async (sessionId, userId) => {
+  const session = sessionId && await Session.findById(sessionId);
+  if (!session || !session.isActive || session.user.toString() !== String(userId)) {
+    return null;
+  }
+  return session;
+};
+
+// A user's active sessions, most recently used first
+const listSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+
+module.exports = {
+  REFRESH_TOKEN_EXPIRES_DAYS,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSession,
+  listSessions
+};
@@ -0,0 +1,75 @@
+const Settings = require('../models/settings.model');
+const AppError = require('../utils/appError');
+
+const SETTINGS_KEY = 'global';
+
+const ROLES = ['patient', 'doctor', 'admin'];
+
+// Settings are read on most requests, so each instance keeps them for a short while
+const CACHE_MS = 30 * 1000;
+let cached = null;
+
+// Current settings; defaults until an admin first changes them
+const getSettings = async () => {
+  if (cached && cached.expiresAt > Date.now()) return cached.settings;
+
+  const settings = (await Settings.findOne({ key: SETTINGS_KEY })) || new Settings({ key: SETTINGS_KEY });
+  cached = { settings, expiresAt: Date.now() + CACHE_MS };
+  return settings;
+};
+
+// Values of a list setting that are not among `allowed`
+const findUnknown = (values, allowed) =>
+  (Array.isArray(values) ? values.filter(value => !allowed.includes(value)) : [values]);
+
+// Apply an admin's changes to the settings
+const updateSettings = async ({ emailVerification, twoFactor }, updatedBy) => {
+  const $set = { updatedBy };
+
+  if (emailVerification && emailVerification.requiredFor !== undefined) {
+    const { requiredFor } = emailVerification;
+    const unknown = findUnknown(requiredFor, Settings.VERIFIED_EMAIL_ACTIONS);
+    if (unknown.length > 0) {
+      throw new AppError(
+        `Unknown actions: ${unknown.join(', ')}. Valid actions are: ${Settings.VERIFIED_EMAIL_ACTIONS.join(', ')}`,
+        400
+      );
+    }
+    $set['emailVerification.requiredFor'] = [...new Set(requiredFor)];
+  }
+
+  if (twoFactor && twoFactor.requiredRoles !== undefined) {
+    const unknown = findUnknown(twoFactor.requiredRoles, ROLES);
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown roles: ${unknown.join(', ')}. Valid roles are: ${ROLES.join(', ')}`, 400);
+    }
+    $set['twoFactor.requiredRoles'] = [...new Set(twoFactor.requiredRoles)];
+  }
+
+  const settings = await Settings.findOneAndUpdate(
+    { key: SETTINGS_KEY },
+    { $set },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  cached = null;
+  return settings;
+};
+
+// Does `action` need a verified email address?
+const requiresVerifiedEmail = async (action) => {
+  const settings = await getSettings();
+  return settings.emailVerification.requiredFor.includes(action);
+};
+
+// Must users with this role use two-factor authentication?
+const requiresTwoFactor = async (role) => {
+  const settings = await getSettings();
+  return settings.twoFactor.requiredRoles.includes(role);
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  requiresVerifiedEmail,
+  requiresTwoFactor
+};
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Medication = require('../models/medication.model');
+const User = require('../models/user.model');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const Email = require('../utils/email');
+const { sendTelegramMessage, escapeMarkdown } = require('./telegram.service');
+const { resolveDrug } = require('./interaction.service');
+const { formatDateTime, getUserTimeZone } = require('../utils/timezone');
+
+const SIDE_EFFECT_SEVERITIES = ['mild', 'moderate', 'severe'];
+
+// Default window of the doctor's cross-patient report list
+const DEFAULT_REPORT_DAYS = 90;
+
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Alert the prescribing doctor of a severe reaction by email and, if linked, Telegram
+const notifyDoctorOfSideEffect = async (medication, sideEffect) => {
+  const [patient, doctor] = await Promise.all([
+    User.findById(getId(medication.patient)),
+    User.findById(getId(medication.doctor))
+  ]);
+  if (!patient || !doctor) return false;
+
+  const reportedAt = formatDateTime(sideEffect.reportedAt, getUserTimeZone(doctor));
+
+  if (doctor.telegramId) {
+    try {
+      await sendTelegramMessage(
+        doctor.telegramId,
+        `🚨 *Severe side effect reported*\n\n*${patient.name}* reported a severe reaction to *${medication.name}* at ${reportedAt}:\n${escapeMarkdown(sideEffect.description)}`
+      );
+    } catch (error) {
+      logger.error(`Error sending side effect alert via Telegram: ${error.message}`);
+    }
+  }
+
+  await Email.sendSevereSideEffectAlert(doctor.email, {
+    patientName: patient.name,
+    medicationName: medication.name,
+    description: sideEffect.description,
+    reportedAt
+  });
+  return true;
+};
+
+// Record a side effect on a medication; severe reports alert the prescribing doctor straight away
+const reportSideEffect = async (medication, { description, severity, reportedBy, source = 'api' }) => {
+  if (!description || !String(description).trim()) {
+    throw new AppError('Please describe the side effect', 400);
+  }
+  if (!SIDE_EFFECT_SEVERITIES.includes(severity)) {
+    throw new AppError(`Severity must be one of: ${SIDE_EFFECT_SEVERITIES.join(', ')}`, 400);
+  }
+
+  const sideEffect = {
+    _id: new mongoose.Types.ObjectId(),
+    description: String(description).trim(),
+    severity,
+    reportedAt: new Date(),
+    reportedBy,
+    source
+  };
+
+  await Medication.updateOne(
+    { _id: medication._id },
+    { $push: { sideEffects: sideEffect } },
+    { runValidators: true }
+  );
+
+  if (severity === 'severe') {
+    try {
+      if (await notifyDoctorOfSideEffect(medication, sideEffect)) {
+        sideEffect.doctorNotifiedAt = new Date();
+        await Medication.updateOne(
+          { _id: medication._id, 'sideEffects._id': sideEffect._id },
+          { $set: { 'sideEffects.$.doctorNotifiedAt': sideEffect.doctorNotifiedAt } }
+        );
+      }
+    } catch (err) {
+      logger.error(`Error notifying doctor of side effect: ${err.message}`);
+    }
+  }
+
+  return sideEffect;
+};
+
+// Side-effect reports across patients, grouped by drug, most severe and most reported first
+const getSideEffectsByDrug = async ({ doctor, severity, days = DEFAULT_REPORT_DAYS, drug } = {}) => {
+  if (doctor && !mongoose.isValidObjectId(doctor)) {
+    throw new AppError('Invalid doctor ID', 400);
+  }
+
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const reports = await Medication.aggregate([
+    {
+      $match: {
+        ...(doctor && { doctor: new mongoose.Types.ObjectId(doctor) }),
+        'sideEffects.reportedAt': { $gte: since }
+      }
+    },
+    { $unwind: '$sideEffects' },
+    {
+      $match: {
+        'sideEffects.reportedAt': { $gte: since },
+        ...(severity && { 'sideEffects.severity': severity })
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'patient',
+        foreignField: '_id',
+        as: 'patientInfo'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        medication: '$_id',
+        name: 1,
+        patient: 1,
+        patientName: { $first: '$patientInfo.name' },
+        sideEffect: '$sideEffects'
+      }
+    },
+    { $sort: { 'sideEffect.reportedAt': -1 } }
+  ]);
+
+  const needle = drug && String(drug).toLowerCase();
+
+  // Different spellings and brands of the same drug are grouped together
+  const groups = new Map();
+  for (const report of reports) {
+    const known = resolveDrug(report.name);
+    const key = known ? known.name : report.name.toLowerCase();
+    if (needle && !key.includes(needle) && !report.name.toLowerCase().includes(needle)) continue;
+
+    if (!groups.has(key)) {
+      groups.set(key, { drug: key, reportCount: 0, severeCount: 0, patients: new Set(), reports: [] });
+    }
+    const group = groups.get(key);
+    group.reportCount += 1;
+    if (report.sideEffect.severity === 'severe') group.severeCount += 1;
+    group.patients.add(report.patient.toString());
+    group.reports.push({
+      medication: report.medication,
+      medicationName: report.name,
+      patient: report.patient,
+      patientName: report.patientName,
+      ...report.sideEffect
+    });
+  }
+
+  return [...groups.values()]
+    .map(({ patients, ...group }) => ({ ...group, patientCount: patients.size }))
+    .sort((a, b) => b.severeCount - a.severeCount || b.reportCount - a.reportCount);
+};
+
+module.exports = {
+  SIDE_EFFECT_SEVERITIES,
+  reportSideEffect,
+  getSideEffectsByDrug
+};
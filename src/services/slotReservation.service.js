@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/appointment.model');
+const SlotClaim = require('../models/slotClaim.model');
+const AppError = require('../utils/appError');
+const { getDoctorAvailability, isWithinWorkingHours } = require('./availability.service');
+const { zonedTimeToUtc, getPracticeTimeZone } = require('../utils/timezone');
+
+// Size of one claimed granule; appointments claim every granule they touch
+const GRANULARITY_MINUTES = parseInt(process.env.SLOT_CLAIM_GRANULARITY_MINUTES, 10) || 5;
+const GRANULARITY_MS = GRANULARITY_MINUTES * 60 * 1000;
+
+// Appointments in these states no longer hold their slot
+const RELEASED_STATUSES = ['cancelled', 'declined'];
+
+// Claims are made just before their appointment is created, so a claim without an appointment is only
+// left behind (e.g. by a crash) once it is older than this
+const ORPHAN_CLAIM_GRACE_MS = 60 * 1000;
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const getId = (ref) => (ref && ref._id ? ref._id : ref);
+
+// Real start/end instants of a booking; date and times are wall-clock values in the practice time zone
+const getAppointmentWindow = (doctor, date, startTime, endTime) => {
+  const day = new Date(date);
+  if (Number.isNaN(day.getTime())) {
+    throw new AppError('Please provide a valid date', 400);
+  }
+
+  if (!TIME_REGEX.test(startTime) || !TIME_REGEX.test(endTime)) {
+    throw new AppError('Please provide start and end times in HH:MM format', 400);
+  }
+
+  const dateKey = day.toISOString().slice(0, 10);
+  const timeZone = getPracticeTimeZone(doctor);
+  const startAt = zonedTimeToUtc(dateKey, startTime, timeZone);
+  const endAt = zonedTimeToUtc(dateKey, endTime, timeZone);
+
+  if (endAt <= startAt) {
+    throw new AppError('The appointment must end after it starts', 400);
+  }
+
+  return { dateKey, startAt, endAt };
+};
+
+// Granule start times covering [startAt, endAt)
+const getGranules = (startAt, endAt) => {
+  const granules = [];
+  const first = Math.floor(startAt.getTime() / GRANULARITY_MS) * GRANULARITY_MS;
+
+  for (let time = first; time < endAt.getTime(); time += GRANULARITY_MS) {
+    granules.push(new Date(time));
+  }
+  return granules;
+};
+
+// 409 describing the appointment that already holds the slot
+const slotConflictError = (conflicting) => {
+  const conflict = conflicting
+    ? {
+        appointment: conflicting._id,
+        date: conflicting.date,
+        startTime: conflicting.startTime,
+        endTime: conflicting.endTime,
+        startAt: conflicting.startAt,
+        endAt: conflicting.endAt,
+        status: conflicting.status
+      }
+    : null;
+
+  return new AppError('The selected time slot is already booked', 409, { conflict });
+};
+
+const isDuplicateKeyError = (err) =>
+  err && (err.code === 11000 || (err.writeErrors || []).some(e => e.code === 11000));
+
+// Claim the granules of [startAt, endAt) for an appointment, keeping the ones it already holds.
+// The unique {doctor, slot} index guarantees only one of two racing requests can succeed.
+const claimSlot = async (appointmentId, doctorId, startAt, endAt, { retryStale = true } = {}) => {
+  const granules = getGranules(startAt, endAt);
+
+  const held = await SlotClaim.find({ appointment: appointmentId }).select('slot');
+  const heldTimes = new Set(held.map(c => c.slot.getTime()));
+  const missing = granules.filter(g => !heldTimes.has(g.getTime()));
+
+  try {
+    await SlotClaim.insertMany(
+      missing.map(slot => ({ doctor: doctorId, slot, appointment: appointmentId })),
+      { ordered: true }
+    );
+  } catch (err) {
+    if (!isDuplicateKeyError(err)) throw err;
+
+    // Roll back what this attempt inserted before reporting the conflict
+    await SlotClaim.deleteMany({ appointment: appointmentId, slot: { $in: missing } });
+
+    const blocking = await SlotClaim.findOne({
+      doctor: doctorId,
+      slot: { $in: missing },
+      appointment: { $ne: appointmentId }
+    });
+    const conflicting = blocking && await Appointment.findById(blocking.appointment);
+
+    // Claims left behind by a cancelled appointment, or by one that was never created, are cleared and
+    // the claim retried once. A recent claim without an appointment belongs to a booking still in progress.
+    const isStale = blocking && (conflicting
+      ? RELEASED_STATUSES.includes(conflicting.status)
+      : Date.now() - blocking.createdAt > ORPHAN_CLAIM_GRACE_MS);
+    if (isStale && retryStale) {
+      await SlotClaim.deleteMany({ appointment: blocking.appointment });
+      return claimSlot(appointmentId, doctorId, startAt, endAt, { retryStale: false });
+    }
+
+    throw slotConflictError(conflicting);
+  }
+
+  // Drop granules the appointment no longer covers (after a reschedule)
+  await SlotClaim.deleteMany({ appointment: appointmentId, slot: { $nin: granules } });
+};
+
+// Free every granule held by an appointment
+const releaseSlot = async (appointmentId) => {
+  await SlotClaim.deleteMany({ appointment: appointmentId });
+};
+
+// Check working hours and existing appointments, returning the booking window; throws 409 on overlap
+const checkTimeSlotAvailability = async (doctor, date, startTime, endTime, excludeAppointmentId = null) => {
+  const window = getAppointmentWindow(doctor, date, startTime, endTime);
+
+  // The slot must fall inside the doctor's working hours for that date
+  const availability = await getDoctorAvailability(getId(doctor));
+  if (!isWithinWorkingHours(availability, window.dateKey, startTime, endTime)) {
+    throw new AppError('The selected time is outside the doctor\'s working hours', 400);
+  }
+
+  // Any active appointment overlapping the real start/end instants blocks the slot
+  const query = {
+    doctor: getId(doctor),
+    status: { $nin: RELEASED_STATUSES },
+    startAt: { $lt: window.endAt },
+    endAt: { $gt: window.startAt }
+  };
+
+  if (excludeAppointmentId) {
+    query._id = { $ne: excludeAppointmentId };
+  }
+
+  const conflicting = await Appointment.findOne(query);
+  if (conflicting) {
+    throw slotConflictError(conflicting);
+  }
+
+  return window;
+};
+
+// Create an appointment after claiming its slot, so concurrent bookings cannot both succeed
+const createWithClaim = async (fields) => {
+  const _id = new mongoose.Types.ObjectId();
+  await claimSlot(_id, getId(fields.doctor), fields.startAt, fields.endAt);
+
+  try {
+    return await Appointment.create({ _id, ...fields });
+  } catch (err) {
+    await releaseSlot(_id);
+    throw err;
+  }
+};
+
+module.exports = {
+  GRANULARITY_MINUTES,
+  RELEASED_STATUSES,
+  getAppointmentWindow,
+  checkTimeSlotAvailability,
+  claimSlot,
+  releaseSlot,
+  createWithClaim
+};
@@ -2,14 +2,41 @@ const TelegramBot = require('node-telegram-bot-api');
 const logger = require('../config/logger');
 const User = require('../models/user.model');
 const Medication = require('../models/medication.model');
-const cron = require('node-cron');
+const Appointment = require('../models/appointment.model');
+const DoseEvent = require('../models/doseEvent.model');
+const { recordDose } = require('./dose.service');
+const { releaseSlot } = require('./slotReservation.service');
+const { getDoctorAvailability, getCancellationCutoffHours } = require('./availability.service');
+const { scheduleJob, cancelJobs, registerJobType } = require('./scheduler.service');
+const { requiresVerifiedEmail } = require('./settings.service');
+const { getNextDoseTime, getDoseSlots, getDoseAmount, describeFrequency } = require('../utils/doseSchedule');
+const {
+  formatDate,
+  formatTime,
+  formatDateTime,
+  getUserTimeZone,
+  getPracticeTimeZone
+} = require('../utils/timezone');
 
 // Initialize Telegram bot
 const token = process.env.TELEGRAM_BOT_TOKEN;
 let bot;
 
-// Store active reminders
-const activeReminders = new Map();
+// Reasons offered when a patient skips a dose from Telegram
+const SKIP_REASONS = {
+  side_effects: 'Side effects',
+  ran_out: 'Ran out of medication',
+  feeling_better: 'Feeling better',
+  unavailable: 'Not at home / unavailable',
+  other: 'Other'
+};
+
+// Snooze options offered on a reminder (minutes)
+const SNOOZE_OPTIONS = [10, 30, 60];
+
+// /sideeffect prompts start with this, followed by the patient's description
+const SIDE_EFFECT_PREFIX = '🩺 Side effect: ';
+const SIDE_EFFECT_MAX_LENGTH = 500;
 
 // Initialize the bot
 const initBot = () => {
@@ -69,6 +96,8 @@ const setupBotCommands = () => {
         'You can also use these commands:\n\n' +
         '/medications - View your current medications\n' +
         '/appointments - View your upcoming appointments\n' +
+        '/refill - Ask your doctor for a refill\n' +
+        '/sideeffect - Report a side effect\n' +
         '/help - Show available commands'
       );
     } catch (error) {
@@ -113,6 +142,7 @@ const setupBotCommands = () => {
       user.telegramId = userId.toString();
       user.telegramVerificationCode = undefined;
       user.telegramVerificationExpires = undefined;
+      // Existing medication reminders are scheduled by reminderSync.service
       await user.save();
       
       bot.sendMessage(
@@ -121,9 +151,6 @@ const setupBotCommands = () => {
         'You will now receive medication reminders and appointment notifications here.'
       );
       
-      // Schedule existing medication reminders
-      await scheduleUserMedicationReminders(user);
-      
     } catch (error) {
       logger.error(`Error verifying Telegram user: ${error.message}`);
       bot.sendMessage(chatId, '❌ An error occurred. Please try again later.');
@@ -161,9 +188,10 @@ const setupBotCommands = () => {
         message += `*${index + 1}. ${med.name}*\n`;
         message += `   - Dosage: ${med.dosage.value} ${med.dosage.unit} (${med.dosage.form})\n`;
         if (med.frequency) {
-          message += `   - Frequency: ${med.frequency.timesPerDay} time(s) per day\n`;
-          if (med.frequency.specificTimes && med.frequency.specificTimes.length > 0) {
-            message += `   - Times: ${med.frequency.specificTimes.join(', ')}\n`;
+          message += `   - Frequency: ${describeFrequency(med)}\n`;
+          if (med.frequency.type !== 'prn' && med.frequency.type !== 'interval' &&
+              med.frequency.specificTimes && med.frequency.specificTimes.length > 0) {
+            message += `   - Times: ${med.frequency.specificTimes.join(', ')} (${getUserTimeZone(user)})\n`;
           }
         }
         if (med.instructions) {
@@ -211,9 +239,10 @@ const setupBotCommands = () => {
       }
       
       let message = '📅 *Your Upcoming Appointments*\n\n';
+      const timeZone = getUserTimeZone(user);
       appointments.forEach((appt, index) => {
-        const apptDate = new Date(appt.date).toLocaleDateString();
-        message += `*${index + 1}. ${apptDate} at ${appt.startTime}*\n`;
+        const startAt = appt.getStartAt(getPracticeTimeZone(appt.doctor));
+        message += `*${index + 1}. ${formatDate(startAt, timeZone)} at ${formatTime(startAt, timeZone)}*\n`;
         message += `   - Doctor: Dr. ${appt.doctor.name} (${appt.doctor.specialization})\n`;
         message += `   - Reason: ${appt.reason}\n`;
         if (appt.isVirtual) {
@@ -238,6 +267,101 @@ const setupBotCommands = () => {
     }
   });
   
+  // Refill command: pick a medication to request a refill for
+  bot.onText(/\/refill/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    
+    try {
+      const user = await User.findOne({ telegramId: userId.toString() });
+      if (!user) {
+        return bot.sendMessage(
+          chatId,
+          'Please link your account first using the /start command.'
+        );
+      }
+      
+      const medications = await Medication.find({
+        patient: user._id,
+        status: 'active'
+      }).sort({ name: 1 });
+      
+      if (medications.length === 0) {
+        return bot.sendMessage(
+          chatId,
+          'You currently have no active medications.'
+        );
+      }
+      
+      bot.sendMessage(chatId, '📦 Which medication do you need a refill of?', {
+        reply_markup: {
+          inline_keyboard: medications.map(med => [
+            { text: med.name, callback_data: `refill:req:${med._id}` }
+          ])
+        }
+      });
+      
+    } catch (error) {
+      logger.error(`Error in /refill command: ${error.message}`);
+      bot.sendMessage(chatId, '❌ An error occurred while fetching your medications.');
+    }
+  });
+  
+  // Side effect command: "/sideeffect dizzy after the morning dose", then pick the medication and severity
+  bot.onText(/^\/sideeffect(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const description = match[1] && match[1].replace(/\s+/g, ' ').trim();
+    
+    try {
+      const user = await User.findOne({ telegramId: userId.toString() });
+      if (!user) {
+        return bot.sendMessage(
+          chatId,
+          'Please link your account first using the /start command.'
+        );
+      }
+      
+      if (!description) {
+        return bot.sendMessage(
+          chatId,
+          'Tell me what you are experiencing after the command, e.g.\n/sideeffect dizziness after the morning dose'
+        );
+      }
+      if (description.length > SIDE_EFFECT_MAX_LENGTH) {
+        return bot.sendMessage(
+          chatId,
+          `Please keep the description under ${SIDE_EFFECT_MAX_LENGTH} characters.`
+        );
+      }
+      
+      const medications = await Medication.find({
+        patient: user._id,
+        status: 'active'
+      }).sort({ name: 1 });
+      
+      if (medications.length === 0) {
+        return bot.sendMessage(
+          chatId,
+          'You currently have no active medications.'
+        );
+      }
+      
+      // The description travels in the message text, so the buttons stay within Telegram's size limit
+      bot.sendMessage(chatId, `${SIDE_EFFECT_PREFIX}${description}\n\nWhich medication do you think caused it?`, {
+        reply_markup: {
+          inline_keyboard: medications.map(med => [
+            { text: med.name, callback_data: `se:med:${med._id}` }
+          ])
+        }
+      });
+      
+    } catch (error) {
+      logger.error(`Error in /sideeffect command: ${error.message}`);
+      bot.sendMessage(chatId, '❌ An error occurred while fetching your medications.');
+    }
+  });
+  
   // Help command
   bot.onText(/\/help/, (msg) => {
     const chatId = msg.chat.id;
@@ -247,24 +371,402 @@ const setupBotCommands = () => {
       '*/start* - Link your account and get started\n' +
       '*/medications* - View your current medications\n' +
       '*/appointments* - View your upcoming appointments\n' +
+      '*/refill* - Ask your doctor for a refill\n' +
+      '*/sideeffect <what you feel>* - Report a side effect\n' +
       '*/help* - Show this help message\n\n' +
       'Need assistance? Contact support@medreminder.com';
     
     bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
   });
+
+  // Inline keyboard buttons on reminders
+  bot.on('callback_query', async (query) => {
+    try {
+      const [scope] = (query.data || '').split(':');
+      if (scope === 'dose') {
+        await handleDoseCallback(query);
+      } else if (scope === 'appt') {
+        await handleAppointmentCallback(query);
+      } else if (scope === 'refill') {
+        await handleRefillCallback(query);
+      } else if (scope === 'se') {
+        await handleSideEffectCallback(query);
+      } else {
+        await bot.answerCallbackQuery(query.id);
+      }
+    } catch (error) {
+      logger.error(`Error handling Telegram callback query: ${error.message}`);
+      bot.answerCallbackQuery(query.id, { text: '❌ An error occurred. Please try again later.' });
+    }
+  });
 };
 
+// Build the inline keyboard shown under a dose reminder
+const doseReminderKeyboard = (doseId) => ({
+  inline_keyboard: [[
+    { text: '✅ Taken', callback_data: `dose:take:${doseId}` },
+    { text: '⏭ Skip', callback_data: `dose:skip:${doseId}` },
+    { text: '⏰ Snooze', callback_data: `dose:snooze:${doseId}` }
+  ]]
+});
+
+// Replace the buttons under a reminder message
+const updateReminderMessage = (query, text, replyMarkup) => {
+  const options = {
+    chat_id: query.message.chat.id,
+    message_id: query.message.message_id,
+    parse_mode: 'Markdown'
+  };
+
+  if (text) {
+    return bot.editMessageText(text, {
+      ...options,
+      reply_markup: replyMarkup || { inline_keyboard: [] }
+    });
+  }
+  return bot.editMessageReplyMarkup(replyMarkup || { inline_keyboard: [] }, options);
+};
+
+// Handle Taken / Skip / Snooze buttons on a dose reminder
+const handleDoseCallback = async (query) => {
+  const [, action, doseId, option] = query.data.split(':');
+
+  // Make sure the dose belongs to the Telegram user pressing the button
+  const user = await User.findOne({ telegramId: query.from.id.toString() });
+  const dose = await DoseEvent.findById(doseId);
+
+  if (!user || !dose || dose.patient.toString() !== user._id.toString()) {
+    return bot.answerCallbackQuery(query.id, { text: 'This reminder is no longer available.' });
+  }
+
+  const medication = await Medication.findById(dose.medication);
+  if (!medication || medication.status !== 'active') {
+    await updateReminderMessage(query);
+    return bot.answerCallbackQuery(query.id, { text: 'This medication is no longer active.' });
+  }
+
+  const doseLabel = `*${medication.name}* (${getDoseAmount(medication, dose.scheduledFor)} ${medication.dosage.unit})`;
+
+  switch (action) {
+    case 'take': {
+      const recorded = await recordDose({
+        medication,
+        scheduledFor: dose.scheduledFor,
+        status: 'taken',
+        source: 'telegram',
+        recordedBy: user._id
+      });
+      await updateReminderMessage(
+        query,
+        `✅ ${doseLabel} marked as taken${recorded.status === 'late' ? ' (late)' : ''}.`
+      );
+      return bot.answerCallbackQuery(query.id, { text: 'Dose recorded. Well done!' });
+    }
+
+    case 'skip': {
+      const buttons = Object.entries(SKIP_REASONS).map(([code, label]) => ([
+        { text: label, callback_data: `dose:skipr:${doseId}:${code}` }
+      ]));
+      await updateReminderMessage(query, null, { inline_keyboard: buttons });
+      return bot.answerCallbackQuery(query.id, { text: 'Why are you skipping this dose?' });
+    }
+
+    case 'skipr': {
+      const reason = SKIP_REASONS[option] || SKIP_REASONS.other;
+      await recordDose({
+        medication,
+        scheduledFor: dose.scheduledFor,
+        status: 'skipped',
+        skipReason: reason,
+        source: 'telegram',
+        recordedBy: user._id
+      });
+      await updateReminderMessage(query, `⏭ ${doseLabel} skipped: ${reason}.`);
+      return bot.answerCallbackQuery(query.id, { text: 'Skipped dose recorded.' });
+    }
+
+    case 'snooze': {
+      const buttons = [SNOOZE_OPTIONS.map(minutes => ({
+        text: `${minutes} min`,
+        callback_data: `dose:snz:${doseId}:${minutes}`
+      }))];
+      await updateReminderMessage(query, null, { inline_keyboard: buttons });
+      return bot.answerCallbackQuery(query.id, { text: 'Remind you again in…' });
+    }
+
+    case 'snz': {
+      const minutes = SNOOZE_OPTIONS.includes(Number(option)) ? Number(option) : SNOOZE_OPTIONS[0];
+      const snoozedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+      dose.snoozedUntil = snoozedUntil;
+      dose.snoozeCount += 1;
+      await dose.save();
+
+      await scheduleJob({
+        key: `dose-snooze:${dose._id}`,
+        type: 'dose-snooze',
+        medication: medication._id,
+        patient: user._id,
+        payload: { scheduledFor: dose.scheduledFor },
+        nextRunAt: snoozedUntil
+      });
+
+      await updateReminderMessage(query, `⏰ ${doseLabel} snoozed for ${minutes} minutes.`);
+      return bot.answerCallbackQuery(query.id, { text: `I'll remind you in ${minutes} minutes.` });
+    }
+
+    default:
+      return bot.answerCallbackQuery(query.id);
+  }
+};
+
+// Handle Confirm / Cancel buttons on an appointment reminder
+const handleAppointmentCallback = async (query) => {
+  const [, action, appointmentId] = query.data.split(':');
+
+  // Make sure the appointment belongs to the Telegram user pressing the button
+  const user = await User.findOne({ telegramId: query.from.id.toString() });
+  const appointment = await Appointment.findById(appointmentId);
+
+  if (!user || !appointment || appointment.patient._id.toString() !== user._id.toString()) {
+    return bot.answerCallbackQuery(query.id, { text: 'This reminder is no longer available.' });
+  }
+
+  if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+    await updateReminderMessage(query);
+    return bot.answerCallbackQuery(query.id, { text: `This appointment is ${appointment.status}.` });
+  }
+
+  const startAt = appointment.startAt || appointment.getStartAt(getPracticeTimeZone(appointment.doctor));
+  const label = `appointment with Dr. ${appointment.doctor.name} on ${formatDateTime(startAt, getUserTimeZone(user))}`;
+
+  switch (action) {
+    case 'confirm': {
+      appointment.status = 'confirmed';
+      appointment.confirmedAt = Date.now();
+      await appointment.save();
+
+      await updateReminderMessage(query, `✅ Your ${label} is confirmed.`, {
+        inline_keyboard: [[{ text: '❌ Cancel', callback_data: `appt:cancel:${appointment._id}` }]]
+      });
+      return bot.answerCallbackQuery(query.id, { text: 'Thanks, see you then!' });
+    }
+
+    case 'cancel': {
+      // Patients can only cancel online before the doctor's cutoff
+      const availability = await getDoctorAvailability(appointment.doctor._id);
+      const cutoffHours = getCancellationCutoffHours(availability);
+      if (startAt.getTime() - Date.now() < cutoffHours * 60 * 60 * 1000) {
+        return bot.answerCallbackQuery(query.id, {
+          text: `Appointments can only be cancelled online up to ${cutoffHours} hours before they start. Please contact the practice.`,
+          show_alert: true
+        });
+      }
+
+      appointment.status = 'cancelled';
+      appointment.cancelledBy = user._id;
+      appointment.cancelledAt = Date.now();
+      appointment.cancellationReason = 'Cancelled by the patient via Telegram';
+      await appointment.save();
+      await releaseSlot(appointment._id);
+
+      // Lazy require: the reminder service itself sends through this module
+      const { cancelAppointmentReminders } = require('./appointmentReminder.service');
+      await cancelAppointmentReminders(appointment._id);
+
+      // Let the doctor know the slot is free again
+      const doctor = await User.findById(appointment.doctor._id);
+      if (doctor && doctor.telegramId) {
+        await sendTelegramMessage(
+          doctor.telegramId,
+          `❌ ${user.name} cancelled their appointment on ${formatDateTime(startAt, getUserTimeZone(doctor))}.`
+        );
+      }
+
+      await updateReminderMessage(query, `❌ Your ${label} has been cancelled.`);
+      return bot.answerCallbackQuery(query.id, { text: 'Appointment cancelled.' });
+    }
+
+    default:
+      return bot.answerCallbackQuery(query.id);
+  }
+};
+
+// Admins can require a verified email address for an action, on Telegram as on the API
+const isBlockedByEmailVerification = async (user, action) => {
+  if (user.isVerified || user.role === 'admin') return false;
+  return requiresVerifiedEmail(action);
+};
+
+const VERIFY_EMAIL_FIRST = 'Please verify your email address first. You can request a new verification email in the app.';
+
+// Handle the medication buttons of the /refill command
+const handleRefillCallback = async (query) => {
+  const [, action, medicationId] = query.data.split(':');
+  if (action !== 'req') {
+    return bot.answerCallbackQuery(query.id);
+  }
+
+  // Make sure the medication belongs to the Telegram user pressing the button
+  const user = await User.findOne({ telegramId: query.from.id.toString() });
+  const medication = await Medication.findById(medicationId);
+
+  if (!user || !medication || medication.patient._id.toString() !== user._id.toString()) {
+    return bot.answerCallbackQuery(query.id, { text: 'This medication is no longer available.' });
+  }
+
+  if (await isBlockedByEmailVerification(user, 'request-refill')) {
+    return bot.answerCallbackQuery(query.id, { text: VERIFY_EMAIL_FIRST, show_alert: true });
+  }
+
+  try {
+    // Lazy require: the refill request service sends through this module
+    const { createRefillRequest } = require('./refillRequest.service');
+    await createRefillRequest(medication, { source: 'telegram' });
+  } catch (err) {
+    if (!err.isOperational) throw err;
+    return bot.answerCallbackQuery(query.id, { text: err.message, show_alert: true });
+  }
+
+  await updateReminderMessage(query, `📦 Refill of ${medication.name} requested. I'll let you know when your doctor has decided.`);
+  return bot.answerCallbackQuery(query.id, { text: 'Refill requested.' });
+};
+
+// Handle the medication and severity buttons of the /sideeffect command
+const handleSideEffectCallback = async (query) => {
+  const [, action, medicationId, severity] = query.data.split(':');
+
+  // Make sure the medication belongs to the Telegram user pressing the button
+  const user = await User.findOne({ telegramId: query.from.id.toString() });
+  const medication = await Medication.findById(medicationId);
+
+  if (!user || !medication || medication.patient._id.toString() !== user._id.toString()) {
+    return bot.answerCallbackQuery(query.id, { text: 'This medication is no longer available.' });
+  }
+
+  if (await isBlockedByEmailVerification(user, 'report-side-effect')) {
+    return bot.answerCallbackQuery(query.id, { text: VERIFY_EMAIL_FIRST, show_alert: true });
+  }
+
+  // First line of the prompt: "<prefix><description>"
+  const [firstLine] = (query.message.text || '').split('\n');
+  const description = firstLine.startsWith(SIDE_EFFECT_PREFIX) ? firstLine.slice(SIDE_EFFECT_PREFIX.length) : '';
+  if (!description) {
+    await updateReminderMessage(query);
+    return bot.answerCallbackQuery(query.id, { text: 'Please send /sideeffect again.' });
+  }
+
+  switch (action) {
+    case 'med': {
+      await bot.editMessageText(
+        `${SIDE_EFFECT_PREFIX}${description}\n\nHow severe is it with ${medication.name}?`,
+        {
+          chat_id: query.message.chat.id,
+          message_id: query.message.message_id,
+          reply_markup: {
+            inline_keyboard: [['mild', 'moderate', 'severe'].map(level => ({
+              text: level.charAt(0).toUpperCase() + level.slice(1),
+              callback_data: `se:sev:${medication._id}:${level}`
+            }))]
+          }
+        }
+      );
+      return bot.answerCallbackQuery(query.id);
+    }
+
+    case 'sev': {
+      // Lazy require: the side effect service sends through this module
+      const { reportSideEffect } = require('./sideEffect.service');
+      await reportSideEffect(medication, {
+        description,
+        severity,
+        reportedBy: user._id,
+        source: 'telegram'
+      });
+
+      await bot.editMessageText(
+        `📝 ${severity.charAt(0).toUpperCase() + severity.slice(1)} side effect of ${medication.name} recorded: ${description}` +
+        (severity === 'severe'
+          ? '\n\nYour doctor has been alerted. If you feel seriously unwell, call emergency services.'
+          : ''),
+        {
+          chat_id: query.message.chat.id,
+          message_id: query.message.message_id,
+          reply_markup: { inline_keyboard: [] }
+        }
+      );
+      return bot.answerCallbackQuery(query.id, { text: 'Side effect recorded.' });
+    }
+
+    default:
+      return bot.answerCallbackQuery(query.id);
+  }
+};
+
+// Send a reminder for one scheduled dose, with Taken / Skip / Snooze buttons
+const sendDoseReminder = async (medication, user, scheduledFor, { headline } = {}) => {
+  // Create the pending dose event the buttons will act on
+  const dose = await DoseEvent.findOneAndUpdate(
+    { medication: medication._id, scheduledFor },
+    {
+      $setOnInsert: {
+        patient: user._id,
+        doctor: medication.doctor && medication.doctor._id ? medication.doctor._id : medication.doctor,
+        status: 'pending',
+        source: 'system'
+      }
+    },
+    { new: true, upsert: true }
+  );
+
+  // Nothing to remind about if the patient already answered
+  if (dose.status !== 'pending') return null;
+
+  const dosage = `${getDoseAmount(medication, scheduledFor)} ${medication.dosage.unit}`;
+  const instructions = medication.instructions ? `\n\n💡 *Instructions:* ${medication.instructions}` : '';
+  const message = `${headline || '💊 *Time to take your medication!*'}\n\n` +
+    `*${medication.name}* (${dosage}) - scheduled for ${formatTime(scheduledFor, getUserTimeZone(user))}${instructions}`;
+
+  await bot.sendMessage(user.telegramId, message, {
+    parse_mode: 'Markdown',
+    reply_markup: doseReminderKeyboard(dose._id)
+  });
+
+  logger.info(`Sent reminder for medication ${medication.name} to user ${user._id}`);
+  return dose;
+};
+
+// Escape user-written text so Telegram shows it as typed instead of reading it as Markdown
+const escapeMarkdown = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[_*`[]/g, '\\$&');
+
+// Send a message to a linked Telegram user, if the bot is running
+const sendTelegramMessage = async (chatId, message, options = {}) => {
+  if (!bot || !chatId) return false;
+
+  await bot.sendMessage(chatId, message, { parse_mode: 'Markdown', ...options });
+  return true;
+};
+
+// Job types that deliver dose reminders over Telegram
+const TELEGRAM_REMINDER_TYPES = ['medication-dose', 'dose-snooze'];
+
+// Job key for one reminder slot of a medication
+const doseJobKey = (medicationId, time) => `medication-dose:${medicationId}:${time}`;
+
 // Schedule medication reminders for a user
 const scheduleUserMedicationReminders = async (user) => {
   try {
-    // Cancel any existing reminders for this user
-    cancelUserReminders(user._id);
-    
-    // Get all active medications for the user
+    // Get all active medications for the user; as-needed ones have no reminder slots
     const medications = await Medication.find({
       patient: user._id,
-      status: 'active',
-      'frequency.specificTimes': { $exists: true, $not: { $size: 0 } }
+      status: 'active'
+    });
+    
+    // Drop reminders for medications that are no longer active
+    await cancelJobs({
+      patient: user._id,
+      medication: { $nin: medications.map(m => m._id) }
     });
     
     if (medications.length === 0) return;
@@ -282,90 +784,101 @@ const scheduleUserMedicationReminders = async (user) => {
 
 // Schedule reminders for a specific medication
 const scheduleMedicationReminders = async (medication, user) => {
-  if (!medication.frequency || !medication.frequency.specificTimes) return;
-  
-  const userId = user._id.toString();
-  const medName = medication.name;
-  const dosage = `${medication.dosage.value} ${medication.dosage.unit}`;
-  const instructions = medication.instructions ? `\n\n💡 *Instructions:* ${medication.instructions}` : '';
-  
-  // Clear any existing reminders for this medication
-  cancelMedicationReminders(medication._id);
+  const slots = getDoseSlots(medication);
   
-  // Create a new reminder entry
-  const reminder = {
-    userId,
-    medicationId: medication._id,
-    chatId: user.telegramId,
-    timers: []
-  };
+  // Clear reminder slots that are no longer part of the schedule
+  await cancelJobs({
+    medication: medication._id,
+    type: 'medication-dose',
+    timeSlot: { $nin: slots }
+  });
   
-  // Schedule reminders for each time of day
-  for (const time of medication.frequency.specificTimes) {
-    const [hours, minutes] = time.split(':').map(Number);
+  // Schedule a persistent job for each time of day (or one for every-N-hours schedules)
+  for (const slot of slots) {
+    const nextRunAt = getNextDoseTime(medication, new Date(), { slot });
     
-    // Create a cron expression for this time (runs every day at the specified time)
-    const cronExpression = `${minutes} ${hours} * * *`;
+    if (!nextRunAt) {
+      await cancelJobs({ key: doseJobKey(medication._id, slot) });
+      continue;
+    }
     
-    // Schedule the reminder
-    const job = cron.schedule(cronExpression, async () => {
-      try {
-        // Check if medication is still active
-        const currentMed = await Medication.findById(medication._id);
-        if (!currentMed || currentMed.status !== 'active') {
-          // Medication is no longer active, cancel this reminder
-          job.stop();
-          return;
-        }
-        
-        // Send reminder message
-        const message = `💊 *Time to take your medication!*\n\n` +
-          `*${medName}* (${dosage})${instructions}`;
-        
-        await bot.sendMessage(user.telegramId, message, { parse_mode: 'Markdown' });
-        
-        // Log the reminder
-        logger.info(`Sent reminder for medication ${medName} to user ${userId}`);
-        
-      } catch (error) {
-        logger.error(`Error sending medication reminder: ${error.message}`);
-      }
-    }, {
-      scheduled: true,
-      timezone: 'UTC' // Adjust timezone as needed
+    await scheduleJob({
+      key: doseJobKey(medication._id, slot),
+      type: 'medication-dose',
+      medication: medication._id,
+      patient: user._id,
+      timeSlot: slot,
+      nextRunAt
     });
-    
-    // Store the timer for later cancellation
-    reminder.timers.push(job);
   }
-  
-  // Store the reminder
-  activeReminders.set(medication._id.toString(), reminder);
 };
 
-// Cancel all reminders for a specific medication
+// Cancel the Telegram reminders of a specific medication
 const cancelMedicationReminders = (medicationId) => {
-  const reminder = activeReminders.get(medicationId.toString());
-  if (!reminder) return;
+  return cancelJobs({ medication: medicationId, type: { $in: TELEGRAM_REMINDER_TYPES } });
+};
+
+// Cancel the Telegram reminders of a specific user
+const cancelUserReminders = (userId) => {
+  return cancelJobs({ patient: userId, type: { $in: TELEGRAM_REMINDER_TYPES } });
+};
+
+// Recreate reminder jobs for every linked patient (run on boot)
+const syncAllReminders = async () => {
+  const users = await User.find({ telegramId: { $ne: null } });
   
-  // Stop all timers
-  for (const timer of reminder.timers) {
-    timer.stop();
+  for (const user of users) {
+    await scheduleUserMedicationReminders(user);
   }
   
-  // Remove from active reminders
-  activeReminders.delete(medicationId.toString());
+  logger.info(`Synchronised medication reminders for ${users.length} Telegram users`);
 };
 
-// Cancel all reminders for a specific user
-const cancelUserReminders = (userId) => {
-  for (const [medId, reminder] of activeReminders.entries()) {
-    if (reminder.userId === userId.toString()) {
-      cancelMedicationReminders(medId);
-    }
+// Load what a dose reminder job needs, or nothing if it should no longer fire
+const loadReminderContext = async (job) => {
+  const [medication, user] = await Promise.all([
+    Medication.findById(job.medication),
+    User.findById(job.patient)
+  ]);
+
+  if (!medication || medication.status !== 'active' || !user || !user.telegramId) {
+    return null;
   }
+  return { medication, user };
 };
 
+// Dose reminder for one "HH:MM" slot, or every dose of an every-N-hours schedule
+registerJobType('medication-dose', {
+  run: async (job) => {
+    const context = await loadReminderContext(job);
+    if (!context) return;
+
+    if (!bot) {
+      logger.warn(`Telegram bot is not running; reminder ${job.key} was not sent`);
+      return;
+    }
+
+    await sendDoseReminder(context.medication, context.user, job.nextRunAt);
+  },
+  next: async (job, after) => {
+    const context = await loadReminderContext(job);
+    if (!context || !getDoseSlots(context.medication).includes(job.timeSlot)) {
+      return null;
+    }
+    return getNextDoseTime(context.medication, after, { slot: job.timeSlot });
+  }
+});
+
+// Repeat of a dose reminder after the patient pressed Snooze
+registerJobType('dose-snooze', {
+  run: async (job) => {
+    const context = await loadReminderContext(job);
+    if (!context || !bot) return;
+
+    await sendDoseReminder(context.medication, context.user, new Date(job.payload.scheduledFor));
+  }
+});
+
 // Handle webhook updates (for production)
 const handleWebhookUpdate = (req, res) => {
   if (req.params.token !== token) {
@@ -383,5 +896,9 @@ module.exports = {
   scheduleMedicationReminders,
   cancelMedicationReminders,
   cancelUserReminders,
-  scheduleUserMedicationReminders
+  scheduleUserMedicationReminders,
+  syncAllReminders,
+  sendDoseReminder,
+  sendTelegramMessage,
+  escapeMarkdown
 };
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const LoginChallenge = require('../models/loginChallenge.model');
+const AppError = require('../utils/appError');
+const logger = require('../config/logger');
+const { generateSecret, verifyTotp, getOtpAuthUrl } = require('../utils/totp');
+const { sendTelegramMessage } = require('./telegram.service');
+const { requiresTwoFactor } = require('./settings.service');
+const { checkLoginAllowed, recordFailedLogin, clearFailedLogins } = require('./loginProtection.service');
+
+const TWO_FACTOR_METHODS = ['totp', 'telegram'];
+
+// Fields holding second-factor secrets, which are never selected by default
+const SECRET_FIELDS = [
+  'secret',
+  'pendingSecret',
+  'pendingMethod',
+  'lastUsedStep',
+  'recoveryCodes',
+  'telegramCodeHash',
+  'telegramCodeExpires'
+].map(field => `+twoFactor.${field}`).join(' ');
+
+// Name shown for the account in authenticator apps
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'MedReminder';
+
+// How long a sign-in waits for the second factor, and how many wrong codes it allows
+const CHALLENGE_MINUTES = 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// How long a code sent via Telegram stays valid
+const TELEGRAM_CODE_MINUTES = 5;
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const safeEqual = (a, b) =>
+  a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Recovery codes are ten hex characters, shown as "xxxxx-xxxxx"; case and dashes don't matter
+const normaliseRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+// A user with their second-factor secrets loaded
+const findUserWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+// Send a one-time code to the user's linked Telegram account
+const sendTelegramCode = async (user) => {
+  if (!user.telegramId) {
+    throw new AppError('Please link your Telegram account first', 400);
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  user.twoFactor.telegramCodeHash = hash(code);
+  user.twoFactor.telegramCodeExpires = Date.now() + TELEGRAM_CODE_MINUTES * 60 * 1000;
+  await user.save({ validateBeforeSave: false });
+
+  const sent = await sendTelegramMessage(
+    user.telegramId,
+    `🔐 Your MedReminder verification code is *${code}*.\n\nIt expires in ${TELEGRAM_CODE_MINUTES} minutes. ` +
+    'Never share it with anyone. If you did not just try to sign in, change your password.'
+  );
+  if (!sent) {
+    throw new AppError('The code could not be sent via Telegram. Try again later!', 503);
+  }
+};
+
+// Check, and use up, the last code sent via Telegram
+const verifyTelegramCode = (user, code) => {
+  const { telegramCodeHash, telegramCodeExpires } = user.twoFactor;
+  if (!telegramCodeHash || !telegramCodeExpires || telegramCodeExpires < Date.now()) return false;
+  if (!safeEqual(hash(String(code || '').trim()), telegramCodeHash)) return false;
+
+  user.twoFactor.telegramCodeHash = undefined;
+  user.twoFactor.telegramCodeExpires = undefined;
+  return true;
+};
+
+// Check a code from the user's second factor, or one of their recovery codes (which is then used up).
+// Resolves to whether it was accepted.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  const { twoFactor } = user;
+  let accepted = false;
+
+  if (recoveryCode) {
+    const codeHash = hash(normaliseRecoveryCode(recoveryCode));
+    const remaining = twoFactor.recoveryCodes || [];
+    accepted = remaining.some(stored => safeEqual(stored, codeHash));
+    if (accepted) {
+      twoFactor.recoveryCodes = remaining.filter(stored => stored !== codeHash);
+      logger.info(`Recovery code used by user ${user._id}; ${twoFactor.recoveryCodes.length} left`);
+    }
+  } else if (twoFactor.method === 'totp') {
+    const step = verifyTotp(twoFactor.secret, code);
+    // A code works only once, even within its 30 seconds
+    accepted = step !== null && (twoFactor.lastUsedStep === undefined || step > twoFactor.lastUsedStep);
+    if (accepted) twoFactor.lastUsedStep = step;
+  } else if (twoFactor.method === 'telegram') {
+    accepted = verifyTelegramCode(user, code);
+  }
+
+  if (accepted) await user.save({ validateBeforeSave: false });
+  return accepted;
+};
+
+// Replace the user's recovery codes; resolves to the new codes, which are only ever shown now
+const generateRecoveryCodes = async (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  user.twoFactor.recoveryCodes = codes.map(code => hash(normaliseRecoveryCode(code)));
+  await user.save({ validateBeforeSave: false });
+  return codes;
+};
+
+// Start setting up a second factor. For "totp" this returns the secret to add to an
+// authenticator app; for "telegram" a code is sent to the linked account.
+const beginEnrollment = async (user, method) => {
+  if (!TWO_FACTOR_METHODS.includes(method)) {
+    throw new AppError(`Please choose a method: ${TWO_FACTOR_METHODS.join(' or ')}`, 400);
+  }
+  if (user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already on. Turn it off first to change the method.', 400);
+  }
+
+  user.twoFactor.pendingMethod = method;
+
+  if (method === 'telegram') {
+    user.twoFactor.pendingSecret = undefined;
+    await sendTelegramCode(user);
+    return { method };
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    method,
+    secret,
+    otpauthUrl: getOtpAuthUrl(secret, { accountName: user.email, issuer: ISSUER })
+  };
+};
+
+// Finish setup with a code from the new factor; resolves to the user's recovery codes
+const confirmEnrollment = async (user, code) => {
+  const { pendingMethod, pendingSecret } = user.twoFactor;
+  if (!pendingMethod) {
+    throw new AppError('Please start two-factor setup first', 400);
+  }
+
+  const step = pendingMethod === 'totp' ? verifyTotp(pendingSecret, code) : null;
+  const accepted = pendingMethod === 'totp' ? step !== null : verifyTelegramCode(user, code);
+  if (!accepted) {
+    throw new AppError('That code is not valid. Please try again.', 400);
+  }
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.method = pendingMethod;
+  user.twoFactor.secret = pendingMethod === 'totp' ? pendingSecret : undefined;
+  user.twoFactor.lastUsedStep = step === null ? undefined : step;
+  user.twoFactor.enabledAt = Date.now();
+  user.twoFactor.pendingMethod = undefined;
+  user.twoFactor.pendingSecret = undefined;
+
+  logger.info(`Two-factor authentication (${pendingMethod}) turned on for user ${user._id}`);
+  return generateRecoveryCodes(user);
+};
+
+// Turn two-factor authentication off and forget its secrets
+const disableTwoFactor = async (user) => {
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+  logger.info(`Two-factor authentication turned off for user ${user._id}`);
+};
+
+// Where the user stands with two-factor authentication
+const getTwoFactorStatus = async (user) => ({
+  enabled: user.twoFactor.enabled,
+  method: user.twoFactor.method,
+  enabledAt: user.twoFactor.enabledAt,
+  recoveryCodesRemaining: user.twoFactor.enabled ? (user.twoFactor.recoveryCodes || []).length : 0,
+  required: await requiresTwoFactor(user.role)
+});
+
+// Hold a sign-in until the second factor is given; resolves to the challenge token to send it with
+const createLoginChallenge = async (user) => {
+  const challengeToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + CHALLENGE_MINUTES * 60 * 1000);
+
+  await LoginChallenge.create({
+    user: user._id,
+    tokenHash: hash(challengeToken),
+    method: user.twoFactor.method,
+    expiresAt
+  });
+
+  // If the code cannot be sent the user can still sign in with a recovery code
+  let codeSent;
+  if (user.twoFactor.method === 'telegram') {
+    try {
+      await sendTelegramCode(await findUserWithSecrets(user._id));
+      codeSent = true;
+    } catch (err) {
+      logger.error(`Error sending sign-in code to user ${user._id}: ${err.message}`);
+      codeSent = false;
+    }
+  }
+
+  return { challengeToken, method: user.twoFactor.method, expiresAt, codeSent };
+};
+
+// Finish a sign-in with the second factor; resolves to the signed-in user. Wrong codes count as
+// failed sign-ins from `ip`, so guessing codes across many challenges still locks the account.
+const completeLoginChallenge = async (challengeToken, { code, recoveryCode, ip }) => {
+  if (!challengeToken || (!code && !recoveryCode)) {
+    throw new AppError('Please provide the challenge token and a code or recovery code', 400);
+  }
+
+  const tokenHash = hash(String(challengeToken));
+  const pending = await LoginChallenge.findOne({ tokenHash, expiresAt: { $gt: new Date() } });
+  if (!pending) {
+    throw new AppError('This sign-in has expired or had too many wrong codes. Please log in again.', 401);
+  }
+
+  const user = await findUserWithSecrets(pending.user);
+  if (!user || !user.twoFactor.enabled) {
+    await LoginChallenge.deleteOne({ _id: pending._id });
+    throw new AppError('Please log in again.', 401);
+  }
+
+  await checkLoginAllowed({ email: user.email, ip });
+
+  // Count the attempt before checking it, so parallel guesses cannot get past the limit
+  const challenge = await LoginChallenge.findOneAndUpdate(
+    { _id: pending._id, attempts: { $lt: MAX_CHALLENGE_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!challenge) {
+    throw new AppError('This sign-in has expired or had too many wrong codes. Please log in again.', 401);
+  }
+
+  if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+    await recordFailedLogin({ email: user.email, ip, user });
+
+    const attemptsLeft = MAX_CHALLENGE_ATTEMPTS - challenge.attempts;
+    logger.warn(`Wrong second factor for user ${user._id} (${attemptsLeft} attempts left)`);
+    throw new AppError(
+      attemptsLeft > 0
+        ? `That code is not valid. ${attemptsLeft} attempts left.`
+        : 'Too many wrong codes. Please log in again.',
+      401
+    );
+  }
+
+  await LoginChallenge.deleteOne({ _id: challenge._id });
+  await clearFailedLogins(user.email);
+
+  // Without the secrets, for the response
+  return User.findById(user._id);
+};
+
+module.exports = {
+  findUserWithSecrets,
+  sendTelegramCode,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  createLoginChallenge,
+  completeLoginChallenge
+};
@@ -1,8 +1,10 @@
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, data) {
     super(message);
 
     this.statusCode = statusCode;
+    // Optional details returned to the client alongside the message
+    this.data = data;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
 
@@ -0,0 +1,240 @@
+// Helpers for expanding a medication's frequency into concrete dose times.
+// "HH:MM" dose times are wall-clock times in the patient's time zone.
+const {
+  zonedTimeToUtc,
+  toDateKey,
+  addDays,
+  daysBetween,
+  getWeekday,
+  getUserTimeZone
+} = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// daily: specificTimes every day
+// interval: every `intervalHours` hours from `intervalStart` on the start date
+// weekly: specificTimes on `daysOfWeek`
+// alternate: specificTimes every `everyNDays` days (every other day by default)
+// cycle: specificTimes for `cycle.daysOn` days, then a break of `cycle.daysOff` days, repeating
+// taper: `taperSteps` of `days` each, with their own dosage (and optionally times)
+// prn: as needed, no schedule, at most `maxPerDay` doses a day
+const FREQUENCY_TYPES = ['daily', 'interval', 'weekly', 'alternate', 'cycle', 'taper', 'prn'];
+
+// Reminder slot used for every-N-hours schedules, whose times of day drift
+const INTERVAL_SLOT = 'interval';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Parse an "HH:MM" string into hours and minutes
+const parseTime = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return { hours, minutes };
+};
+
+// Time zone a medication's schedule runs in (its patient's, when populated)
+const getMedicationTimeZone = (medication) => getUserTimeZone(medication.patient);
+
+const getFrequencyType = (medication) => (medication.frequency && medication.frequency.type) || 'daily';
+
+// As-needed medications have no schedule to remind about or adhere to
+const isAsNeeded = (medication) => getFrequencyType(medication) === 'prn';
+
+// Taper step in effect `dayIndex` days after the start date, or null once the taper is over
+const getTaperStep = (frequency, dayIndex) => {
+  let stepEnd = 0;
+  for (const step of frequency.taperSteps || []) {
+    stepEnd += step.days;
+    if (dayIndex < stepEnd) return step;
+  }
+  return null;
+};
+
+// "HH:MM" times a medication is taken on `dateKey`, which is `dayIndex` days after its start date
+const getTimesForDay = (medication, dateKey, dayIndex) => {
+  const frequency = medication.frequency || {};
+  const times = frequency.specificTimes || [];
+  if (dayIndex < 0) return [];
+
+  switch (getFrequencyType(medication)) {
+    case 'weekly':
+      return (frequency.daysOfWeek || []).includes(getWeekday(dateKey)) ? times : [];
+    case 'alternate':
+      return dayIndex % (frequency.everyNDays || 2) === 0 ? times : [];
+    case 'cycle': {
+      const { daysOn, daysOff } = frequency.cycle;
+      return dayIndex % (daysOn + daysOff) < daysOn ? times : [];
+    }
+    case 'taper': {
+      const step = getTaperStep(frequency, dayIndex);
+      if (!step) return [];
+      return step.specificTimes && step.specificTimes.length > 0 ? step.specificTimes : times;
+    }
+    case 'prn':
+      return [];
+    default:
+      return times;
+  }
+};
+
+// Every-N-hours doses in [rangeStart, rangeEnd), counted from intervalStart on the start date
+const getIntervalDoseTimes = (medication, rangeStart, rangeEnd, timeZone) => {
+  const { intervalHours, intervalStart } = medication.frequency;
+  const stepMs = intervalHours * HOUR_MS;
+  if (!(stepMs > 0)) return [];
+
+  const anchor = zonedTimeToUtc(toDateKey(medication.startDate, timeZone), intervalStart || '08:00', timeZone);
+  const first = Math.max(0, Math.ceil((rangeStart - anchor) / stepMs));
+
+  const doses = [];
+  for (let dose = anchor.getTime() + first * stepMs; dose < rangeEnd.getTime(); dose += stepMs) {
+    doses.push(new Date(dose));
+  }
+  return doses;
+};
+
+// Reminder slots of a medication: one per "HH:MM" time, or a single slot for every-N-hours schedules
+const getDoseSlots = (medication) => {
+  const frequency = medication.frequency || {};
+
+  switch (getFrequencyType(medication)) {
+    case 'prn':
+      return [];
+    case 'interval':
+      return [INTERVAL_SLOT];
+    case 'taper': {
+      const times = new Set(frequency.specificTimes || []);
+      (frequency.taperSteps || []).forEach(step => (step.specificTimes || []).forEach(time => times.add(time)));
+      return [...times].sort();
+    }
+    default:
+      return [...(frequency.specificTimes || [])];
+  }
+};
+
+// Get every scheduled dose time of a medication between `from` (inclusive) and `to` (exclusive).
+// Options: `slot` (or `times`) to only expand some reminder slots, `timeZone` to override the patient's zone.
+const getScheduledDoseTimes = (medication, from, to, options = {}) => {
+  const type = getFrequencyType(medication);
+  if (type === 'prn') return [];
+
+  const timeZone = options.timeZone || getMedicationTimeZone(medication);
+  const rangeStart = new Date(Math.max(new Date(from), new Date(medication.startDate)));
+  const rangeEnd = medication.endDate
+    ? new Date(Math.min(new Date(to), new Date(medication.endDate)))
+    : new Date(to);
+  if (rangeStart >= rangeEnd) return [];
+
+  if (type === 'interval') {
+    return options.slot && options.slot !== INTERVAL_SLOT
+      ? []
+      : getIntervalDoseTimes(medication, rangeStart, rangeEnd, timeZone);
+  }
+
+  const onlyTimes = options.times || (options.slot ? [options.slot] : null);
+  const startDay = toDateKey(medication.startDate, timeZone);
+  const lastDay = toDateKey(rangeEnd, timeZone);
+  const doses = [];
+
+  for (let day = toDateKey(rangeStart, timeZone); day <= lastDay; day = addDays(day, 1)) {
+    for (const time of getTimesForDay(medication, day, daysBetween(startDay, day))) {
+      if (onlyTimes && !onlyTimes.includes(time)) continue;
+
+      const dose = zonedTimeToUtc(day, time, timeZone);
+      if (dose >= rangeStart && dose < rangeEnd) {
+        doses.push(dose);
+      }
+    }
+  }
+
+  return doses.sort((a, b) => a - b);
+};
+
+// Get the first scheduled dose time strictly after `after`
+const getNextDoseTime = (medication, after = new Date(), options = {}) => {
+  const from = new Date(new Date(after).getTime() + 1);
+
+  // Most schedules have a dose within two days; weekly, cyclic and tapering ones may need a longer look
+  for (const days of [2, 35, 366]) {
+    const [next] = getScheduledDoseTimes(medication, from, new Date(from.getTime() + days * DAY_MS), options);
+    if (next) return next;
+  }
+  return null;
+};
+
+// Find the scheduled dose that `time` refers to (to the minute), or null when there is none
+const findScheduledDoseTime = (medication, time) => {
+  const target = new Date(time);
+  const doses = getScheduledDoseTimes(
+    medication,
+    new Date(target.getTime() - 60 * 1000),
+    new Date(target.getTime() + 60 * 1000)
+  );
+  return doses.find(dose => Math.abs(dose - target) < 60 * 1000) || null;
+};
+
+// Find the scheduled dose closest to `time`, looking one day either side
+const getClosestDoseTime = (medication, time = new Date()) => {
+  const target = new Date(time);
+  const doses = getScheduledDoseTimes(
+    medication,
+    new Date(target.getTime() - DAY_MS),
+    new Date(target.getTime() + DAY_MS)
+  );
+  if (doses.length === 0) return null;
+
+  return doses.reduce((closest, dose) =>
+    Math.abs(dose - target) < Math.abs(closest - target) ? dose : closest
+  );
+};
+
+// Dosage value (in `dosage.unit`) of the dose at `time`; tapering medications change it step by step
+const getDoseAmount = (medication, time = new Date()) => {
+  if (getFrequencyType(medication) === 'taper') {
+    const timeZone = getMedicationTimeZone(medication);
+    const dayIndex = daysBetween(toDateKey(medication.startDate, timeZone), toDateKey(time, timeZone));
+    const step = getTaperStep(medication.frequency, dayIndex);
+    if (step && step.dosage !== undefined) return step.dosage;
+  }
+  return medication.dosage.value;
+};
+
+// Human readable schedule, e.g. "2 time(s) per day", "every 8 hours", "on Mon, Thu"
+const describeFrequency = (medication) => {
+  const frequency = medication.frequency || {};
+
+  switch (getFrequencyType(medication)) {
+    case 'interval':
+      return `every ${frequency.intervalHours} hours`;
+    case 'weekly':
+      return `on ${(frequency.daysOfWeek || []).map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+    case 'alternate':
+      return (frequency.everyNDays || 2) === 2 ? 'every other day' : `every ${frequency.everyNDays} days`;
+    case 'cycle':
+      return `${frequency.cycle.daysOn} days on, ${frequency.cycle.daysOff} days off`;
+    case 'taper': {
+      const totalDays = (frequency.taperSteps || []).reduce((sum, step) => sum + step.days, 0);
+      return `tapering over ${totalDays} days`;
+    }
+    case 'prn':
+      return `as needed (at most ${frequency.maxPerDay} per day)`;
+    default:
+      return `${frequency.timesPerDay} time(s) per day`;
+  }
+};
+
+module.exports = {
+  FREQUENCY_TYPES,
+  INTERVAL_SLOT,
+  parseTime,
+  getMedicationTimeZone,
+  getFrequencyType,
+  isAsNeeded,
+  getDoseSlots,
+  getScheduledDoseTimes,
+  getNextDoseTime,
+  findScheduledDoseTime,
+  getClosestDoseTime,
+  getDoseAmount,
+  describeFrequency
+};
@@ -68,6 +68,22 @@ if (EMAIL_NOTIFICATIONS_ENABLED) {
   logger.info('Email notifications are disabled (FEATURE_EMAIL_NOTIFICATIONS=false)');
 }
 
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for use in an HTML email body, so user-written content cannot add markup or links
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
 /**
  * Send an email
  * @param {Object} options - Email options
@@ -124,10 +140,10 @@ const sendPasswordResetEmail = async (to, resetToken) => {
       <p>You are receiving this email because you (or someone else) has requested a password reset.</p>
       <p>Please click the button below to reset your password:</p>
       <div style="text-align: center; margin: 30px 0;">
-        <a href="${resetUrl}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Reset Password</a>
+        <a href="${escapeHtml(resetUrl)}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Reset Password</a>
       </div>
       <p>Or copy and paste this link into your browser:</p>
-      <p>${resetUrl}</p>
+      <p>${escapeHtml(resetUrl)}</p>
       <p>This link will expire in 10 minutes.</p>
       <p>If you did not request this, please ignore this email and your password will remain unchanged.</p>
     </div>
@@ -145,23 +161,24 @@ const sendPasswordResetEmail = async (to, resetToken) => {
  * Send account verification email
  * @param {string} to - Recipient email address
  * @param {string} verificationToken - Account verification token
+ * @param {number} [expiresInHours=24] - How long the link stays valid
  * @returns {Promise}
  */
-const sendVerificationEmail = async (to, verificationToken) => {
+const sendVerificationEmail = async (to, verificationToken, expiresInHours = 24) => {
   const verificationUrl = `${process.env.APP_URL}/verify-email/${verificationToken}`;
   const subject = 'Verify your email address';
-  const text = `Please verify your email by clicking the following link: \n\n${verificationUrl}\n\n`;
+  const text = `Please verify your email by clicking the following link: \n\n${verificationUrl}\n\nThis link will expire in ${expiresInHours} hours.\n`;
   
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
       <h2>Verify Your Email Address</h2>
       <p>Thank you for signing up! Please verify your email address by clicking the button below:</p>
       <div style="text-align: center; margin: 30px 0;">
-        <a href="${verificationUrl}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Verify Email</a>
+        <a href="${escapeHtml(verificationUrl)}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Verify Email</a>
       </div>
       <p>Or copy and paste this link into your browser:</p>
-      <p>${verificationUrl}</p>
-      <p>This link will expire in 24 hours.</p>
+      <p>${escapeHtml(verificationUrl)}</p>
+      <p>This link will expire in ${escapeHtml(expiresInHours)} hours.</p>
       <p>If you did not create an account, please ignore this email.</p>
     </div>
   `;
@@ -174,8 +191,501 @@ const sendVerificationEmail = async (to, verificationToken) => {
   });
 };
 
+/**
+ * Send appointment confirmation email
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Appointment details
+ * @param {string} details.doctorName - Name of the doctor
+ * @param {string} details.when - Appointment date and time, formatted in the patient's time zone
+ * @param {string} details.reason - Reason for the appointment
+ * @param {boolean} [details.pending] - Whether the booking still awaits the doctor's approval
+ * @param {string} [details.url] - Link to the patient's appointments
+ * @returns {Promise}
+ */
+const sendAppointmentConfirmation = async (to, { doctorName, when, reason, pending, url }) => {
+  const subject = pending ? 'Your appointment request was received' : 'Your appointment is confirmed';
+  const status = pending ? 'has been requested and is awaiting approval' : 'is scheduled';
+  const text = `Your appointment with Dr. ${doctorName} ${status} for ${when}.\n\nReason: ${reason}${url ? `\n\nView your appointments: ${url}` : ''}`;
+  
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>${pending ? 'Appointment Requested' : 'Appointment Confirmed'}</h2>
+      <p>Your appointment with <strong>Dr. ${escapeHtml(doctorName)}</strong> ${escapeHtml(status)} for:</p>
+      <p style="font-size: 18px;"><strong>${escapeHtml(when)}</strong></p>
+      <p>Reason: ${escapeHtml(reason)}</p>
+      ${url ? `<p><a href="${escapeHtml(url)}">View your appointments</a></p>` : ''}
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Send confirmation of a recurring appointment series
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Series details
+ * @param {string} details.doctorName - Name of the doctor
+ * @param {string} details.recurrence - Description of the rule, e.g. "every 2 weeks"
+ * @param {string[]} details.dates - Booked visits, formatted in the patient's time zone
+ * @param {string} details.reason - Reason for the appointments
+ * @param {string} [details.url] - Link to the patient's appointments
+ * @returns {Promise}
+ */
+const sendAppointmentSeriesConfirmation = async (to, { doctorName, recurrence, dates, reason, url }) => {
+  const subject = 'Your recurring appointments are confirmed';
+  const text = `Your appointments with Dr. ${doctorName} are scheduled ${recurrence}:\n\n${dates.map(d => `- ${d}`).join('\n')}\n\nReason: ${reason}${url ? `\n\nView your appointments: ${url}` : ''}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Recurring Appointments Confirmed</h2>
+      <p>Your appointments with <strong>Dr. ${escapeHtml(doctorName)}</strong> are scheduled ${escapeHtml(recurrence)}:</p>
+      <ul>${dates.map(d => `<li>${escapeHtml(d)}</li>`).join('')}</ul>
+      <p>Reason: ${escapeHtml(reason)}</p>
+      ${url ? `<p><a href="${escapeHtml(url)}">View your appointments</a></p>` : ''}
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Let a doctor know a patient requested an appointment that needs approval
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Request details
+ * @param {string} details.patientName - Name of the patient
+ * @param {string} details.when - Requested date and time, formatted in the doctor's time zone
+ * @param {string} details.reason - Reason for the appointment
+ * @returns {Promise}
+ */
+const sendAppointmentRequest = async (to, { patientName, when, reason }) => {
+  const subject = `New appointment request from ${patientName}`;
+  const text = `${patientName} has requested an appointment on ${when}.\n\nReason: ${reason}\n\nPlease approve or decline the request.`;
+  
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>New Appointment Request</h2>
+      <p><strong>${escapeHtml(patientName)}</strong> has requested an appointment on <strong>${escapeHtml(when)}</strong>.</p>
+      <p>Reason: ${escapeHtml(reason)}</p>
+      <p>Please approve or decline the request.</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Send appointment update email
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Update details
+ * @param {string} details.doctorName - Name of the doctor
+ * @param {string} details.changes - Description of what changed
+ * @param {string} [details.url] - Link to the patient's appointments
+ * @returns {Promise}
+ */
+const sendAppointmentUpdate = async (to, { doctorName, changes, url }) => {
+  const subject = 'Your appointment has been updated';
+  const text = `Your appointment with Dr. ${doctorName} has been updated: ${changes}.${url ? `\n\nView your appointments: ${url}` : ''}`;
+  
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Appointment Updated</h2>
+      <p>Your appointment with <strong>Dr. ${escapeHtml(doctorName)}</strong> has been updated:</p>
+      <p>${escapeHtml(changes)}</p>
+      ${url ? `<p><a href="${escapeHtml(url)}">View your appointments</a></p>` : ''}
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Remind a patient of an upcoming appointment
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Appointment details
+ * @param {string} details.doctorName - Name of the doctor
+ * @param {string} details.when - Appointment date and time, formatted in the patient's time zone
+ * @param {string} details.reason - Reason for the appointment
+ * @param {string} [details.meetingLink] - Link for virtual appointments
+ * @param {string} [details.url] - Link to the patient's appointments
+ * @returns {Promise}
+ */
+const sendAppointmentReminder = async (to, { doctorName, when, reason, meetingLink, url }) => {
+  const subject = `Reminder: appointment with Dr. ${doctorName}`;
+  const text = `This is a reminder of your appointment with Dr. ${doctorName} on ${when}.\n\nReason: ${reason}${meetingLink ? `\n\nJoin the meeting: ${meetingLink}` : ''}${url ? `\n\nView your appointments: ${url}` : ''}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Appointment Reminder</h2>
+      <p>This is a reminder of your appointment with <strong>Dr. ${escapeHtml(doctorName)}</strong> on:</p>
+      <p style="font-size: 18px;"><strong>${escapeHtml(when)}</strong></p>
+      <p>Reason: ${escapeHtml(reason)}</p>
+      ${meetingLink ? `<p><a href="${escapeHtml(meetingLink)}">Join the meeting</a></p>` : ''}
+      ${url ? `<p><a href="${escapeHtml(url)}">View your appointments</a></p>` : ''}
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Send a follow-up reminder for an unconfirmed dose of a critical medication
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Dose details
+ * @param {string} details.medicationName - Name of the medication
+ * @param {string} details.dosage - Dosage, e.g. "5 mg"
+ * @param {string} details.scheduledAt - Scheduled dose time, formatted in the patient's time zone
+ * @returns {Promise}
+ */
+const sendMissedDoseReminder = async (to, { medicationName, dosage, scheduledAt }) => {
+  const subject = `Reminder: please take your ${medicationName}`;
+  const text = `We have not received confirmation that you took your ${medicationName} (${dosage}) scheduled for ${scheduledAt}. This is a critical medication - please take it now or contact your doctor.`;
+  
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Medication Reminder</h2>
+      <p>We have not received confirmation that you took your <strong>${escapeHtml(medicationName)}</strong> (${escapeHtml(dosage)}) scheduled for <strong>${escapeHtml(scheduledAt)}</strong>.</p>
+      <p>This is a critical medication - please take it now or contact your doctor.</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Alert a doctor that a patient missed a dose of a critical medication
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Dose details
+ * @param {string} details.patientName - Name of the patient
+ * @param {string} details.medicationName - Name of the medication
+ * @param {string} details.dosage - Dosage, e.g. "5 mg"
+ * @param {string} details.scheduledAt - Scheduled dose time, formatted in the doctor's time zone
+ * @returns {Promise}
+ */
+const sendCriticalDoseAlert = async (to, { patientName, medicationName, dosage, scheduledAt }) => {
+  const subject = `Missed critical dose: ${patientName} - ${medicationName}`;
+  const text = `${patientName} has not confirmed the ${medicationName} (${dosage}) dose scheduled for ${scheduledAt}, even after a follow-up reminder.`;
+  
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Missed Critical Dose</h2>
+      <p><strong>${escapeHtml(patientName)}</strong> has not confirmed the <strong>${escapeHtml(medicationName)}</strong> (${escapeHtml(dosage)}) dose scheduled for <strong>${escapeHtml(scheduledAt)}</strong>, even after a follow-up reminder.</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Remind a patient to refill a medication that is running low
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Stock details
+ * @param {string} details.medicationName - Name of the medication
+ * @param {string} details.remaining - Stock left, e.g. "8 tablets"
+ * @param {string} details.runOutDate - Projected run-out date, formatted in the patient's time zone
+ * @returns {Promise}
+ */
+const sendRefillReminder = async (to, { medicationName, remaining, runOutDate }) => {
+  const subject = `Time to refill your ${medicationName}`;
+  const text = `You have ${remaining} of ${medicationName} left, which will last until about ${runOutDate}. Please arrange a refill so you do not miss any doses.`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Refill Reminder</h2>
+      <p>You have <strong>${escapeHtml(remaining)}</strong> of <strong>${escapeHtml(medicationName)}</strong> left, which will last until about <strong>${escapeHtml(runOutDate)}</strong>.</p>
+      <p>Please arrange a refill so you do not miss any doses.</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Let a doctor know a patient needs a refill
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Request details
+ * @param {string} details.patientName - Name of the patient
+ * @param {string} details.medicationName - Name of the medication
+ * @param {string} [details.remaining] - Stock left, e.g. "8 tablets"
+ * @param {string} [details.runOutDate] - Projected run-out date, formatted in the doctor's time zone
+ * @param {string} [details.note] - Message from the patient
+ * @param {string} [details.url] - Link to the refill request queue
+ * @returns {Promise}
+ */
+const sendRefillRequestAlert = async (to, { patientName, medicationName, remaining, runOutDate, note, url }) => {
+  const subject = `Refill request: ${patientName} - ${medicationName}`;
+  const stock = remaining ? ` They have ${remaining} left, which will run out around ${runOutDate}.` : '';
+  const text = `${patientName} needs a refill of ${medicationName}.${stock}${note ? `\n\nNote: ${note}` : ''}${url ? `\n\nReview pending requests: ${url}` : ''}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Refill Request</h2>
+      <p><strong>${escapeHtml(patientName)}</strong> needs a refill of <strong>${escapeHtml(medicationName)}</strong>.${remaining ? ` They have <strong>${escapeHtml(remaining)}</strong> left, which will run out around <strong>${escapeHtml(runOutDate)}</strong>.` : ''}</p>
+      ${note ? `<p>Note: ${escapeHtml(note)}</p>` : ''}
+      ${url ? `<p><a href="${escapeHtml(url)}">Review pending requests</a></p>` : ''}
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Tell a patient whether their refill request was approved
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Decision details
+ * @param {string} details.doctorName - Name of the doctor
+ * @param {string} details.medicationName - Name of the medication
+ * @param {boolean} details.approved - Whether the request was approved
+ * @param {number} [details.refillsRemaining] - Refills now available on the prescription
+ * @param {string} [details.reason] - Why the request was denied
+ * @returns {Promise}
+ */
+const sendRefillDecision = async (to, { doctorName, medicationName, approved, refillsRemaining, reason }) => {
+  const subject = approved
+    ? `Your refill of ${medicationName} was approved`
+    : `Your refill request for ${medicationName} was declined`;
+  const detail = approved
+    ? `Dr. ${doctorName} approved your refill of ${medicationName}.${refillsRemaining !== undefined ? ` Refills remaining: ${refillsRemaining}.` : ''}`
+    : `Dr. ${doctorName} declined your refill request for ${medicationName}.${reason ? ` Reason: ${reason}` : ''}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>${approved ? 'Refill Approved' : 'Refill Declined'}</h2>
+      <p>${escapeHtml(detail)}</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: detail,
+    html
+  });
+};
+
+/**
+ * Alert a doctor that a patient reported a severe side effect
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Report details
+ * @param {string} details.patientName - Name of the patient
+ * @param {string} details.medicationName - Name of the medication
+ * @param {string} details.description - What the patient reported
+ * @param {string} details.reportedAt - When it was reported, formatted in the doctor's time zone
+ * @returns {Promise}
+ */
+const sendSevereSideEffectAlert = async (to, { patientName, medicationName, description, reportedAt }) => {
+  const subject = `Severe side effect reported: ${patientName} - ${medicationName}`;
+  const text = `${patientName} reported a severe side effect of ${medicationName} at ${reportedAt}: ${description}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Severe Side Effect Reported</h2>
+      <p><strong>${escapeHtml(patientName)}</strong> reported a severe side effect of <strong>${escapeHtml(medicationName)}</strong> at <strong>${escapeHtml(reportedAt)}</strong>:</p>
+      <p>${escapeHtml(description)}</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Tell a patient a medication has ended, because the course is complete or their doctor stopped it
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Medication details
+ * @param {string} details.medicationName - Name of the medication
+ * @param {boolean} details.completed - Whether the course reached its end date (otherwise it was stopped)
+ * @param {string} [details.doctorName] - Name of the doctor who stopped it
+ * @param {string} [details.reason] - Why it was stopped
+ * @returns {Promise}
+ */
+const sendMedicationEnded = async (to, { medicationName, completed, doctorName, reason }) => {
+  const subject = completed
+    ? `Your course of ${medicationName} is complete`
+    : `Your doctor has stopped ${medicationName}`;
+  const detail = completed
+    ? `Your course of ${medicationName} has reached its end date, so you will no longer receive reminders for it.`
+    : `${doctorName ? `Dr. ${doctorName}` : 'Your doctor'} has stopped your ${medicationName}.${reason ? ` Reason: ${reason}` : ''} You will no longer receive reminders for it.`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>${completed ? 'Medication Course Complete' : 'Medication Stopped'}</h2>
+      <p>${escapeHtml(detail)}</p>
+      <p>Please contact your doctor if you have any questions.</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: `${detail} Please contact your doctor if you have any questions.`,
+    html
+  });
+};
+
+/**
+ * Tell a user their account was locked after too many failed sign-ins
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Lockout details
+ * @param {string} details.name - Name of the user
+ * @param {string} details.lockedUntil - When the lock ends, formatted in the user's time zone
+ * @param {string} [details.url] - Link to the forgot-password page
+ * @returns {Promise}
+ */
+const sendAccountLocked = async (to, { name, lockedUntil, url }) => {
+  const subject = 'Your account was locked after failed sign-in attempts';
+  const detail = `Someone tried to sign in to your account with the wrong password several times, so sign-in is locked until ${lockedUntil}.`;
+  const unlock = 'To unlock it now, reset your password with the "Forgot password" link. If these attempts were not you, we recommend doing so.';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>Account Locked</h2>
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>${escapeHtml(detail)}</p>
+      <p>${escapeHtml(unlock)}</p>
+      ${url ? `<div style="text-align: center; margin: 30px 0;">
+        <a href="${escapeHtml(url)}" style="background-color: #4CAF50; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">Reset Password</a>
+      </div>` : ''}
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: `Hello ${name},\n\n${detail}\n\n${unlock}${url ? `\n\n${url}` : ''}`,
+    html
+  });
+};
+
+/**
+ * Tell an admin a doctor has applied for an account
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Application details
+ * @param {string} details.applicantName - Name of the applicant
+ * @param {string} details.specialization - Their specialization
+ * @param {string} details.licenseNumber - Their license number
+ * @param {string} [details.licenseIssuer] - Who issued the license
+ * @param {string} [details.url] - Link to the pending applications
+ * @returns {Promise}
+ */
+const sendDoctorApplicationAlert = async (to, { applicantName, specialization, licenseNumber, licenseIssuer, url }) => {
+  const subject = `New doctor application: ${applicantName}`;
+  const license = `${licenseNumber}${licenseIssuer ? ` (${licenseIssuer})` : ''}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>New Doctor Application</h2>
+      <p><strong>${escapeHtml(applicantName)}</strong> has applied for a doctor account and is waiting for review.</p>
+      <p><strong>Specialization:</strong> ${escapeHtml(specialization)}</p>
+      <p><strong>License:</strong> ${escapeHtml(license)}</p>
+      ${url ? `<p><a href="${escapeHtml(url)}">Review pending applications</a></p>` : ''}
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: `${applicantName} has applied for a doctor account and is waiting for review.\nSpecialization: ${specialization}\nLicense: ${license}${url ? `\n\n${url}` : ''}`,
+    html
+  });
+};
+
+/**
+ * Tell an applicant whether their doctor account was approved
+ * @param {string} to - Recipient email address
+ * @param {Object} details - Decision details
+ * @param {string} details.name - Name of the applicant
+ * @param {boolean} details.approved - Whether the application was approved
+ * @param {string} [details.reason] - Why it was rejected
+ * @returns {Promise}
+ */
+const sendDoctorApplicationDecision = async (to, { name, approved, reason }) => {
+  const subject = approved ? 'Your doctor account is approved' : 'Your doctor application was not approved';
+  const detail = approved
+    ? 'Your doctor account has been approved. You can now sign in and start seeing patients.'
+    : `Your application for a doctor account was not approved.${reason ? ` Reason: ${reason}` : ''} You can correct your details and apply again.`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2>${approved ? 'Doctor Account Approved' : 'Doctor Application Not Approved'}</h2>
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>${escapeHtml(detail)}</p>
+    </div>
+  `;
+
+  return sendEmail({
+    to,
+    subject,
+    text: `Hello ${name},\n\n${detail}`,
+    html
+  });
+};
+
 module.exports = {
   sendEmail,
   sendPasswordResetEmail,
-  sendVerificationEmail
+  sendVerificationEmail,
+  sendAppointmentConfirmation,
+  sendAppointmentSeriesConfirmation,
+  sendAppointmentRequest,
+  sendAppointmentUpdate,
+  sendAppointmentReminder,
+  sendMissedDoseReminder,
+  sendCriticalDoseAlert,
+  sendRefillReminder,
+  sendRefillRequestAlert,
+  sendRefillDecision,
+  sendSevereSideEffectAlert,
+  sendMedicationEnded,
+  sendAccountLocked,
+  sendDoctorApplicationAlert,
+  sendDoctorApplicationDecision
 };
@@ -0,0 +1,80 @@
+// In-process events raised by model middleware, so side effects such as reminders
+// follow every change to a document, whichever code path made it.
+// Events are "<entity>:changed" and "<entity>:deleted", with the document id.
+const EventEmitter = require('events');
+const logger = require('./logger');
+
+const modelEvents = new EventEmitter();
+
+// Paths an update writes to, for plain, operator ($set, $push, ...) and pipeline updates
+const getUpdatedPaths = (update) => {
+  if (!update) return [];
+
+  const stages = Array.isArray(update) ? update : [update];
+  return stages.flatMap(stage =>
+    Object.entries(stage).flatMap(([key, value]) =>
+      (key.startsWith('$') ? Object.keys(value || {}) : [key])
+    )
+  );
+};
+
+const touchesFields = (update, fields) =>
+  getUpdatedPaths(update).some(path =>
+    fields.some(field => path === field || path.startsWith(`${field}.`))
+  );
+
+// Emit "<entity>:changed" when a document is created or one of `fields` changes,
+// and "<entity>:deleted" when it is deleted, through documents and queries alike
+const emitModelEvents = (schema, entity, fields) => {
+  const emitChanged = (id) => modelEvents.emit(`${entity}:changed`, id);
+  const emitDeleted = (id) => modelEvents.emit(`${entity}:deleted`, id);
+
+  schema.pre('save', function(next) {
+    this.$locals.emitChanged = this.isNew || fields.some(field => this.isModified(field));
+    next();
+  });
+  schema.post('save', function(doc) {
+    if (doc.$locals.emitChanged) emitChanged(doc._id);
+  });
+
+  schema.post('findOneAndUpdate', function(doc) {
+    if (doc && touchesFields(this.getUpdate(), fields)) emitChanged(doc._id);
+  });
+  schema.post('findOneAndDelete', function(doc) {
+    if (doc) emitDeleted(doc._id);
+  });
+
+  // Queries that do not return the document note which documents they affect beforehand
+  schema.pre(['updateOne', 'updateMany'], async function() {
+    if (touchesFields(this.getUpdate(), fields)) {
+      this._affectedIds = await this.model.distinct('_id', this.getFilter());
+    }
+  });
+  schema.post(['updateOne', 'updateMany'], function() {
+    (this._affectedIds || []).forEach(emitChanged);
+  });
+
+  schema.pre(['deleteOne', 'deleteMany'], async function() {
+    this._affectedIds = await this.model.distinct('_id', this.getFilter());
+  });
+  schema.post(['deleteOne', 'deleteMany'], function() {
+    (this._affectedIds || []).forEach(emitDeleted);
+  });
+  schema.post('deleteOne', { document: true, query: false }, function(doc) {
+    emitDeleted(doc._id);
+  });
+};
+
+// Listen for a model event; handlers may be async, and their errors are logged
+const onModelEvent = (event, handler) => {
+  modelEvents.on(event, (id) => {
+    Promise.resolve()
+      .then(() => handler(id))
+      .catch(err => logger.error(`Error handling ${event} for ${id}: ${err.message}`));
+  });
+};
+
+module.exports = {
+  emitModelEvents,
+  onModelEvent
+};
@@ -0,0 +1,157 @@
+// Time zone helpers built on the Intl API (IANA zone names such as "Asia/Dubai")
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const formatterCache = new Map();
+
+// Cached formatter that splits a date into its wall-clock parts in a zone
+const getPartsFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Check whether a string is a valid IANA time zone
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Get the wall-clock parts of an instant in a time zone
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hours: Number(parts.hour),
+    minutes: Number(parts.minute),
+    seconds: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Offset of a time zone from UTC at a given instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const instant = new Date(date);
+  const p = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds);
+  return asUtc - (instant.getTime() - instant.getMilliseconds());
+};
+
+// Convert a wall-clock date and "HH:MM" time in a zone to a UTC instant.
+// Times that fall in a DST gap are moved forward by the size of the gap.
+const zonedTimeToUtc = (dateKey, time, timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  const firstGuess = wallClock - getTimeZoneOffset(wallClock, timeZone);
+  const candidate = wallClock - getTimeZoneOffset(firstGuess, timeZone);
+
+  // Inside a DST gap the corrected guess lands before the gap; keep the later instant
+  const p = getZonedParts(candidate, timeZone);
+  if (p.hours !== hours || p.minutes !== minutes) {
+    return new Date(Math.max(candidate, firstGuess));
+  }
+  return new Date(candidate);
+};
+
+// "YYYY-MM-DD" calendar date of an instant in a zone
+const toDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Add calendar days to a "YYYY-MM-DD" date
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// Add calendar months to a "YYYY-MM-DD" date, clamping to the end of shorter months (Jan 31 -> Feb 28)
+const addMonths = (dateKey, months) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+};
+
+// Whole calendar days from one "YYYY-MM-DD" date to another (negative if `to` is earlier)
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+
+// Day of the week (0 = Sunday) of a "YYYY-MM-DD" date
+const getWeekday = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+// "HH:MM" wall-clock time of an instant in a zone
+const formatTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const { hours, minutes } = getZonedParts(date, timeZone);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Human readable date of an instant in a zone, e.g. "Mon, Oct 19, 2026"
+const formatDate = (date, timeZone = DEFAULT_TIMEZONE) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+// Human readable date and time of an instant in a zone, e.g. "Mon, Oct 19, 2026 08:00 (Asia/Dubai)"
+const formatDateTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  return `${formatDate(date, timeZone)} ${formatTime(date, timeZone)} (${timeZone})`;
+};
+
+// Resolve the zone to use for a user, falling back to the default
+const getUserTimeZone = (user) => {
+  if (user && isValidTimeZone(user.timezone)) return user.timezone;
+  return DEFAULT_TIMEZONE;
+};
+
+// Resolve the zone a doctor's practice runs in
+const getPracticeTimeZone = (doctor) => {
+  if (doctor && isValidTimeZone(doctor.practiceTimezone)) return doctor.practiceTimezone;
+  return getUserTimeZone(doctor);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  toDateKey,
+  addDays,
+  addMonths,
+  daysBetween,
+  getWeekday,
+  formatTime,
+  formatDate,
+  formatDateTime,
+  getUserTimeZone,
+  getPracticeTimeZone
+};
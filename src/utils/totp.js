@@ -0,0 +1,92 @@
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30-second steps),
+// compatible with Google Authenticator, Authy and similar apps.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+};
+
+const base32Decode = (value) => {
+  const clean = String(value).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// New random base32 secret (160 bits, as RFC 4226 recommends)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// One-time password for a counter value (RFC 4226)
+const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+// Time step a moment falls in
+const getTimeStep = (at = Date.now()) => Math.floor(at / 1000 / STEP_SECONDS);
+
+const generateTotp = (secret, at = Date.now()) => generateHotp(secret, getTimeStep(at));
+
+// The time step `code` is valid for, allowing `window` steps of clock drift either way, or null
+const verifyTotp = (secret, code, { window = 1, at = Date.now() } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const current = getTimeStep(at);
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+const getOtpAuthUrl = (secret, { accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  getOtpAuthUrl
+};
@@ -0,0 +1,147 @@
+jest.mock('../src/services/availability.service', () => ({
+  ...jest.requireActual('../src/services/availability.service'),
+  getDoctorAvailability: jest.fn()
+}));
+jest.mock('../src/services/slotReservation.service', () => ({
+  ...jest.requireActual('../src/services/slotReservation.service'),
+  checkTimeSlotAvailability: jest.fn(),
+  createWithClaim: jest.fn()
+}));
+jest.mock('../src/services/appointmentReminder.service', () => ({
+  scheduleAppointmentReminders: jest.fn(),
+  cancelAppointmentReminders: jest.fn()
+}));
+jest.mock('../src/utils/email');
+
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/appointment.model');
+const User = require('../src/models/user.model');
+const Email = require('../src/utils/email');
+const { getDoctorAvailability } = require('../src/services/availability.service');
+const { checkTimeSlotAvailability, createWithClaim } = require('../src/services/slotReservation.service');
+const {
+  createAppointment,
+  bookAppointment,
+  rescheduleAppointment
+} = require('../src/controllers/appointment.controller');
+
+const patient = { _id: new mongoose.Types.ObjectId(), id: 'patient', name: 'Ann', email: 'ann@example.com', role: 'patient' };
+const doctor = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'House',
+  email: 'house@example.com',
+  role: 'doctor',
+  practiceTimezone: 'UTC',
+  isApprovedDoctor: () => true
+};
+
+// A date safely in the future
+const nextYear = `${new Date().getUTCFullYear() + 1}-03-02`;
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Call a handler and resolve once it has responded or passed an error to next
+const run = (handler, req, res = mockResponse()) => new Promise((resolve) => {
+  res.json.mockImplementation(() => resolve({ res }));
+  handler({ protocol: 'https', get: () => 'example.com', params: {}, ...req }, res, error => resolve({ res, error }));
+});
+
+beforeEach(() => {
+  getDoctorAvailability.mockResolvedValue({ slotDuration: 30, requiresApproval: false });
+  checkTimeSlotAvailability.mockImplementation(async () => ({}));
+  createWithClaim.mockImplementation(async (fields) => new Appointment({ ...fields, _id: new mongoose.Types.ObjectId() }));
+  jest.spyOn(User, 'findById').mockResolvedValue(doctor);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('bookAppointment', () => {
+  it('books a free slot for the signed-in patient', async () => {
+    const { res, error } = await run(bookAppointment, {
+      user: patient,
+      body: { doctorId: doctor._id, date: nextYear, startTime: '09:00' }
+    });
+
+    expect(error).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(createWithClaim).toHaveBeenCalledWith(expect.objectContaining({
+      doctor: doctor._id,
+      patient: patient._id,
+      startTime: '09:00',
+      endTime: '09:30',
+      status: 'scheduled',
+      bookedBy: 'patient'
+    }));
+  });
+
+  it('asks the doctor to approve requests when they require it', async () => {
+    getDoctorAvailability.mockResolvedValue({ slotDuration: 30, requiresApproval: true });
+
+    await run(bookAppointment, {
+      user: patient,
+      body: { doctorId: doctor._id, date: nextYear, startTime: '09:00' }
+    });
+
+    expect(createWithClaim.mock.calls[0][0].status).toBe('pending');
+    expect(Email.sendAppointmentRequest).toHaveBeenCalledWith('house@example.com', expect.objectContaining({
+      patientName: 'Ann'
+    }));
+  });
+
+  it('refuses an invalid date with 400', async () => {
+    const { error } = await run(bookAppointment, {
+      user: patient,
+      body: { doctorId: doctor._id, date: 'next tuesday', startTime: '09:00' }
+    });
+
+    expect(error.statusCode).toBe(400);
+    expect(createWithClaim).not.toHaveBeenCalled();
+  });
+
+  it('refuses slots in the past', async () => {
+    const { error } = await run(bookAppointment, {
+      user: patient,
+      body: { doctorId: doctor._id, date: '2020-03-02', startTime: '09:00' }
+    });
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe('Appointments cannot be booked in the past');
+  });
+});
+
+describe('createAppointment', () => {
+  it('refuses an invalid date with 400', async () => {
+    User.findById.mockResolvedValue(patient);
+
+    const { error } = await run(createAppointment, {
+      user: doctor,
+      body: { patientId: patient._id, date: '2026-02-30T99:00', startTime: '09:00', endTime: '09:30' }
+    });
+
+    expect(error.statusCode).toBe(400);
+    expect(createWithClaim).not.toHaveBeenCalled();
+  });
+});
+
+describe('rescheduleAppointment', () => {
+  it('refuses an invalid date with 400 before touching the appointment', async () => {
+    jest.spyOn(Appointment, 'findById');
+
+    const { error } = await run(rescheduleAppointment, {
+      user: patient,
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      body: { date: 'soon', startTime: '09:00' }
+    });
+
+    expect(error.statusCode).toBe(400);
+    expect(Appointment.findById).not.toHaveBeenCalled();
+  });
+});
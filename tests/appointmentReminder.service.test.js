@@ -0,0 +1,129 @@
+jest.mock('../src/services/scheduler.service', () => ({
+  scheduleJob: jest.fn(),
+  cancelJobs: jest.fn(),
+  registerJobType: jest.fn()
+}));
+jest.mock('../src/services/telegram.service', () => ({
+  ...jest.requireActual('../src/services/telegram.service'),
+  sendTelegramMessage: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../src/services/availability.service', () => ({
+  ...jest.requireActual('../src/services/availability.service'),
+  getDoctorAvailability: jest.fn().mockResolvedValue({ cancellationCutoffHours: 24 })
+}));
+jest.mock('../src/utils/email', () => ({ sendAppointmentReminder: jest.fn().mockResolvedValue(true) }));
+
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/appointment.model');
+const User = require('../src/models/user.model');
+const Email = require('../src/utils/email');
+const { scheduleJob, cancelJobs, registerJobType } = require('../src/services/scheduler.service');
+const { sendTelegramMessage } = require('../src/services/telegram.service');
+const { scheduleAppointmentReminders } = require('../src/services/appointmentReminder.service');
+
+const HOUR = 60 * 60 * 1000;
+
+// Job handlers the service registered with the scheduler when it was loaded
+const jobTypes = new Map(registerJobType.mock.calls);
+
+const patient = { _id: new mongoose.Types.ObjectId(), email: 'ann@example.com', telegramId: '7', timezone: 'UTC' };
+const doctor = { _id: new mongoose.Types.ObjectId(), name: 'House', practiceTimezone: 'UTC' };
+
+const appointment = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: 'scheduled',
+  startAt: new Date(Date.now() + 48 * HOUR),
+  reason: 'Check-up',
+  patient: { _id: patient._id },
+  doctor,
+  ...fields
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('scheduleAppointmentReminders', () => {
+  it('schedules a reminder for each lead time, replacing the old ones', async () => {
+    const upcoming = appointment();
+
+    await scheduleAppointmentReminders(upcoming);
+
+    expect(cancelJobs).toHaveBeenCalledWith({ appointment: upcoming._id, type: 'appointment-reminder' });
+    expect(scheduleJob.mock.calls.map(([job]) => [job.key, job.nextRunAt.getTime()])).toEqual([
+      [`appointment-reminder:${upcoming._id}:1440`, upcoming.startAt.getTime() - 24 * HOUR],
+      [`appointment-reminder:${upcoming._id}:60`, upcoming.startAt.getTime() - HOUR]
+    ]);
+  });
+
+  it('leaves out reminders whose time has passed', async () => {
+    await scheduleAppointmentReminders(appointment({ startAt: new Date(Date.now() + 2 * HOUR) }));
+
+    expect(scheduleJob).toHaveBeenCalledTimes(1);
+    expect(scheduleJob.mock.calls[0][0].payload).toEqual({ leadMinutes: 60 });
+  });
+
+  it('only cancels the reminders of appointments that are not going ahead', async () => {
+    await scheduleAppointmentReminders(appointment({ status: 'cancelled' }));
+
+    expect(cancelJobs).toHaveBeenCalled();
+    expect(scheduleJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('appointment reminder job', () => {
+  const run = (appointmentId, leadMinutes = 1440) =>
+    jobTypes.get('appointment-reminder').run({ appointment: appointmentId, payload: { leadMinutes } });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockResolvedValue(patient);
+  });
+
+  it('reminds the patient by email and Telegram, with Confirm and Cancel buttons', async () => {
+    const upcoming = appointment();
+    jest.spyOn(Appointment, 'findById').mockResolvedValue(upcoming);
+
+    await run(upcoming._id);
+
+    expect(Email.sendAppointmentReminder).toHaveBeenCalledWith('ann@example.com', expect.objectContaining({
+      doctorName: 'House',
+      reason: 'Check-up'
+    }));
+    const [chatId, message, { reply_markup: keyboard }] = sendTelegramMessage.mock.calls[0];
+    expect(chatId).toBe('7');
+    expect(message).toContain('Appointment in 24 hours');
+    expect(keyboard.inline_keyboard[0].map(button => button.callback_data)).toEqual([
+      `appt:confirm:${upcoming._id}`,
+      `appt:cancel:${upcoming._id}`
+    ]);
+  });
+
+  it('offers no Cancel button once the cancellation cutoff has passed', async () => {
+    const soon = appointment({ status: 'confirmed', startAt: new Date(Date.now() + HOUR) });
+    jest.spyOn(Appointment, 'findById').mockResolvedValue(soon);
+
+    await run(soon._id, 60);
+
+    expect(sendTelegramMessage.mock.calls[0][2].reply_markup).toBeUndefined();
+  });
+
+  it('escapes Markdown in the reason for the visit', async () => {
+    const upcoming = appointment({ reason: 'Follow_up on *labs*' });
+    jest.spyOn(Appointment, 'findById').mockResolvedValue(upcoming);
+
+    await run(upcoming._id);
+
+    expect(sendTelegramMessage.mock.calls[0][1]).toContain('Reason: Follow\\_up on \\*labs\\*');
+  });
+
+  it('skips appointments that were cancelled in the meantime', async () => {
+    const cancelled = appointment({ status: 'cancelled' });
+    jest.spyOn(Appointment, 'findById').mockResolvedValue(cancelled);
+
+    await run(cancelled._id);
+
+    expect(Email.sendAppointmentReminder).not.toHaveBeenCalled();
+    expect(sendTelegramMessage).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,191 @@
+jest.mock('../src/services/slotReservation.service', () => ({
+  ...jest.requireActual('../src/services/slotReservation.service'),
+  checkTimeSlotAvailability: jest.fn(),
+  createWithClaim: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/appointment.model');
+const AppointmentSeries = require('../src/models/appointmentSeries.model');
+const AppError = require('../src/utils/appError');
+const { checkTimeSlotAvailability, createWithClaim } = require('../src/services/slotReservation.service');
+const {
+  parseRecurrence,
+  getOccurrenceDates,
+  createSeries,
+  getScopedAppointments,
+  updateSeriesRule
+} = require('../src/services/appointmentSeries.service');
+
+const doctor = { _id: new mongoose.Types.ObjectId(), practiceTimezone: 'UTC' };
+const patient = { _id: new mongoose.Types.ObjectId() };
+
+const seriesFields = {
+  doctor,
+  patient,
+  startDate: '2026-03-02',
+  startTime: '09:00',
+  endTime: '09:30',
+  reason: 'Check-up',
+  bookedBy: 'doctor'
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('parseRecurrence', () => {
+  it('accepts a frequency with a count or an until date', () => {
+    expect(parseRecurrence({ frequency: 'biweekly', count: '6' })).toEqual({ frequency: 'biweekly', count: 6 });
+    expect(parseRecurrence({ frequency: 'monthly', until: '2026-12-31T00:00:00Z' }))
+      .toEqual({ frequency: 'monthly', until: '2026-12-31' });
+  });
+
+  it.each([
+    [{ frequency: 'daily', count: 3 }],
+    [{ frequency: 'weekly' }],
+    [{ frequency: 'weekly', count: 0 }],
+    [{ frequency: 'weekly', count: 500 }],
+    [{ frequency: 'weekly', until: 'next year' }]
+  ])('refuses %j', (recurrence) => {
+    expect(() => parseRecurrence(recurrence)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('getOccurrenceDates', () => {
+  it('repeats every two weeks for the given count', () => {
+    expect(getOccurrenceDates('2026-03-02', { frequency: 'biweekly', count: 3 }))
+      .toEqual(['2026-03-02', '2026-03-16', '2026-03-30']);
+  });
+
+  it('keeps monthly visits on the same day, or the last day of shorter months', () => {
+    expect(getOccurrenceDates('2026-01-31', { frequency: 'monthly', count: 3 }))
+      .toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+  });
+
+  it('stops at the until date', () => {
+    expect(getOccurrenceDates('2026-03-02', { frequency: 'weekly', until: '2026-03-20' }))
+      .toEqual(['2026-03-02', '2026-03-09', '2026-03-16']);
+  });
+});
+
+describe('createSeries', () => {
+  beforeEach(() => {
+    jest.spyOn(AppointmentSeries.prototype, 'save').mockImplementation(async function() { return this; });
+    createWithClaim.mockImplementation(async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+  });
+
+  it('books the free visits and reports the ones that clash', async () => {
+    const blocking = new mongoose.Types.ObjectId();
+    checkTimeSlotAvailability.mockImplementation(async (doc, date) => {
+      if (date === '2026-03-09') {
+        throw new AppError('This time slot is already booked', 409, { conflict: { appointment: blocking } });
+      }
+      return { startAt: new Date(`${date}T09:00:00Z`), endAt: new Date(`${date}T09:30:00Z`) };
+    });
+
+    const { series, appointments, conflicts } = await createSeries({
+      ...seriesFields,
+      recurrence: { frequency: 'weekly', count: 3 }
+    });
+
+    expect(appointments.map(appointment => appointment.date)).toEqual(['2026-03-02', '2026-03-16']);
+    expect(appointments.every(appointment => appointment.series === series._id)).toBe(true);
+    expect(conflicts).toEqual([{ date: '2026-03-09', reason: 'This time slot is already booked', appointment: blocking }]);
+    expect(series.conflicts).toHaveLength(1);
+    expect(AppointmentSeries.prototype.save).toHaveBeenCalled();
+  });
+
+  it('refuses with 409 when no visit could be booked', async () => {
+    checkTimeSlotAvailability.mockRejectedValue(new AppError('The selected time is outside the doctor\'s working hours', 400));
+
+    await expect(createSeries({ ...seriesFields, recurrence: { frequency: 'weekly', count: 2 } }))
+      .rejects.toMatchObject({ statusCode: 409, data: { conflicts: expect.any(Array) } });
+    expect(AppointmentSeries.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('stops on unexpected errors instead of reporting them as conflicts', async () => {
+    checkTimeSlotAvailability.mockRejectedValue(new Error('connection lost'));
+
+    await expect(createSeries({ ...seriesFields, recurrence: { frequency: 'weekly', count: 2 } }))
+      .rejects.toThrow('connection lost');
+  });
+});
+
+describe('getScopedAppointments', () => {
+  const seriesId = new mongoose.Types.ObjectId();
+  const appointment = {
+    _id: new mongoose.Types.ObjectId(),
+    series: seriesId,
+    date: new Date('2026-03-16T00:00:00Z')
+  };
+
+  const mockSeriesAppointments = (appointments) =>
+    jest.spyOn(Appointment, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(appointments) });
+
+  it('changes only the chosen visit for "this"', async () => {
+    jest.spyOn(Appointment, 'find');
+
+    await expect(getScopedAppointments(appointment, 'this')).resolves.toEqual([appointment]);
+    expect(Appointment.find).not.toHaveBeenCalled();
+  });
+
+  it('changes the upcoming visits from the chosen one on for "following"', async () => {
+    const later = { _id: new mongoose.Types.ObjectId() };
+    mockSeriesAppointments([later]);
+
+    const appointments = await getScopedAppointments(appointment, 'following');
+
+    const [filter] = Appointment.find.mock.calls[0];
+    expect(filter).toMatchObject({
+      series: seriesId,
+      status: { $in: ['pending', 'scheduled', 'confirmed'] },
+      date: { $gte: appointment.date }
+    });
+    expect(filter.startAt.$gt).toBeInstanceOf(Date);
+    expect(appointments).toEqual([appointment, later]);
+  });
+
+  it('refuses unknown scopes', async () => {
+    await expect(getScopedAppointments(appointment, 'all')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('updateSeriesRule', () => {
+  const series = () => new AppointmentSeries({
+    ...seriesFields,
+    doctor: doctor._id,
+    patient: patient._id,
+    recurrence: { frequency: 'weekly', count: 10 }
+  });
+
+  it('ends the series the day before a visit cancelled with "following"', async () => {
+    const stored = series();
+    jest.spyOn(AppointmentSeries, 'findById').mockResolvedValue(stored);
+    jest.spyOn(stored, 'save').mockResolvedValue(stored);
+
+    await updateSeriesRule(
+      { series: stored._id, date: new Date('2026-03-16T00:00:00Z') },
+      'following',
+      { status: 'cancelled' }
+    );
+
+    expect(stored.recurrence.until).toBe('2026-03-15');
+    expect(stored.status).not.toBe('cancelled');
+  });
+
+  it('cancels the whole series', async () => {
+    const stored = series();
+    jest.spyOn(AppointmentSeries, 'findById').mockResolvedValue(stored);
+    jest.spyOn(stored, 'save').mockResolvedValue(stored);
+
+    await updateSeriesRule({ series: stored._id, date: new Date('2026-03-16T00:00:00Z') }, 'series', {
+      status: 'cancelled',
+      startTime: '10:00'
+    });
+
+    expect(stored.status).toBe('cancelled');
+    expect(stored.startTime).toBe('10:00');
+  });
+});
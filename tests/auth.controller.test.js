@@ -0,0 +1,79 @@
+jest.mock('../src/services/session.service', () => ({
+  ...jest.requireActual('../src/services/session.service'),
+  rotateSession: jest.fn()
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const mongoose = require('mongoose');
+const User = require('../src/models/user.model');
+const { rotateSession } = require('../src/services/session.service');
+const { refresh, register } = require('../src/controllers/auth.controller');
+
+const user = { _id: new mongoose.Types.ObjectId(), name: 'Ann' };
+const session = { _id: new mongoose.Types.ObjectId(), user: user._id, expiresAt: new Date(Date.now() + 60 * 1000) };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.cookie = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Call a handler and resolve once it has responded or passed an error to next
+const run = (handler, req, res = mockResponse()) => new Promise((resolve) => {
+  res.json.mockImplementation(() => resolve({ res }));
+  handler(req, res, error => resolve({ res, error }));
+});
+
+beforeEach(() => {
+  rotateSession.mockResolvedValue({ session, refreshToken: 'next-token' });
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('refresh', () => {
+  it('takes the refresh token from the cookie when the body has none', async () => {
+    const req = { body: {}, cookies: { refreshToken: 'cookie-token' } };
+
+    const { res, error } = await run(refresh, req);
+
+    expect(error).toBeUndefined();
+    expect(rotateSession).toHaveBeenCalledWith('cookie-token', req);
+    expect(res.json.mock.calls[0][0].refreshToken).toBe('next-token');
+  });
+
+  it('sends the new refresh token cookie only to the refresh route', async () => {
+    const { res } = await run(refresh, { body: { refreshToken: 'body-token' }, cookies: {} });
+
+    const [, value, options] = res.cookie.mock.calls.find(([name]) => name === 'refreshToken');
+    expect(value).toBe('next-token');
+    expect(options).toMatchObject({ path: '/api/auth/refresh', sameSite: 'strict', httpOnly: true });
+  });
+
+  it('asks for a refresh token when there is none', async () => {
+    const { error } = await run(refresh, { body: {}, cookies: {} });
+
+    expect(error.statusCode).toBe(400);
+    expect(rotateSession).not.toHaveBeenCalled();
+  });
+});
+
+describe('register', () => {
+  it.each(['doctor', 'admin'])('refuses to create %s accounts', async (role) => {
+    jest.spyOn(User, 'create');
+
+    const { error } = await run(register, {
+      body: { name: 'Ann', email: 'ann@example.com', password: 'secret123', passwordConfirm: 'secret123', role }
+    });
+
+    expect(error).toMatchObject({ statusCode: 400 });
+    expect(error.message).toContain('/api/auth/register/doctor');
+    expect(User.create).not.toHaveBeenCalled();
+  });
+});
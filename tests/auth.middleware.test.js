@@ -0,0 +1,83 @@
+jest.mock('../src/services/session.service', () => ({
+  ...jest.requireActual('../src/services/session.service'),
+  getActiveSession: jest.fn()
+}));
+jest.mock('../src/services/settings.service', () => ({
+  ...jest.requireActual('../src/services/settings.service'),
+  requiresTwoFactor: jest.fn().mockResolvedValue(false)
+}));
+
+process.env.JWT_SECRET = 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../src/models/user.model');
+const { getActiveSession } = require('../src/services/session.service');
+const { protect } = require('../src/middleware/auth.middleware');
+
+const session = { _id: new mongoose.Types.ObjectId() };
+
+const doctor = (doctorApproval) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'House',
+  email: 'house@example.com',
+  role: 'doctor',
+  doctorApproval
+});
+
+// Resolve with what protect passed to next once it is done
+const run = (user, baseUrl) => new Promise((resolve) => {
+  const token = jwt.sign({ id: user.id, sid: session._id.toString() }, process.env.JWT_SECRET);
+  const req = { baseUrl, headers: { authorization: `Bearer ${token}` } };
+  protect(req, { locals: {} }, error => resolve({ req, error }));
+});
+
+beforeEach(() => {
+  getActiveSession.mockResolvedValue(session);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('protect', () => {
+  it('keeps doctors awaiting approval away from clinical data', async () => {
+    const pending = doctor({ status: 'pending', licenseNumber: 'MD-123' });
+    jest.spyOn(User, 'findById').mockResolvedValue(pending);
+
+    const { req, error } = await run(pending, '/api/medications');
+
+    expect(error).toMatchObject({ statusCode: 403, data: { doctorApproval: 'pending' } });
+    expect(req.user).toBeUndefined();
+  });
+
+  it('tells rejected applicants how to apply again', async () => {
+    const rejected = doctor({ status: 'rejected', licenseNumber: 'MD-123' });
+    jest.spyOn(User, 'findById').mockResolvedValue(rejected);
+
+    const { error } = await run(rejected, '/api/appointments');
+
+    expect(error.message).toContain('/api/auth/doctor-application');
+  });
+
+  it('still lets applicants manage their account', async () => {
+    const pending = doctor({ status: 'pending', licenseNumber: 'MD-123' });
+    jest.spyOn(User, 'findById').mockResolvedValue(pending);
+
+    const { req, error } = await run(pending, '/api/auth');
+
+    expect(error).toBeUndefined();
+    expect(req.user).toBe(pending);
+  });
+
+  it('lets approved doctors in', async () => {
+    const approved = doctor({ status: 'approved', licenseNumber: 'MD-123' });
+    jest.spyOn(User, 'findById').mockResolvedValue(approved);
+
+    const { req, error } = await run(approved, '/api/medications');
+
+    expect(error).toBeUndefined();
+    expect(req.user).toBe(approved);
+  });
+});
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Availability = require('../src/models/availability.model');
+const {
+  getDoctorAvailability,
+  getWorkingBlocks,
+  isWithinWorkingHours,
+  getCancellationCutoffHours
+} = require('../src/services/availability.service');
+
+const doctorId = new mongoose.Types.ObjectId();
+
+// 2026-03-02 is a Monday
+const MONDAY = '2026-03-02';
+const TUESDAY = '2026-03-03';
+
+const availability = (fields) => new Availability({
+  doctor: doctorId,
+  weeklySchedule: [{
+    dayOfWeek: 1,
+    blocks: [{ start: '13:00', end: '17:00' }, { start: '08:00', end: '12:00' }]
+  }],
+  ...fields
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getDoctorAvailability', () => {
+  it('gives doctors without a schedule the default working hours', async () => {
+    jest.spyOn(Availability, 'findOne').mockResolvedValue(null);
+
+    const defaults = await getDoctorAvailability(doctorId);
+
+    expect(defaults.isNew).toBe(true);
+    expect(getWorkingBlocks(defaults, MONDAY)).toEqual([
+      { start: '09:00', end: '12:00' },
+      { start: '13:00', end: '17:00' }
+    ]);
+  });
+});
+
+describe('getWorkingBlocks', () => {
+  it("returns the weekday's blocks in order, and nothing on days off", () => {
+    expect(getWorkingBlocks(availability(), MONDAY)).toEqual([
+      { start: '08:00', end: '12:00' },
+      { start: '13:00', end: '17:00' }
+    ]);
+    expect(getWorkingBlocks(availability(), TUESDAY)).toEqual([]);
+  });
+
+  it('leaves out whole days of time off', () => {
+    const onVacation = availability({
+      exceptions: [{ type: 'unavailable', startDate: '2026-03-01', endDate: '2026-03-06', reason: 'Vacation' }]
+    });
+
+    expect(getWorkingBlocks(onVacation, MONDAY)).toEqual([]);
+  });
+
+  it('cuts partial time off out of the working blocks', () => {
+    const dentist = availability({
+      exceptions: [{ type: 'unavailable', startDate: MONDAY, blocks: [{ start: '10:00', end: '14:00' }] }]
+    });
+
+    expect(getWorkingBlocks(dentist, MONDAY)).toEqual([
+      { start: '08:00', end: '10:00' },
+      { start: '14:00', end: '17:00' }
+    ]);
+  });
+
+  it('adds extra clinics, merging them with touching blocks', () => {
+    const extraClinics = availability({
+      exceptions: [
+        { type: 'available', startDate: MONDAY, blocks: [{ start: '12:00', end: '13:00' }] },
+        { type: 'available', startDate: TUESDAY, blocks: [{ start: '18:00', end: '20:00' }] }
+      ]
+    });
+
+    expect(getWorkingBlocks(extraClinics, MONDAY)).toEqual([{ start: '08:00', end: '17:00' }]);
+    expect(getWorkingBlocks(extraClinics, TUESDAY)).toEqual([{ start: '18:00', end: '20:00' }]);
+  });
+});
+
+describe('isWithinWorkingHours', () => {
+  it('accepts appointments inside one working block only', () => {
+    expect(isWithinWorkingHours(availability(), MONDAY, '11:30', '12:00')).toBe(true);
+    expect(isWithinWorkingHours(availability(), MONDAY, '11:30', '13:30')).toBe(false);
+    expect(isWithinWorkingHours(availability(), TUESDAY, '09:00', '09:30')).toBe(false);
+  });
+});
+
+describe('getCancellationCutoffHours', () => {
+  it("uses the doctor's own cutoff, including zero, and the default otherwise", () => {
+    expect(getCancellationCutoffHours(availability({ cancellationCutoffHours: 0 }))).toBe(0);
+    expect(getCancellationCutoffHours(availability({ cancellationCutoffHours: 48 }))).toBe(48);
+    expect(getCancellationCutoffHours(availability())).toBe(24);
+  });
+});
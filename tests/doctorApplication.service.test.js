@@ -0,0 +1,144 @@
+jest.mock('../src/utils/email', () => ({
+  sendDoctorApplicationAlert: jest.fn().mockResolvedValue(true),
+  sendDoctorApplicationDecision: jest.fn().mockResolvedValue(true)
+}));
+
+const mongoose = require('mongoose');
+const User = require('../src/models/user.model');
+const Email = require('../src/utils/email');
+const logger = require('../src/config/logger');
+const {
+  buildApplication,
+  resubmitApplication,
+  decideApplication,
+  listApplications
+} = require('../src/services/doctorApplication.service');
+
+const adminId = new mongoose.Types.ObjectId();
+
+const applicant = (doctorApproval, fields) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'House',
+  email: 'house@example.com',
+  role: 'doctor',
+  specialization: 'Diagnostics',
+  doctorApproval,
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(User, 'find').mockResolvedValue([{ email: 'admin@example.com' }]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('buildApplication', () => {
+  it('starts a pending application', () => {
+    expect(buildApplication({ licenseNumber: 'MD-123', specialization: 'Diagnostics' })).toEqual({
+      status: 'pending',
+      licenseNumber: 'MD-123',
+      submittedAt: expect.any(Date)
+    });
+  });
+
+  it.each([
+    [{ specialization: 'Diagnostics' }],
+    [{ licenseNumber: ' ', specialization: 'Diagnostics' }],
+    [{ licenseNumber: 'MD-123' }]
+  ])('needs a license number and specialization (%j)', (details) => {
+    expect(() => buildApplication(details)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('resubmitApplication', () => {
+  it('puts a rejected application back up for review and tells the admins', async () => {
+    const rejected = applicant({ status: 'rejected', licenseNumber: 'MD-12', rejectionReason: 'License not found' });
+    jest.spyOn(rejected, 'save').mockResolvedValue(rejected);
+
+    await resubmitApplication(rejected, { licenseNumber: 'MD-123', licenseIssuer: 'State board' });
+
+    expect(rejected.doctorApproval.status).toBe('pending');
+    expect(rejected.doctorApproval.licenseNumber).toBe('MD-123');
+    expect(rejected.doctorApproval.rejectionReason).toBeUndefined();
+    expect(rejected.specialization).toBe('Diagnostics');
+    expect(User.find).toHaveBeenCalledWith({ role: 'admin' });
+    expect(Email.sendDoctorApplicationAlert).toHaveBeenCalledWith('admin@example.com', expect.objectContaining({
+      applicantName: 'House',
+      licenseNumber: 'MD-123',
+      licenseIssuer: 'State board'
+    }));
+  });
+
+  it('still submits the application when the admins cannot be emailed', async () => {
+    const pending = applicant({ status: 'pending', licenseNumber: 'MD-12' });
+    jest.spyOn(pending, 'save').mockResolvedValue(pending);
+    Email.sendDoctorApplicationAlert.mockRejectedValueOnce(new Error('SMTP down'));
+
+    await expect(resubmitApplication(pending, { licenseNumber: 'MD-123' })).resolves.toBe(pending);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('SMTP down'));
+  });
+
+  it('refuses approved doctors and other roles', async () => {
+    await expect(resubmitApplication(applicant({ status: 'approved' }), { licenseNumber: 'MD-123' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(resubmitApplication(applicant(undefined, { role: 'patient' }), { licenseNumber: 'MD-123' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe('decideApplication', () => {
+  it('approves a pending application and tells the applicant', async () => {
+    const approved = applicant({ status: 'approved' });
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(approved);
+
+    await decideApplication(approved._id, { approved: true, reviewedBy: adminId });
+
+    const [filter, update] = User.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: approved._id, role: 'doctor', 'doctorApproval.status': 'pending' });
+    expect(update.$set).toMatchObject({ 'doctorApproval.status': 'approved', 'doctorApproval.reviewedBy': adminId });
+    expect(update.$unset).toEqual({ 'doctorApproval.rejectionReason': 1 });
+    expect(Email.sendDoctorApplicationDecision).toHaveBeenCalledWith('house@example.com', {
+      name: 'House',
+      approved: true,
+      reason: undefined
+    });
+  });
+
+  it('rejects with a reason', async () => {
+    const rejected = applicant({ status: 'rejected', rejectionReason: 'License not found' });
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(rejected);
+
+    await decideApplication(rejected._id, { approved: false, reason: ' License not found ', reviewedBy: adminId });
+
+    const [, update] = User.findOneAndUpdate.mock.calls[0];
+    expect(update.$set['doctorApproval.rejectionReason']).toBe('License not found');
+    expect(update.$unset).toBeUndefined();
+    expect(Email.sendDoctorApplicationDecision)
+      .toHaveBeenCalledWith('house@example.com', expect.objectContaining({ approved: false, reason: 'License not found' }));
+  });
+
+  it('needs a reason to reject', async () => {
+    jest.spyOn(User, 'findOneAndUpdate');
+
+    await expect(decideApplication(new mongoose.Types.ObjectId(), { approved: false, reviewedBy: adminId }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('responds with 404 once the application has been decided', async () => {
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(decideApplication(new mongoose.Types.ObjectId(), { approved: true, reviewedBy: adminId }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(Email.sendDoctorApplicationDecision).not.toHaveBeenCalled();
+  });
+});
+
+describe('listApplications', () => {
+  it('refuses unknown statuses', async () => {
+    await expect(listApplications('all')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../src/services/inventory.service', () => ({ adjustInventory: jest.fn() }));
+jest.mock('../src/services/escalation.service', () => ({
+  ...jest.requireActual('../src/services/escalation.service'),
+  resolveEscalation: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const DoseEvent = require('../src/models/doseEvent.model');
+const { resolveEscalation } = require('../src/services/escalation.service');
+const { recordDose, calculateAdherence } = require('../src/services/dose.service');
+
+const medication = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Metformin',
+  status: 'active',
+  isCritical: false,
+  startDate: new Date('2026-03-01T00:00:00Z'),
+  frequency: { timesPerDay: 1, specificTimes: ['08:00'] },
+  patient: { _id: new mongoose.Types.ObjectId(), timezone: 'UTC' },
+  doctor: new mongoose.Types.ObjectId()
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recordDose', () => {
+  beforeEach(() => {
+    jest.spyOn(DoseEvent, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(DoseEvent, 'findOne').mockResolvedValue({ status: 'taken' });
+  });
+
+  it('records a dose a few seconds off its schedule against the scheduled time', async () => {
+    await recordDose({
+      medication,
+      scheduledFor: '2026-03-02T08:00:20Z',
+      status: 'taken',
+      takenAt: '2026-03-02T08:05:00Z'
+    });
+
+    const [filter, update] = DoseEvent.findOneAndUpdate.mock.calls[0];
+    expect(filter.scheduledFor.toISOString()).toBe('2026-03-02T08:00:00.000Z');
+    expect(update.$set.status).toBe('taken');
+  });
+
+  it('records doses taken long after their time as late', async () => {
+    await recordDose({
+      medication,
+      scheduledFor: '2026-03-02T08:00:00Z',
+      status: 'taken',
+      takenAt: '2026-03-02T11:00:00Z'
+    });
+
+    expect(DoseEvent.findOneAndUpdate.mock.calls[0][1].$set.status).toBe('late');
+  });
+
+  it('removes the skip reason when a dose is taken after all', async () => {
+    await recordDose({ medication, scheduledFor: '2026-03-02T08:00:00Z', status: 'taken' });
+
+    const update = DoseEvent.findOneAndUpdate.mock.calls[0][1];
+    expect(update.$unset).toEqual({ skipReason: 1 });
+    expect(update.$set).not.toHaveProperty('skipReason');
+  });
+
+  it('removes the intake time when a dose is changed to skipped', async () => {
+    await recordDose({
+      medication,
+      scheduledFor: '2026-03-02T08:00:00Z',
+      status: 'skipped',
+      skipReason: 'Felt nauseous'
+    });
+
+    const update = DoseEvent.findOneAndUpdate.mock.calls[0][1];
+    expect(update.$set).toMatchObject({ status: 'skipped', skipReason: 'Felt nauseous' });
+    expect(update.$set).not.toHaveProperty('takenAt');
+    expect(update.$unset).toEqual({ takenAt: 1 });
+  });
+
+  it('stops the escalation of a critical dose the patient skipped', async () => {
+    DoseEvent.findOne.mockResolvedValue({ status: 'skipped' });
+
+    await recordDose({
+      medication: { ...medication, isCritical: true },
+      scheduledFor: '2026-03-02T08:00:00Z',
+      status: 'skipped'
+    });
+
+    expect(resolveEscalation).toHaveBeenCalledWith(medication._id, new Date('2026-03-02T08:00:00Z'));
+  });
+
+  it('refuses times that are not a scheduled dose', async () => {
+    await expect(recordDose({ medication, scheduledFor: '2026-03-02T09:00:00Z', status: 'taken' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(DoseEvent.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('calculateAdherence', () => {
+  it('matches recorded doses to the schedule and counts old unanswered doses as missed', async () => {
+    jest.spyOn(DoseEvent, 'find').mockResolvedValue([
+      { medication: medication._id, scheduledFor: new Date('2026-03-02T08:00:00Z'), status: 'taken' },
+      { medication: medication._id, scheduledFor: new Date('2026-03-03T08:00:00Z'), status: 'skipped' }
+    ]);
+
+    const { overall } = await calculateAdherence(
+      [medication],
+      new Date('2026-03-02T00:00:00Z'),
+      new Date('2026-03-06T00:00:00Z')
+    );
+
+    expect(overall).toMatchObject({ taken: 1, skipped: 1, missed: 2, expected: 4, adherenceRate: 25 });
+  });
+});
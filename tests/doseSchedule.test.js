@@ -0,0 +1,174 @@
+const {
+  getScheduledDoseTimes,
+  getNextDoseTime,
+  findScheduledDoseTime,
+  getDoseSlots
+} = require('../src/utils/doseSchedule');
+
+const medicationWith = (frequency, fields = {}) => ({
+  startDate: new Date('2026-03-01T00:00:00Z'),
+  frequency,
+  patient: { timezone: 'UTC' },
+  ...fields
+});
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('getScheduledDoseTimes', () => {
+  it('expands daily times for every day in the range', () => {
+    const medication = medicationWith({ timesPerDay: 2, specificTimes: ['08:00', '20:00'] });
+
+    const doses = getScheduledDoseTimes(
+      medication,
+      new Date('2026-03-02T00:00:00Z'),
+      new Date('2026-03-04T00:00:00Z')
+    );
+
+    expect(iso(doses)).toEqual([
+      '2026-03-02T08:00:00.000Z',
+      '2026-03-02T20:00:00.000Z',
+      '2026-03-03T08:00:00.000Z',
+      '2026-03-03T20:00:00.000Z'
+    ]);
+  });
+
+  it('keeps doses within the start and end dates', () => {
+    const medication = medicationWith(
+      { timesPerDay: 1, specificTimes: ['08:00'] },
+      { startDate: new Date('2026-03-02T12:00:00Z'), endDate: new Date('2026-03-04T12:00:00Z') }
+    );
+
+    const doses = getScheduledDoseTimes(
+      medication,
+      new Date('2026-03-01T00:00:00Z'),
+      new Date('2026-03-10T00:00:00Z')
+    );
+
+    expect(iso(doses)).toEqual(['2026-03-03T08:00:00.000Z', '2026-03-04T08:00:00.000Z']);
+  });
+
+  it("reads times in the patient's time zone, across a daylight saving change", () => {
+    const medication = medicationWith(
+      { timesPerDay: 1, specificTimes: ['08:00'] },
+      { patient: { timezone: 'America/New_York' } }
+    );
+
+    // Clocks in New York move forward on 8 March 2026
+    const doses = getScheduledDoseTimes(
+      medication,
+      new Date('2026-03-07T00:00:00Z'),
+      new Date('2026-03-09T00:00:00Z')
+    );
+
+    expect(iso(doses)).toEqual(['2026-03-07T13:00:00.000Z', '2026-03-08T12:00:00.000Z']);
+  });
+
+  it('expands every-N-hours schedules from their start time', () => {
+    const medication = medicationWith({ type: 'interval', intervalHours: 8, intervalStart: '06:00' });
+
+    const doses = getScheduledDoseTimes(
+      medication,
+      new Date('2026-03-02T00:00:00Z'),
+      new Date('2026-03-03T00:00:00Z')
+    );
+
+    expect(iso(doses)).toEqual([
+      '2026-03-02T06:00:00.000Z',
+      '2026-03-02T14:00:00.000Z',
+      '2026-03-02T22:00:00.000Z'
+    ]);
+  });
+
+  it('only schedules weekly doses on their days of the week', () => {
+    // Monday and Thursday; 1 March 2026 is a Sunday
+    const medication = medicationWith({ type: 'weekly', specificTimes: ['09:00'], daysOfWeek: [1, 4] });
+
+    const doses = getScheduledDoseTimes(
+      medication,
+      new Date('2026-03-01T00:00:00Z'),
+      new Date('2026-03-08T00:00:00Z')
+    );
+
+    expect(iso(doses)).toEqual(['2026-03-02T09:00:00.000Z', '2026-03-05T09:00:00.000Z']);
+  });
+
+  it('pauses cyclic schedules for their days off', () => {
+    const medication = medicationWith({ type: 'cycle', specificTimes: ['09:00'], cycle: { daysOn: 2, daysOff: 1 } });
+
+    const doses = getScheduledDoseTimes(
+      medication,
+      new Date('2026-03-01T00:00:00Z'),
+      new Date('2026-03-07T00:00:00Z')
+    );
+
+    expect(iso(doses)).toEqual([
+      '2026-03-01T09:00:00.000Z',
+      '2026-03-02T09:00:00.000Z',
+      '2026-03-04T09:00:00.000Z',
+      '2026-03-05T09:00:00.000Z'
+    ]);
+  });
+
+  it('uses the times of each taper step and stops when the taper ends', () => {
+    const medication = medicationWith({
+      type: 'taper',
+      specificTimes: ['08:00'],
+      taperSteps: [
+        { days: 1, dosage: 20, specificTimes: ['08:00', '20:00'] },
+        { days: 1, dosage: 10 }
+      ]
+    });
+
+    const doses = getScheduledDoseTimes(
+      medication,
+      new Date('2026-03-01T00:00:00Z'),
+      new Date('2026-03-05T00:00:00Z')
+    );
+
+    expect(iso(doses)).toEqual([
+      '2026-03-01T08:00:00.000Z',
+      '2026-03-01T20:00:00.000Z',
+      '2026-03-02T08:00:00.000Z'
+    ]);
+  });
+
+  it('schedules nothing for as-needed medications', () => {
+    const medication = medicationWith({ type: 'prn', maxPerDay: 3 });
+
+    expect(getScheduledDoseTimes(medication, new Date('2026-03-01'), new Date('2026-04-01'))).toEqual([]);
+    expect(getDoseSlots(medication)).toEqual([]);
+  });
+});
+
+describe('getNextDoseTime', () => {
+  it('finds the first dose strictly after the given time', () => {
+    const medication = medicationWith({ timesPerDay: 2, specificTimes: ['08:00', '20:00'] });
+
+    expect(getNextDoseTime(medication, new Date('2026-03-02T08:00:00Z')).toISOString())
+      .toBe('2026-03-02T20:00:00.000Z');
+    expect(getNextDoseTime(medication, new Date('2026-03-02T21:00:00Z')).toISOString())
+      .toBe('2026-03-03T08:00:00.000Z');
+  });
+
+  it('looks beyond a few days for sparse schedules', () => {
+    const medication = medicationWith({ type: 'weekly', specificTimes: ['09:00'], daysOfWeek: [0] });
+
+    expect(getNextDoseTime(medication, new Date('2026-03-02T00:00:00Z')).toISOString())
+      .toBe('2026-03-08T09:00:00.000Z');
+  });
+});
+
+describe('findScheduledDoseTime', () => {
+  const medication = medicationWith({ timesPerDay: 1, specificTimes: ['08:00'] });
+
+  it('snaps a time within a minute to the scheduled dose', () => {
+    expect(findScheduledDoseTime(medication, new Date('2026-03-02T08:00:25Z')).toISOString())
+      .toBe('2026-03-02T08:00:00.000Z');
+    expect(findScheduledDoseTime(medication, new Date('2026-03-02T07:59:40Z')).toISOString())
+      .toBe('2026-03-02T08:00:00.000Z');
+  });
+
+  it('returns null for times that are not a scheduled dose', () => {
+    expect(findScheduledDoseTime(medication, new Date('2026-03-02T08:05:00Z'))).toBeNull();
+  });
+});
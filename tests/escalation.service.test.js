@@ -0,0 +1,163 @@
+jest.mock('../src/services/scheduler.service', () => ({
+  scheduleJob: jest.fn(),
+  cancelJobs: jest.fn(),
+  registerJobType: jest.fn()
+}));
+jest.mock('../src/services/telegram.service', () => ({
+  sendDoseReminder: jest.fn().mockResolvedValue(true),
+  sendTelegramMessage: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../src/utils/email', () => ({
+  sendMissedDoseReminder: jest.fn().mockResolvedValue(true),
+  sendCriticalDoseAlert: jest.fn().mockResolvedValue(true)
+}));
+
+const mongoose = require('mongoose');
+const Medication = require('../src/models/medication.model');
+const DoseEvent = require('../src/models/doseEvent.model');
+const Escalation = require('../src/models/escalation.model');
+const User = require('../src/models/user.model');
+const Email = require('../src/utils/email');
+const { scheduleJob, cancelJobs, registerJobType } = require('../src/services/scheduler.service');
+const { sendTelegramMessage } = require('../src/services/telegram.service');
+const { resolveEscalation } = require('../src/services/escalation.service');
+
+const MINUTE = 60 * 1000;
+
+// Job handlers the service registered with the scheduler when it was loaded
+const jobTypes = new Map(registerJobType.mock.calls);
+const jobType = (type) => jobTypes.get(type);
+
+const patient = { _id: new mongoose.Types.ObjectId(), name: 'Ann', email: 'ann@example.com', timezone: 'UTC' };
+const doctor = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'House',
+  email: 'house@example.com',
+  timezone: 'UTC',
+  telegramId: '42'
+};
+
+const medication = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Warfarin',
+  status: 'active',
+  isCritical: true,
+  escalationGraceMinutes: 30,
+  startDate: new Date('2026-03-01T00:00:00Z'),
+  dosage: { value: 5, unit: 'mg' },
+  frequency: { timesPerDay: 1, specificTimes: ['08:00'] },
+  patient: patient._id,
+  doctor: doctor._id
+};
+
+const scheduledFor = new Date('2026-03-02T08:00:00Z');
+
+const mockDose = (dose) => jest.spyOn(DoseEvent, 'findOne').mockResolvedValue(dose);
+
+beforeEach(() => {
+  jest.spyOn(Medication, 'findById').mockResolvedValue(medication);
+  jest.spyOn(User, 'findById').mockImplementation(async (id) =>
+    [patient, doctor].find(user => user._id.equals(id)));
+  jest.spyOn(Escalation, 'findOneAndUpdate').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('critical dose check', () => {
+  const checkJob = {
+    medication: medication._id,
+    timeSlot: '08:00',
+    nextRunAt: new Date(scheduledFor.getTime() + 30 * MINUTE)
+  };
+
+  it('reminds the patient of an unanswered dose and schedules the doctor escalation', async () => {
+    mockDose(null);
+
+    await jobType('critical-dose-check').run(checkJob);
+
+    expect(Email.sendMissedDoseReminder).toHaveBeenCalledWith('ann@example.com', expect.objectContaining({
+      medicationName: 'Warfarin',
+      dosage: '5 mg'
+    }));
+    expect(scheduleJob).toHaveBeenCalledWith(expect.objectContaining({
+      key: `dose-escalation:${medication._id}:${scheduledFor.getTime()}`,
+      type: 'dose-escalation',
+      payload: { scheduledFor }
+    }));
+  });
+
+  it.each(['taken', 'late', 'skipped'])('leaves a %s dose alone', async (status) => {
+    mockDose({ status });
+
+    await jobType('critical-dose-check').run(checkJob);
+
+    expect(Email.sendMissedDoseReminder).not.toHaveBeenCalled();
+    expect(scheduleJob).not.toHaveBeenCalled();
+  });
+
+  it('moves on to the next dose of its slot, one grace window after it', async () => {
+    const next = await jobType('critical-dose-check').next(checkJob, checkJob.nextRunAt);
+
+    expect(next.toISOString()).toBe('2026-03-03T08:30:00.000Z');
+  });
+});
+
+describe('doctor escalation', () => {
+  const escalationJob = { medication: medication._id, payload: { scheduledFor } };
+
+  it('marks a still unanswered dose missed and alerts the doctor', async () => {
+    mockDose({ status: 'pending' });
+    const missed = { _id: new mongoose.Types.ObjectId(), status: 'missed' };
+    jest.spyOn(DoseEvent, 'findOneAndUpdate').mockResolvedValue(missed);
+
+    await jobType('dose-escalation').run(escalationJob);
+
+    expect(DoseEvent.findOneAndUpdate.mock.calls[0][1].$set).toEqual({ status: 'missed' });
+    expect(Email.sendCriticalDoseAlert).toHaveBeenCalledWith('house@example.com', expect.objectContaining({
+      patientName: 'Ann',
+      medicationName: 'Warfarin'
+    }));
+    expect(sendTelegramMessage).toHaveBeenCalledWith('42', expect.stringContaining('Missed critical dose'));
+    expect(Escalation.findOneAndUpdate.mock.calls[0][1].$set).toEqual({
+      status: 'doctor-notified',
+      doseEvent: missed._id
+    });
+  });
+
+  it('does not alert the doctor about a dose the patient skipped', async () => {
+    mockDose({ status: 'skipped' });
+    jest.spyOn(DoseEvent, 'findOneAndUpdate');
+
+    await jobType('dose-escalation').run(escalationJob);
+
+    expect(DoseEvent.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Email.sendCriticalDoseAlert).not.toHaveBeenCalled();
+    expect(sendTelegramMessage).not.toHaveBeenCalled();
+  });
+
+  it('does nothing once the medication is no longer critical', async () => {
+    Medication.findById.mockResolvedValue({ ...medication, isCritical: false });
+    mockDose(null);
+
+    await jobType('dose-escalation').run(escalationJob);
+
+    expect(Email.sendCriticalDoseAlert).not.toHaveBeenCalled();
+  });
+});
+
+describe('resolveEscalation', () => {
+  it('cancels the pending doctor escalation and marks the escalation resolved', async () => {
+    jest.spyOn(Escalation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await resolveEscalation(medication._id, scheduledFor);
+
+    expect(cancelJobs).toHaveBeenCalledWith({ key: `dose-escalation:${medication._id}:${scheduledFor.getTime()}` });
+    expect(Escalation.updateOne).toHaveBeenCalledWith(
+      { medication: medication._id, scheduledFor, status: { $ne: 'resolved' } },
+      expect.objectContaining({ status: 'resolved' })
+    );
+  });
+});
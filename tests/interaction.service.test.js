@@ -0,0 +1,181 @@
+process.env.INTERACTION_PROVIDERS = 'local,formulary';
+
+const mongoose = require('mongoose');
+const Medication = require('../src/models/medication.model');
+const User = require('../src/models/user.model');
+const {
+  registerInteractionProvider,
+  resolveDrug,
+  checkAllergies,
+  checkInteractions,
+  screenPrescription
+} = require('../src/services/interaction.service');
+
+const formulary = { check: jest.fn() };
+registerInteractionProvider('formulary', formulary);
+
+const patientId = new mongoose.Types.ObjectId();
+const doctorId = new mongoose.Types.ObjectId();
+
+const active = (name) => ({ _id: new mongoose.Types.ObjectId(), name });
+
+beforeEach(() => {
+  formulary.check.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('resolveDrug', () => {
+  it('recognises drugs by name or brand within free-text prescriptions', () => {
+    expect(resolveDrug('Warfarin Sodium 5mg').name).toBe('warfarin');
+    expect(resolveDrug('Coumadin').name).toBe('warfarin');
+    expect(resolveDrug('Imdur 30mg XL').name).toBe('isosorbide mononitrate');
+    expect(resolveDrug('Vitamin D3')).toBeNull();
+  });
+});
+
+describe('checkAllergies', () => {
+  const allergy = (fields) => ({ _id: new mongoose.Types.ObjectId(), severity: 'moderate', ...fields });
+
+  it('flags drugs of the class the patient is allergic to', () => {
+    const penicillin = allergy({ substance: 'Penicillin', reaction: 'hives', severity: 'severe' });
+
+    expect(checkAllergies('Amoxicillin 500mg', [penicillin])).toEqual([{
+      type: 'allergy',
+      severity: 'major',
+      allergy: penicillin._id,
+      allergen: 'Penicillin',
+      description: 'amoxicillin is a penicillin; patient is allergic to Penicillin (hives)',
+      source: 'local'
+    }]);
+  });
+
+  it('reads plural class names and the recorded drug class', () => {
+    expect(checkAllergies('Advil', [allergy({ substance: 'NSAIDs' })])).toHaveLength(1);
+    expect(checkAllergies('Naproxen', [allergy({ substance: 'Aspirin', drugClass: 'nsaid' })])).toHaveLength(1);
+    expect(checkAllergies('Paracetamol', [allergy({ substance: 'NSAIDs' })])).toEqual([]);
+  });
+
+  it('rates cross-reactivity no higher than the allergy itself', () => {
+    const [severe] = checkAllergies('Cephalexin', [allergy({ substance: 'Penicillin', severity: 'life-threatening' })]);
+    const [mild] = checkAllergies('Cephalexin', [allergy({ substance: 'Penicillin', severity: 'mild' })]);
+
+    expect(severe).toMatchObject({ severity: 'moderate', description: expect.stringContaining('can cross-react') });
+    expect(mild.severity).toBe('minor');
+  });
+
+  it('matches drugs the dataset does not know by the allergen in their name', () => {
+    expect(checkAllergies('Cetirizine 10mg', [allergy({ substance: 'Cetirizine' })])).toHaveLength(1);
+  });
+});
+
+describe('checkInteractions', () => {
+  it('reports interactions with active medications, most severe first', async () => {
+    const findings = await checkInteractions('Sertraline 50mg', [active('Ibuprofen'), active('Tramadol')]);
+
+    expect(findings.map(({ type, severity, medicationName, blocking }) => ({ type, severity, medicationName, blocking })))
+      .toEqual([
+        { type: 'interaction', severity: 'major', medicationName: 'Tramadol', blocking: true },
+        { type: 'interaction', severity: 'moderate', medicationName: 'Ibuprofen', blocking: false }
+      ]);
+  });
+
+  it('reports the same drug and combined drug classes as duplicate therapy', async () => {
+    const findings = await checkInteractions('Omeprazole', [active('Prilosec 20mg'), active('Pantoprazole')]);
+
+    expect(findings.map(({ type, severity, medicationName }) => ({ type, severity, medicationName }))).toEqual([
+      { type: 'duplicate', severity: 'major', medicationName: 'Prilosec 20mg' },
+      { type: 'duplicate', severity: 'minor', medicationName: 'Pantoprazole' }
+    ]);
+  });
+
+  it('reports a problem found by several rules only once', async () => {
+    // Aspirin is both an antiplatelet and an NSAID, and both bleed with warfarin
+    const findings = await checkInteractions('Aspirin', [active('Warfarin')]);
+
+    expect(findings).toHaveLength(1);
+    expect(findings[0].description).toBe('Increased risk of serious bleeding');
+  });
+
+  it('ignores drugs the dataset does not know', async () => {
+    await expect(checkInteractions('Vitamin D3', [active('Warfarin')])).resolves.toEqual([]);
+  });
+
+  it('adds the findings of the other configured providers', async () => {
+    const current = [active('Metformin')];
+    formulary.check.mockResolvedValue([{ type: 'interaction', severity: 'major', description: 'Not on formulary', source: 'formulary' }]);
+
+    const findings = await checkInteractions('Metformin XR', current);
+
+    expect(formulary.check).toHaveBeenCalledWith('Metformin XR', current, undefined);
+    expect(findings.map(finding => finding.source)).toEqual(['local', 'formulary']);
+  });
+});
+
+describe('screenPrescription', () => {
+  const mockPatientRecord = (medications, allergies = []) => {
+    jest.spyOn(Medication, 'find').mockResolvedValue(medications);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ clinicalProfile: { allergies } }) });
+  };
+
+  it('records the check of a prescription without serious findings', async () => {
+    mockPatientRecord([active('Lisinopril')]);
+
+    const check = await screenPrescription({ patient: patientId, name: 'Losartan', overriddenBy: doctorId });
+
+    expect(Medication.find).toHaveBeenCalledWith({ patient: patientId, status: 'active' });
+    expect(check).toMatchObject({ datasetVersion: '2026.10', findings: [expect.objectContaining({ severity: 'moderate' })] });
+    expect(check.override).toBeUndefined();
+  });
+
+  it('blocks serious findings with 409 unless overridden', async () => {
+    mockPatientRecord([active('Warfarin')]);
+
+    await expect(screenPrescription({ patient: patientId, name: 'Fluconazole' })).rejects.toMatchObject({
+      statusCode: 409,
+      data: { findings: [expect.objectContaining({ blocking: true })] }
+    });
+  });
+
+  it('needs a justification to override', async () => {
+    mockPatientRecord([active('Warfarin')]);
+
+    await expect(screenPrescription({ patient: patientId, name: 'Fluconazole', override: { justification: '  ' } }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('records who overrode the check and why', async () => {
+    mockPatientRecord([active('Warfarin')]);
+
+    const check = await screenPrescription({
+      patient: patientId,
+      name: 'Fluconazole',
+      override: { justification: ' INR monitored weekly ' },
+      overriddenBy: doctorId
+    });
+
+    expect(check.override).toMatchObject({ justification: 'INR monitored weekly', overriddenBy: doctorId });
+    expect(check.override.overriddenAt).toBeInstanceOf(Date);
+  });
+
+  it("checks the prescription against the patient's allergies", async () => {
+    mockPatientRecord([], [{ substance: 'Penicillin', severity: 'severe' }]);
+
+    await expect(screenPrescription({ patient: patientId, name: 'Amoxicillin' })).rejects.toMatchObject({
+      statusCode: 409,
+      data: { findings: [expect.objectContaining({ type: 'allergy', allergen: 'Penicillin' })] }
+    });
+  });
+
+  it('leaves the prescription being changed out of its own check', async () => {
+    const exclude = new mongoose.Types.ObjectId();
+    mockPatientRecord([]);
+
+    await screenPrescription({ patient: patientId, name: 'Warfarin', exclude });
+
+    expect(Medication.find).toHaveBeenCalledWith({ patient: patientId, status: 'active', _id: { $ne: exclude } });
+  });
+});
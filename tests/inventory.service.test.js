@@ -0,0 +1,144 @@
+jest.mock('../src/services/scheduler.service', () => ({
+  scheduleJob: jest.fn(),
+  cancelJobs: jest.fn(),
+  registerJobType: jest.fn()
+}));
+jest.mock('../src/services/telegram.service', () => ({
+  ...jest.requireActual('../src/services/telegram.service'),
+  sendTelegramMessage: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../src/services/refillRequest.service', () => ({ createRefillRequest: jest.fn().mockResolvedValue({}) }));
+jest.mock('../src/utils/email', () => ({ sendRefillReminder: jest.fn().mockResolvedValue(true) }));
+
+const mongoose = require('mongoose');
+const Medication = require('../src/models/medication.model');
+const User = require('../src/models/user.model');
+const Email = require('../src/utils/email');
+const { sendTelegramMessage } = require('../src/services/telegram.service');
+const { createRefillRequest } = require('../src/services/refillRequest.service');
+const {
+  projectRunOut,
+  getInventoryStatus,
+  checkInventory,
+  adjustInventory
+} = require('../src/services/inventory.service');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-03-02T00:00:00Z');
+
+const patient = { _id: new mongoose.Types.ObjectId(), email: 'ann@example.com', telegramId: '7', timezone: 'UTC' };
+
+// Twice a day, one tablet per dose
+const medication = (inventory, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Metformin',
+  status: 'active',
+  startDate: new Date('2026-03-01T00:00:00Z'),
+  dosage: { value: 500, unit: 'mg' },
+  frequency: { type: 'daily', timesPerDay: 2, specificTimes: ['08:00', '20:00'] },
+  patient: { _id: patient._id, timezone: 'UTC' },
+  inventory: { unit: 'tablets', dosePerIntake: 1, ...inventory },
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(Medication, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(User, 'findById').mockResolvedValue(patient);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('projectRunOut', () => {
+  it('finds the first scheduled dose the stock cannot cover', () => {
+    expect(projectRunOut(medication({ quantity: 5 }), now).toISOString()).toBe('2026-03-04T20:00:00.000Z');
+  });
+
+  it('counts fractional doses exactly', () => {
+    const syrup = medication({ quantity: 1.5, dosePerIntake: 0.5, unit: 'ml' });
+
+    expect(projectRunOut(syrup, now).toISOString()).toBe('2026-03-03T20:00:00.000Z');
+  });
+
+  it('returns nothing when the stock outlasts the course', () => {
+    const course = medication({ quantity: 10 }, { endDate: new Date('2026-03-04T00:00:00Z') });
+
+    expect(projectRunOut(course, now)).toBeNull();
+  });
+});
+
+describe('getInventoryStatus', () => {
+  it('reports stock as low once it covers fewer than lowStockDays days', () => {
+    const status = getInventoryStatus(medication({ quantity: 5, lowStockDays: 3 }), now);
+
+    expect(status).toMatchObject({ quantity: 5, daysRemaining: 2, lowStock: true });
+    expect(getInventoryStatus(medication({ quantity: 5, lowStockDays: 2 }), now).lowStock).toBe(false);
+  });
+
+  it('ignores medications without stock tracking', () => {
+    expect(getInventoryStatus({ ...medication(), inventory: undefined }, now)).toBeNull();
+  });
+});
+
+describe('checkInventory', () => {
+  it('reminds the patient and asks the doctor for a refill when stock runs low', async () => {
+    const low = medication({ quantity: 5 });
+
+    await checkInventory(low, now);
+
+    expect(Email.sendRefillReminder).toHaveBeenCalledWith('ann@example.com', expect.objectContaining({
+      medicationName: 'Metformin',
+      remaining: '5 tablets'
+    }));
+    expect(sendTelegramMessage).toHaveBeenCalledWith('7', expect.stringContaining('Refill reminder'));
+    expect(createRefillRequest).toHaveBeenCalledWith(low, expect.objectContaining({ source: 'system' }));
+
+    const [, update] = Medication.updateOne.mock.calls[0];
+    expect(update.$set).toEqual({
+      'refillInformation.nextRefill': new Date('2026-03-04T20:00:00Z'),
+      'inventory.patientRemindedAt': now,
+      'inventory.doctorNotifiedAt': now
+    });
+  });
+
+  it('asks the doctor once per shortage and reminds the patient about once a day', async () => {
+    await checkInventory(medication({
+      quantity: 5,
+      patientRemindedAt: new Date(now.getTime() - 2 * HOUR),
+      doctorNotifiedAt: new Date(now.getTime() - 2 * HOUR)
+    }), now);
+
+    expect(Email.sendRefillReminder).not.toHaveBeenCalled();
+    expect(createRefillRequest).not.toHaveBeenCalled();
+  });
+
+  it('resets the alerts once there is enough stock again', async () => {
+    await checkInventory(medication({ quantity: 60, doctorNotifiedAt: new Date(now.getTime() - 2 * HOUR) }), now);
+
+    expect(createRefillRequest).not.toHaveBeenCalled();
+    const [, update] = Medication.updateOne.mock.calls[0];
+    expect(update.$unset).toEqual({ 'inventory.patientRemindedAt': '', 'inventory.doctorNotifiedAt': '' });
+  });
+});
+
+describe('adjustInventory', () => {
+  it('deducts the units of taken doses without going below zero', async () => {
+    const tracked = medication({ quantity: 60 });
+    jest.spyOn(Medication, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await adjustInventory(tracked, 2, now);
+
+    const [filter, [pipeline]] = Medication.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: tracked._id, 'inventory.quantity': { $type: 'number' } });
+    expect(pipeline.$set['inventory.quantity']).toEqual({ $max: [0, { $subtract: ['$inventory.quantity', 2] }] });
+  });
+
+  it('leaves medications without stock tracking alone', async () => {
+    jest.spyOn(Medication, 'findOneAndUpdate');
+
+    await expect(adjustInventory({ ...medication(), inventory: undefined }, 1)).resolves.toBeNull();
+    expect(Medication.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
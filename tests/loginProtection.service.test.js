@@ -0,0 +1,145 @@
+jest.mock('../src/utils/email', () => ({ sendAccountLocked: jest.fn().mockResolvedValue(true) }));
+
+const mongoose = require('mongoose');
+const LoginThrottle = require('../src/models/loginThrottle.model');
+const Email = require('../src/utils/email');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../src/services/loginProtection.service');
+
+const MINUTE = 60 * 1000;
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'ann@example.com', name: 'Ann', timezone: 'UTC' };
+
+const throttle = (fields) => new LoginThrottle({
+  expiresAt: new Date(Date.now() + 24 * 60 * MINUTE),
+  ...fields
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('checkLoginAllowed', () => {
+  it('lets attempts through without failures', async () => {
+    jest.spyOn(LoginThrottle, 'find').mockResolvedValue([]);
+
+    await expect(checkLoginAllowed({ email: 'Ann@Example.com ', ip: '10.0.0.1' })).resolves.toBeUndefined();
+    expect(LoginThrottle.find.mock.calls[0][0].$or).toEqual([
+      { kind: 'account', key: 'ann@example.com' },
+      { kind: 'ip', key: '10.0.0.1' }
+    ]);
+  });
+
+  it('refuses a locked account with the seconds to wait', async () => {
+    jest.spyOn(LoginThrottle, 'find').mockResolvedValue([
+      throttle({ kind: 'account', key: 'ann@example.com', lockedUntil: new Date(Date.now() + 10 * MINUTE) })
+    ]);
+
+    const error = await checkLoginAllowed({ email: 'ann@example.com', ip: '10.0.0.1' }).catch(err => err);
+    expect(error.statusCode).toBe(429);
+    expect(error.data.retryAfter).toBeGreaterThan(590);
+    expect(error.data.retryAfter).toBeLessThanOrEqual(600);
+  });
+
+  it('refuses a locked IP address', async () => {
+    jest.spyOn(LoginThrottle, 'find').mockResolvedValue([
+      throttle({ kind: 'ip', key: '10.0.0.1', lockedUntil: new Date(Date.now() + MINUTE) })
+    ]);
+
+    await expect(checkLoginAllowed({ email: 'bob@example.com', ip: '10.0.0.1' }))
+      .rejects.toMatchObject({ statusCode: 429 });
+  });
+
+  it('makes each attempt after repeated failures wait twice as long', async () => {
+    // Three failures: wait 4 seconds after the last one
+    jest.spyOn(LoginThrottle, 'find').mockResolvedValue([
+      throttle({ kind: 'account', key: 'ann@example.com', failures: 3, lastFailedAt: new Date(Date.now() - 1000) })
+    ]);
+    await expect(checkLoginAllowed({ email: 'ann@example.com' }))
+      .rejects.toMatchObject({ statusCode: 429, data: { retryAfter: 3 } });
+
+    LoginThrottle.find.mockResolvedValue([
+      throttle({ kind: 'account', key: 'ann@example.com', failures: 3, lastFailedAt: new Date(Date.now() - 5000) })
+    ]);
+    await expect(checkLoginAllowed({ email: 'ann@example.com' })).resolves.toBeUndefined();
+  });
+
+  it('does not delay the attempt after a single failure', async () => {
+    jest.spyOn(LoginThrottle, 'find').mockResolvedValue([
+      throttle({ kind: 'account', key: 'ann@example.com', failures: 1, lastFailedAt: new Date() })
+    ]);
+
+    await expect(checkLoginAllowed({ email: 'ann@example.com' })).resolves.toBeUndefined();
+  });
+});
+
+describe('recordFailedLogin', () => {
+  it('counts a failure against the account and the IP address', async () => {
+    jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockImplementation(async ({ kind, key }) =>
+      throttle({ kind, key, failures: 1 }));
+
+    await recordFailedLogin({ email: 'Ann@example.com', ip: '10.0.0.1', user });
+
+    const filters = LoginThrottle.findOneAndUpdate.mock.calls.map(call => call[0]);
+    expect(filters).toEqual([
+      { kind: 'account', key: 'ann@example.com' },
+      { kind: 'ip', key: '10.0.0.1' }
+    ]);
+    expect(Email.sendAccountLocked).not.toHaveBeenCalled();
+  });
+
+  it('locks the account when it reaches the limit and emails the owner', async () => {
+    const counted = throttle({ kind: 'account', key: 'ann@example.com', failures: 5, lockouts: 0 });
+    jest.spyOn(LoginThrottle, 'findOneAndUpdate')
+      .mockResolvedValueOnce(counted)
+      .mockImplementationOnce(async (filter, update) => throttle({ ...update.$set, kind: 'account', key: 'ann@example.com' }));
+
+    const before = Date.now();
+    await recordFailedLogin({ email: 'ann@example.com', user });
+
+    const [filter, update] = LoginThrottle.findOneAndUpdate.mock.calls[1];
+    expect(filter).toEqual({ _id: counted._id, failures: 5 });
+    expect(update.$set.failures).toBe(0);
+    expect(update.$inc).toEqual({ lockouts: 1 });
+    expect(update.$set.lockedUntil.getTime() - before).toBeGreaterThanOrEqual(15 * MINUTE - 1000);
+    expect(update.$set.lockedUntil.getTime() - before).toBeLessThanOrEqual(15 * MINUTE + 1000);
+    expect(Email.sendAccountLocked).toHaveBeenCalledWith('ann@example.com', expect.objectContaining({ name: 'Ann' }));
+  });
+
+  it('doubles the lockout each time the account is locked again', async () => {
+    const counted = throttle({ kind: 'account', key: 'ann@example.com', failures: 5, lockouts: 2 });
+    jest.spyOn(LoginThrottle, 'findOneAndUpdate')
+      .mockResolvedValueOnce(counted)
+      .mockResolvedValueOnce(null);
+
+    const before = Date.now();
+    await recordFailedLogin({ email: 'ann@example.com', user });
+
+    const { lockedUntil } = LoginThrottle.findOneAndUpdate.mock.calls[1][1].$set;
+    expect(Math.round((lockedUntil.getTime() - before) / MINUTE)).toBe(60);
+  });
+
+  it('lets only the request that reached the limit send the email', async () => {
+    jest.spyOn(LoginThrottle, 'findOneAndUpdate')
+      .mockResolvedValueOnce(throttle({ kind: 'account', key: 'ann@example.com', failures: 5 }))
+      .mockResolvedValueOnce(null);
+
+    await recordFailedLogin({ email: 'ann@example.com', user });
+
+    expect(Email.sendAccountLocked).not.toHaveBeenCalled();
+  });
+});
+
+describe('clearFailedLogins', () => {
+  it("removes the account's counter", async () => {
+    jest.spyOn(LoginThrottle, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    await clearFailedLogins(' Ann@example.com');
+
+    expect(LoginThrottle.deleteOne).toHaveBeenCalledWith({ kind: 'account', key: 'ann@example.com' });
+  });
+});
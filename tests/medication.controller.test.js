@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Medication = require('../src/models/medication.model');
+const DoseEvent = require('../src/models/doseEvent.model');
+const {
+  getMedicationDoses,
+  getMedicationNotes,
+  addMedicationNote,
+  updateMedicationNote,
+  deleteMedicationNote
+} = require('../src/controllers/medication.controller');
+
+const patientId = new mongoose.Types.ObjectId();
+const doctorId = new mongoose.Types.ObjectId();
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Call a handler and resolve once it has responded or passed an error to next
+const run = (handler, req, res = mockResponse()) => new Promise((resolve) => {
+  res.json.mockImplementation(() => resolve({ res }));
+  handler(req, res, error => resolve({ res, error }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('getMedicationDoses', () => {
+  const medicationId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(Medication, 'findById').mockResolvedValue({
+      _id: medicationId,
+      patient: { _id: patientId },
+      doctor: { _id: doctorId }
+    });
+    jest.spyOn(DoseEvent, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+  });
+
+  it('filters doses by the requested window', async () => {
+    const { res, error } = await run(getMedicationDoses, {
+      params: { id: medicationId.toString() },
+      query: { from: '2026-03-01', to: '2026-03-08' },
+      user: { id: patientId.toString(), role: 'patient' }
+    });
+
+    expect(error).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(DoseEvent.find).toHaveBeenCalledWith({
+      medication: medicationId,
+      scheduledFor: { $gte: new Date('2026-03-01'), $lt: new Date('2026-03-08') }
+    });
+  });
+
+  it('refuses invalid dates with 400', async () => {
+    const { error } = await run(getMedicationDoses, {
+      params: { id: medicationId.toString() },
+      query: { from: 'yesterday' },
+      user: { id: patientId.toString(), role: 'patient' }
+    });
+
+    expect(error).toMatchObject({ statusCode: 400 });
+    expect(DoseEvent.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('medication notes', () => {
+  const patient = { id: patientId.toString(), role: 'patient' };
+  const doctor = { id: doctorId.toString(), role: 'doctor' };
+  const admin = { id: new mongoose.Types.ObjectId().toString(), role: 'admin' };
+
+  const doctorNote = new mongoose.Types.ObjectId();
+  const privateNote = new mongoose.Types.ObjectId();
+
+  let medication;
+
+  beforeEach(() => {
+    medication = Medication.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Metformin',
+      patient: patientId,
+      doctor: doctorId,
+      notes: [
+        { _id: privateNote, content: 'Consider switching if HbA1c stays high', isPrivate: true, createdBy: doctorId, createdAt: new Date('2026-03-03') },
+        { _id: doctorNote, content: 'Take with food', createdBy: doctorId, createdAt: new Date('2026-03-02') }
+      ]
+    });
+    jest.spyOn(Medication, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(medication) });
+    jest.spyOn(Medication, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  const request = (user, fields) => ({ params: { id: medication.id }, body: {}, user, ...fields });
+
+  it('lists the notes oldest first, without private ones for the patient', async () => {
+    const forDoctor = await run(getMedicationNotes, request(doctor));
+    const forPatient = await run(getMedicationNotes, request(patient));
+
+    expect(forDoctor.res.json.mock.calls[0][0].data.notes.map(note => note.id))
+      .toEqual([doctorNote.toString(), privateNote.toString()]);
+    expect(forPatient.res.json.mock.calls[0][0].data.notes.map(note => note.id)).toEqual([doctorNote.toString()]);
+  });
+
+  it('refuses users who are not on the prescription', async () => {
+    const { error } = await run(getMedicationNotes, request({ id: new mongoose.Types.ObjectId().toString(), role: 'doctor' }));
+
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('adds a note attributed to its author', async () => {
+    const { res, error } = await run(addMedicationNote, request(patient, { body: { content: 'Feeling dizzy in the mornings' } }));
+
+    expect(error).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(201);
+    const [, { $push: { notes: note } }] = Medication.updateOne.mock.calls[0];
+    expect(note).toMatchObject({ content: 'Feeling dizzy in the mornings', isPrivate: false, createdBy: patientId });
+  });
+
+  it('refuses empty notes and private notes from patients', async () => {
+    const empty = await run(addMedicationNote, request(doctor, { body: { content: '  ' } }));
+    const secret = await run(addMedicationNote, request(patient, { body: { content: 'Hi', isPrivate: true } }));
+
+    expect(empty.error.message).toContain('Note cannot be empty');
+    expect(secret.error.statusCode).toBe(400);
+    expect(Medication.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('lets authors edit their own notes only', async () => {
+    const own = await run(updateMedicationNote, request(doctor, {
+      params: { id: medication.id, noteId: doctorNote.toString() },
+      body: { content: 'Take with breakfast' }
+    }));
+    const others = await run(updateMedicationNote, request(admin, {
+      params: { id: medication.id, noteId: doctorNote.toString() },
+      body: { content: 'Edited' }
+    }));
+
+    expect(own.error).toBeUndefined();
+    expect(Medication.updateOne).toHaveBeenCalledTimes(1);
+    expect(Medication.updateOne.mock.calls[0][1].$set['notes.$.content']).toBe('Take with breakfast');
+    expect(others.error.statusCode).toBe(403);
+  });
+
+  it('hides private notes from patients trying to change them', async () => {
+    const { error } = await run(deleteMedicationNote, request(patient, {
+      params: { id: medication.id, noteId: privateNote.toString() }
+    }));
+
+    expect(error.statusCode).toBe(404);
+  });
+
+  it("lets admins delete other users' notes", async () => {
+    const { res, error } = await run(deleteMedicationNote, request(admin, {
+      params: { id: medication.id, noteId: doctorNote.toString() }
+    }));
+
+    expect(error).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(204);
+    expect(Medication.updateOne).toHaveBeenCalledWith({ _id: medication._id }, { $pull: { notes: { _id: doctorNote } } });
+  });
+});
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const Medication = require('../src/models/medication.model');
+
+const fields = (frequency) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Metformin',
+  dosage: { value: 500, unit: 'mg' },
+  startDate: new Date('2026-03-01T00:00:00Z'),
+  patient: new mongoose.Types.ObjectId(),
+  doctor: new mongoose.Types.ObjectId(),
+  frequency
+});
+
+// Validation errors of a document, by path
+const validationErrors = (medication) =>
+  medication.validate().then(() => ({}), err => err.errors);
+
+describe('frequency validation', () => {
+  it('needs one dose time per daily dose on new medications', async () => {
+    const errors = await validationErrors(new Medication(fields({ type: 'daily', timesPerDay: 2, specificTimes: ['08:00'] })));
+
+    expect(errors['frequency.specificTimes'].message).toBe('Please provide 2 dose time(s), one per dose');
+  });
+
+  it('takes the number of daily doses from the dose times', async () => {
+    const medication = new Medication(fields({ specificTimes: ['08:00', '20:00'] }));
+
+    const errors = await validationErrors(medication);
+
+    expect(errors['frequency.specificTimes']).toBeUndefined();
+    expect(medication.frequency.timesPerDay).toBe(2);
+  });
+
+  it('does not block other changes to stored medications with an outdated schedule', async () => {
+    // Daily schedules used to lose their times when saved
+    const medication = Medication.hydrate(fields({ type: 'daily', timesPerDay: 2, specificTimes: [] }));
+    medication.instructions = 'Take with food';
+
+    const errors = await validationErrors(medication);
+
+    expect(errors['frequency.specificTimes']).toBeUndefined();
+  });
+
+  it('checks the schedule of stored medications once it is changed', async () => {
+    const medication = Medication.hydrate(fields({ type: 'daily', timesPerDay: 2, specificTimes: [] }));
+    medication.set('frequency.timesPerDay', 3);
+
+    const errors = await validationErrors(medication);
+
+    expect(errors['frequency.specificTimes']).toBeDefined();
+  });
+});
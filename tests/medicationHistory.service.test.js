@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Medication = require('../src/models/medication.model');
+const MedicationVersion = require('../src/models/medicationVersion.model');
+const {
+  takeSnapshot,
+  recordMedicationVersion,
+  getRegimenAt,
+  parseRegimenDate
+} = require('../src/services/medicationHistory.service');
+
+const patientId = new mongoose.Types.ObjectId();
+const doctorId = new mongoose.Types.ObjectId();
+
+const medication = (fields) => Medication.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Metformin',
+  patient: patientId,
+  doctor: doctorId,
+  dosage: { value: 500, unit: 'mg' },
+  frequency: { type: 'daily', timesPerDay: 2, specificTimes: ['08:00', '20:00'] },
+  startDate: new Date('2026-03-01T00:00:00Z'),
+  status: 'active',
+  createdAt: new Date('2026-03-01T00:00:00Z'),
+  ...fields
+});
+
+const version = (fields) => MedicationVersion.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  patient: patientId,
+  event: 'created',
+  ...fields
+});
+
+// The latest version of the medication before the change
+const mockLatestVersion = (latest) =>
+  jest.spyOn(MedicationVersion, 'findOne').mockReturnValue({ sort: jest.fn().mockResolvedValue(latest) });
+
+beforeEach(() => {
+  jest.spyOn(MedicationVersion, 'create').mockImplementation(async fields => new MedicationVersion(fields));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('takeSnapshot', () => {
+  it('keeps the prescription fields, without subdocument ids or populated users', () => {
+    const snapshot = takeSnapshot(medication({ instructions: 'With food', notes: [{ content: 'Hi' }] }));
+
+    expect(snapshot).toEqual({
+      name: 'Metformin',
+      dosage: { value: 500, unit: 'mg' },
+      frequency: expect.objectContaining({ type: 'daily', specificTimes: ['08:00', '20:00'] }),
+      instructions: 'With food',
+      startDate: new Date('2026-03-01T00:00:00Z'),
+      status: 'active',
+      isCritical: false
+    });
+  });
+});
+
+describe('recordMedicationVersion', () => {
+  it('starts the history at version 1', async () => {
+    const prescribed = medication();
+    mockLatestVersion(null);
+
+    await recordMedicationVersion(prescribed, { event: 'created', changedBy: doctorId, reason: 'New diagnosis' });
+
+    expect(MedicationVersion.create).toHaveBeenCalledWith({
+      medication: prescribed._id,
+      patient: patientId,
+      doctor: doctorId,
+      version: 1,
+      event: 'created',
+      snapshot: expect.objectContaining({ name: 'Metformin', dosage: { value: 500, unit: 'mg' } }),
+      changes: [],
+      reason: 'New diagnosis',
+      changedBy: doctorId,
+      effectiveFrom: expect.any(Date)
+    });
+  });
+
+  it('records what changed since the latest version', async () => {
+    const before = medication();
+    const after = medication({ _id: before._id, dosage: { value: 1000, unit: 'mg' } });
+    mockLatestVersion(version({ medication: before._id, version: 2, snapshot: takeSnapshot(before) }));
+
+    await recordMedicationVersion(after, { changedBy: doctorId, reason: 'HbA1c still high' });
+
+    const [[next]] = MedicationVersion.create.mock.calls;
+    expect(next.version).toBe(3);
+    expect(next.changes).toEqual([
+      { field: 'dosage', from: { value: 500, unit: 'mg' }, to: { value: 1000, unit: 'mg' } }
+    ]);
+  });
+
+  it('records nothing when no tracked field changed', async () => {
+    const unchanged = medication();
+    mockLatestVersion(version({ medication: unchanged._id, version: 1, snapshot: takeSnapshot(unchanged) }));
+
+    await expect(recordMedicationVersion(unchanged, { changedBy: doctorId })).resolves.toBeNull();
+    expect(MedicationVersion.create).not.toHaveBeenCalled();
+  });
+
+  it('first records medications prescribed before version history as they were', async () => {
+    const before = medication();
+    const after = medication({ _id: before._id, status: 'stopped' });
+    mockLatestVersion(null);
+    MedicationVersion.findOne
+      .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue(null) })
+      .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue(null) })
+      .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue(version({ medication: before._id, version: 1 })) });
+
+    await recordMedicationVersion(after, { changedBy: doctorId, previous: takeSnapshot(before) });
+
+    const [[baseline], [change]] = MedicationVersion.create.mock.calls;
+    expect(baseline).toMatchObject({ version: 1, event: 'created', changedBy: doctorId, effectiveFrom: before.createdAt });
+    expect(change).toMatchObject({
+      version: 2,
+      event: 'updated',
+      changes: [{ field: 'status', from: 'active', to: 'stopped' }]
+    });
+  });
+
+  it('takes the next version number when another change got there first', async () => {
+    const prescribed = medication();
+    mockLatestVersion(null);
+    MedicationVersion.findOne
+      .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue(null) })
+      .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue(null) })
+      .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue(version({ medication: prescribed._id, version: 1 })) });
+    MedicationVersion.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const recorded = await recordMedicationVersion(prescribed, { event: 'created', changedBy: doctorId });
+
+    expect(recorded.version).toBe(2);
+  });
+});
+
+describe('medication versions', () => {
+  it('cannot be changed once recorded', async () => {
+    const recorded = version({ medication: new mongoose.Types.ObjectId(), version: 1, reason: 'Started' });
+    recorded.reason = 'Rewritten';
+
+    await expect(recorded.save()).rejects.toThrow('Medication versions cannot be changed or deleted');
+    await expect(MedicationVersion.updateOne({ _id: recorded._id }, { reason: 'Rewritten' }))
+      .rejects.toThrow('Medication versions cannot be changed or deleted');
+  });
+});
+
+describe('getRegimenAt', () => {
+  const at = new Date('2026-04-01T00:00:00Z');
+
+  const entry = (name, fields) => ({
+    medication: new mongoose.Types.ObjectId(),
+    version: 1,
+    event: 'updated',
+    effectiveFrom: new Date('2026-03-01T00:00:00Z'),
+    snapshot: { name, status: 'active', startDate: new Date('2026-03-01T00:00:00Z') },
+    ...fields
+  });
+
+  it('lists the prescriptions in force at the time, by name', async () => {
+    jest.spyOn(MedicationVersion, 'aggregate').mockResolvedValue([
+      entry('Warfarin'),
+      entry('Ibuprofen', { event: 'deleted' }),
+      entry('Amoxicillin', { snapshot: { name: 'Amoxicillin', status: 'active', endDate: new Date('2026-03-08T00:00:00Z') } }),
+      entry('Sertraline', { snapshot: { name: 'Sertraline', status: 'stopped' } })
+    ]);
+    jest.spyOn(MedicationVersion, 'distinct').mockResolvedValue([]);
+    jest.spyOn(Medication, 'find').mockResolvedValue([medication()]);
+
+    const regimen = await getRegimenAt(patientId, at);
+
+    expect(regimen.map(({ name, version: number }) => [name, number])).toEqual([['Metformin', null], ['Warfarin', 1]]);
+    const [[[{ $match }]]] = MedicationVersion.aggregate.mock.calls;
+    expect($match).toEqual({ patient: patientId, effectiveFrom: { $lte: at } });
+  });
+});
+
+describe('parseRegimenDate', () => {
+  it("reads a day as the end of that day in the patient's time zone", () => {
+    expect(parseRegimenDate('2026-03-02', 'America/New_York').toISOString()).toBe('2026-03-03T04:59:59.999Z');
+    expect(parseRegimenDate('2026-03-02T12:00:00Z', 'UTC').toISOString()).toBe('2026-03-02T12:00:00.000Z');
+  });
+
+  it('refuses invalid dates with 400', () => {
+    expect(() => parseRegimenDate('last month', 'UTC')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock('../src/services/scheduler.service', () => ({
+  scheduleJob: jest.fn(),
+  cancelJobs: jest.fn(),
+  registerJobType: jest.fn()
+}));
+jest.mock('../src/services/telegram.service', () => ({
+  ...jest.requireActual('../src/services/telegram.service'),
+  sendTelegramMessage: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../src/services/medicationHistory.service', () => ({
+  ...jest.requireActual('../src/services/medicationHistory.service'),
+  recordMedicationVersion: jest.fn()
+}));
+jest.mock('../src/utils/email', () => ({ sendMedicationEnded: jest.fn().mockResolvedValue(true) }));
+
+const mongoose = require('mongoose');
+const Medication = require('../src/models/medication.model');
+const User = require('../src/models/user.model');
+const Email = require('../src/utils/email');
+const { registerJobType } = require('../src/services/scheduler.service');
+const { sendTelegramMessage } = require('../src/services/telegram.service');
+const { recordMedicationVersion } = require('../src/services/medicationHistory.service');
+const { discontinueMedication, completeEndedMedications } = require('../src/services/medicationLifecycle.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Job handlers the service registered with the scheduler when it was loaded
+const jobTypes = new Map(registerJobType.mock.calls);
+
+const patient = { _id: new mongoose.Types.ObjectId(), email: 'ann@example.com', telegramId: '7' };
+const doctor = { _id: new mongoose.Types.ObjectId(), name: 'House' };
+
+const medication = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Amoxicillin',
+  status: 'active',
+  startDate: new Date(Date.now() - 3 * DAY),
+  endDate: new Date(Date.now() + 4 * DAY),
+  patient: { _id: patient._id },
+  doctor: { _id: doctor._id },
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockImplementation(async id => (String(id) === String(doctor._id) ? doctor : patient));
+  jest.spyOn(Medication, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => ({
+    ...medication({ _id: filter._id }),
+    ...$set
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('discontinueMedication', () => {
+  it('stops the medication now, recording who stopped it and why', async () => {
+    const course = medication();
+
+    const stopped = await discontinueMedication(course, { reason: ' Rash ', discontinuedBy: doctor._id });
+
+    const [filter, { $set }] = Medication.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: course._id, status: 'active' });
+    expect($set).toMatchObject({
+      status: 'stopped',
+      discontinuation: { reason: 'Rash', discontinuedBy: doctor._id, discontinuedAt: expect.any(Date) }
+    });
+    expect($set.endDate.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(recordMedicationVersion).toHaveBeenCalledWith(stopped, expect.objectContaining({
+      changedBy: doctor._id,
+      reason: 'Rash',
+      previous: expect.objectContaining({ status: 'active' })
+    }));
+  });
+
+  it('leaves the end date of a course that has not started alone', async () => {
+    await discontinueMedication(medication({ startDate: new Date(Date.now() + DAY) }), {
+      reason: 'Changed plan',
+      discontinuedBy: doctor._id
+    });
+
+    expect(Medication.findOneAndUpdate.mock.calls[0][1].$set.endDate).toBeUndefined();
+  });
+
+  it('tells the patient, escaping the reason in Telegram', async () => {
+    await discontinueMedication(medication(), { reason: 'Rash on *both* arms', discontinuedBy: doctor._id });
+
+    const [chatId, message] = sendTelegramMessage.mock.calls[0];
+    expect(chatId).toBe('7');
+    expect(message).toContain('Dr. House has stopped *Amoxicillin*');
+    expect(message).toContain('Reason: Rash on \\*both\\* arms');
+    expect(Email.sendMedicationEnded).toHaveBeenCalledWith('ann@example.com', {
+      medicationName: 'Amoxicillin',
+      completed: false,
+      doctorName: 'House',
+      reason: 'Rash on *both* arms'
+    });
+  });
+
+  it('needs a reason', async () => {
+    await expect(discontinueMedication(medication(), { reason: '  ', discontinuedBy: doctor._id }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(Medication.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('only stops active medications', async () => {
+    await expect(discontinueMedication(medication({ status: 'completed' }), { reason: 'Rash', discontinuedBy: doctor._id }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('refuses with 409 when the medication ended in the meantime', async () => {
+    Medication.findOneAndUpdate.mockResolvedValue(null);
+
+    await expect(discontinueMedication(medication(), { reason: 'Rash', discontinuedBy: doctor._id }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(sendTelegramMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('completeEndedMedications', () => {
+  it('completes active medications past their end date and tells the patient', async () => {
+    const now = new Date();
+    const ended = [medication({ endDate: new Date(now - DAY) }), medication({ endDate: new Date(now - 2 * DAY) })];
+    jest.spyOn(Medication, 'find').mockResolvedValue(ended);
+    // The second one was stopped by a doctor in the meantime
+    Medication.findOneAndUpdate
+      .mockImplementationOnce(async (filter, { $set }) => ({ ...ended[0], ...$set }))
+      .mockResolvedValueOnce(null);
+
+    await expect(completeEndedMedications(now)).resolves.toBe(1);
+
+    expect(Medication.find).toHaveBeenCalledWith({ status: 'active', endDate: { $lte: now } });
+    expect(Medication.findOneAndUpdate.mock.calls[0][1].$set).toEqual({ status: 'completed' });
+    expect(sendTelegramMessage).toHaveBeenCalledTimes(1);
+    expect(sendTelegramMessage.mock.calls[0][1]).toContain('Course complete');
+    expect(Email.sendMedicationEnded).toHaveBeenCalledWith('ann@example.com', expect.objectContaining({ completed: true }));
+  });
+
+  it('carries on past medications that fail to complete', async () => {
+    jest.spyOn(Medication, 'find').mockResolvedValue([medication(), medication()]);
+    Medication.findOneAndUpdate.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(completeEndedMedications()).resolves.toBe(1);
+  });
+});
+
+describe('medication completion check job', () => {
+  it('runs daily at the configured time', async () => {
+    const { next } = jobTypes.get('medication-completion-check');
+
+    expect((await next({}, new Date('2026-03-02T00:00:00Z'))).toISOString()).toBe('2026-03-02T00:05:00.000Z');
+    expect((await next({}, new Date('2026-03-02T00:05:00Z'))).toISOString()).toBe('2026-03-03T00:05:00.000Z');
+  });
+});
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/user.model');
+const Medication = require('../src/models/medication.model');
+const Appointment = require('../src/models/appointment.model');
+const {
+  getClinicalProfile,
+  updateClinicalProfile,
+  addAllergy,
+  updateAllergy
+} = require('../src/controllers/patient.controller');
+
+const doctorId = new mongoose.Types.ObjectId();
+
+const patientRecord = () => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Ann',
+  email: 'ann@example.com',
+  role: 'patient',
+  clinicalProfile: {
+    allergies: [{ _id: new mongoose.Types.ObjectId(), substance: 'Penicillin', severity: 'severe' }],
+    conditions: []
+  }
+});
+
+const doctor = { id: doctorId.toString(), role: 'doctor' };
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Call a handler and resolve once it has responded or passed an error to next
+const run = (handler, req, res = mockResponse()) => new Promise((resolve) => {
+  res.json.mockImplementation(() => resolve({ res }));
+  handler({ body: {}, ...req }, res, error => resolve({ res, error }));
+});
+
+// Whether the doctor has prescribed for or booked the patient
+const mockTreatingDoctor = (treating) => {
+  jest.spyOn(Medication, 'exists').mockResolvedValue(treating ? { _id: new mongoose.Types.ObjectId() } : null);
+  jest.spyOn(Appointment, 'exists').mockResolvedValue(null);
+};
+
+let patient;
+
+beforeEach(() => {
+  patient = patientRecord();
+  jest.spyOn(User, 'findById').mockResolvedValue(patient);
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('getClinicalProfile', () => {
+  it('lets patients read their own profile', async () => {
+    const { res, error } = await run(getClinicalProfile, {
+      params: { id: patient.id },
+      user: { id: patient.id, role: 'patient' }
+    });
+
+    expect(error).toBeUndefined();
+    expect(res.json.mock.calls[0][0].data.clinicalProfile.allergies[0].substance).toBe('Penicillin');
+  });
+
+  it('refuses other patients and doctors who do not treat the patient', async () => {
+    mockTreatingDoctor(false);
+
+    const other = await run(getClinicalProfile, {
+      params: { id: patient.id },
+      user: { id: new mongoose.Types.ObjectId().toString(), role: 'patient' }
+    });
+    const stranger = await run(getClinicalProfile, { params: { id: patient.id }, user: doctor });
+
+    expect(other.error.statusCode).toBe(403);
+    expect(stranger.error.statusCode).toBe(403);
+  });
+
+  it('responds with 404 for users who are not patients', async () => {
+    User.findById.mockResolvedValue(User.hydrate({ _id: new mongoose.Types.ObjectId(), role: 'doctor' }));
+
+    const { error } = await run(getClinicalProfile, { params: { id: 'someone' }, user: doctor });
+
+    expect(error.statusCode).toBe(404);
+  });
+});
+
+describe('addAllergy', () => {
+  it("lets the patient's doctors record allergies", async () => {
+    mockTreatingDoctor(true);
+
+    const { res, error } = await run(addAllergy, {
+      params: { id: patient.id },
+      user: doctor,
+      body: { substance: 'Ibuprofen', drugClass: 'NSAID', reaction: 'wheezing', recordedBy: 'someone else' }
+    });
+
+    expect(error).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(patient.clinicalProfile.allergies[1]).toMatchObject({ substance: 'Ibuprofen', drugClass: 'nsaid', reaction: 'wheezing' });
+    expect(patient.clinicalProfile.allergies[1].recordedBy.toString()).toBe(doctor.id);
+    expect(User.prototype.save).toHaveBeenCalledWith({ validateModifiedOnly: true });
+  });
+
+  it('does not let patients edit their own profile', async () => {
+    const { error } = await run(addAllergy, {
+      params: { id: patient.id },
+      user: { id: patient.id, role: 'patient' },
+      body: { substance: 'Ibuprofen' }
+    });
+
+    expect(error).toMatchObject({ statusCode: 403, message: "Only the patient's doctors can update their clinical profile" });
+    expect(User.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateAllergy', () => {
+  it('updates the recorded allergy', async () => {
+    mockTreatingDoctor(true);
+    const [allergy] = patient.clinicalProfile.allergies;
+
+    await run(updateAllergy, {
+      params: { id: patient.id, allergyId: allergy.id },
+      user: doctor,
+      body: { severity: 'life-threatening' }
+    });
+
+    expect(allergy.severity).toBe('life-threatening');
+    expect(User.prototype.save).toHaveBeenCalled();
+  });
+
+  it('responds with 404 for an unknown allergy', async () => {
+    mockTreatingDoctor(true);
+
+    const { error } = await run(updateAllergy, {
+      params: { id: patient.id, allergyId: new mongoose.Types.ObjectId().toString() },
+      user: doctor
+    });
+
+    expect(error.statusCode).toBe(404);
+  });
+});
+
+describe('updateClinicalProfile', () => {
+  it("records the patient's weight", async () => {
+    const { error } = await run(updateClinicalProfile, {
+      params: { id: patient.id },
+      user: { id: 'admin', role: 'admin' },
+      body: { weight: { value: 68 } }
+    });
+
+    expect(error).toBeUndefined();
+    expect(patient.clinicalProfile.weight).toMatchObject({ value: 68, unit: 'kg' });
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock('../src/services/telegram.service', () => ({
+  ...jest.requireActual('../src/services/telegram.service'),
+  sendTelegramMessage: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../src/utils/email', () => ({
+  sendRefillRequestAlert: jest.fn().mockResolvedValue(true),
+  sendRefillDecision: jest.fn().mockResolvedValue(true)
+}));
+
+const mongoose = require('mongoose');
+const RefillRequest = require('../src/models/refillRequest.model');
+const Medication = require('../src/models/medication.model');
+const User = require('../src/models/user.model');
+const Email = require('../src/utils/email');
+const { sendTelegramMessage } = require('../src/services/telegram.service');
+const {
+  createRefillRequest,
+  decideRefillRequest,
+  cancelRefillRequest
+} = require('../src/services/refillRequest.service');
+
+const patient = { _id: new mongoose.Types.ObjectId(), name: 'Ann', email: 'ann@example.com', telegramId: '7' };
+const doctor = { _id: new mongoose.Types.ObjectId(), name: 'House', email: 'house@example.com', telegramId: '42' };
+
+const medication = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Warfarin',
+  status: 'active',
+  patient: patient._id,
+  doctor: doctor._id
+};
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+const pendingRequest = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  medication: medication._id,
+  patient: patient._id,
+  doctor: doctor._id,
+  status: 'pending',
+  save: jest.fn().mockResolvedValue(),
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockImplementation(async (id) =>
+    [patient, doctor].find(user => user._id.equals(id)));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('createRefillRequest', () => {
+  it('creates the request and tells the doctor', async () => {
+    jest.spyOn(RefillRequest, 'findOne').mockResolvedValue(null);
+    jest.spyOn(RefillRequest, 'create').mockImplementation(async (fields) => pendingRequest(fields));
+
+    const request = await createRefillRequest(medication, { quantity: 30, note: 'Going abroad' });
+
+    expect(request).toMatchObject({ quantity: 30, source: 'api', patient: patient._id, doctor: doctor._id });
+    expect(Email.sendRefillRequestAlert).toHaveBeenCalledWith('house@example.com', expect.objectContaining({
+      patientName: 'Ann',
+      medicationName: 'Warfarin',
+      note: 'Going abroad'
+    }));
+    expect(sendTelegramMessage).toHaveBeenCalledWith('42', expect.stringContaining('Note: Going abroad'));
+  });
+
+  it("escapes Markdown in the patient's note", async () => {
+    jest.spyOn(RefillRequest, 'findOne').mockResolvedValue(null);
+    jest.spyOn(RefillRequest, 'create').mockImplementation(async (fields) => pendingRequest(fields));
+
+    await createRefillRequest(medication, { note: 'Need *two* packs_please' });
+
+    expect(sendTelegramMessage.mock.calls[0][1]).toContain('Note: Need \\*two\\* packs\\_please');
+  });
+
+  it('refuses inactive medications', async () => {
+    await expect(createRefillRequest({ ...medication, status: 'discontinued' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('refuses a second pending request with 409', async () => {
+    jest.spyOn(RefillRequest, 'findOne').mockResolvedValue(pendingRequest());
+    jest.spyOn(RefillRequest, 'create');
+
+    await expect(createRefillRequest(medication)).rejects.toMatchObject({ statusCode: 409 });
+    expect(RefillRequest.create).not.toHaveBeenCalled();
+  });
+
+  it('reports 409 when another request was created at the same time', async () => {
+    jest.spyOn(RefillRequest, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(pendingRequest());
+    jest.spyOn(RefillRequest, 'create').mockRejectedValue(duplicateKeyError());
+
+    await expect(createRefillRequest(medication)).rejects.toMatchObject({ statusCode: 409 });
+    expect(Email.sendRefillRequestAlert).not.toHaveBeenCalled();
+  });
+
+  it('returns the pending request to a low-stock alert instead of raising another', async () => {
+    const pending = pendingRequest();
+    jest.spyOn(RefillRequest, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(pending);
+    jest.spyOn(RefillRequest, 'create').mockRejectedValue(duplicateKeyError());
+
+    await expect(createRefillRequest(medication, { source: 'system' })).resolves.toBe(pending);
+  });
+});
+
+describe('decideRefillRequest', () => {
+  it('adds the granted refills to the prescription and tells the patient', async () => {
+    const prescription = { ...medication, refillInformation: { refillsRemaining: 1 }, save: jest.fn() };
+    jest.spyOn(Medication, 'findById').mockResolvedValue(prescription);
+    const request = pendingRequest();
+
+    await decideRefillRequest(request, { approve: true, refillsGranted: 2, decidedBy: doctor._id });
+
+    expect(prescription.refillInformation.refillsRemaining).toBe(3);
+    expect(prescription.save).toHaveBeenCalled();
+    expect(request).toMatchObject({ status: 'approved', refillsGranted: 2, decidedBy: doctor._id });
+    expect(Email.sendRefillDecision).toHaveBeenCalledWith('ann@example.com', expect.objectContaining({
+      approved: true,
+      refillsRemaining: 3
+    }));
+  });
+
+  it('needs a reason to deny a request, and escapes it in the Telegram message', async () => {
+    jest.spyOn(Medication, 'findById').mockResolvedValue({ ...medication, refillInformation: {} });
+
+    await expect(decideRefillRequest(pendingRequest(), { approve: false }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const request = pendingRequest();
+    await decideRefillRequest(request, { approve: false, reason: 'See me_first', decidedBy: doctor._id });
+
+    expect(request).toMatchObject({ status: 'denied', denialReason: 'See me_first' });
+    expect(sendTelegramMessage).toHaveBeenCalledWith('7', expect.stringContaining('Reason: See me\\_first'));
+  });
+
+  it('refuses requests that were already decided', async () => {
+    await expect(decideRefillRequest(pendingRequest({ status: 'denied' }), { approve: true }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('cancelRefillRequest', () => {
+  it('withdraws a pending request', async () => {
+    const request = pendingRequest();
+
+    await cancelRefillRequest(request);
+
+    expect(request.status).toBe('cancelled');
+    expect(request.save).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,175 @@
+jest.mock('../src/services/scheduler.service', () => ({
+  scheduleJob: jest.fn(),
+  cancelJobs: jest.fn(),
+  registerJobType: jest.fn()
+}));
+jest.mock('../src/services/telegram.service', () => ({
+  scheduleMedicationReminders: jest.fn(),
+  cancelMedicationReminders: jest.fn(),
+  scheduleUserMedicationReminders: jest.fn(),
+  cancelUserReminders: jest.fn()
+}));
+jest.mock('../src/services/escalation.service', () => ({ scheduleCriticalDoseChecks: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Medication = require('../src/models/medication.model');
+const User = require('../src/models/user.model');
+const Appointment = require('../src/models/appointment.model');
+const logger = require('../src/utils/logger');
+const { cancelJobs } = require('../src/services/scheduler.service');
+const {
+  scheduleMedicationReminders,
+  cancelMedicationReminders,
+  scheduleUserMedicationReminders,
+  cancelUserReminders
+} = require('../src/services/telegram.service');
+const { scheduleCriticalDoseChecks } = require('../src/services/escalation.service');
+require('../src/services/reminderSync.service');
+
+const patient = { _id: new mongoose.Types.ObjectId(), telegramId: '7', timezone: 'UTC' };
+
+const prescription = (fields) => new Medication({
+  name: 'Metformin',
+  patient: patient._id,
+  doctor: new mongoose.Types.ObjectId(),
+  dosage: { value: 500, unit: 'mg', form: 'tablet' },
+  frequency: { type: 'daily', timesPerDay: 1, specificTimes: ['08:00'] },
+  startDate: new Date(),
+  ...fields
+});
+
+// Model events are handled asynchronously
+const flushEvents = () => new Promise(resolve => setImmediate(resolve));
+
+// The medication and patient as the sync reads them back
+const mockStored = (medication, user = patient) => {
+  jest.spyOn(Medication, 'findById').mockResolvedValue(medication);
+  jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+};
+
+beforeEach(() => {
+  // Writes succeed without a database; the model middleware still runs around them
+  jest.spyOn(Medication.prototype, '$__handleSave').mockImplementation((options, callback) => callback(null));
+  jest.spyOn(mongoose.Query.prototype, '_findOneAndUpdate').mockResolvedValue(null);
+  jest.spyOn(mongoose.Query.prototype, '_updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(mongoose.Query.prototype, '_updateMany').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(mongoose.Query.prototype, '_deleteOne').mockResolvedValue({ deletedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('medication changes', () => {
+  it('schedules the reminders and dose checks of a new prescription', async () => {
+    const medication = prescription();
+    mockStored(medication);
+
+    await medication.save();
+    await flushEvents();
+
+    expect(Medication.findById).toHaveBeenCalledWith(medication._id);
+    expect(scheduleMedicationReminders).toHaveBeenCalledWith(medication, patient);
+    expect(scheduleCriticalDoseChecks).toHaveBeenCalledWith(medication);
+  });
+
+  it('cancels every job of a medication that is stopped', async () => {
+    const medication = prescription({ status: 'stopped' });
+    mockStored(medication);
+    mongoose.Query.prototype._findOneAndUpdate.mockResolvedValue(medication);
+
+    await Medication.findOneAndUpdate({ _id: medication._id }, { $set: { status: 'stopped' } });
+    await flushEvents();
+
+    expect(cancelJobs).toHaveBeenCalledWith({ medication: medication._id });
+    expect(scheduleMedicationReminders).not.toHaveBeenCalled();
+  });
+
+  it('follows the medications an update query changes', async () => {
+    const ids = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    jest.spyOn(Medication, 'distinct').mockResolvedValue(ids);
+    mockStored(null);
+
+    await Medication.updateMany({ patient: patient._id }, { $set: { endDate: new Date() } });
+    await flushEvents();
+
+    expect(Medication.findById.mock.calls.map(([id]) => id)).toEqual(ids);
+  });
+
+  it('leaves the jobs alone when nothing they depend on changes', async () => {
+    jest.spyOn(Medication, 'distinct');
+    mockStored(prescription());
+
+    await Medication.updateOne({ _id: new mongoose.Types.ObjectId() }, { $push: { notes: { content: 'Take with food' } } });
+    await flushEvents();
+
+    expect(Medication.distinct).not.toHaveBeenCalled();
+    expect(Medication.findById).not.toHaveBeenCalled();
+  });
+
+  it('only keeps Telegram reminders for patients who linked Telegram', async () => {
+    const medication = prescription();
+    mockStored(medication, { ...patient, telegramId: undefined });
+
+    await medication.save();
+    await flushEvents();
+
+    expect(cancelMedicationReminders).toHaveBeenCalledWith(medication._id);
+    expect(scheduleCriticalDoseChecks).toHaveBeenCalledWith(medication);
+  });
+
+  it('cancels every job of a deleted medication', async () => {
+    const id = new mongoose.Types.ObjectId();
+    jest.spyOn(Medication, 'distinct').mockResolvedValue([id]);
+
+    await Medication.deleteOne({ _id: id });
+    await flushEvents();
+
+    expect(cancelJobs).toHaveBeenCalledWith({ medication: id });
+  });
+
+  it('logs errors while syncing instead of failing the change', async () => {
+    jest.spyOn(Medication, 'findById').mockRejectedValue(new Error('connection lost'));
+
+    await prescription().save();
+    await flushEvents();
+
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('connection lost'));
+  });
+});
+
+describe('user changes', () => {
+  it("reschedules a user's reminders when their time zone changes", async () => {
+    jest.spyOn(User, 'distinct').mockResolvedValue([patient._id]);
+    mockStored(null, patient);
+
+    await User.updateOne({ _id: patient._id }, { $set: { timezone: 'Europe/Paris' } });
+    await flushEvents();
+
+    expect(scheduleUserMedicationReminders).toHaveBeenCalledWith(patient);
+  });
+
+  it('cancels the reminders of deactivated users', async () => {
+    jest.spyOn(User, 'distinct').mockResolvedValue([patient._id]);
+    mockStored(null, { ...patient, active: false });
+
+    await User.updateOne({ _id: patient._id }, { $set: { active: false } });
+    await flushEvents();
+
+    expect(cancelUserReminders).toHaveBeenCalledWith(patient._id);
+    expect(scheduleUserMedicationReminders).not.toHaveBeenCalled();
+  });
+
+  it("removes a deleted user's dose and appointment reminders", async () => {
+    const appointments = [new mongoose.Types.ObjectId()];
+    jest.spyOn(User, 'distinct').mockResolvedValue([patient._id]);
+    jest.spyOn(Appointment, 'distinct').mockResolvedValue(appointments);
+
+    await User.deleteOne({ _id: patient._id });
+    await flushEvents();
+
+    expect(cancelJobs).toHaveBeenCalledWith({ patient: patient._id });
+    expect(cancelJobs).toHaveBeenCalledWith({ appointment: { $in: appointments } });
+  });
+});
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const ReminderJob = require('../src/models/reminderJob.model');
+const {
+  INSTANCE_ID,
+  registerJobType,
+  scheduleJob,
+  runDueJobs
+} = require('../src/services/scheduler.service');
+
+const HOUR = 60 * 60 * 1000;
+
+const job = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  key: `test:${fields.type}`,
+  nextRunAt: new Date(Date.now() - 1000),
+  attempts: 0,
+  payload: {},
+  ...fields
+});
+
+// Let the poll claim each of `jobs` in turn, then find nothing more
+const mockDueJobs = (...jobs) => {
+  const claim = jest.spyOn(ReminderJob, 'findOneAndUpdate');
+  jobs.forEach(due => claim.mockResolvedValueOnce(due));
+  claim.mockResolvedValue(null);
+  return claim;
+};
+
+beforeEach(() => {
+  jest.spyOn(ReminderJob, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(ReminderJob, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('scheduleJob', () => {
+  it('creates or replaces a job that no instance is running, clearing its lease', async () => {
+    const nextRunAt = new Date('2026-03-02T08:00:00Z');
+    jest.spyOn(ReminderJob, 'findOneAndUpdate').mockResolvedValue({ key: 'daily' });
+
+    await scheduleJob({ key: 'daily', type: 'refill-check', nextRunAt });
+
+    const [filter, update, options] = ReminderJob.findOneAndUpdate.mock.calls[0];
+    expect(filter.key).toBe('daily');
+    expect(filter.$or).toEqual([{ lockedUntil: null }, { lockedUntil: { $lte: expect.any(Date) } }]);
+    expect(update.$set).toMatchObject({ type: 'refill-check', nextRunAt, lockedBy: null, lockedUntil: null, attempts: 0 });
+    expect(options.upsert).toBe(true);
+  });
+
+  it('leaves the lease of a job another instance is running alone', async () => {
+    const nextRunAt = new Date('2026-03-02T08:00:00Z');
+    jest.spyOn(ReminderJob, 'findOneAndUpdate')
+      .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }))
+      .mockResolvedValueOnce({ key: 'daily' });
+
+    await scheduleJob({ key: 'daily', type: 'refill-check', nextRunAt });
+
+    const [filter, update, options] = ReminderJob.findOneAndUpdate.mock.calls[1];
+    expect(filter).toEqual({ key: 'daily' });
+    expect(update.$set).toEqual({ type: 'refill-check', nextRunAt });
+    expect(options.upsert).toBeUndefined();
+  });
+});
+
+describe('runDueJobs', () => {
+  it('claims due jobs with a lease held by this instance', async () => {
+    const claim = mockDueJobs();
+
+    await runDueJobs();
+
+    const [filter, update, options] = claim.mock.calls[0];
+    expect(filter.nextRunAt.$lte).toBeInstanceOf(Date);
+    expect(filter.$or).toEqual([{ lockedUntil: null }, { lockedUntil: { $lte: expect.any(Date) } }]);
+    expect(update.$set.lockedBy).toBe(INSTANCE_ID);
+    expect(update.$set.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(options.sort).toEqual({ nextRunAt: 1 });
+  });
+
+  it('runs a recurring job and releases it until its next run', async () => {
+    const nextRunAt = new Date(Date.now() + HOUR);
+    const run = jest.fn();
+    registerJobType('test-recurring', { run, next: async () => nextRunAt });
+    const due = job({ type: 'test-recurring' });
+    mockDueJobs(due);
+
+    await runDueJobs();
+
+    expect(run).toHaveBeenCalledWith(due);
+    expect(ReminderJob.updateOne).toHaveBeenCalledWith(
+      { _id: due._id, lockedBy: INSTANCE_ID },
+      { $set: expect.objectContaining({ nextRunAt, lockedBy: null, lockedUntil: null, attempts: 0 }) }
+    );
+  });
+
+  it('skips recurring jobs that are long overdue instead of firing them late', async () => {
+    const run = jest.fn();
+    registerJobType('test-overdue', { run, next: async () => new Date(Date.now() + HOUR) });
+    mockDueJobs(job({ type: 'test-overdue', nextRunAt: new Date(Date.now() - 3 * HOUR) }));
+
+    await runDueJobs();
+
+    expect(run).not.toHaveBeenCalled();
+    expect(ReminderJob.updateOne).toHaveBeenCalled();
+  });
+
+  it('removes one-off jobs once they have run', async () => {
+    registerJobType('test-once', { run: jest.fn() });
+    const due = job({ type: 'test-once' });
+    mockDueJobs(due);
+
+    await runDueJobs();
+
+    expect(ReminderJob.deleteOne).toHaveBeenCalledWith({ _id: due._id, lockedBy: INSTANCE_ID });
+  });
+
+  it('retries failed one-off jobs with a backoff, then drops them', async () => {
+    registerJobType('test-failing', { run: jest.fn().mockRejectedValue(new Error('SMTP down')) });
+    const first = job({ type: 'test-failing', attempts: 0 });
+    const last = job({ type: 'test-failing', attempts: 2 });
+    mockDueJobs(first, last);
+
+    await runDueJobs();
+
+    const [filter, update] = ReminderJob.updateOne.mock.calls[0];
+    expect(filter._id).toBe(first._id);
+    expect(update.$set).toMatchObject({ attempts: 1, lastError: 'SMTP down', lockedBy: null });
+    expect(update.$set.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    expect(ReminderJob.deleteOne).toHaveBeenCalledWith({ _id: last._id, lockedBy: INSTANCE_ID });
+  });
+
+  it('releases and defers jobs of a type this instance does not know', async () => {
+    const due = job({ type: 'test-unknown' });
+    mockDueJobs(due);
+
+    await runDueJobs();
+
+    const [filter, update] = ReminderJob.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: due._id, lockedBy: INSTANCE_ID });
+    expect(update.$set).toMatchObject({ lockedBy: null, lockedUntil: null });
+    expect(update.$set.nextRunAt.getTime()).toBeGreaterThan(Date.now() + HOUR - 60 * 1000);
+  });
+});
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../src/models/session.model');
+const { createSession, rotateSession } = require('../src/services/session.service');
+
+const userId = new mongoose.Types.ObjectId();
+
+const req = { ip: '10.0.0.1', get: () => 'jest' };
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A stored session whose current refresh token is `<id>.current`
+const storedSession = (fields) => new Session({
+  user: userId,
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  refreshTokenHash: hashToken('current'),
+  previousTokenHashes: [hashToken('used')],
+  ...fields
+});
+
+const mockStoredSession = (session) =>
+  jest.spyOn(Session, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(session) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createSession', () => {
+  it("stores only the hash of the session's refresh token", async () => {
+    let saved;
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+      saved = this;
+      return this;
+    });
+
+    const { session, refreshToken } = await createSession({ _id: userId }, req);
+
+    const [sessionId, secret] = refreshToken.split('.');
+    expect(sessionId).toBe(session._id.toString());
+    expect(saved.refreshTokenHash).toBe(hashToken(secret));
+    expect(saved.refreshTokenHash).not.toContain(secret);
+    expect(saved.ip).toBe('10.0.0.1');
+  });
+});
+
+describe('rotateSession', () => {
+  it('exchanges the current refresh token for a new one', async () => {
+    const session = storedSession();
+    mockStoredSession(session);
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+
+    const { refreshToken } = await rotateSession(`${session._id}.current`, req);
+
+    const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: session._id, refreshTokenHash: hashToken('current'), revokedAt: null });
+    expect(update.$set.refreshTokenHash).toBe(hashToken(refreshToken.split('.')[1]));
+    expect(update.$push.previousTokenHashes.$each).toEqual([hashToken('current')]);
+  });
+
+  it('revokes the whole session when an exchanged token is used again', async () => {
+    const session = storedSession();
+    mockStoredSession(session);
+    jest.spyOn(Session, 'findOneAndUpdate')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ ...session, revokedAt: new Date() });
+
+    await expect(rotateSession(`${session._id}.used`, req)).rejects.toMatchObject({ statusCode: 401 });
+
+    const [filter, update] = Session.findOneAndUpdate.mock.calls[1];
+    expect(filter).toEqual({ _id: session._id, revokedAt: null });
+    expect(update.$set.revokedReason).toBe('token-reuse');
+  });
+
+  it('refuses an unknown token without revoking the session', async () => {
+    const session = storedSession();
+    mockStoredSession(session);
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(rotateSession(`${session._id}.forged`, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(Session.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses tokens of ended sessions and malformed tokens', async () => {
+    const session = storedSession({ revokedAt: new Date() });
+    mockStoredSession(session);
+    jest.spyOn(Session, 'findOneAndUpdate');
+
+    await expect(rotateSession(`${session._id}.current`, req)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(rotateSession('not-a-token', req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
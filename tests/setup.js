@@ -0,0 +1,10 @@
+// Keep test runs out of the log files and the console
+const mockLogger = () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+});
+
+jest.mock('../src/config/logger', () => mockLogger());
+jest.mock('../src/utils/logger', () => mockLogger());
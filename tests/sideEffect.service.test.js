@@ -0,0 +1,109 @@
+jest.mock('../src/services/telegram.service', () => ({
+  ...jest.requireActual('../src/services/telegram.service'),
+  sendTelegramMessage: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../src/utils/email', () => ({ sendSevereSideEffectAlert: jest.fn().mockResolvedValue(true) }));
+
+const mongoose = require('mongoose');
+const Medication = require('../src/models/medication.model');
+const User = require('../src/models/user.model');
+const Email = require('../src/utils/email');
+const { sendTelegramMessage } = require('../src/services/telegram.service');
+const { reportSideEffect, getSideEffectsByDrug } = require('../src/services/sideEffect.service');
+
+const patient = { _id: new mongoose.Types.ObjectId(), name: 'Ann', email: 'ann@example.com', timezone: 'UTC' };
+const doctor = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'House',
+  email: 'house@example.com',
+  timezone: 'UTC',
+  telegramId: '42'
+};
+
+const medication = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Warfarin',
+  patient: patient._id,
+  doctor: doctor._id
+};
+
+beforeEach(() => {
+  jest.spyOn(Medication, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(User, 'findById').mockImplementation(async (id) =>
+    [patient, doctor].find(user => user._id.equals(id)));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('reportSideEffect', () => {
+  it('refuses an empty description or an unknown severity', async () => {
+    await expect(reportSideEffect(medication, { description: '  ', severity: 'mild' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(reportSideEffect(medication, { description: 'Rash', severity: 'awful' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(Medication.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('records a mild side effect without alerting the doctor', async () => {
+    const sideEffect = await reportSideEffect(medication, { description: ' Headache ', severity: 'mild' });
+
+    expect(sideEffect.description).toBe('Headache');
+    expect(Medication.updateOne.mock.calls[0][1].$push.sideEffects).toBe(sideEffect);
+    expect(Email.sendSevereSideEffectAlert).not.toHaveBeenCalled();
+    expect(sendTelegramMessage).not.toHaveBeenCalled();
+  });
+
+  it('alerts the doctor of a severe side effect and records when they were told', async () => {
+    const sideEffect = await reportSideEffect(medication, { description: 'Nosebleed', severity: 'severe' });
+
+    expect(Email.sendSevereSideEffectAlert).toHaveBeenCalledWith('house@example.com', expect.objectContaining({
+      patientName: 'Ann',
+      medicationName: 'Warfarin',
+      description: 'Nosebleed'
+    }));
+    expect(sendTelegramMessage).toHaveBeenCalledWith('42', expect.stringContaining('Nosebleed'));
+    expect(sideEffect.doctorNotifiedAt).toBeInstanceOf(Date);
+    expect(Medication.updateOne.mock.calls[1][1].$set).toEqual({
+      'sideEffects.$.doctorNotifiedAt': sideEffect.doctorNotifiedAt
+    });
+  });
+
+  it("escapes Markdown in the patient's description of the side effect", async () => {
+    await reportSideEffect(medication, { description: 'Rash on *both* arms_legs [see](x)', severity: 'severe' });
+
+    expect(sendTelegramMessage.mock.calls[0][1])
+      .toContain('Rash on \\*both\\* arms\\_legs \\[see](x)');
+  });
+});
+
+describe('getSideEffectsByDrug', () => {
+  const report = (name, severity, patientId = patient._id) => ({
+    medication: new mongoose.Types.ObjectId(),
+    name,
+    patient: patientId,
+    patientName: 'Ann',
+    sideEffect: { description: 'Rash', severity, reportedAt: new Date() }
+  });
+
+  it('groups reports of the same drug and puts the most severe first', async () => {
+    jest.spyOn(Medication, 'aggregate').mockResolvedValue([
+      report('Ibuprofen', 'mild'),
+      report('Warfarin', 'severe'),
+      report('ibuprofen', 'moderate', new mongoose.Types.ObjectId())
+    ]);
+
+    const groups = await getSideEffectsByDrug();
+
+    expect(groups.map(group => [group.drug, group.reportCount, group.severeCount, group.patientCount])).toEqual([
+      ['warfarin', 1, 1, 1],
+      ['ibuprofen', 2, 0, 2]
+    ]);
+  });
+
+  it('refuses an invalid doctor ID', async () => {
+    await expect(getSideEffectsByDrug({ doctor: 'nope' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/appointment.model');
+const SlotClaim = require('../src/models/slotClaim.model');
+const Availability = require('../src/models/availability.model');
+const {
+  getAppointmentWindow,
+  checkTimeSlotAvailability,
+  claimSlot
+} = require('../src/services/slotReservation.service');
+
+const appointmentId = new mongoose.Types.ObjectId();
+const doctorId = new mongoose.Types.ObjectId();
+const otherAppointmentId = new mongoose.Types.ObjectId();
+
+const startAt = new Date('2026-03-02T09:00:00Z');
+const endAt = new Date('2026-03-02T09:30:00Z');
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// Claims the appointment already holds
+const mockHeldClaims = (slots) =>
+  jest.spyOn(SlotClaim, 'find').mockReturnValue({
+    select: jest.fn().mockResolvedValue(slots.map(slot => ({ slot })))
+  });
+
+const claimedSlots = (call) => call[0].map(claim => claim.slot.toISOString());
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getAppointmentWindow', () => {
+  it("reads the date and times in the doctor's practice time zone", () => {
+    const { dateKey, startAt: start, endAt: end } = getAppointmentWindow(
+      { practiceTimezone: 'Europe/Berlin' },
+      '2026-07-01',
+      '09:00',
+      '09:30'
+    );
+
+    expect(dateKey).toBe('2026-07-01');
+    expect(start.toISOString()).toBe('2026-07-01T07:00:00.000Z');
+    expect(end.toISOString()).toBe('2026-07-01T07:30:00.000Z');
+  });
+
+  it('refuses appointments that end before they start', () => {
+    expect(() => getAppointmentWindow({}, '2026-07-01', '10:00', '09:00'))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('checkTimeSlotAvailability', () => {
+  const doctor = { _id: doctorId, practiceTimezone: 'UTC' };
+
+  beforeEach(() => {
+    jest.spyOn(Availability, 'findOne').mockResolvedValue(new Availability({
+      doctor: doctorId,
+      weeklySchedule: [{ dayOfWeek: 1, blocks: [{ start: '09:00', end: '12:00' }] }]
+    }));
+  });
+
+  it("refuses times outside the doctor's working hours", async () => {
+    jest.spyOn(Appointment, 'findOne');
+
+    await expect(checkTimeSlotAvailability(doctor, '2026-03-02', '11:45', '12:15'))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(Appointment.findOne).not.toHaveBeenCalled();
+  });
+
+  it('reports 409 with the appointment that overlaps the requested time', async () => {
+    jest.spyOn(Appointment, 'findOne').mockResolvedValue({ _id: otherAppointmentId, startTime: '09:15', endTime: '09:45' });
+
+    await expect(checkTimeSlotAvailability(doctor, '2026-03-02', '09:00', '09:30')).rejects.toMatchObject({
+      statusCode: 409,
+      data: { conflict: expect.objectContaining({ appointment: otherAppointmentId }) }
+    });
+
+    const [query] = Appointment.findOne.mock.calls[0];
+    expect(query.startAt).toEqual({ $lt: endAt });
+    expect(query.endAt).toEqual({ $gt: startAt });
+  });
+
+  it('returns the real start and end of a free slot, ignoring the appointment being moved', async () => {
+    jest.spyOn(Appointment, 'findOne').mockResolvedValue(null);
+
+    const window = await checkTimeSlotAvailability(doctor, '2026-03-02', '09:00', '09:30', appointmentId);
+
+    expect(window.startAt).toEqual(startAt);
+    expect(window.endAt).toEqual(endAt);
+    expect(Appointment.findOne.mock.calls[0][0]._id).toEqual({ $ne: appointmentId });
+  });
+});
+
+describe('claimSlot', () => {
+  beforeEach(() => {
+    jest.spyOn(SlotClaim, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  });
+
+  it('claims every granule the appointment covers', async () => {
+    mockHeldClaims([]);
+    jest.spyOn(SlotClaim, 'insertMany').mockResolvedValue([]);
+
+    await claimSlot(appointmentId, doctorId, startAt, endAt);
+
+    expect(claimedSlots(SlotClaim.insertMany.mock.calls[0])).toEqual([
+      '2026-03-02T09:00:00.000Z',
+      '2026-03-02T09:05:00.000Z',
+      '2026-03-02T09:10:00.000Z',
+      '2026-03-02T09:15:00.000Z',
+      '2026-03-02T09:20:00.000Z',
+      '2026-03-02T09:25:00.000Z'
+    ]);
+  });
+
+  it('keeps the granules a rescheduled appointment still covers and frees the rest', async () => {
+    mockHeldClaims([new Date('2026-03-02T08:50:00Z'), new Date('2026-03-02T08:55:00Z'), startAt]);
+    jest.spyOn(SlotClaim, 'insertMany').mockResolvedValue([]);
+
+    await claimSlot(appointmentId, doctorId, startAt, new Date('2026-03-02T09:10:00Z'));
+
+    expect(claimedSlots(SlotClaim.insertMany.mock.calls[0])).toEqual(['2026-03-02T09:05:00.000Z']);
+    const [filter] = SlotClaim.deleteMany.mock.calls[0];
+    expect(filter.appointment).toBe(appointmentId);
+    expect(filter.slot.$nin.map(slot => slot.toISOString()))
+      .toEqual(['2026-03-02T09:00:00.000Z', '2026-03-02T09:05:00.000Z']);
+  });
+
+  it('rolls back and reports 409 when another appointment holds a granule', async () => {
+    mockHeldClaims([]);
+    jest.spyOn(SlotClaim, 'insertMany').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(SlotClaim, 'findOne').mockResolvedValue({ appointment: otherAppointmentId });
+    jest.spyOn(Appointment, 'findById').mockResolvedValue({
+      _id: otherAppointmentId,
+      status: 'scheduled',
+      startTime: '09:15',
+      endTime: '09:45'
+    });
+
+    await expect(claimSlot(appointmentId, doctorId, startAt, endAt)).rejects.toMatchObject({
+      statusCode: 409,
+      data: { conflict: expect.objectContaining({ appointment: otherAppointmentId }) }
+    });
+
+    // Only this attempt's own claims are removed
+    expect(SlotClaim.deleteMany).toHaveBeenCalledTimes(1);
+    expect(SlotClaim.deleteMany.mock.calls[0][0].appointment).toBe(appointmentId);
+  });
+
+  it('clears claims left by a cancelled appointment and retries once', async () => {
+    mockHeldClaims([]);
+    jest.spyOn(SlotClaim, 'insertMany')
+      .mockRejectedValueOnce(duplicateKeyError())
+      .mockResolvedValueOnce([]);
+    jest.spyOn(SlotClaim, 'findOne').mockResolvedValue({ appointment: otherAppointmentId });
+    jest.spyOn(Appointment, 'findById').mockResolvedValue({ _id: otherAppointmentId, status: 'cancelled' });
+
+    await claimSlot(appointmentId, doctorId, startAt, endAt);
+
+    expect(SlotClaim.insertMany).toHaveBeenCalledTimes(2);
+    expect(SlotClaim.deleteMany).toHaveBeenCalledWith({ appointment: otherAppointmentId });
+  });
+
+  it('does not take over the claims of a booking whose appointment is still being created', async () => {
+    mockHeldClaims([]);
+    jest.spyOn(SlotClaim, 'insertMany').mockRejectedValue(duplicateKeyError());
+    jest.spyOn(SlotClaim, 'findOne').mockResolvedValue({ appointment: otherAppointmentId, createdAt: new Date() });
+    jest.spyOn(Appointment, 'findById').mockResolvedValue(null);
+
+    await expect(claimSlot(appointmentId, doctorId, startAt, endAt)).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(SlotClaim.insertMany).toHaveBeenCalledTimes(1);
+    expect(SlotClaim.deleteMany).not.toHaveBeenCalledWith({ appointment: otherAppointmentId });
+  });
+
+  it('clears orphaned claims once they are past the grace period and retries once', async () => {
+    mockHeldClaims([]);
+    jest.spyOn(SlotClaim, 'insertMany')
+      .mockRejectedValueOnce(duplicateKeyError())
+      .mockResolvedValueOnce([]);
+    jest.spyOn(SlotClaim, 'findOne').mockResolvedValue({
+      appointment: otherAppointmentId,
+      createdAt: new Date(Date.now() - 10 * 60 * 1000)
+    });
+    jest.spyOn(Appointment, 'findById').mockResolvedValue(null);
+
+    await claimSlot(appointmentId, doctorId, startAt, endAt);
+
+    expect(SlotClaim.insertMany).toHaveBeenCalledTimes(2);
+    expect(SlotClaim.deleteMany).toHaveBeenCalledWith({ appointment: otherAppointmentId });
+  });
+});
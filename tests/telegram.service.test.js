@@ -0,0 +1,236 @@
+jest.mock('node-telegram-bot-api', () => jest.fn().mockImplementation(() => ({
+  onText: jest.fn(),
+  on: jest.fn(),
+  sendMessage: jest.fn().mockResolvedValue({}),
+  answerCallbackQuery: jest.fn().mockResolvedValue(true),
+  editMessageText: jest.fn().mockResolvedValue({}),
+  editMessageReplyMarkup: jest.fn().mockResolvedValue({})
+})));
+jest.mock('../src/services/dose.service', () => ({ recordDose: jest.fn() }));
+jest.mock('../src/services/scheduler.service', () => ({
+  scheduleJob: jest.fn(),
+  cancelJobs: jest.fn(),
+  registerJobType: jest.fn()
+}));
+jest.mock('../src/services/settings.service', () => ({ requiresVerifiedEmail: jest.fn().mockResolvedValue(false) }));
+jest.mock('../src/services/refillRequest.service', () => ({ createRefillRequest: jest.fn().mockResolvedValue({}) }));
+jest.mock('../src/services/sideEffect.service', () => ({ reportSideEffect: jest.fn().mockResolvedValue({}) }));
+
+process.env.TELEGRAM_BOT_TOKEN = 'test-token';
+
+const mongoose = require('mongoose');
+const TelegramBot = require('node-telegram-bot-api');
+const Medication = require('../src/models/medication.model');
+const DoseEvent = require('../src/models/doseEvent.model');
+const User = require('../src/models/user.model');
+const { recordDose } = require('../src/services/dose.service');
+const { scheduleJob } = require('../src/services/scheduler.service');
+const { requiresVerifiedEmail } = require('../src/services/settings.service');
+const { createRefillRequest } = require('../src/services/refillRequest.service');
+const { reportSideEffect } = require('../src/services/sideEffect.service');
+const { initBot, sendDoseReminder } = require('../src/services/telegram.service');
+
+initBot();
+const bot = TelegramBot.mock.results[0].value;
+const [, onCallbackQuery] = bot.on.mock.calls.find(([event]) => event === 'callback_query');
+
+const patient = { _id: new mongoose.Types.ObjectId(), name: 'Ann', role: 'patient', telegramId: '7', isVerified: false };
+
+const medication = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Warfarin',
+  status: 'active',
+  dosage: { value: 5, unit: 'mg' },
+  frequency: { type: 'daily', timesPerDay: 1, specificTimes: ['08:00'] },
+  patient: { _id: patient._id },
+  doctor: new mongoose.Types.ObjectId()
+};
+
+// A press of an inline button by the patient
+const press = (data, text = '') => onCallbackQuery({
+  id: 'query-1',
+  data,
+  from: { id: 7 },
+  message: { chat: { id: 7 }, message_id: 1, text }
+});
+
+beforeEach(() => {
+  jest.spyOn(User, 'findOne').mockResolvedValue(patient);
+  jest.spyOn(Medication, 'findById').mockResolvedValue(medication);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('sendDoseReminder', () => {
+  const scheduledFor = new Date('2026-03-02T08:00:00Z');
+
+  it('sends the reminder with Taken, Skip and Snooze buttons for the dose', async () => {
+    const dose = { _id: new mongoose.Types.ObjectId(), status: 'pending' };
+    jest.spyOn(DoseEvent, 'findOneAndUpdate').mockResolvedValue(dose);
+
+    await expect(sendDoseReminder(medication, patient, scheduledFor)).resolves.toBe(dose);
+
+    const [filter, update, options] = DoseEvent.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ medication: medication._id, scheduledFor });
+    expect(update.$setOnInsert.status).toBe('pending');
+    expect(options.upsert).toBe(true);
+
+    const [chatId, text, { reply_markup: keyboard }] = bot.sendMessage.mock.calls[0];
+    expect(chatId).toBe('7');
+    expect(text).toContain('*Warfarin* (5 mg)');
+    expect(keyboard.inline_keyboard[0].map(button => button.callback_data)).toEqual([
+      `dose:take:${dose._id}`,
+      `dose:skip:${dose._id}`,
+      `dose:snooze:${dose._id}`
+    ]);
+  });
+
+  it('does not remind the patient of a dose they already answered', async () => {
+    jest.spyOn(DoseEvent, 'findOneAndUpdate').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), status: 'taken' });
+
+    await expect(sendDoseReminder(medication, patient, scheduledFor)).resolves.toBeNull();
+    expect(bot.sendMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('dose buttons', () => {
+  const scheduledFor = new Date('2026-03-02T08:00:00Z');
+  let dose;
+
+  beforeEach(() => {
+    dose = {
+      _id: new mongoose.Types.ObjectId(),
+      medication: medication._id,
+      patient: patient._id,
+      scheduledFor,
+      status: 'pending',
+      snoozeCount: 0,
+      save: jest.fn()
+    };
+    jest.spyOn(DoseEvent, 'findById').mockResolvedValue(dose);
+  });
+
+  it('records the dose as taken', async () => {
+    recordDose.mockResolvedValue({ status: 'late' });
+
+    await press(`dose:take:${dose._id}`);
+
+    expect(recordDose).toHaveBeenCalledWith({
+      medication,
+      scheduledFor,
+      status: 'taken',
+      source: 'telegram',
+      recordedBy: patient._id
+    });
+    expect(bot.editMessageText.mock.calls[0][0]).toBe('✅ *Warfarin* (5 mg) marked as taken (late).');
+  });
+
+  it('asks why a dose is skipped and records the reason', async () => {
+    await press(`dose:skip:${dose._id}`);
+
+    const [keyboard] = bot.editMessageReplyMarkup.mock.calls[0];
+    expect(keyboard.inline_keyboard.map(([button]) => button.callback_data))
+      .toContain(`dose:skipr:${dose._id}:side_effects`);
+    expect(recordDose).not.toHaveBeenCalled();
+
+    await press(`dose:skipr:${dose._id}:side_effects`);
+
+    expect(recordDose).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'skipped',
+      skipReason: 'Side effects',
+      source: 'telegram'
+    }));
+  });
+
+  it('snoozes the reminder for the chosen number of minutes', async () => {
+    const before = Date.now();
+
+    await press(`dose:snz:${dose._id}:30`);
+
+    expect(dose.snoozeCount).toBe(1);
+    expect(dose.save).toHaveBeenCalled();
+    expect(dose.snoozedUntil.getTime() - before).toBeGreaterThanOrEqual(30 * 60 * 1000);
+    expect(scheduleJob).toHaveBeenCalledWith(expect.objectContaining({
+      key: `dose-snooze:${dose._id}`,
+      type: 'dose-snooze',
+      payload: { scheduledFor },
+      nextRunAt: dose.snoozedUntil
+    }));
+  });
+
+  it("refuses buttons on another patient's reminder", async () => {
+    dose.patient = new mongoose.Types.ObjectId();
+
+    await press(`dose:take:${dose._id}`);
+
+    expect(recordDose).not.toHaveBeenCalled();
+    expect(bot.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'This reminder is no longer available.' });
+  });
+});
+
+describe('refill buttons', () => {
+  it('requests a refill of the chosen medication', async () => {
+    await press(`refill:req:${medication._id}`);
+
+    expect(createRefillRequest).toHaveBeenCalledWith(medication, { source: 'telegram' });
+    expect(bot.answerCallbackQuery).toHaveBeenCalledWith('query-1', { text: 'Refill requested.' });
+  });
+
+  it('refuses medications of other patients', async () => {
+    Medication.findById.mockResolvedValue({ ...medication, patient: { _id: new mongoose.Types.ObjectId() } });
+
+    await press(`refill:req:${medication._id}`);
+
+    expect(createRefillRequest).not.toHaveBeenCalled();
+  });
+
+  it('needs a verified email address when admins require it for refills', async () => {
+    requiresVerifiedEmail.mockResolvedValueOnce(true);
+
+    await press(`refill:req:${medication._id}`);
+
+    expect(requiresVerifiedEmail).toHaveBeenCalledWith('request-refill');
+    expect(createRefillRequest).not.toHaveBeenCalled();
+    expect(bot.answerCallbackQuery).toHaveBeenCalledWith('query-1', expect.objectContaining({
+      text: expect.stringContaining('verify your email'),
+      show_alert: true
+    }));
+  });
+
+  it('lets verified patients through without looking at the settings', async () => {
+    User.findOne.mockResolvedValue({ ...patient, isVerified: true });
+
+    await press(`refill:req:${medication._id}`);
+
+    expect(requiresVerifiedEmail).not.toHaveBeenCalled();
+    expect(createRefillRequest).toHaveBeenCalled();
+  });
+});
+
+describe('side effect buttons', () => {
+  const prompt = '🩺 Side effect: Dizzy after breakfast\n\nHow severe is it with Warfarin?';
+
+  it('records the side effect with the chosen severity', async () => {
+    await press(`se:sev:${medication._id}:moderate`, prompt);
+
+    expect(reportSideEffect).toHaveBeenCalledWith(medication, expect.objectContaining({
+      description: 'Dizzy after breakfast',
+      severity: 'moderate',
+      reportedBy: patient._id,
+      source: 'telegram'
+    }));
+  });
+
+  it('needs a verified email address when admins require it for side-effect reports', async () => {
+    requiresVerifiedEmail.mockResolvedValueOnce(true);
+
+    await press(`se:sev:${medication._id}:severe`, prompt);
+
+    expect(requiresVerifiedEmail).toHaveBeenCalledWith('report-side-effect');
+    expect(reportSideEffect).not.toHaveBeenCalled();
+    expect(bot.answerCallbackQuery).toHaveBeenCalledWith('query-1', expect.objectContaining({ show_alert: true }));
+  });
+});
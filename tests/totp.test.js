@@ -0,0 +1,81 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  getOtpAuthUrl
+} = require('../src/utils/totp');
+
+// The ASCII secret "12345678901234567890" of the RFC 4226 and RFC 6238 test vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('encodes and decodes secrets', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+    expect(base32Decode('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+  });
+
+  it('generates 160-bit secrets', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('generateHotp', () => {
+  it('matches the RFC 4226 test values', () => {
+    expect(generateHotp(RFC_SECRET, 0)).toBe('755224');
+    expect(generateHotp(RFC_SECRET, 1)).toBe('287082');
+    expect(generateHotp(RFC_SECRET, 9)).toBe('520489');
+  });
+});
+
+describe('generateTotp', () => {
+  // Last six digits of the RFC 6238 SHA-1 test values
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 value at %i seconds', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+});
+
+describe('verifyTotp', () => {
+  const at = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+
+  it('returns the time step of a valid code', () => {
+    expect(verifyTotp(RFC_SECRET, '050471', { at })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, '050 471', { at })).toBe(step);
+  });
+
+  it('allows one step of clock drift either way', () => {
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, at - 30 * 1000), { at })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, at + 30 * 1000), { at })).toBe(step + 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, at + 60 * 1000), { at })).toBeNull();
+  });
+
+  it('rejects wrong and malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '000000', { at })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '12345', { at })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { at })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined, { at })).toBeNull();
+  });
+});
+
+describe('getOtpAuthUrl', () => {
+  it('builds the URI authenticator apps read', () => {
+    const uri = getOtpAuthUrl(RFC_SECRET, { accountName: 'ann@example.com', issuer: 'MedReminder' });
+    const url = new URL(uri);
+
+    expect(uri.startsWith('otpauth://totp/MedReminder%3Aann%40example.com?')).toBe(true);
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(url.searchParams.get('issuer')).toBe('MedReminder');
+    expect(url.searchParams.get('digits')).toBe('6');
+    expect(url.searchParams.get('period')).toBe('30');
+  });
+});